@@ -0,0 +1,674 @@
+#!/usr/bin/env node
+/**
+ * ============================================================================
+ * XML COMPARE - Command Line
+ * ============================================================================
+ *
+ * Compare two XML files from a shell script or CI job, with the same core
+ * library (and the same results) as the web app.
+ *
+ * USAGE:
+ *   xml-compare [options] <left.xml> <right.xml> [<merged.xml>]
+ *   xml-compare [options] <left-folder> <right-folder>
+ *   xml-compare [options] --git-diff <path> <old-file> ... (from git)
+ *   xml-compare [options] --textconv <file.xml>
+ *   xml-compare --pretty [--indent <n>] [--canonicalize] <file.xml>
+ *
+ * Given two folders, every pair of XML files (by relative path, or by a
+ * rename pattern) is compared and a summary table is printed.
+ *
+ * GIT:
+ * - difftool / mergetool: `LOCAL REMOTE MERGED`; with --resolve, a merge
+ *   whose sides only differ in formatting or ignored values is resolved
+ * - diff driver (--git-diff): `git diff` shows the semantic differences of
+ *   XML files, with the same settings and ignore rules
+ * - textconv (--textconv): a canonical listing, one line per value, for
+ *   git's own line diff (and `git log -p`, blame, ...); with --pretty or
+ *   --canonicalize, the document in that form instead
+ *
+ * FORMATTING:
+ * --pretty prints a file pretty-printed, --canonicalize as Canonical XML
+ * (see xmlSerializer.js); both together print the canonical form indented.
+ *
+ * EXIT CODES:
+ * - 0: the documents are identical (ignored differences don't count)
+ * - 1: the documents differ (for folders: any pair differs, or a file has
+ *   no counterpart)
+ * - 2: bad arguments, unreadable files or invalid XML
+ * --git-diff and --textconv exit with 0 but for bad arguments, as git gives
+ * up on a failing driver.
+ *
+ * Run `xml-compare --help` for the options.
+ *
+ * ============================================================================
+ */
+
+import { readFile, writeFile, copyFile, readdir, stat } from 'node:fs/promises';
+import { join, sep } from 'node:path';
+import { parseArgs } from 'node:util';
+import { runCompareJob } from '../src/core/compareJob.js';
+import { safeParseXml } from '../src/core/xmlParser.js';
+import { pairFiles, runBatchCompare, summarizeBatch, BatchStatus } from '../src/core/batchCompare.js';
+import { areTreesIdentical, MatchMode } from '../src/core/xmlComparer.js';
+import { DEFAULT_NORMALIZATION } from '../src/core/valueNormalization.js';
+import { exportDiff, ExportFormat } from '../src/core/diffExporters.js';
+import { formatTreeDiff, formatUnifiedDiff, formatBatchTable, formatCanonicalListing } from '../src/core/textDiff.js';
+import { formatXml, canonicalizeXml, CanonicalMethod } from '../src/core/xmlSerializer.js';
+
+// ============================================================================
+// OPTIONS
+// ============================================================================
+
+/**
+ * Enum-like object for the output formats: the two terminal renderings
+ * plus every export format.
+ */
+const OutputFormat = {
+    TREE: 'tree',
+    UNIFIED: 'unified',
+    ...ExportFormat,
+};
+
+const ExitCode = {
+    IDENTICAL: 0,
+    DIFFERENT: 1,
+    ERROR: 2,
+};
+
+// What git passes as the file of a side that does not exist (added or
+// deleted files)
+const NULL_FILE = '/dev/null';
+
+const OPTIONS = {
+    settings: { type: 'string', short: 's' },
+    options: { type: 'string' },
+    ignore: { type: 'string', short: 'i', multiple: true },
+    normalize: { type: 'string', short: 'n', multiple: true },
+    match: { type: 'string', short: 'm' },
+    'ignore-prefixes': { type: 'boolean' },
+    'no-moves': { type: 'boolean' },
+    'no-content-alignment': { type: 'boolean' },
+    rename: { type: 'string', short: 'r' },
+    format: { type: 'string', short: 'f', default: OutputFormat.TREE },
+    context: { type: 'string', short: 'C', default: '0' },
+    all: { type: 'boolean', short: 'a' },
+    output: { type: 'string', short: 'o' },
+    color: { type: 'boolean' },
+    'no-color': { type: 'boolean' },
+    quiet: { type: 'boolean', short: 'q' },
+    resolve: { type: 'boolean' },
+    'git-diff': { type: 'boolean' },
+    textconv: { type: 'boolean' },
+    pretty: { type: 'boolean' },
+    indent: { type: 'string', default: '2' },
+    canonicalize: { type: 'boolean' },
+    exclusive: { type: 'boolean' },
+    'with-comments': { type: 'boolean' },
+    help: { type: 'boolean', short: 'h' },
+};
+
+const HELP = `Usage: xml-compare [options] <left.xml> <right.xml> [<merged.xml>]
+       xml-compare [options] <left-folder> <right-folder>
+       xml-compare [options] --git-diff <git diff driver arguments>
+       xml-compare [options] --textconv <file.xml>
+       xml-compare [--pretty] [--canonicalize] [options] <file.xml>
+
+Compare two XML documents, or every pair of XML files in two folders.
+Exits with 0 when they are identical, 1 when they differ and 2 on errors.
+
+Comparison:
+  -s, --settings <file>     XPath settings JSON (as public/defaultXPathSettings.json);
+                            its "ignoreRules" apply too
+      --options <file>      Compare options JSON (matchMode, normalization,
+                            normalizationRules, ignorePrefixes, detectMoves,
+                            contentAlignment)
+  -i, --ignore <rule>       Ignore rule, e.g. @generatedAt or /catalog/Signature/**
+                            (repeatable)
+  -n, --normalize <name[=value]>
+                            Value normalization: numeric, absolute-tolerance=N,
+                            relative-tolerance=N, ignore-case, collapse-whitespace,
+                            booleans, dates (repeatable)
+  -m, --match <mode>        Sibling pairing: ${Object.values(MatchMode).join(' or ')}
+      --ignore-prefixes     Compare names by namespace URI, not prefix
+      --no-moves            Report moved subtrees as removed and added
+      --no-content-alignment
+                            Pair repeated siblings without a key by position,
+                            not by content
+  -r, --rename <left=right> Folders: pair files by a rename pattern, e.g.
+                            *_expected.xml=*_actual.xml (others pair by path)
+
+Output:
+  -f, --format <format>     ${Object.values(OutputFormat).join(', ')} (default tree;
+                            folders: a table, or json)
+  -C, --context <levels>    Tree: unchanged levels to show around changes (default 0)
+  -a, --all                 Tree: show every node
+  -o, --output <file>       Write to a file instead of standard output
+      --color, --no-color   Force colors on or off (default: on for terminals,
+                            off if NO_COLOR is set)
+  -q, --quiet               Print nothing; only set the exit code
+  -h, --help                Show this help
+
+Git:
+  <local> <remote> <merged> As git difftool/mergetool pass them; the merged
+                            path names both sides in the output
+      --resolve             Mergetool: if local and remote are equivalent, write
+                            local to merged and exit with 0
+      --git-diff            Act as a diff driver (diff.<driver>.command); always
+                            exits with 0
+      --textconv            Print a canonical listing of one file, a line per
+                            value (diff.<driver>.textconv); invalid XML is
+                            printed as it is. With --pretty or --canonicalize,
+                            the document in that form instead
+
+Formatting:
+      --pretty              Print one file pretty-printed, an element per line
+      --indent <n|tab>      Spaces per level, or tab (default 2)
+      --canonicalize        Print one file as Canonical XML 1.0 (with --pretty:
+                            then pretty-printed)
+      --exclusive           Exclusive XML Canonicalization 1.0
+      --with-comments       Keep comments in the canonical form
+`;
+
+// ============================================================================
+// MAIN
+// ============================================================================
+
+/**
+ * Run the command.
+ *
+ * @param {string[]} argv - The arguments after the script name
+ * @returns {Promise<number>} The exit code
+ */
+async function main(argv) {
+    const { values, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+    if (values.help) {
+        process.stdout.write(HELP);
+        return ExitCode.IDENTICAL;
+    }
+
+    const format = parseFormat(values.format);
+    const context = parseContext(values.context);
+    const indent = parseIndent(values.indent);
+
+    const fileSettings = values.settings ? await readJson(values.settings, 'settings') : {};
+    const fileOptions = values.options ? await readJson(values.options, 'options') : {};
+    const xpathSettings = {
+        ...fileSettings,
+        ignoreRules: [...(fileSettings.ignoreRules ?? []), ...(values.ignore ?? [])],
+    };
+    const compareOptions = {
+        ...fileOptions,
+        ...(values.match !== undefined && { matchMode: parseMatchMode(values.match) }),
+        ...(values['ignore-prefixes'] && { ignorePrefixes: true }),
+        ...(values['no-moves'] && { detectMoves: false }),
+        ...(values['no-content-alignment'] && { contentAlignment: false }),
+        normalization: { ...fileOptions.normalization, ...parseNormalization(values.normalize ?? []) },
+    };
+    const settings = { values, format, context, indent, xpathSettings, compareOptions };
+
+    if (values.textconv) {
+        if (positionals.length !== 1) {
+            throw new Error('--textconv expects one file');
+        }
+        return printTextconv(positionals[0], settings);
+    }
+    if (values.pretty || values.canonicalize) {
+        if (positionals.length !== 1) {
+            throw new Error('--pretty and --canonicalize expect one file');
+        }
+        return printRewritten(positionals[0], settings);
+    }
+    if (values['git-diff']) {
+        return runDiffDriver(positionals, settings);
+    }
+    if (positionals.length !== 2 && positionals.length !== 3) {
+        throw new Error('expected two files or folders to compare');
+    }
+
+    const [leftPath, rightPath, mergedPath] = positionals;
+    if (values.resolve && !mergedPath) {
+        throw new Error('--resolve expects LOCAL, REMOTE and MERGED');
+    }
+
+    const folders = await Promise.all([isDirectory(leftPath), isDirectory(rightPath)]);
+    if (folders[0] !== folders[1]) {
+        throw new Error('expected two files or two folders');
+    }
+    if (folders[0]) {
+        if (mergedPath) throw new Error('a merged file is only supported for files');
+        return compareFolders(leftPath, rightPath, settings);
+    }
+
+    // Git passes temporary copies as LOCAL and REMOTE; MERGED is the real path
+    const labels = mergedPath
+        ? { leftName: `a/${mergedPath}`, rightName: `b/${mergedPath}` }
+        : { leftName: leftPath, rightName: rightPath };
+    const { identical, output } = await compareFiles(leftPath, rightPath, labels, settings);
+
+    if (values.resolve && identical) {
+        await copyFile(leftPath, mergedPath);
+        if (!values.quiet) process.stderr.write(`Resolved ${mergedPath}: both sides are equivalent\n`);
+        return ExitCode.IDENTICAL;
+    }
+
+    if (!values.quiet) await writeOutput(output, values.output);
+    return identical ? ExitCode.IDENTICAL : ExitCode.DIFFERENT;
+}
+
+/**
+ * Compare two files and render the result in the chosen format.
+ *
+ * @param {string} leftPath - The left file
+ * @param {string} rightPath - The right file
+ * @param {{leftName: string, rightName: string}} labels - Names shown for
+ *   both sides
+ * @param {Object} settings - Parsed arguments and settings
+ * @returns {Promise<{identical: boolean, output: string}>} The outcome and
+ *   its rendering (empty for identical documents in the tree format)
+ * @throws {Error} If a file cannot be read or is not valid XML
+ */
+async function compareFiles(leftPath, rightPath, labels, { values, format, context, xpathSettings, compareOptions }) {
+    const result = await runCompareJob({
+        leftXml: await readText(leftPath),
+        rightXml: await readText(rightPath),
+        xpathSettings,
+        compareOptions,
+    });
+    if (!result.success) {
+        const errors = [[labels.leftName, result.leftError], [labels.rightName, result.rightError]]
+            .filter(([, error]) => error)
+            .map(([path, error]) => `${path}: ${error}`);
+        throw new Error(errors.join('\n'));
+    }
+
+    const { leftTree, rightTree, diffResults } = result;
+    const identical = areTreesIdentical(diffResults);
+    const color = shouldColor(values);
+
+    let output;
+    if (format === OutputFormat.TREE) {
+        output = identical ? '' : formatTreeDiff(leftTree, rightTree, diffResults, { color, context, all: values.all });
+    } else if (format === OutputFormat.UNIFIED) {
+        output = formatUnifiedDiff(leftTree, rightTree, diffResults, { color, ...labels });
+    } else {
+        output = exportDiff(format, leftTree, rightTree, diffResults, labels);
+    }
+
+    return { identical, output };
+}
+
+/**
+ * Compare every pair of XML files in two folders and print the table (or
+ * JSON) of their results.
+ *
+ * @param {string} leftDir - The left folder
+ * @param {string} rightDir - The right folder
+ * @param {Object} context - Parsed arguments and settings
+ * @returns {Promise<number>} The exit code
+ */
+async function compareFolders(leftDir, rightDir, { values, format, xpathSettings, compareOptions }) {
+    if (format !== OutputFormat.TREE && format !== OutputFormat.JSON) {
+        throw new Error(`--format ${format} is not supported for folders (expected tree or json)`);
+    }
+
+    const pairs = pairFiles(await listXmlFiles(leftDir), await listXmlFiles(rightDir), { renamePattern: values.rename })
+        .map(pair => ({
+            ...pair,
+            left: pair.leftPath && join(leftDir, pair.leftPath),
+            right: pair.rightPath && join(rightDir, pair.rightPath),
+        }));
+
+    // Progress on the terminal only, so it never ends up in a redirected output
+    const showProgress = !values.quiet && Boolean(process.stderr.isTTY);
+    const entries = await runBatchCompare({ pairs, xpathSettings, compareOptions }, {
+        readFile: readText,
+        onProgress: showProgress
+            ? ({ completed, total }) => process.stderr.write(`\rComparing ${completed}/${total}`)
+            : undefined,
+    });
+    if (showProgress) process.stderr.write('\r\x1b[K');
+
+    const summary = summarizeBatch(entries);
+    const exitCode = summary[BatchStatus.ERROR] > 0 ? ExitCode.ERROR
+        : summary[BatchStatus.IDENTICAL] === summary.total ? ExitCode.IDENTICAL
+        : ExitCode.DIFFERENT;
+    if (values.quiet) return exitCode;
+
+    const output = format === OutputFormat.JSON
+        ? JSON.stringify({ left: leftDir, right: rightDir, summary, entries }, null, 2) + '\n'
+        : formatBatchTable(entries, { color: shouldColor(values) });
+    await writeOutput(output, values.output);
+    return exitCode;
+}
+
+// ============================================================================
+// GIT INTEGRATION
+// ============================================================================
+
+/**
+ * Act as git's external diff driver (`diff.<driver>.command`), which gets
+ * `path old-file old-hex old-mode new-file new-hex new-mode`, plus
+ * `new-path info` for renames.
+ *
+ * Always exits with 0: git stops at the first file its driver fails on, so
+ * invalid XML is reported in the output instead.
+ *
+ * @param {string[]} args - The arguments from git
+ * @param {Object} settings - Parsed arguments and settings
+ * @returns {Promise<number>} The exit code
+ */
+async function runDiffDriver(args, settings) {
+    if (args.length !== 7 && args.length !== 9) {
+        throw new Error('--git-diff expects the 7 or 9 arguments git passes to a diff driver');
+    }
+
+    const [path, oldFile, , , newFile] = args;
+    const newPath = args[7] ?? path;
+    const { values } = settings;
+    const header = `diff --xml a/${path} b/${newPath}`;
+    const lines = [shouldColor(values) ? `\x1b[1m${header}\x1b[0m` : header];
+
+    try {
+        if (oldFile === NULL_FILE || newFile === NULL_FILE) {
+            const added = oldFile === NULL_FILE;
+            lines.push(added ? 'new file' : 'deleted file');
+            const label = added ? `b/${newPath}` : `a/${path}`;
+            const result = safeParseXml(await readText(added ? newFile : oldFile), settings.xpathSettings);
+            if (!result.success) throw new Error(`${label}: ${result.error}`);
+            const listing = listCanonically(result.tree, settings);
+            lines.push(listing.replace(/^/gm, added ? '+' : '-').replace(/[+-]$/, ''));
+        } else {
+            const labels = { leftName: `a/${path}`, rightName: `b/${newPath}` };
+            const { identical, output } = await compareFiles(oldFile, newFile, labels, settings);
+            lines.push(identical ? 'No XML differences (formatting or ignored changes only)\n' : output);
+        }
+    } catch (error) {
+        lines.push(`Not compared: ${error.message}\n`);
+    }
+
+    if (!values.quiet) await writeOutput(lines.join('\n'), values.output);
+    return ExitCode.IDENTICAL;
+}
+
+/**
+ * Print a file for git's `diff.<driver>.textconv`: its canonical listing,
+ * or with --pretty/--canonicalize the document in that form. A file that
+ * is not valid XML is printed as it is, so git can still diff it.
+ *
+ * @param {string} path - The file (git passes a temporary copy)
+ * @param {Object} settings - Parsed arguments and settings
+ * @returns {Promise<number>} The exit code
+ */
+async function printTextconv(path, settings) {
+    const { values } = settings;
+    const text = await readText(path);
+    let output = text;
+
+    if (values.pretty || values.canonicalize) {
+        try {
+            output = rewriteXml(text, settings);
+        } catch {
+            // Not valid XML: printed as it is
+        }
+    } else {
+        const result = safeParseXml(text, settings.xpathSettings);
+        if (result.success) output = listCanonically(result.tree, settings);
+    }
+
+    await writeOutput(output, values.output);
+    return ExitCode.IDENTICAL;
+}
+
+/**
+ * List a tree canonically (see formatCanonicalListing) with the ignore
+ * rules applied; with the key match mode, keyed siblings are labelled and
+ * listed by key.
+ *
+ * @param {XmlNode} tree - A parsed tree
+ * @param {Object} settings - Parsed arguments and settings
+ * @returns {string} The listing
+ */
+function listCanonically(tree, { xpathSettings, compareOptions }) {
+    return formatCanonicalListing(tree, {
+        ignoreRules: xpathSettings.ignoreRules,
+        sortSiblings: compareOptions.matchMode === MatchMode.KEY,
+    });
+}
+
+// ============================================================================
+// FORMATTING
+// ============================================================================
+
+/**
+ * Print one file pretty-printed, canonicalized, or both.
+ *
+ * @param {string} path - The file
+ * @param {Object} settings - Parsed arguments and settings
+ * @returns {Promise<number>} The exit code
+ * @throws {Error} If the file cannot be read or is not valid XML
+ */
+async function printRewritten(path, settings) {
+    const { values } = settings;
+    const text = await readText(path);
+    let output;
+    try {
+        output = rewriteXml(text, settings);
+    } catch (error) {
+        throw new Error(`${path}: ${error.message}`);
+    }
+    await writeOutput(output, values.output);
+    return ExitCode.IDENTICAL;
+}
+
+/**
+ * Canonicalize (--canonicalize) and then pretty-print (--pretty) XML text.
+ *
+ * @param {string} text - The XML text
+ * @param {Object} settings - Parsed arguments and settings
+ * @returns {string} The rewritten text
+ * @throws {Error} If the text is not valid XML
+ */
+function rewriteXml(text, { values, indent }) {
+    let xml = text;
+    if (values.canonicalize) {
+        xml = canonicalizeXml(xml, {
+            method: values.exclusive ? CanonicalMethod.EXCLUSIVE : CanonicalMethod.INCLUSIVE,
+            withComments: Boolean(values['with-comments']),
+        });
+    }
+    if (values.pretty) {
+        xml = formatXml(xml, { indent });
+    }
+    return xml;
+}
+
+// ============================================================================
+// ARGUMENT PARSING
+// ============================================================================
+
+/**
+ * @param {string} value - The --format value
+ * @returns {string} One of OutputFormat
+ */
+function parseFormat(value) {
+    if (!Object.values(OutputFormat).includes(value)) {
+        throw new Error(`unknown format: ${value} (expected ${Object.values(OutputFormat).join(', ')})`);
+    }
+    return value;
+}
+
+/**
+ * @param {string} value - The --match value
+ * @returns {string} One of MatchMode
+ */
+function parseMatchMode(value) {
+    if (!Object.values(MatchMode).includes(value)) {
+        throw new Error(`unknown match mode: ${value} (expected ${Object.values(MatchMode).join(', ')})`);
+    }
+    return value;
+}
+
+/**
+ * @param {string} value - The --indent value
+ * @returns {number|string} Spaces per level, or '\t'
+ */
+function parseIndent(value) {
+    if (value === 'tab') return '\t';
+    const spaces = Number(value);
+    if (!Number.isInteger(spaces) || spaces < 0) {
+        throw new Error(`invalid indent: ${value} (expected a number of spaces or tab)`);
+    }
+    return spaces;
+}
+
+/**
+ * @param {string} value - The --context value
+ * @returns {number} Levels of context
+ */
+function parseContext(value) {
+    const levels = Number(value);
+    if (!Number.isInteger(levels) || levels < 0) {
+        throw new Error(`invalid context: ${value} (expected a number of levels)`);
+    }
+    return levels;
+}
+
+/**
+ * Turn --normalize values into normalization options. Names may be written
+ * in kebab-case (`ignore-case`) or as in the options (`ignoreCase`); flags
+ * default to true, tolerances need a value.
+ *
+ * @param {string[]} values - The --normalize values
+ * @returns {Partial<NormalizationOptions>} The options
+ *
+ * @example
+ * parseNormalization(['numeric', 'absolute-tolerance=0.01']);
+ * // { numeric: true, absoluteTolerance: 0.01 }
+ */
+function parseNormalization(values) {
+    const normalization = {};
+
+    for (const value of values) {
+        const separator = value.indexOf('=');
+        const rawName = separator === -1 ? value : value.slice(0, separator);
+        const setting = separator === -1 ? null : value.slice(separator + 1);
+        const name = rawName.replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+
+        if (!(name in DEFAULT_NORMALIZATION)) {
+            throw new Error(`unknown normalization: ${rawName}`);
+        }
+
+        if (typeof DEFAULT_NORMALIZATION[name] === 'number') {
+            const number = Number(setting);
+            if (setting === null || setting === '' || !Number.isFinite(number) || number < 0) {
+                throw new Error(`${rawName} needs a number, e.g. ${rawName}=0.01`);
+            }
+            normalization[name] = number;
+        } else if (setting === null || setting === 'true' || setting === 'false') {
+            normalization[name] = setting !== 'false';
+        } else {
+            throw new Error(`${rawName} is a flag (expected true or false, got ${setting})`);
+        }
+    }
+
+    return normalization;
+}
+
+/**
+ * Whether to color the output: as forced by --color/--no-color, otherwise
+ * when writing to a terminal and NO_COLOR is not set.
+ *
+ * @param {Object} values - Parsed options
+ * @returns {boolean} True to color
+ */
+function shouldColor(values) {
+    if (values['no-color']) return false;
+    if (values.color) return true;
+    return !values.output && Boolean(process.stdout.isTTY) && !process.env.NO_COLOR;
+}
+
+// ============================================================================
+// FILES
+// ============================================================================
+
+/**
+ * @param {string} output - The text to write
+ * @param {string} [path] - The --output file (default standard output)
+ */
+async function writeOutput(output, path) {
+    if (path) {
+        await writeFile(path, output);
+    } else {
+        process.stdout.write(output);
+    }
+}
+
+/**
+ * @param {string} path - A file or folder path
+ * @returns {Promise<boolean>} True for folders (false if it does not exist;
+ *   reading it reports that)
+ */
+async function isDirectory(path) {
+    try {
+        return (await stat(path)).isDirectory();
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * List the XML files below a folder.
+ *
+ * @param {string} dir - The folder
+ * @returns {Promise<string[]>} Their paths relative to the folder, with `/`
+ */
+async function listXmlFiles(dir) {
+    const names = await readdir(dir, { recursive: true });
+    const files = [];
+    for (const name of names) {
+        if (/\.xml$/i.test(name) && (await stat(join(dir, name))).isFile()) {
+            files.push(name.split(sep).join('/'));
+        }
+    }
+    return files;
+}
+
+/**
+ * @param {string} path - A file path
+ * @returns {Promise<string>} The file's text
+ */
+async function readText(path) {
+    try {
+        return await readFile(path, 'utf8');
+    } catch (error) {
+        throw new Error(`cannot read ${path}: ${error.message}`);
+    }
+}
+
+/**
+ * @param {string} path - A JSON file path
+ * @param {string} what - What the file is, for error messages
+ * @returns {Promise<Object>} The parsed object
+ */
+async function readJson(path, what) {
+    const text = await readText(path);
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        throw new Error(`invalid ${what} file ${path}: ${error.message}`);
+    }
+}
+
+// ============================================================================
+// ENTRY POINT
+// ============================================================================
+
+main(process.argv.slice(2)).then(
+    (exitCode) => {
+        process.exitCode = exitCode;
+    },
+    (error) => {
+        process.stderr.write(`xml-compare: ${error.message}\n`);
+        process.exitCode = ExitCode.ERROR;
+    }
+);
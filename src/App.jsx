@@ -3,11 +3,12 @@
  */
 
 import CompareView from './components/CompareView';
+import BatchView from './components/BatchView';
 import useXmlStore from './store/useXmlStore';
 import { ToastProvider } from './components/Toast';
 
 export default function App() {
-  const { isZenMode } = useXmlStore();
+  const { isZenMode, isBatchOpen } = useXmlStore();
 
   return (
     <ToastProvider>
@@ -44,7 +45,7 @@ export default function App() {
 
         {/* Main Content */}
         <main className={`mx-auto transition-all duration-300 ${isZenMode ? 'h-screen max-w-none' : 'max-w-7xl h-[calc(100vh-140px)]'}`}>
-          <CompareView />
+          {isBatchOpen ? <BatchView /> : <CompareView />}
         </main>
       </div>
     </ToastProvider>
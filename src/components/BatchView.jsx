@@ -0,0 +1,225 @@
+/**
+ * BatchView Component
+ * Compares two folders of XML files: pick both folders, optionally a rename
+ * pattern, and every pair is compared in the worker; the summary table
+ * lists each pair's counts and a click opens the pair in the compare view
+ */
+
+import { useState } from 'react';
+import useXmlStore from '../store/useXmlStore';
+import { useToast } from './Toast';
+import { summarizeBatch, BatchStatus } from '../core/batchCompare';
+
+// Label and colors of each pair status
+const STATUS_STYLES = {
+    [BatchStatus.IDENTICAL]: ['Identical', 'text-green-300 bg-green-500/10 border-green-500/20'],
+    [BatchStatus.DIFFERENT]: ['Different', 'text-purple-300 bg-purple-500/10 border-purple-500/20'],
+    [BatchStatus.LEFT_ONLY]: ['Left only', 'text-amber-300 bg-amber-500/10 border-amber-500/20'],
+    [BatchStatus.RIGHT_ONLY]: ['Right only', 'text-amber-300 bg-amber-500/10 border-amber-500/20'],
+    [BatchStatus.ERROR]: ['Error', 'text-red-300 bg-red-500/10 border-red-500/20'],
+};
+
+// Count columns of the table
+const COUNT_COLUMNS = [
+    ['matched', 'Matched'],
+    ['different', 'Different'],
+    ['leftOnly', 'Left only'],
+    ['rightOnly', 'Right only'],
+    ['moved', 'Moved'],
+];
+
+export default function BatchView() {
+    const {
+        batchFiles, setBatchFiles, batchRenamePattern, setBatchRenamePattern,
+        batchEntries, batchProgress, isBatchRunning, batchError, batchPairName,
+        runBatch, cancelBatch, closeBatch, openBatchPair,
+    } = useXmlStore();
+    const { addToast } = useToast();
+    const [changedOnly, setChangedOnly] = useState(false);
+
+    const canRun = !isBatchRunning && batchFiles.left.length > 0 && batchFiles.right.length > 0;
+    const summary = batchEntries ? summarizeBatch(batchEntries) : null;
+    const rows = (batchEntries ?? []).filter(entry => !changedOnly || entry.status !== BatchStatus.IDENTICAL);
+
+    const handleOpen = (entry) => {
+        openBatchPair(entry.name).catch((error) => {
+            addToast(`Could not open ${entry.name}: ${error.message}`, 'error');
+        });
+    };
+
+    return (
+        <div className="flex flex-col h-full gap-4">
+            {/* Action Bar */}
+            <div className="flex items-center gap-3 flex-wrap">
+                <button
+                    onClick={closeBatch}
+                    className="px-3 py-2 rounded-lg text-slate-300 hover:text-white hover:bg-slate-800 transition-colors border border-transparent hover:border-slate-600 text-sm font-medium"
+                    title={isBatchRunning ? 'Cancel the batch and go back' : 'Back to the compare view'}
+                >
+                    ← Compare view
+                </button>
+
+                <div className="flex items-center gap-2 bg-slate-800/50 p-1.5 rounded-lg border border-slate-600/30">
+                    <span className="text-slate-400 text-xs font-semibold px-2">FOLDERS</span>
+                    <FolderPicker side="left" label="Left" files={batchFiles.left} onChange={setBatchFiles} />
+                    <FolderPicker side="right" label="Right" files={batchFiles.right} onChange={setBatchFiles} />
+                    <div className="h-4 w-px bg-slate-700 mx-1"></div>
+                    <input
+                        value={batchRenamePattern}
+                        onChange={(e) => setBatchRenamePattern(e.target.value)}
+                        placeholder="Rename: *_old.xml=*_new.xml"
+                        className="w-56 h-8 px-2 rounded bg-slate-900 border border-slate-700 text-white text-xs font-mono placeholder:text-slate-500"
+                        title="Pair files by a rename pattern (left=right, * matches any text); other files are paired by relative path"
+                    />
+                </div>
+
+                <button
+                    onClick={runBatch}
+                    disabled={!canRun}
+                    className={`px-5 py-2 rounded-xl font-semibold text-white shadow-lg transition-all duration-200 flex items-center gap-2 ${canRun
+                        ? 'bg-gradient-to-r from-blue-600 to-indigo-600 hover:from-blue-700 hover:to-indigo-700 hover:shadow-xl hover:-translate-y-0.5'
+                        : 'bg-slate-500/50 cursor-not-allowed opacity-70'}`}
+                >
+                    {isBatchRunning ? (
+                        <>
+                            <span className="w-5 h-5 border-2 border-white border-t-transparent rounded-full animate-spin"></span>
+                            {batchProgress ? `${batchProgress.completed}/${batchProgress.total}` : 'Comparing...'}
+                        </>
+                    ) : (
+                        <>
+                            <span className="text-lg">🔍</span>
+                            Compare all
+                        </>
+                    )}
+                </button>
+
+                {isBatchRunning && (
+                    <button
+                        onClick={cancelBatch}
+                        className="px-4 py-2 rounded-xl font-medium text-slate-300 bg-slate-800 border border-slate-700 hover:bg-red-600 hover:text-white transition-colors"
+                    >
+                        Cancel
+                    </button>
+                )}
+
+                {summary && (
+                    <div className="flex items-center gap-2 ml-auto">
+                        {Object.entries(STATUS_STYLES).map(([status, [label, colors]]) => (
+                            <div key={status} className={`px-3 py-1.5 rounded-lg border text-center ${colors}`}>
+                                <div className="text-xl font-bold leading-none">{summary[status]}</div>
+                                <div className="text-[10px] uppercase tracking-wider opacity-70 mt-0.5">{label}</div>
+                            </div>
+                        ))}
+                    </div>
+                )}
+            </div>
+
+            {batchError && (
+                <div className="px-3 py-2 rounded-lg bg-red-500/10 border border-red-500/30 text-red-300 text-sm">
+                    {batchError}
+                </div>
+            )}
+
+            {/* Summary Table - click a pair to open it */}
+            <div className="flex-1 min-h-0 overflow-auto rounded-xl border border-slate-700 bg-slate-900/50">
+                {batchEntries ? (
+                    <table className="w-full text-sm text-slate-300">
+                        <thead className="sticky top-0 bg-slate-800 text-xs uppercase tracking-wider text-slate-400">
+                            <tr>
+                                <th className="px-3 py-2 text-left font-semibold">File</th>
+                                <th className="px-3 py-2 text-left font-semibold">Status</th>
+                                {COUNT_COLUMNS.map(([key, label]) => (
+                                    <th key={key} className="px-3 py-2 text-right font-semibold">{label}</th>
+                                ))}
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {rows.map(entry => (
+                                <BatchRow
+                                    key={entry.name}
+                                    entry={entry}
+                                    isOpen={entry.name === batchPairName}
+                                    onOpen={handleOpen}
+                                />
+                            ))}
+                        </tbody>
+                    </table>
+                ) : (
+                    <div className="h-full flex items-center justify-center text-slate-500 text-sm p-6 text-center">
+                        {isBatchRunning && batchProgress?.name
+                            ? `Compared ${batchProgress.name}`
+                            : 'Choose a left and a right folder, then compare all pairs of XML files'}
+                    </div>
+                )}
+            </div>
+
+            {batchEntries && (
+                <label className="flex items-center gap-2 text-xs text-slate-400">
+                    <input
+                        type="checkbox"
+                        checked={changedOnly}
+                        onChange={(e) => setChangedOnly(e.target.checked)}
+                    />
+                    Hide identical files ({summary.identical})
+                </label>
+            )}
+        </div>
+    );
+}
+
+// Directory upload for one side; keeps the XML files below the chosen folder
+function FolderPicker({ side, label, files, onChange }) {
+    const folder = files[0]?.file.webkitRelativePath.split('/')[0];
+
+    return (
+        <>
+            <input
+                type="file"
+                webkitdirectory=""
+                multiple
+                onChange={(e) => onChange(side, e.target.files)}
+                className="hidden"
+                id={`batch-folder-${side}`}
+            />
+            <label
+                htmlFor={`batch-folder-${side}`}
+                className="px-2 h-8 flex items-center gap-1 rounded bg-slate-600 hover:bg-slate-500 text-white text-xs font-medium cursor-pointer transition-colors"
+                title={`Choose the ${label.toLowerCase()} folder`}
+            >
+                📂 {label}
+                {files.length > 0 && (
+                    <span className="text-slate-300 font-normal">
+                        {folder ? `${folder} · ` : ''}{files.length} XML
+                    </span>
+                )}
+            </label>
+        </>
+    );
+}
+
+function BatchRow({ entry, isOpen, onOpen }) {
+    const [label, colors] = STATUS_STYLES[entry.status];
+    const canOpen = entry.leftPath !== null && entry.rightPath !== null;
+    const renamed = canOpen && entry.leftPath !== entry.rightPath;
+
+    return (
+        <tr
+            onClick={canOpen ? () => onOpen(entry) : undefined}
+            className={`border-t border-slate-800 ${canOpen ? 'cursor-pointer hover:bg-slate-800/70' : ''} ${isOpen ? 'bg-blue-500/10' : ''}`}
+            title={entry.error ?? (canOpen ? 'Open this pair in the compare view' : undefined)}
+        >
+            <td className="px-3 py-1.5 font-mono text-xs">
+                {entry.name}
+                {renamed && <span className="text-slate-500"> → {entry.rightPath}</span>}
+            </td>
+            <td className="px-3 py-1.5">
+                <span className={`px-2 py-0.5 rounded border text-xs ${colors}`}>{label}</span>
+            </td>
+            {COUNT_COLUMNS.map(([key]) => (
+                <td key={key} className="px-3 py-1.5 text-right font-mono text-xs">
+                    {entry.counts ? entry.counts[key] : '–'}
+                </td>
+            ))}
+        </tr>
+    );
+}
@@ -6,18 +6,50 @@
 import { useState, useRef, useEffect } from 'react';
 import XmlPanel from './XmlPanel';
 import DiffLegend from './DiffLegend';
+import IgnoreRulesEditor from './IgnoreRulesEditor';
+import NormalizationSettings from './NormalizationSettings';
+import NamespaceSettings from './NamespaceSettings';
+import NodeKindSettings from './NodeKindSettings';
+import XPathQueryPanel from './XPathQueryPanel';
+import ExportMenu from './ExportMenu';
 import useXmlStore from '../store/useXmlStore';
 import { useToast } from './Toast';
+import { MatchMode, ComparePhase } from '../utils/xmlComparer';
+import { queryXPath } from '../utils/xmlParser';
+import { DiffCategory } from '../core/diffFilter';
+
+// Categories the differences-only filter can show, in stat button order
+const FILTER_CATEGORIES = [
+    [DiffCategory.MATCHED, '✓', 'matched'],
+    [DiffCategory.LEFT_ONLY, '◀', 'left only'],
+    [DiffCategory.RIGHT_ONLY, '▶', 'right only'],
+    [DiffCategory.DIFFERENT, '≠', 'different'],
+    [DiffCategory.MOVED, '⇄', 'moved'],
+    [DiffCategory.IGNORED, '∅', 'ignored'],
+];
+
+// Levels of context the filter can keep around shown nodes
+const FILTER_CONTEXT_LEVELS = [0, 1, 2, 3];
+
+const PHASE_LABELS = {
+    [ComparePhase.PARSING_LEFT]: 'Parsing left',
+    [ComparePhase.PARSING_RIGHT]: 'Parsing right',
+    [ComparePhase.DIFFING]: 'Diffing',
+};
 
 export default function CompareView() {
     const {
-        leftTree, rightTree, diffResults, isComparing,
-        compare, clear, activeCategory, navigateDiff,
+        leftTree, rightTree, diffResults, isComparing, compareProgress,
+        compare, cancelCompare, clear, activeCategory, navigateDiff,
         fontSize, setFontSize, isZenMode, toggleZenMode,
         showBorders, toggleBorders,
+        inlineDiffMode, toggleInlineDiffMode,
         toggleLeafDots, showLeafDots, toggleStatusBadges, showStatusBadges,
         isScrollLocked, toggleScrollLock, // Import scroll lock state
-        setSelectedXPath // Import setSelectedXPath
+        setSelectedXPath, // Import setSelectedXPath
+        lastFocusedSide, openSearch,
+        compareOptions, setCompareOptions,
+        openBatch, batchPairName
     } = useXmlStore();
     const { addToast } = useToast();
 
@@ -33,6 +65,9 @@ export default function CompareView() {
     const isScrollingRight = useRef(false);
 
     const canCompare = leftTree && rightTree;
+    const progressLabel = compareProgress
+        ? `${PHASE_LABELS[compareProgress.phase]} ${compareProgress.percent}%`
+        : null;
 
     // Scroll Synchronization Logic
     useEffect(() => {
@@ -135,6 +170,14 @@ export default function CompareView() {
                 }
             }
 
+            // Ctrl+F: Find in the focused panel (Ctrl+Shift+F: in both panels)
+            if ((e.ctrlKey || e.metaKey) && (e.key === 'f' || e.key === 'F')) {
+                e.preventDefault();
+                openSearch(lastFocusedSide, e.shiftKey || undefined);
+                requestAnimationFrame(() => document.getElementById(`xml-search-${lastFocusedSide}`)?.select());
+                return;
+            }
+
             // Alt+F: Search XPath from clipboard
             if (e.altKey && (e.key === 'f' || e.key === 'F')) {
                 e.preventDefault();
@@ -145,13 +188,26 @@ export default function CompareView() {
                         return;
                     }
 
-                    // Basic validation strictly for XPath (starts with /)
-                    if (text.startsWith('/')) {
-                        setSelectedXPath(text);
-                        addToast(`Searching for: ${text}`, 'info');
-                    } else {
-                        addToast('Clipboard content is not a valid XPath', 'error');
+                    const tree = lastFocusedSide === 'right' ? rightTree : leftTree;
+                    if (!tree) {
+                        addToast('Compare the documents before searching them', 'error');
+                        return;
+                    }
+
+                    let nodes;
+                    try {
+                        ({ nodes } = queryXPath(text, tree));
+                    } catch (err) {
+                        addToast(err.message, 'error');
+                        return;
                     }
+
+                    if (nodes.length === 0) {
+                        addToast(`No match for: ${text}`, 'error');
+                        return;
+                    }
+                    setSelectedXPath(nodes[0].xpath, lastFocusedSide);
+                    addToast(`${nodes.length} match${nodes.length === 1 ? '' : 'es'} for: ${text}`, 'info');
                 } catch (err) {
                     console.error('Failed to read clipboard:', err);
                     addToast('Failed to read clipboard. Please allow permission.', 'error');
@@ -161,7 +217,23 @@ export default function CompareView() {
 
         window.addEventListener('keydown', handleKeyDown);
         return () => window.removeEventListener('keydown', handleKeyDown);
-    }, [activeCategory, navigateDiff, addToast, setSelectedXPath]);
+    }, [activeCategory, navigateDiff, addToast, setSelectedXPath, lastFocusedSide, leftTree, rightTree, openSearch]);
+
+    // Switch sibling pairing and re-run an existing comparison with it
+    const isKeyMatching = compareOptions.matchMode === MatchMode.KEY;
+    const toggleMatchMode = () => {
+        setCompareOptions({ matchMode: isKeyMatching ? MatchMode.XPATH : MatchMode.KEY });
+        if (diffResults) compare();
+    };
+    const matchModeTitle = isKeyMatching
+        ? 'Matching siblings by key (id/name/key) - click to match by position'
+        : 'Matching siblings by position - click to match by key (id/name/key)';
+
+    // Granularity of the highlighting inside changed values
+    const isCharDiff = inlineDiffMode === 'char';
+    const inlineDiffTitle = isCharDiff
+        ? 'Marking changed characters - click to mark changed words'
+        : 'Marking changed words - click to mark changed characters';
 
     const startDrag = () => {
         isDragging.current = true;
@@ -208,9 +280,20 @@ export default function CompareView() {
                     }`}
                 title="Compare XMLs"
             >
-                {isComparing ? '...' : '🔍 Compare'}
+                {isComparing ? progressLabel || '...' : '🔍 Compare'}
             </button>
 
+            {/* Cancel Button - stops the comparison in the worker */}
+            {isComparing && (
+                <button
+                    onClick={cancelCompare}
+                    className="px-2 py-1 rounded text-xs font-medium text-slate-300 hover:bg-red-500/80 hover:text-white transition-colors"
+                    title="Cancel comparison"
+                >
+                    ✕
+                </button>
+            )}
+
             <div className="w-px h-4 bg-slate-600 mx-1"></div>
 
             {/* Font Size Controls */}
@@ -265,6 +348,25 @@ export default function CompareView() {
             >
                 🏷️
             </button>
+            <button
+                onClick={toggleInlineDiffMode}
+                className="w-6 h-6 flex items-center justify-center rounded bg-slate-600 hover:bg-slate-500 text-white text-xs transition-colors"
+                title={inlineDiffTitle}
+            >
+                {isCharDiff ? 'C' : 'W'}
+            </button>
+            <button
+                onClick={toggleMatchMode}
+                className="px-1.5 h-6 flex items-center justify-center rounded bg-slate-600 hover:bg-slate-500 text-white text-xs transition-colors"
+                title={matchModeTitle}
+            >
+                {isKeyMatching ? '🔑 Key' : '# Pos'}
+            </button>
+            <IgnoreRulesEditor compact />
+            <NormalizationSettings compact />
+            <NamespaceSettings compact />
+            <NodeKindSettings compact />
+            <XPathQueryPanel compact />
 
             <div className="w-px h-4 bg-slate-600 mx-1"></div>
 
@@ -326,6 +428,29 @@ export default function CompareView() {
                             >
                                 🏷️
                             </button>
+                            <button
+                                onClick={toggleInlineDiffMode}
+                                className="px-2 h-8 flex items-center justify-center rounded hover:bg-slate-700 text-slate-300 text-xs font-medium transition-colors"
+                                title={inlineDiffTitle}
+                            >
+                                {isCharDiff ? 'a|b|c' : 'ab|cd'}
+                            </button>
+                            <div className="h-4 w-px bg-slate-700 mx-1"></div>
+                            <button
+                                onClick={toggleMatchMode}
+                                className="px-2 h-8 flex items-center justify-center rounded hover:bg-slate-700 text-slate-300 text-xs font-medium transition-colors"
+                                title={matchModeTitle}
+                            >
+                                {isKeyMatching ? '🔑 Key' : '# Pos'}
+                            </button>
+                            <IgnoreRulesEditor />
+                            <NormalizationSettings />
+                            <NamespaceSettings />
+                            <NodeKindSettings />
+                            <div className="h-4 w-px bg-slate-700 mx-1"></div>
+                            <XPathQueryPanel />
+                            <div className="h-4 w-px bg-slate-700 mx-1"></div>
+                            <ExportMenu />
                         </div>
 
                         <div className="h-8 w-px bg-slate-700 mx-2"></div>
@@ -339,6 +464,15 @@ export default function CompareView() {
                             <span className="text-sm font-medium">Zen Mode</span>
                         </button>
 
+                        <button
+                            onClick={openBatch}
+                            className="flex items-center gap-2 px-3 py-2 rounded-lg text-slate-300 hover:text-white hover:bg-slate-800 transition-colors border border-transparent hover:border-slate-600"
+                            title={batchPairName ? `Back to the batch results (showing ${batchPairName})` : 'Compare two folders of XML files'}
+                        >
+                            <span>📂</span>
+                            <span className="text-sm font-medium max-w-48 truncate">{batchPairName ?? 'Batch'}</span>
+                        </button>
+
                         <div className="flex gap-3 ml-2">
                             <button
                                 onClick={compare}
@@ -355,7 +489,7 @@ export default function CompareView() {
                                 {isComparing ? (
                                     <>
                                         <span className="w-5 h-5 border-2 border-white border-t-transparent rounded-full animate-spin"></span>
-                                        Comparing...
+                                        {progressLabel || 'Comparing...'}
                                     </>
                                 ) : (
                                     <>
@@ -365,6 +499,15 @@ export default function CompareView() {
                                 )}
                             </button>
 
+                            {isComparing && (
+                                <button
+                                    onClick={cancelCompare}
+                                    className="px-4 py-2 rounded-xl font-medium text-slate-300 bg-slate-800 border border-slate-700 hover:bg-red-600 hover:text-white transition-colors"
+                                >
+                                    Cancel
+                                </button>
+                            )}
+
                             <button
                                 onClick={clear}
                                 className="px-4 py-2 rounded-xl font-medium text-slate-300 bg-slate-800 border border-slate-700 hover:bg-slate-700 transition-colors"
@@ -373,6 +516,52 @@ export default function CompareView() {
                             </button>
                         </div>
                     </div>
+
+                    {/* Comparison Statistics - click to step through a category */}
+                    {diffResults && (
+                        <div className="flex items-center gap-2">
+                            <StatBadge label="Left" value={diffResults.stats.totalLeft} color="blue" />
+                            <StatBadge label="Right" value={diffResults.stats.totalRight} color="blue" />
+                            <StatButton
+                                label="Matched" icon="✓" color="green"
+                                value={diffResults.stats.matched}
+                                isActive={activeCategory === 'matched'}
+                                onClick={() => navigateDiff('matched', 'next')}
+                            />
+                            <StatButton
+                                label="Left Only" icon="◀" color="amber"
+                                value={diffResults.stats.leftOnly}
+                                isActive={activeCategory === 'leftOnly'}
+                                onClick={() => navigateDiff('leftOnly', 'next')}
+                            />
+                            <StatButton
+                                label="Right Only" icon="▶" color="amber"
+                                value={diffResults.stats.rightOnly}
+                                isActive={activeCategory === 'rightOnly'}
+                                onClick={() => navigateDiff('rightOnly', 'next')}
+                            />
+                            <StatButton
+                                label="Different" icon="≠" color="purple"
+                                value={diffResults.stats.different}
+                                isActive={activeCategory === 'different'}
+                                onClick={() => navigateDiff('different', 'next')}
+                            />
+                            <StatButton
+                                label="Moved" icon="⇄" color="sky"
+                                value={diffResults.stats.moved}
+                                isActive={activeCategory === 'moved'}
+                                onClick={() => navigateDiff('moved', 'next')}
+                            />
+                            <StatButton
+                                label="Ignored" icon="∅" color="slate"
+                                value={diffResults.stats.ignored}
+                                isActive={activeCategory === 'ignored'}
+                                onClick={() => navigateDiff('ignored', 'next')}
+                            />
+                            <div className="w-px h-10 bg-slate-700 mx-1"></div>
+                            <DiffFilterControls />
+                        </div>
+                    )}
                 </div>
             )}
 
@@ -445,6 +634,59 @@ function StatBadge({ label, value, color }) {
     );
 }
 
+// Differences-only filter: hide unchanged subtrees in every view, keeping
+// the chosen categories, their ancestors and some context around them
+function DiffFilterControls() {
+    const { diffFilter, setDiffFilter, toggleDiffFilterCategory } = useXmlStore();
+    const { isActive, categories, context } = diffFilter;
+
+    return (
+        <div className="flex flex-col gap-1">
+            <div className="flex items-center gap-1.5">
+                <button
+                    onClick={() => setDiffFilter({ isActive: !isActive })}
+                    className={`px-2 h-6 rounded text-xs font-medium transition-colors ${isActive
+                        ? 'bg-blue-500 text-white'
+                        : 'bg-slate-800 text-slate-300 border border-slate-700 hover:bg-slate-700'}`}
+                    title={isActive ? 'Show the whole trees' : 'Show only the chosen categories and their ancestors'}
+                >
+                    ⧩ Changes only
+                </button>
+                <label className={`flex items-center gap-1 text-xs text-slate-400 ${isActive ? '' : 'opacity-50'}`}>
+                    Context
+                    <select
+                        value={context}
+                        onChange={(e) => setDiffFilter({ context: Number(e.target.value) })}
+                        className="h-6 px-1 rounded bg-slate-800 border border-slate-700 text-white text-xs"
+                        title="Levels of siblings, ancestors' siblings and children kept around shown nodes"
+                    >
+                        {FILTER_CONTEXT_LEVELS.map(level => (
+                            <option key={level} value={level}>{level}</option>
+                        ))}
+                    </select>
+                </label>
+            </div>
+            <div className={`flex items-center gap-1 ${isActive ? '' : 'opacity-50'}`}>
+                {FILTER_CATEGORIES.map(([category, icon, label]) => {
+                    const isShown = categories.includes(category);
+                    return (
+                        <button
+                            key={category}
+                            onClick={() => toggleDiffFilterCategory(category)}
+                            className={`w-6 h-6 rounded text-xs transition-colors ${isShown
+                                ? 'bg-slate-600 text-white'
+                                : 'bg-slate-800 text-slate-500 line-through hover:bg-slate-700'}`}
+                            title={`${isShown ? 'Hide' : 'Show'} ${label} nodes when filtering`}
+                        >
+                            {icon}
+                        </button>
+                    );
+                })}
+            </div>
+        </div>
+    );
+}
+
 function StatButton({ label, value, color, onClick, isActive, icon }) {
     const colorMap = {
         green: isActive
@@ -458,7 +700,24 @@ function StatButton({ label, value, color, onClick, isActive, icon }) {
         purple: isActive
             ? 'bg-purple-500 text-white border-purple-400 ring-2 ring-purple-400/50'
             : 'bg-purple-500/10 text-purple-300 border-purple-500/20 hover:bg-purple-500/20',
+
+        sky: isActive
+            ? 'bg-sky-500 text-white border-sky-400 ring-2 ring-sky-400/50'
+            : 'bg-sky-500/10 text-sky-300 border-sky-500/20 hover:bg-sky-500/20',
+
+        slate: isActive
+            ? 'bg-slate-500 text-white border-slate-400 ring-2 ring-slate-400/50'
+            : 'bg-slate-500/10 text-slate-300 border-slate-500/20 hover:bg-slate-500/20',
+    };
+
+    const pingColorMap = {
+        green: ['bg-green-400', 'bg-green-500'],
+        amber: ['bg-amber-400', 'bg-amber-500'],
+        purple: ['bg-purple-400', 'bg-purple-500'],
+        sky: ['bg-sky-400', 'bg-sky-500'],
+        slate: ['bg-slate-400', 'bg-slate-500'],
     };
+    const [pingColor, dotColor] = pingColorMap[color];
 
     return (
         <button
@@ -481,10 +740,8 @@ function StatButton({ label, value, color, onClick, isActive, icon }) {
 
             {value > 0 && !isActive && (
                 <span className="absolute -top-1 -right-1 flex h-2.5 w-2.5">
-                    <span className={`animate-ping absolute inline-flex h-full w-full rounded-full opacity-75 ${color === 'green' ? 'bg-green-400' : color === 'amber' ? 'bg-amber-400' : 'bg-purple-400'
-                        }`}></span>
-                    <span className={`relative inline-flex rounded-full h-2.5 w-2.5 ${color === 'green' ? 'bg-green-500' : color === 'amber' ? 'bg-amber-500' : 'bg-purple-500'
-                        }`}></span>
+                    <span className={`animate-ping absolute inline-flex h-full w-full rounded-full opacity-75 ${pingColor}`}></span>
+                    <span className={`relative inline-flex rounded-full h-2.5 w-2.5 ${dotColor}`}></span>
                 </span>
             )}
         </button>
@@ -58,6 +58,22 @@ export default function DiffLegend({ compact = false }) {
                 >
                     D
                 </button>
+                {/* Moved */}
+                <button
+                    className={`w-6 h-6 rounded-full flex items-center justify-center text-[10px] font-bold text-white transition-all ${getActiveClass('moved')} ${LEGEND_COLORS.moved}`}
+                    onClick={() => handleLegendClick('moved')}
+                    title="Moved - Click to navigate"
+                >
+                    V
+                </button>
+                {/* Ignored */}
+                <button
+                    className={`w-6 h-6 rounded-full flex items-center justify-center text-[10px] font-bold text-white transition-all ${getActiveClass('ignored')} ${LEGEND_COLORS.ignored}`}
+                    onClick={() => handleLegendClick('ignored')}
+                    title="Ignored - Click to navigate"
+                >
+                    I
+                </button>
             </div>
         );
     }
@@ -97,6 +113,22 @@ export default function DiffLegend({ compact = false }) {
                 <span className={`w-2.5 h-2.5 rounded-full ${LEGEND_COLORS.different}`}></span>
                 <span>Different</span>
             </div>
+            <div
+                className={`flex items-center gap-1.5 px-2 py-1 rounded transition-all cursor-pointer ${getActiveClass('moved')}`}
+                onClick={() => handleLegendClick('moved')}
+                title="Navigate Moved Subtrees"
+            >
+                <span className={`w-2.5 h-2.5 rounded-full ${LEGEND_COLORS.moved}`}></span>
+                <span>Moved</span>
+            </div>
+            <div
+                className={`flex items-center gap-1.5 px-2 py-1 rounded transition-all cursor-pointer ${getActiveClass('ignored')}`}
+                onClick={() => handleLegendClick('ignored')}
+                title="Navigate Ignored Nodes"
+            >
+                <span className={`w-2.5 h-2.5 rounded-full ${LEGEND_COLORS.ignored}`}></span>
+                <span>Ignored</span>
+            </div>
 
             <div className="h-4 w-px bg-slate-300"></div>
 
@@ -0,0 +1,91 @@
+/**
+ * ExportMenu Component
+ * Settings-bar button with a popover for saving the comparison results:
+ * a standalone HTML report to attach to tickets and emails, or JSON, CSV
+ * and JUnit XML for other systems
+ */
+
+import { useState } from 'react';
+import useXmlStore from '../store/useXmlStore';
+import { useToast } from './Toast';
+import { exportDiff, ExportFormat } from '../core/diffExporters';
+import { downloadFile } from '../utils/download';
+
+const EXPORTS = [
+    {
+        format: ExportFormat.HTML,
+        label: 'HTML report',
+        hint: 'Self-contained page: statistics, filterable changes and both documents side by side',
+        fileName: 'xml-compare-report.html',
+        type: 'text/html',
+    },
+    {
+        format: ExportFormat.JSON,
+        label: 'JSON',
+        hint: 'Statistics and every difference (versioned schema)',
+        fileName: 'xml-compare.json',
+        type: 'application/json',
+    },
+    {
+        format: ExportFormat.CSV,
+        label: 'CSV',
+        hint: 'One row per difference: xpath, status, attribute, left and right value',
+        fileName: 'xml-compare.csv',
+        type: 'text/csv',
+    },
+    {
+        format: ExportFormat.JUNIT,
+        label: 'JUnit XML',
+        hint: 'One failing test case per difference, for CI dashboards',
+        fileName: 'xml-compare-junit.xml',
+        type: 'application/xml',
+    },
+];
+
+export default function ExportMenu() {
+    const state = useXmlStore();
+    const { addToast } = useToast();
+    const [isOpen, setIsOpen] = useState(false);
+    const canExport = Boolean(state.diffResults && state.leftTree && state.rightTree);
+
+    const handleExport = (format) => {
+        const { leftTree, rightTree, diffResults, inlineDiffMode } = state;
+        try {
+            const content = exportDiff(format.format, leftTree, rightTree, diffResults, { inlineDiffMode });
+            downloadFile(content, format.fileName, format.type);
+            addToast(`Exported ${format.fileName}`, 'success');
+        } catch (error) {
+            addToast(`Export failed: ${error.message}`, 'error');
+        }
+        setIsOpen(false);
+    };
+
+    return (
+        <div className="relative">
+            <button
+                onClick={() => setIsOpen(!isOpen)}
+                disabled={!canExport}
+                className="px-2 h-8 flex items-center justify-center gap-1 rounded hover:bg-slate-700 text-slate-300 text-xs font-medium transition-colors disabled:opacity-40 disabled:hover:bg-transparent"
+                title={canExport ? 'Export the comparison results' : 'Compare the documents before exporting'}
+            >
+                ⇩ Export
+            </button>
+
+            {isOpen && canExport && (
+                <div className="absolute right-0 top-full mt-2 z-50 w-72 p-2 rounded-lg bg-slate-800 border border-slate-600 shadow-2xl text-left">
+                    {EXPORTS.map(format => (
+                        <button
+                            key={format.fileName}
+                            onClick={() => handleExport(format)}
+                            className="w-full px-2 py-1.5 rounded text-left hover:bg-slate-700 transition-colors"
+                            title={format.hint}
+                        >
+                            <div className="text-xs font-medium text-white">{format.label}</div>
+                            <div className="text-[10px] text-slate-400">{format.hint}</div>
+                        </button>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+}
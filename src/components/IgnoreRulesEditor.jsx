@@ -0,0 +1,90 @@
+/**
+ * IgnoreRulesEditor Component
+ * Settings-bar button with a popover for editing the comparison ignore rules
+ * (stored with the XPath settings, one rule per line)
+ */
+
+import { useState } from 'react';
+import useXmlStore from '../store/useXmlStore';
+
+const RULE_EXAMPLES = [
+    ['@generatedAt', 'attribute on any element'],
+    ['/catalog/book/@rev', 'attribute at a path'],
+    ['/catalog/*/lastModified', 'element text & attributes'],
+    ['//timestamp', 'element at any depth'],
+    ['/feed/Signature/**', 'whole subtree'],
+];
+
+export default function IgnoreRulesEditor({ compact = false }) {
+    const { xpathSettings, setXpathSettings, diffResults, compare } = useXmlStore();
+    const [isOpen, setIsOpen] = useState(false);
+    const [draft, setDraft] = useState('');
+
+    const rules = xpathSettings.ignoreRules || [];
+    const activeCount = rules.filter(rule => rule.trim() && !rule.trim().startsWith('#')).length;
+
+    const open = () => {
+        setDraft(rules.join('\n'));
+        setIsOpen(true);
+    };
+
+    const apply = () => {
+        const ignoreRules = draft.split('\n').map(rule => rule.trim()).filter(Boolean);
+        setXpathSettings({ ignoreRules });
+        setIsOpen(false);
+        // Re-run an existing comparison with the new rules
+        if (diffResults) compare();
+    };
+
+    const buttonClass = compact
+        ? 'px-1.5 h-6 flex items-center justify-center gap-1 rounded bg-slate-600 hover:bg-slate-500 text-white text-xs transition-colors'
+        : 'px-2 h-8 flex items-center justify-center gap-1 rounded hover:bg-slate-700 text-slate-300 text-xs font-medium transition-colors';
+
+    return (
+        <div className="relative">
+            <button
+                onClick={isOpen ? () => setIsOpen(false) : open}
+                className={`${buttonClass} ${activeCount === 0 && 'opacity-50'}`}
+                title="Edit ignore rules (paths, attributes, subtrees left out of the comparison)"
+            >
+                🚫 Ignore{activeCount > 0 && <span className="font-bold">({activeCount})</span>}
+            </button>
+
+            {isOpen && (
+                <div className="absolute right-0 top-full mt-2 z-50 w-96 p-3 rounded-lg bg-slate-800 border border-slate-600 shadow-2xl text-left">
+                    <div className="text-slate-300 text-xs font-semibold mb-2">IGNORE RULES (one per line)</div>
+                    <textarea
+                        value={draft}
+                        onChange={(e) => setDraft(e.target.value)}
+                        rows={6}
+                        spellCheck={false}
+                        placeholder="@generatedAt"
+                        className="w-full p-2 rounded bg-slate-900 border border-slate-700 text-slate-100 font-mono text-xs focus:outline-none focus:border-blue-500"
+                    />
+                    <ul className="mt-2 space-y-0.5 text-[11px] text-slate-400">
+                        {RULE_EXAMPLES.map(([rule, description]) => (
+                            <li key={rule}>
+                                <code className="text-slate-200">{rule}</code> - {description}
+                            </li>
+                        ))}
+                        <li>Lines starting with <code className="text-slate-200">#</code> are disabled</li>
+                    </ul>
+                    <div className="flex justify-end gap-2 mt-3">
+                        <button
+                            onClick={() => setIsOpen(false)}
+                            className="px-3 py-1 rounded text-xs text-slate-300 hover:bg-slate-700 transition-colors"
+                        >
+                            Cancel
+                        </button>
+                        <button
+                            onClick={apply}
+                            className="px-3 py-1 rounded text-xs font-semibold text-white bg-blue-600 hover:bg-blue-700 transition-colors"
+                        >
+                            Apply
+                        </button>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,25 @@
+/**
+ * InlineDiffText Component
+ * Renders one side of a changed value with the inserted/deleted
+ * words or characters marked
+ */
+
+import { useMemo } from 'react';
+import { diffInline, getSideSegments } from '../core/inlineDiff';
+import { INLINE_DIFF_COLORS } from '../utils/colorConfig';
+import useXmlStore from '../store/useXmlStore';
+
+export default function InlineDiffText({ oldValue, newValue, side }) {
+    const inlineDiffMode = useXmlStore(state => state.inlineDiffMode);
+
+    const segments = useMemo(
+        () => getSideSegments(diffInline(oldValue, newValue, inlineDiffMode), side),
+        [oldValue, newValue, inlineDiffMode, side]
+    );
+
+    return segments.map((segment, index) => (
+        segment.type === 'equal'
+            ? <span key={index}>{segment.value}</span>
+            : <span key={index} className={INLINE_DIFF_COLORS[segment.type]}>{segment.value}</span>
+    ));
+}
@@ -0,0 +1,30 @@
+/**
+ * ModifiedInsideBadge Component
+ * Marker for a collapsed element with changes below it, counting them by
+ * kind so it's clear where expanding is worthwhile
+ */
+
+import { TREE_VIEW_COLORS } from '../utils/colorConfig';
+
+const CHANGE_KINDS = [
+    ['different', '≠', 'different'],
+    ['leftOnly', '◀', 'left only'],
+    ['rightOnly', '▶', 'right only'],
+    ['moved', '⇄', 'moved'],
+];
+
+export default function ModifiedInsideBadge({ changes }) {
+    if (!changes) return null;
+
+    const kinds = CHANGE_KINDS.filter(([kind]) => changes[kind] > 0);
+    const title = `Modified inside: ${kinds.map(([kind, , label]) => `${changes[kind]} ${label}`).join(', ')}`;
+
+    return (
+        <span
+            className={`text-[10px] px-1.5 py-0.5 rounded-full font-medium text-nowrap shrink-0 ${TREE_VIEW_COLORS.modifiedInside}`}
+            title={title}
+        >
+            ● {kinds.map(([kind, icon]) => `${icon}${changes[kind]}`).join(' ')}
+        </span>
+    );
+}
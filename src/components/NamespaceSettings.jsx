@@ -0,0 +1,87 @@
+/**
+ * NamespaceSettings Component
+ * Settings-bar button with a popover for namespace handling: XPath notation
+ * (stored with the XPath settings) and prefix-insensitive matching
+ * (stored with the compare options)
+ */
+
+import { useState } from 'react';
+import useXmlStore from '../store/useXmlStore';
+import { NamespaceMode } from '../core/xmlParser';
+
+export default function NamespaceSettings({ compact = false }) {
+    const { xpathSettings, setXpathSettings, compareOptions, setCompareOptions, diffResults, compare } = useXmlStore();
+    const [isOpen, setIsOpen] = useState(false);
+
+    const isClark = xpathSettings.namespaceMode === NamespaceMode.CLARK;
+    const ignorePrefixes = Boolean(compareOptions.ignorePrefixes);
+
+    // Both settings change the result, so re-run an existing comparison
+    const setNamespaceMode = (namespaceMode) => {
+        setXpathSettings({ namespaceMode });
+        if (diffResults) compare();
+    };
+
+    const setIgnorePrefixes = (value) => {
+        setCompareOptions({ ignorePrefixes: value });
+        if (diffResults) compare();
+    };
+
+    const buttonClass = compact
+        ? 'px-1.5 h-6 flex items-center justify-center gap-1 rounded bg-slate-600 hover:bg-slate-500 text-white text-xs transition-colors'
+        : 'px-2 h-8 flex items-center justify-center gap-1 rounded hover:bg-slate-700 text-slate-300 text-xs font-medium transition-colors';
+
+    return (
+        <div className="relative">
+            <button
+                onClick={() => setIsOpen(!isOpen)}
+                className={`${buttonClass} ${!isClark && !ignorePrefixes && 'opacity-50'}`}
+                title="Namespace handling (XPath notation, prefix-insensitive matching)"
+            >
+                {'{ns}'}{(isClark || ignorePrefixes) && <span className="font-bold">({Number(isClark) + Number(ignorePrefixes)})</span>}
+            </button>
+
+            {isOpen && (
+                <div className="absolute right-0 top-full mt-2 z-50 w-80 p-3 rounded-lg bg-slate-800 border border-slate-600 shadow-2xl text-left space-y-3">
+                    <div>
+                        <div className="text-slate-300 text-xs font-semibold mb-2">XPATH NOTATION</div>
+                        <div className="flex flex-col gap-1">
+                            <label className="flex items-center gap-1.5 text-xs text-slate-300 cursor-pointer">
+                                <input
+                                    type="radio"
+                                    checked={!isClark}
+                                    onChange={() => setNamespaceMode(NamespaceMode.PREFIX)}
+                                />
+                                Prefix <span className="font-mono text-slate-500">/ns1:Order</span>
+                            </label>
+                            <label className="flex items-center gap-1.5 text-xs text-slate-300 cursor-pointer">
+                                <input
+                                    type="radio"
+                                    checked={isClark}
+                                    onChange={() => setNamespaceMode(NamespaceMode.CLARK)}
+                                />
+                                Clark <span className="font-mono text-slate-500">/{'{urn:orders}'}Order</span>
+                            </label>
+                        </div>
+                    </div>
+
+                    <label
+                        className="flex items-center gap-1.5 text-xs text-slate-300 cursor-pointer"
+                        title="ns1:Order and a:Order match when both prefixes are bound to the same namespace URI"
+                    >
+                        <input
+                            type="checkbox"
+                            checked={ignorePrefixes}
+                            onChange={(e) => setIgnorePrefixes(e.target.checked)}
+                        />
+                        Ignore prefixes (match by namespace URI)
+                    </label>
+
+                    <div className="text-slate-500 text-xs">
+                        Clark notation makes XPaths independent of the prefixes each document uses.
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,113 @@
+/**
+ * NodeKindSettings Component
+ * Settings-bar button with a popover for what the trees are built from:
+ * mixed-content text, whitespace handling and comments, processing
+ * instructions and CDATA sections (stored with the XPath settings)
+ */
+
+import { useState } from 'react';
+import useXmlStore from '../store/useXmlStore';
+import { NodeKind, WhitespaceMode } from '../core/xmlParser';
+
+const KINDS = [
+    [NodeKind.COMMENT, 'Comments', '<!-- ... -->'],
+    [NodeKind.PROCESSING_INSTRUCTION, 'Processing instructions', '<?xml-stylesheet ...?>'],
+    [NodeKind.CDATA, 'CDATA sections', '<![CDATA[ ... ]]>'],
+];
+
+const WHITESPACE_MODES = [
+    [WhitespaceMode.TRIM, 'Trim', 'drop leading/trailing whitespace of each text'],
+    [WhitespaceMode.NORMALIZE, 'Normalize', 'collapse runs of whitespace to one space'],
+    [WhitespaceMode.PRESERVE, 'Preserve', 'every whitespace change is a difference'],
+    [WhitespaceMode.XML_SPACE, 'xml:space', 'trim, but preserve inside xml:space="preserve"'],
+];
+
+export default function NodeKindSettings({ compact = false }) {
+    const { xpathSettings, setXpathSettings, diffResults, compare } = useXmlStore();
+    const [isOpen, setIsOpen] = useState(false);
+
+    const nodeKinds = xpathSettings.nodeKinds || [];
+    const whitespace = xpathSettings.whitespace || WhitespaceMode.TRIM;
+    const activeCount = nodeKinds.length
+        + Number(Boolean(xpathSettings.mixedContent))
+        + Number(whitespace !== WhitespaceMode.TRIM);
+
+    // The trees are re-parsed with the new settings, so re-run an existing comparison
+    const update = (settings) => {
+        setXpathSettings(settings);
+        if (diffResults) compare();
+    };
+
+    const toggleKind = (kind, enabled) => {
+        update({
+            nodeKinds: enabled ? [...nodeKinds, kind] : nodeKinds.filter(existing => existing !== kind),
+        });
+    };
+
+    const buttonClass = compact
+        ? 'px-1.5 h-6 flex items-center justify-center gap-1 rounded bg-slate-600 hover:bg-slate-500 text-white text-xs transition-colors'
+        : 'px-2 h-8 flex items-center justify-center gap-1 rounded hover:bg-slate-700 text-slate-300 text-xs font-medium transition-colors';
+
+    return (
+        <div className="relative">
+            <button
+                onClick={() => setIsOpen(!isOpen)}
+                className={`${buttonClass} ${activeCount === 0 && 'opacity-50'}`}
+                title="Text, whitespace, comments, processing instructions and CDATA"
+            >
+                ¶ Text{activeCount > 0 && <span className="font-bold">({activeCount})</span>}
+            </button>
+
+            {isOpen && (
+                <div className="absolute right-0 top-full mt-2 z-50 w-80 p-3 rounded-lg bg-slate-800 border border-slate-600 shadow-2xl text-left space-y-3">
+                    <div>
+                        <div className="text-slate-300 text-xs font-semibold mb-2">TEXT</div>
+                        <label
+                            className="flex items-center gap-1.5 text-xs text-slate-300 cursor-pointer mb-2"
+                            title="Keep text between child elements in order, e.g. <p>Hello <b>big</b> world</p>"
+                        >
+                            <input
+                                type="checkbox"
+                                checked={Boolean(xpathSettings.mixedContent)}
+                                onChange={(e) => update({ mixedContent: e.target.checked })}
+                            />
+                            Mixed content <span className="font-mono text-slate-500">text()[n]</span>
+                        </label>
+                        <div className="flex flex-wrap gap-x-3 gap-y-1">
+                            {WHITESPACE_MODES.map(([mode, label, hint]) => (
+                                <label key={mode} className="flex items-center gap-1 text-xs text-slate-300 cursor-pointer" title={hint}>
+                                    <input
+                                        type="radio"
+                                        checked={whitespace === mode}
+                                        onChange={() => update({ whitespace: mode })}
+                                    />
+                                    {label}
+                                </label>
+                            ))}
+                        </div>
+                    </div>
+
+                    <div>
+                        <div className="text-slate-300 text-xs font-semibold mb-2">COMPARE</div>
+                        <div className="flex flex-col gap-1">
+                            {KINDS.map(([kind, label, example]) => (
+                                <label key={kind} className="flex items-center gap-1.5 text-xs text-slate-300 cursor-pointer">
+                                    <input
+                                        type="checkbox"
+                                        checked={nodeKinds.includes(kind)}
+                                        onChange={(e) => toggleKind(kind, e.target.checked)}
+                                    />
+                                    {label} <span className="font-mono text-slate-500">{example}</span>
+                                </label>
+                            ))}
+                        </div>
+                    </div>
+
+                    <div className="text-slate-500 text-xs">
+                        Unchecked kinds are left out of both trees. CDATA content then counts as element text.
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,164 @@
+/**
+ * NormalizationSettings Component
+ * Settings-bar button with a popover for value normalization options:
+ * global toggles plus per-path overrides (stored with the compare options)
+ */
+
+import { useState } from 'react';
+import useXmlStore from '../store/useXmlStore';
+import { DEFAULT_NORMALIZATION } from '../core/valueNormalization';
+
+const TOGGLES = [
+    ['numeric', 'Numbers', '1200 = 1200.00'],
+    ['ignoreCase', 'Case', 'ABC = abc'],
+    ['collapseWhitespace', 'Whitespace', 'trim and collapse spaces'],
+    ['booleans', 'Booleans', 'true = 1, false = 0'],
+    ['dates', 'Dates', 'ISO instants across timezones'],
+];
+
+const countEnabled = (options) => TOGGLES.filter(([field]) => options[field]).length;
+
+function OptionsEditor({ options, onChange }) {
+    return (
+        <div className="space-y-1.5">
+            <div className="flex flex-wrap gap-x-3 gap-y-1">
+                {TOGGLES.map(([field, label, hint]) => (
+                    <label key={field} className="flex items-center gap-1 text-xs text-slate-300 cursor-pointer" title={hint}>
+                        <input
+                            type="checkbox"
+                            checked={Boolean(options[field])}
+                            onChange={(e) => onChange({ ...options, [field]: e.target.checked })}
+                        />
+                        {label}
+                    </label>
+                ))}
+            </div>
+            {options.numeric && (
+                <div className="flex items-center gap-2 text-xs text-slate-400">
+                    <label className="flex items-center gap-1">
+                        ± abs
+                        <input
+                            type="number" min="0" step="any"
+                            value={options.absoluteTolerance ?? 0}
+                            onChange={(e) => onChange({ ...options, absoluteTolerance: Number(e.target.value) })}
+                            className="w-20 px-1 rounded bg-slate-900 border border-slate-700 text-slate-100"
+                        />
+                    </label>
+                    <label className="flex items-center gap-1">
+                        ± rel
+                        <input
+                            type="number" min="0" step="any"
+                            value={options.relativeTolerance ?? 0}
+                            onChange={(e) => onChange({ ...options, relativeTolerance: Number(e.target.value) })}
+                            className="w-20 px-1 rounded bg-slate-900 border border-slate-700 text-slate-100"
+                        />
+                    </label>
+                </div>
+            )}
+        </div>
+    );
+}
+
+export default function NormalizationSettings({ compact = false }) {
+    const { compareOptions, setCompareOptions, diffResults, compare } = useXmlStore();
+    const [isOpen, setIsOpen] = useState(false);
+    const [draftGlobal, setDraftGlobal] = useState(DEFAULT_NORMALIZATION);
+    const [draftRules, setDraftRules] = useState([]);
+
+    const globalOptions = { ...DEFAULT_NORMALIZATION, ...compareOptions.normalization };
+    const rules = compareOptions.normalizationRules || [];
+    const activeCount = countEnabled(globalOptions) + rules.length;
+
+    const open = () => {
+        setDraftGlobal(globalOptions);
+        setDraftRules(rules);
+        setIsOpen(true);
+    };
+
+    const updateRule = (index, rule) => {
+        setDraftRules(draftRules.map((existing, i) => (i === index ? rule : existing)));
+    };
+
+    const apply = () => {
+        setCompareOptions({
+            normalization: draftGlobal,
+            normalizationRules: draftRules.filter(rule => rule.path.trim()),
+        });
+        setIsOpen(false);
+        // Re-run an existing comparison with the new options
+        if (diffResults) compare();
+    };
+
+    const buttonClass = compact
+        ? 'px-1.5 h-6 flex items-center justify-center gap-1 rounded bg-slate-600 hover:bg-slate-500 text-white text-xs transition-colors'
+        : 'px-2 h-8 flex items-center justify-center gap-1 rounded hover:bg-slate-700 text-slate-300 text-xs font-medium transition-colors';
+
+    return (
+        <div className="relative">
+            <button
+                onClick={isOpen ? () => setIsOpen(false) : open}
+                className={`${buttonClass} ${activeCount === 0 && 'opacity-50'}`}
+                title="Value normalization (numbers, case, whitespace, booleans, dates)"
+            >
+                ≈ Normalize{activeCount > 0 && <span className="font-bold">({activeCount})</span>}
+            </button>
+
+            {isOpen && (
+                <div className="absolute right-0 top-full mt-2 z-50 w-[28rem] p-3 rounded-lg bg-slate-800 border border-slate-600 shadow-2xl text-left">
+                    <div className="text-slate-300 text-xs font-semibold mb-2">ALL VALUES</div>
+                    <OptionsEditor options={draftGlobal} onChange={setDraftGlobal} />
+
+                    {/* A path rule replaces the options above for matching elements */}
+                    <div className="text-slate-300 text-xs font-semibold mt-4 mb-2">PER PATH (overrides, e.g. //price)</div>
+                    <div className="space-y-3 max-h-64 overflow-auto">
+                        {draftRules.map((rule, index) => (
+                            <div key={index} className="p-2 rounded bg-slate-900/50 border border-slate-700 space-y-1.5">
+                                <div className="flex items-center gap-2">
+                                    <input
+                                        value={rule.path}
+                                        onChange={(e) => updateRule(index, { ...rule, path: e.target.value })}
+                                        placeholder="/catalog/*/price"
+                                        spellCheck={false}
+                                        className="flex-1 px-2 py-0.5 rounded bg-slate-900 border border-slate-700 text-slate-100 font-mono text-xs focus:outline-none focus:border-blue-500"
+                                    />
+                                    <button
+                                        onClick={() => setDraftRules(draftRules.filter((_, i) => i !== index))}
+                                        className="w-5 h-5 flex items-center justify-center rounded text-slate-400 hover:text-white hover:bg-red-500 text-xs transition-colors"
+                                        title="Remove rule"
+                                    >
+                                        ✕
+                                    </button>
+                                </div>
+                                <OptionsEditor
+                                    options={rule}
+                                    onChange={(options) => updateRule(index, options)}
+                                />
+                            </div>
+                        ))}
+                    </div>
+                    <button
+                        onClick={() => setDraftRules([...draftRules, { ...draftGlobal, path: '' }])}
+                        className="mt-2 px-2 py-0.5 rounded text-xs text-slate-300 border border-dashed border-slate-600 hover:bg-slate-700 transition-colors"
+                    >
+                        + Add path rule
+                    </button>
+
+                    <div className="flex justify-end gap-2 mt-3">
+                        <button
+                            onClick={() => setIsOpen(false)}
+                            className="px-3 py-1 rounded text-xs text-slate-300 hover:bg-slate-700 transition-colors"
+                        >
+                            Cancel
+                        </button>
+                        <button
+                            onClick={apply}
+                            className="px-3 py-1 rounded text-xs font-semibold text-white bg-blue-600 hover:bg-blue-700 transition-colors"
+                        >
+                            Apply
+                        </button>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+}
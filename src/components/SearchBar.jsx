@@ -0,0 +1,137 @@
+/**
+ * SearchBar Component
+ * Find bar (Ctrl+F) shown at the top of a panel: searches tag names,
+ * attribute names/values and text of this panel's tree or of both trees,
+ * with regex, case and whole-word options and next/previous navigation
+ */
+
+import useXmlStore from '../store/useXmlStore';
+import { SearchScope } from '../core/xmlSearch';
+
+const SCOPES = [
+    [SearchScope.TAG, 'Tag', 'Tag names'],
+    [SearchScope.ATTRIBUTE_NAME, '@Name', 'Attribute names'],
+    [SearchScope.ATTRIBUTE_VALUE, '@Value', 'Attribute values'],
+    [SearchScope.TEXT, 'Text', 'Text, comments and CDATA'],
+];
+
+const MATCH_OPTIONS = [
+    ['caseSensitive', 'Aa', 'Match case'],
+    ['wholeWord', 'ab', 'Match whole word'],
+    ['regex', '.*', 'Use regular expression'],
+];
+
+export default function SearchBar({ side }) {
+    const {
+        searchQuery, searchOptions, searchResult, searchError, searchIndex,
+        setSearchQuery, setSearchOptions, stepSearch, closeSearch
+    } = useXmlStore();
+
+    const matchCount = searchResult?.matches.length ?? 0;
+    const status = (() => {
+        if (searchError) return searchError;
+        if (!searchQuery) return '';
+        if (matchCount === 0) return 'No results';
+        const total = `${matchCount}${searchResult.truncated ? '+' : ''}`;
+        return searchIndex === -1 ? `${total} matches` : `${searchIndex + 1} of ${total}`;
+    })();
+
+    const handleKeyDown = (e) => {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            stepSearch(e.shiftKey ? 'prev' : 'next');
+        } else if (e.key === 'Escape') {
+            e.preventDefault();
+            closeSearch();
+        }
+    };
+
+    const toggleScope = (scope) => {
+        const scopes = searchOptions.scopes.includes(scope)
+            ? searchOptions.scopes.filter(existing => existing !== scope)
+            : [...searchOptions.scopes, scope];
+        setSearchOptions({ scopes });
+    };
+
+    const toggleClass = (isOn) => `px-1.5 h-6 rounded text-xs font-mono transition-colors ${isOn
+        ? 'bg-blue-500 text-white'
+        : 'bg-slate-600/50 text-slate-300 hover:bg-slate-500'}`;
+
+    return (
+        <div className="flex items-center gap-1.5 px-3 py-1.5 bg-slate-700 border-b border-slate-600 flex-wrap shrink-0">
+            <input
+                id={`xml-search-${side}`}
+                type="text"
+                value={searchQuery}
+                onChange={(e) => setSearchQuery(e.target.value)}
+                onKeyDown={handleKeyDown}
+                placeholder={searchOptions.bothSides ? 'Find in both panels' : 'Find'}
+                className="w-44 h-6 px-1.5 rounded bg-slate-800 border border-slate-600 text-white text-xs font-mono focus:outline-none focus:border-blue-400"
+                spellCheck={false}
+                autoFocus
+            />
+            <span className={`min-w-16 text-xs truncate max-w-48 ${searchError ? 'text-red-300' : 'text-slate-300'}`} title={status}>
+                {status}
+            </span>
+            <button
+                onClick={() => stepSearch('prev')}
+                disabled={matchCount === 0}
+                className="px-1.5 h-6 rounded text-xs text-white bg-slate-600 hover:bg-slate-500 disabled:opacity-40"
+                title="Previous match (Shift+Enter)"
+            >
+                ▲
+            </button>
+            <button
+                onClick={() => stepSearch('next')}
+                disabled={matchCount === 0}
+                className="px-1.5 h-6 rounded text-xs text-white bg-slate-600 hover:bg-slate-500 disabled:opacity-40"
+                title="Next match (Enter)"
+            >
+                ▼
+            </button>
+
+            <div className="w-px h-4 bg-slate-500 mx-0.5"></div>
+
+            {MATCH_OPTIONS.map(([option, label, title]) => (
+                <button
+                    key={option}
+                    onClick={() => setSearchOptions({ [option]: !searchOptions[option] })}
+                    className={`${toggleClass(searchOptions[option])} ${option === 'wholeWord' ? 'underline' : ''}`}
+                    title={title}
+                >
+                    {label}
+                </button>
+            ))}
+
+            <div className="w-px h-4 bg-slate-500 mx-0.5"></div>
+
+            {SCOPES.map(([scope, label, title]) => (
+                <button
+                    key={scope}
+                    onClick={() => toggleScope(scope)}
+                    className={toggleClass(searchOptions.scopes.includes(scope))}
+                    title={`Search ${title.toLowerCase()}`}
+                >
+                    {label}
+                </button>
+            ))}
+
+            <div className="w-px h-4 bg-slate-500 mx-0.5"></div>
+
+            <button
+                onClick={() => setSearchOptions({ bothSides: !searchOptions.bothSides })}
+                className={toggleClass(searchOptions.bothSides)}
+                title="Search both panels (Ctrl+Shift+F)"
+            >
+                ⇆ Both
+            </button>
+            <button
+                onClick={closeSearch}
+                className="ml-auto px-1.5 h-6 rounded text-xs text-slate-300 hover:bg-red-500/80 hover:text-white"
+                title="Close (Escape)"
+            >
+                ✕
+            </button>
+        </div>
+    );
+}
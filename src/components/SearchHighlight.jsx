@@ -0,0 +1,39 @@
+/**
+ * SearchHighlight Component
+ * Renders a name, value or text with the search bar's matches marked,
+ * scrolling the current match into view
+ */
+
+import { useEffect, useRef } from 'react';
+import { splitByRanges } from '../core/xmlSearch';
+import { SEARCH_HIGHLIGHT_COLORS } from '../utils/colorConfig';
+import useXmlStore from '../store/useXmlStore';
+
+export default function SearchHighlight({ text, matches }) {
+    const currentMatch = useXmlStore(state => state.searchResult?.matches[state.searchIndex] ?? null);
+    const currentRef = useRef(null);
+    const hasCurrent = currentMatch !== null && matches.includes(currentMatch);
+
+    useEffect(() => {
+        if (hasCurrent && currentRef.current) {
+            currentRef.current.scrollIntoView({ behavior: 'smooth', block: 'center', inline: 'nearest' });
+        }
+    }, [hasCurrent, currentMatch]);
+
+    if (matches.length === 0) return text;
+
+    return splitByRanges(text, matches).map((segment, index) => {
+        if (!segment.range) return <span key={index}>{segment.text}</span>;
+
+        const isCurrent = segment.range === currentMatch;
+        return (
+            <mark
+                key={index}
+                ref={isCurrent ? currentRef : undefined}
+                className={isCurrent ? SEARCH_HIGHLIGHT_COLORS.current : SEARCH_HIGHLIGHT_COLORS.match}
+            >
+                {segment.text}
+            </mark>
+        );
+    });
+}
@@ -0,0 +1,60 @@
+/**
+ * SourceTextView Component
+ * Editable raw XML text with a highlighted line range (the selected
+ * node's source lines, or the line of a syntax error), scrolled into view
+ * whenever the range changes
+ */
+
+import { useEffect, useRef, useState } from 'react';
+
+// Must match the textarea's padding (p-4) and line height (leading-relaxed)
+const PADDING = 16;
+const LINE_HEIGHT = 1.625;
+
+const HIGHLIGHT_COLORS = {
+    selection: 'bg-blue-300/30 border-y border-blue-400/60',
+    error: 'bg-red-300/40 border-y border-red-400/70',
+};
+
+export default function SourceTextView({ value, onChange, fontSize, scrollRef, highlight }) {
+    const localRef = useRef(null);
+    const textareaRef = scrollRef ?? localRef;
+    const [scrollTop, setScrollTop] = useState(0);
+
+    const lineHeight = fontSize * LINE_HEIGHT;
+    const startLine = highlight?.startLine;
+    const endLine = highlight?.endLine;
+
+    // Bring the highlighted lines into view (a third of the way down)
+    useEffect(() => {
+        const textarea = textareaRef.current;
+        if (!textarea || !startLine) return;
+        textarea.scrollTop = Math.max(0, (startLine - 1) * lineHeight - textarea.clientHeight / 3);
+    }, [textareaRef, startLine, endLine, lineHeight]);
+
+    return (
+        <div className="flex-1 flex relative overflow-hidden">
+            <textarea
+                ref={textareaRef}
+                value={value}
+                onChange={onChange}
+                onScroll={(e) => setScrollTop(e.target.scrollTop)}
+                placeholder="Paste XML here or upload a file..."
+                className="flex-1 w-full p-4 font-mono bg-slate-50 resize-none focus:outline-none focus:bg-white transition-colors text-slate-800 leading-relaxed overflow-auto"
+                style={{ fontSize: `${fontSize}px` }}
+                spellCheck={false}
+                // Lines must not wrap, or the highlight would drift from the text
+                wrap="off"
+            />
+            {startLine && (
+                <div
+                    className={`absolute left-0 right-0 pointer-events-none ${HIGHLIGHT_COLORS[highlight.kind]}`}
+                    style={{
+                        top: `${PADDING + (startLine - 1) * lineHeight - scrollTop}px`,
+                        height: `${(endLine - startLine + 1) * lineHeight}px`,
+                    }}
+                />
+            )}
+        </div>
+    );
+}
@@ -1,9 +1,11 @@
 import { memo } from 'react';
-import { getDiffStatus } from '../utils/xmlComparer';
-import { findNodeByXPath } from '../utils/xmlParser';
+import { getDiffStatus, getNodeChanges, getChangedAttributeNames, getSubtreeChanges } from '../utils/xmlComparer';
 import { TREE_VIEW_COLORS } from '../utils/colorConfig';
 import useXmlStore from '../store/useXmlStore';
 import { useToast } from './Toast';
+import SearchHighlight from './SearchHighlight';
+import ModifiedInsideBadge from './ModifiedInsideBadge';
+import { getScopeMatches, SearchScope } from '../core/xmlSearch';
 
 const VirtualTreeNode = memo(({
     node,
@@ -21,39 +23,23 @@ const VirtualTreeNode = memo(({
         selectedXPath,
         setSelectedXPath,
         fontSize,
-        leftTree,
-        rightTree,
         showBorders,
         isDebugMode,
         treeViewStyle,
         showLeafDots,
-        showStatusBadges
+        showStatusBadges,
+        searchResult
     } = useXmlStore();
 
-    // Determine the 'other' tree for comparison
-    const otherTree = side === 'left' ? rightTree : leftTree;
     const status = getDiffStatus(node.xpath, diffResults, side);
 
-    // Get the counterpart node to check specific differences (attributes vs text)
-    let textChanged = false;
-    let attributesChanged = {}; // key -> boolean
-
-    if (status === 'different' && otherTree) {
-        const otherNode = findNodeByXPath(otherTree, node.xpath);
-        if (otherNode) {
-            // Check Text
-            if (node.textContent !== otherNode.textContent) {
-                textChanged = true;
-            }
-            // Check Attributes
-            const allKeys = new Set([...Object.keys(node.attributes), ...Object.keys(otherNode.attributes)]);
-            allKeys.forEach(key => {
-                if (node.attributes[key] !== otherNode.attributes[key]) {
-                    attributesChanged[key] = true;
-                }
-            });
-        }
-    }
+    // Specific differences (attributes vs text) recorded by the comparison
+    const changes = status === 'different' ? getNodeChanges(node.xpath, diffResults, side) : null;
+    const textChanged = Boolean(changes?.text);
+    const changedAttributes = getChangedAttributeNames(changes);
+
+    // Search bar matches in this node
+    const searchMatches = searchResult?.bySide[side].get(node.xpath);
 
     const isSelected = selectedXPath === node.xpath;
     const indentation = depth * (fontSize * 1.2);
@@ -65,7 +51,7 @@ const VirtualTreeNode = memo(({
 
     // Format attributes for display
     const attrsDisplay = Object.entries(node.attributes).map(([key, value]) => {
-        const isAttrDiff = attributesChanged[key];
+        const isAttrDiff = changedAttributes.has(key);
         return { key, value, isAttrDiff };
     });
 
@@ -113,7 +99,7 @@ const VirtualTreeNode = memo(({
                 <div className="flex items-center flex-wrap gap-x-1 overflow-hidden">
                     {/* Element tag with sibling index */}
                     <span className="text-blue-600 font-semibold text-nowrap">
-                        &lt;{node.tagName}
+                        &lt;<SearchHighlight text={node.tagName} matches={getScopeMatches(searchMatches, SearchScope.TAG)} />
                         {node.siblingTotal > 1 && (
                             <span className="text-yellow-600 text-xs font-normal ml-0.5">
                                 {node.siblingIndex}/{node.siblingTotal}
@@ -128,9 +114,13 @@ const VirtualTreeNode = memo(({
                                 const attrColors = isAttrDiff ? TREE_VIEW_COLORS.attribute.changed : TREE_VIEW_COLORS.attribute.normal;
                                 return (
                                     <span key={key} className={`${attrColors.container} text-nowrap`}>
-                                        <span className={attrColors.key}>{key}</span>
+                                        <span className={attrColors.key}>
+                                            <SearchHighlight text={key} matches={getScopeMatches(searchMatches, SearchScope.ATTRIBUTE_NAME, key)} />
+                                        </span>
                                         <span className="text-slate-500">=</span>
-                                        <span className={attrColors.value}>"{value}"</span>
+                                        <span className={attrColors.value}>
+                                            "<SearchHighlight text={value} matches={getScopeMatches(searchMatches, SearchScope.ATTRIBUTE_VALUE, key)} />"
+                                        </span>
                                     </span>
                                 );
                             })}
@@ -145,7 +135,7 @@ const VirtualTreeNode = memo(({
                             ? TREE_VIEW_COLORS.textContent.changed
                             : TREE_VIEW_COLORS.textContent.normal
                             }`}>
-                            {node.textContent}
+                            <SearchHighlight text={node.textContent} matches={getScopeMatches(searchMatches, SearchScope.TEXT)} />
                         </span>
                     )}
 
@@ -153,6 +143,11 @@ const VirtualTreeNode = memo(({
                     {(!hasChildren || !isExpanded) && (
                         <span className="text-blue-600 font-semibold text-nowrap">&lt;/{node.tagName}&gt;</span>
                     )}
+
+                    {/* Changes hidden below a collapsed element */}
+                    {hasChildren && !isExpanded && (
+                        <ModifiedInsideBadge changes={getSubtreeChanges(node.xpath, diffResults, side)} />
+                    )}
                 </div>
 
                 {/* Status badge - Hide in 'none' style unless specific need, or keep it? User said "like view only mode" so maybe hide diff colors but keep structure. Let's hide the badge in none mode for cleaner look. */}
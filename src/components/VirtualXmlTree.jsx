@@ -3,6 +3,7 @@ import { FixedSizeList as List } from 'react-window';
 import AutoSizer from 'react-virtualized-auto-sizer';
 import VirtualTreeNode from './VirtualTreeNode';
 import useXmlStore from '../store/useXmlStore';
+import { collectVisibleXPaths } from '../core/xmlQuery';
 
 export default function VirtualXmlTree({ side }) { // side: 'left' | 'right'
     const {
@@ -10,6 +11,9 @@ export default function VirtualXmlTree({ side }) { // side: 'left' | 'right'
         rightTree,
         selectedXPath,
         fontSize,
+        searchResult,
+        searchIndex,
+        viewFilter,
     } = useXmlStore();
 
     const rootNode = side === 'left' ? leftTree : rightTree;
@@ -53,6 +57,26 @@ export default function VirtualXmlTree({ side }) { // side: 'left' | 'right'
         }
     }, [selectedXPath]);
 
+    // Auto-expand the ancestors of the current search match (once per match,
+    // so they can still be collapsed afterwards)
+    const currentSearchMatch = searchResult?.matches[searchIndex] ?? null;
+    const [revealedSearchMatch, setRevealedSearchMatch] = useState(null);
+    if (rootNode && currentSearchMatch?.side === side && revealedSearchMatch !== currentSearchMatch) {
+        setRevealedSearchMatch(currentSearchMatch);
+        const pathsToExpand = collectVisibleXPaths(rootNode, [currentSearchMatch.xpath]);
+        pathsToExpand.delete(currentSearchMatch.xpath);
+        setExpandedPaths(prev => new Set([...prev, ...pathsToExpand]));
+    }
+
+    // With a filter on (query matches, differences only) only the nodes it
+    // keeps are listed, expanded once per filter
+    const visible = viewFilter?.[side] ?? null;
+    const [revealedFilter, setRevealedFilter] = useState(null);
+    if (visible && revealedFilter !== viewFilter) {
+        setRevealedFilter(viewFilter);
+        setExpandedPaths(prev => new Set([...prev, ...visible]));
+    }
+
 
     const toggleNode = useCallback((xpath) => {
         setExpandedPaths(prev => {
@@ -74,6 +98,7 @@ export default function VirtualXmlTree({ side }) { // side: 'left' | 'right'
         const nodes = [];
 
         const traverse = (node, depth) => {
+            if (visible && !visible.has(node.xpath)) return;
             nodes.push({ ...node, depth, isExpanded: expandedPaths.has(node.xpath) });
 
             if (expandedPaths.has(node.xpath) && node.children) {
@@ -83,7 +108,7 @@ export default function VirtualXmlTree({ side }) { // side: 'left' | 'right'
 
         traverse(rootNode, 0);
         return nodes;
-    }, [rootNode, expandedPaths]);
+    }, [rootNode, expandedPaths, visible]);
 
     // Row renderer for react-window
     const Row = ({ index, style }) => {
@@ -0,0 +1,145 @@
+/**
+ * XPathQueryPanel Component
+ * Action-bar query input that runs an XPath 1.0 expression or a simple
+ * tag/@attribute/"text" search against both trees at once. Lists the
+ * matches with their diff status and counts per side, steps through them
+ * and can limit the tree views to the matches and their ancestors
+ */
+
+import { useState } from 'react';
+import useXmlStore from '../store/useXmlStore';
+import { TREE_VIEW_COLORS } from '../utils/colorConfig';
+
+// Longest result list rendered (stepping still visits every match)
+const MAX_LISTED_MATCHES = 500;
+
+const SIDE_LABELS = { left: 'L', right: 'R' };
+
+export default function XPathQueryPanel({ compact = false }) {
+    const {
+        leftTree, rightTree, queryResult, queryError, isQueryFilterActive,
+        selectedXPath, selectedSide,
+        runQuery, stepQuery, selectQueryMatch, toggleQueryFilter, clearQuery
+    } = useXmlStore();
+    const [query, setQuery] = useState('');
+    const [isListOpen, setIsListOpen] = useState(false);
+
+    const hasTrees = Boolean(leftTree || rightTree);
+    const matches = queryResult?.matches ?? [];
+    const currentIndex = selectedXPath
+        ? matches.findIndex(match => match[selectedSide] === selectedXPath)
+        : -1;
+
+    const handleKeyDown = (e) => {
+        if (e.key === 'Enter') {
+            // Enter runs a new query, or steps through the results of this one
+            if (queryResult && queryResult.query === query) {
+                stepQuery(e.shiftKey ? 'prev' : 'next');
+            } else {
+                runQuery(query);
+            }
+        } else if (e.key === 'Escape') {
+            setIsListOpen(false);
+        }
+    };
+
+    const handleClear = () => {
+        setQuery('');
+        setIsListOpen(false);
+        clearQuery();
+    };
+
+    const summary = (() => {
+        if (queryError) return { text: queryError, isError: true };
+        if (!queryResult) return null;
+        if (queryResult.values) {
+            const { left, right } = queryResult.values;
+            const format = (value) => (typeof value === 'string' ? JSON.stringify(value) : String(value));
+            return { text: `L = ${format(left)} · R = ${format(right)}`, isError: false };
+        }
+        const { counts } = queryResult;
+        const position = currentIndex !== -1 ? `${currentIndex + 1}/${matches.length} · ` : '';
+        return { text: `${position}L ${counts.left} · R ${counts.right}`, isError: matches.length === 0 };
+    })();
+
+    const inputClass = compact
+        ? 'w-40 h-6 px-1.5 rounded bg-slate-700 border border-slate-600 text-white text-xs font-mono focus:outline-none focus:border-blue-400'
+        : 'w-56 h-8 px-2 rounded bg-slate-800 border border-slate-700 text-slate-200 text-xs font-mono focus:outline-none focus:border-blue-500';
+    const buttonClass = compact
+        ? 'px-1.5 h-6 flex items-center justify-center rounded bg-slate-600 hover:bg-slate-500 text-white text-xs transition-colors disabled:opacity-40'
+        : 'px-2 h-8 flex items-center justify-center rounded hover:bg-slate-700 text-slate-300 text-xs font-medium transition-colors disabled:opacity-40';
+
+    return (
+        <div className="relative flex items-center gap-1">
+            <input
+                type="text"
+                value={query}
+                onChange={(e) => setQuery(e.target.value)}
+                onKeyDown={handleKeyDown}
+                disabled={!hasTrees}
+                placeholder={hasTrees ? "XPath, item, @id=p2 or \"text\"" : 'Compare first to query'}
+                className={inputClass}
+                title={'Query both trees: an XPath 1.0 expression, a tag name, @attribute[=value] or "text".\nEnter runs it; Enter/Shift+Enter then steps through the matches'}
+                spellCheck={false}
+            />
+
+            {summary && (
+                <button
+                    onClick={() => setIsListOpen(!isListOpen)}
+                    disabled={matches.length === 0}
+                    className={`max-w-48 truncate text-xs px-1 ${summary.isError ? 'text-red-400' : 'text-slate-300 hover:text-white'}`}
+                    title={queryError || 'Show the matches'}
+                >
+                    {summary.text}
+                </button>
+            )}
+
+            {matches.length > 0 && (
+                <>
+                    <button onClick={() => stepQuery('prev')} className={buttonClass} title="Previous match (Shift+Enter)">▲</button>
+                    <button onClick={() => stepQuery('next')} className={buttonClass} title="Next match (Enter)">▼</button>
+                </>
+            )}
+
+            {queryResult?.visible && (
+                <button
+                    onClick={toggleQueryFilter}
+                    className={`${buttonClass} ${isQueryFilterActive ? 'text-blue-300 font-bold' : 'opacity-60'}`}
+                    title={isQueryFilterActive ? 'Show the whole trees' : 'Show only the matches and their ancestors'}
+                >
+                    ⧩ Only
+                </button>
+            )}
+
+            {(queryResult || queryError) && (
+                <button onClick={handleClear} className={buttonClass} title="Clear the query">✕</button>
+            )}
+
+            {isListOpen && matches.length > 0 && (
+                <div className="absolute right-0 top-full mt-2 z-50 w-[28rem] max-h-80 overflow-auto p-1 rounded-lg bg-slate-800 border border-slate-600 shadow-2xl text-left">
+                    {matches.slice(0, MAX_LISTED_MATCHES).map((match, index) => (
+                        <button
+                            key={`${match.left}|${match.right}`}
+                            onClick={() => selectQueryMatch(index)}
+                            className={`w-full flex items-center gap-2 px-2 py-1 rounded text-xs text-left hover:bg-slate-700 ${index === currentIndex ? 'bg-slate-700 ring-1 ring-blue-400' : ''}`}
+                            title={[match.left && `Left: ${match.left}`, match.right && `Right: ${match.right}`].filter(Boolean).join('\n')}
+                        >
+                            <span className="w-8 shrink-0 text-slate-400 font-mono">
+                                {[match.left && SIDE_LABELS.left, match.right && SIDE_LABELS.right].filter(Boolean).join('+')}
+                            </span>
+                            <span className="flex-1 truncate font-mono text-slate-200">{match[match.side]}</span>
+                            <span className={`shrink-0 px-1.5 rounded-full text-[10px] font-bold uppercase ${TREE_VIEW_COLORS.badge[match.status] || 'bg-slate-500 text-white'}`}>
+                                {match.status}
+                            </span>
+                        </button>
+                    ))}
+                    {matches.length > MAX_LISTED_MATCHES && (
+                        <div className="px-2 py-1 text-xs text-slate-400">
+                            … {matches.length - MAX_LISTED_MATCHES} more (use ▲ ▼ to step through all)
+                        </div>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+}
@@ -6,7 +6,12 @@
 import { useRef, useState } from 'react';
 import XmlTreeNode from './XmlTreeNode';
 import XmlSyntaxView from './XmlSyntaxView';
+import SourceTextView from './SourceTextView';
+import XmlTextToolbar from './XmlTextToolbar';
+import SearchBar from './SearchBar';
 import useXmlStore from '../store/useXmlStore';
+import { getDocumentNodes, findNodeByXPath } from '../utils/xmlParser';
+import { translateXPath } from '../utils/xmlComparer';
 import { useToast } from './Toast';
 
 export default function XmlPanel({ side, title, headerControls, syncViewMode, onViewModeChange, scrollRef }) {
@@ -29,16 +34,39 @@ export default function XmlPanel({ side, title, headerControls, syncViewMode, on
         leftXml, rightXml,
         leftTree, rightTree,
         leftError, rightError,
+        leftErrorPosition, rightErrorPosition,
         setLeftXml, setRightXml,
-        selectedXPath, fontSize, isZenMode,
+        selectedXPath, selectedSide, diffResults, fontSize, isZenMode,
+        viewFilter, searchSide,
         setLastFocusedSide
     } = useXmlStore();
 
     const xml = side === 'left' ? leftXml : rightXml;
     const tree = side === 'left' ? leftTree : rightTree;
     const error = side === 'left' ? leftError : rightError;
+    const errorPosition = side === 'left' ? leftErrorPosition : rightErrorPosition;
     const setXml = side === 'left' ? setLeftXml : setRightXml;
 
+    // With a filter on (query matches, differences only), only the nodes it keeps are shown
+    const visible = viewFilter?.[side] ?? null;
+    const documentNodes = tree
+        ? getDocumentNodes(tree).filter(node => !visible || visible.has(node.xpath))
+        : [];
+
+    // Lines to highlight in the text view: the syntax error, or the selected node
+    const sourceHighlight = (() => {
+        if (errorPosition) {
+            return { kind: 'error', startLine: errorPosition.line, endLine: errorPosition.line };
+        }
+        if (viewMode !== 'text' || !tree || !selectedXPath) return null;
+
+        const localXPath = translateXPath(selectedXPath, selectedSide, side, diffResults);
+        const source = localXPath ? findNodeByXPath(tree, localXPath)?.source : null;
+        return source
+            ? { kind: 'selection', startLine: source.openTag.start.line, endLine: source.closeTag.end.line }
+            : null;
+    })();
+
     const handleFileUpload = (e) => {
         const file = e.target.files[0];
         if (file) {
@@ -149,6 +177,9 @@ export default function XmlPanel({ side, title, headerControls, syncViewMode, on
             </div>
 
 
+            {/* Find bar (Ctrl+F) */}
+            {searchSide === side && <SearchBar side={side} />}
+
             {/* Content Area */}
             <div className="flex-1 flex flex-col overflow-hidden relative">
 
@@ -159,16 +190,15 @@ export default function XmlPanel({ side, title, headerControls, syncViewMode, on
                     </div>
                 )}
 
-                {/* Text View */}
+                {/* Text View - highlights the selected node's source lines */}
+                {viewMode === 'text' && <XmlTextToolbar xml={xml} onChange={setXml} />}
                 {viewMode === 'text' && (
-                    <textarea
-                        ref={scrollRef}
+                    <SourceTextView
                         value={xml}
                         onChange={(e) => setXml(e.target.value)}
-                        placeholder="Paste XML here or upload a file..."
-                        className="flex-1 w-full p-4 font-mono bg-slate-50 resize-none focus:outline-none focus:bg-white transition-colors text-slate-800 leading-relaxed overflow-auto"
-                        style={{ fontSize: `${fontSize}px` }}
-                        spellCheck={false}
+                        fontSize={fontSize}
+                        scrollRef={scrollRef}
+                        highlight={sourceHighlight}
                     />
                 )}
 
@@ -179,7 +209,10 @@ export default function XmlPanel({ side, title, headerControls, syncViewMode, on
                         className="flex-1 bg-gradient-to-b from-slate-50 to-white relative min-h-0 overflow-auto p-4"
                     >
                         {tree ? (
-                            <XmlTreeNode node={tree} side={side} />
+                            // The root plus any comments/processing instructions around it
+                            documentNodes.map(node => (
+                                <XmlTreeNode key={node.xpath} node={node} side={side} />
+                            ))
                         ) : (
                             <div className="flex flex-col items-center justify-center h-full text-slate-400 gap-3 p-4">
                                 <div className="text-4xl opacity-20">🌳</div>
@@ -6,84 +6,124 @@
 
 import { useMemo } from 'react';
 import useXmlStore from '../store/useXmlStore';
-import { getDiffStatus } from '../utils/xmlComparer';
-import { findNodeByXPath } from '../utils/xmlParser';
+import { getDiffStatus, isNormalizedMatch, getNodeChanges, getChangedAttributeNames } from '../utils/xmlComparer';
+import { getDocumentNodes, isElementNode, getNodeDelimiters } from '../utils/xmlParser';
 import { VIEW_ONLY_COLORS } from '../utils/colorConfig';
+import InlineDiffText from './InlineDiffText';
+import SearchHighlight from './SearchHighlight';
+import { getScopeMatches, SearchScope } from '../core/xmlSearch';
 
 export default function XmlSyntaxView({ tree, side }) {
-    const { diffResults, fontSize, leftTree, rightTree } = useXmlStore();
+    const { diffResults, fontSize, queryResult, viewFilter, searchResult } = useXmlStore();
 
     // If no tree, fallback to empty
     if (!tree) return null;
 
-    // Determine the 'other' tree for comparison
-    const otherTree = side === 'left' ? rightTree : leftTree;
+    // Query panel matches are outlined; the active filters (query matches,
+    // differences only) keep only some nodes and their ancestors
+    const query = {
+        matches: queryResult?.highlighted[side] ?? null,
+        visible: viewFilter?.[side] ?? null,
+    };
+    const isShown = (node) => !query.visible || query.visible.has(node.xpath);
+
+    // Search bar matches of this side, by node
+    const searchMatches = searchResult?.bySide[side] ?? null;
 
     return (
         <div className="flex-1 p-4 overflow-auto bg-slate-50 text-slate-800 font-mono" style={{ fontSize: `${fontSize}px` }}>
-            <RecursiveNode
-                node={tree}
-                depth={0}
-                side={side}
-                diffResults={diffResults}
-                fontSize={fontSize}
-                otherTree={otherTree}
-            />
+            {getDocumentNodes(tree).filter(isShown).map((node, index) => (
+                <RecursiveNode
+                    key={node.xpath || index}
+                    node={node}
+                    depth={0}
+                    side={side}
+                    diffResults={diffResults}
+                    fontSize={fontSize}
+                    query={query}
+                    searchMatches={searchMatches}
+                />
+            ))}
         </div>
     );
 }
 
-function RecursiveNode({ node, depth, side, diffResults, fontSize, otherTree }) {
+function RecursiveNode({ node, depth, side, diffResults, fontSize, query, searchMatches }) {
     // 1. Determine Diff Status for this node
     const status = getDiffStatus(node.xpath, diffResults, side);
+    const isNormalized = status === 'matched' && isNormalizedMatch(node.xpath, diffResults, side);
 
     // 2. Determine Background Color from config
     const bgClass = VIEW_ONLY_COLORS.status[status] || VIEW_ONLY_COLORS.status.neutral;
     const borderClass = VIEW_ONLY_COLORS.border[status] || VIEW_ONLY_COLORS.border.neutral;
 
     const hasChildren = node.children && node.children.length > 0;
+    const children = query.visible
+        ? node.children.filter(child => query.visible.has(child.xpath))
+        : node.children;
+    const matchClass = query.matches?.has(node.xpath) ? VIEW_ONLY_COLORS.queryMatch : '';
 
     // Indentation style
     const indent = depth * (fontSize * 1.5);
 
-    // Get the counterpart node to check specific differences (attributes vs text)
-    let otherNode = null;
-    let textChanged = false;
-    let attributesChanged = {}; // key -> boolean (true if changed)
-
-    if (status === 'different' && otherTree) {
-        otherNode = findNodeByXPath(otherTree, node.xpath);
-
-        if (otherNode) {
-            // Check Text
-            if (node.textContent !== otherNode.textContent) {
-                textChanged = true;
-            }
-            // Check Attributes
-            const allKeys = new Set([...Object.keys(node.attributes), ...Object.keys(otherNode.attributes)]);
-            allKeys.forEach(key => {
-                if (node.attributes[key] !== otherNode.attributes[key]) {
-                    attributesChanged[key] = true;
-                }
-            });
-        }
-    }
+    // Specific differences (attributes vs text) recorded by the comparison
+    const changes = (status === 'different' || isNormalized)
+        ? getNodeChanges(node.xpath, diffResults, side)
+        : null;
+    const textChanged = Boolean(changes?.text);
+    const changedAttributes = getChangedAttributeNames(changes);
+    const nodeMatches = searchMatches?.get(node.xpath);
 
     // Attribute Rendering with highlighting from config
     const attributes = Object.entries(node.attributes).map(([key, value]) => {
-        const isAttrDiff = attributesChanged[key];
-        const attrColors = isAttrDiff ? VIEW_ONLY_COLORS.attribute.changed : VIEW_ONLY_COLORS.attribute.normal;
+        const isAttrDiff = changedAttributes.has(key);
+        const changedColors = isNormalized ? VIEW_ONLY_COLORS.attribute.normalized : VIEW_ONLY_COLORS.attribute.changed;
+        const attrColors = isAttrDiff ? changedColors : VIEW_ONLY_COLORS.attribute.normal;
+        const valueMatches = getScopeMatches(nodeMatches, SearchScope.ATTRIBUTE_VALUE, key);
 
         return (
             <span key={key} className={attrColors.container}>
                 {' '}
-                <span className={attrColors.key}>{key}</span>
+                <span className={attrColors.key}>
+                    <SearchHighlight text={key} matches={getScopeMatches(nodeMatches, SearchScope.ATTRIBUTE_NAME, key)} />
+                </span>
                 <span className="text-slate-500">=</span>
-                <span className={attrColors.value}>"{value}"</span>
+                <span className={attrColors.value}>
+                    "{valueMatches.length > 0
+                        ? <SearchHighlight text={value} matches={valueMatches} />
+                        : changes?.changedAttributes[key]
+                            ? <InlineDiffText oldValue={changes.changedAttributes[key].old} newValue={changes.changedAttributes[key].new} side={side} />
+                            : value}"
+                </span>
             </span>
         );
     });
 
+    const textClass = textChanged
+        ? (isNormalized ? VIEW_ONLY_COLORS.textContent.normalized : VIEW_ONLY_COLORS.textContent.changed)
+        : VIEW_ONLY_COLORS.textContent.normal;
+    // Search matches are marked in place of the changed words
+    const textMatches = getScopeMatches(nodeMatches, SearchScope.TEXT);
+    const textDisplay = (() => {
+        if (textMatches.length > 0) return <SearchHighlight text={node.textContent} matches={textMatches} />;
+        if (textChanged) return <InlineDiffText oldValue={changes.text.old} newValue={changes.text.new} side={side} />;
+        return node.textContent;
+    })();
+
+    // Comments, processing instructions and CDATA take a single line
+    if (!isElementNode(node)) {
+        const { open, close } = getNodeDelimiters(node);
+        return (
+            <div className={`px-2 -mx-2 whitespace-pre ${bgClass} transition-colors duration-200 border-l-2 ${borderClass} ${matchClass}`}>
+                <span style={{ paddingLeft: `${indent}px` }} className={VIEW_ONLY_COLORS.otherNode[node.kind]}>
+                    {open}
+                    {node.textContent && <span className={`mx-1 ${textChanged ? textClass : ''}`}>{textDisplay}</span>}
+                    {close}
+                </span>
+            </div>
+        );
+    }
+
     return (
         <>
             {/* ... opening tag render ... */}
@@ -91,10 +131,12 @@ function RecursiveNode({ node, depth, side, diffResults, fontSize, otherTree })
             {/* The previous replace was too broad. I will target the attribute map and return block. */}
 
             {/* Opening Tag Line */}
-            <div className={`px-2 -mx-2 whitespace-pre ${bgClass} transition-colors duration-200 border-l-2 ${borderClass}`}>
+            <div className={`px-2 -mx-2 whitespace-pre ${bgClass} transition-colors duration-200 border-l-2 ${borderClass} ${matchClass}`}>
                 <span style={{ paddingLeft: `${indent}px` }}>
                     <span className="text-slate-400">&lt;</span>
-                    <span className="text-blue-700 font-semibold">{node.tagName}</span>
+                    <span className="text-blue-700 font-semibold">
+                        <SearchHighlight text={node.tagName} matches={getScopeMatches(nodeMatches, SearchScope.TAG)} />
+                    </span>
                     {attributes}
                     <span className="text-slate-400">
                         {hasChildren ? '>' : (node.textContent ? '>' : ' />')}
@@ -102,10 +144,11 @@ function RecursiveNode({ node, depth, side, diffResults, fontSize, otherTree })
 
                     {/* Inline Text Content (Leaf Node Value) */}
                     {!hasChildren && node.textContent && (
-                        <span className={`font-medium ${textChanged
-                            ? VIEW_ONLY_COLORS.textContent.changed
-                            : VIEW_ONLY_COLORS.textContent.normal}`}>
-                            {node.textContent}
+                        <span
+                            className={`font-medium ${textClass}`}
+                            title={textChanged && isNormalized ? 'Equal after normalization' : undefined}
+                        >
+                            {textDisplay}
                         </span>
                     )}
 
@@ -121,7 +164,7 @@ function RecursiveNode({ node, depth, side, diffResults, fontSize, otherTree })
             </div>
 
             {/* Children */}
-            {hasChildren && node.children.map((child, index) => (
+            {hasChildren && children.map((child, index) => (
                 <RecursiveNode
                     key={child.xpath || index}
                     node={child}
@@ -129,9 +172,15 @@ function RecursiveNode({ node, depth, side, diffResults, fontSize, otherTree })
                     side={side}
                     diffResults={diffResults}
                     fontSize={fontSize}
-                    otherTree={otherTree}
+                    query={query}
+                    searchMatches={searchMatches}
                 />
             ))}
+            {children.length < node.children.length && (
+                <div className="px-2 -mx-2 whitespace-pre text-slate-400 italic border-l-2 border-transparent" title="Hidden by the active filter">
+                    <span style={{ paddingLeft: `${(depth + 1) * (fontSize * 1.5)}px` }}>… {node.children.length - children.length} hidden</span>
+                </div>
+            )}
 
             {/* Closing Tag Line (Only if has children) */}
             {hasChildren && (
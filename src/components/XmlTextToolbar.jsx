@@ -0,0 +1,116 @@
+/**
+ * XmlTextToolbar Component
+ * Toolbar of a panel's text view: rewrite the XML pretty-printed (Format)
+ * or as Canonical XML (Canonicalize), and copy it as typed or in its
+ * canonical form
+ */
+
+import useXmlStore from '../store/useXmlStore';
+import { useToast } from './Toast';
+import { formatXml, canonicalizeXml, CanonicalMethod } from '../core/xmlSerializer';
+
+// Indent choices of Format (select values must be strings)
+const INDENTS = [
+    { key: '2', indent: 2, label: '2 spaces' },
+    { key: '4', indent: 4, label: '4 spaces' },
+    { key: 'tab', indent: '\t', label: 'Tabs' },
+];
+
+const METHODS = [
+    [CanonicalMethod.INCLUSIVE, 'C14N 1.0'],
+    [CanonicalMethod.EXCLUSIVE, 'Exclusive C14N'],
+];
+
+const BUTTON_CLASS = 'px-2 h-6 rounded border border-slate-300 bg-white text-slate-700 text-xs font-medium hover:bg-slate-100 transition-colors disabled:opacity-40 disabled:hover:bg-white';
+const SELECT_CLASS = 'h-6 px-1 rounded border border-slate-300 bg-white text-slate-700 text-xs';
+
+export default function XmlTextToolbar({ xml, onChange }) {
+    const { formatOptions, setFormatOptions, canonicalOptions, setCanonicalOptions } = useXmlStore();
+    const { addToast } = useToast();
+    const hasXml = xml.trim().length > 0;
+    const indentKey = INDENTS.find(choice => choice.indent === formatOptions.indent)?.key ?? '2';
+
+    // Invalid XML is left as it is, with the error in a toast
+    const rewrite = (transform, action) => {
+        try {
+            onChange(transform(xml));
+        } catch (error) {
+            addToast(`Cannot ${action}: ${error.message}`, 'error', 4000);
+        }
+    };
+
+    const copy = async (canonical) => {
+        try {
+            await navigator.clipboard.writeText(canonical ? canonicalizeXml(xml, canonicalOptions) : xml);
+            addToast(canonical ? 'Copied the canonical form' : 'Copied the XML');
+        } catch (error) {
+            addToast(`Copy failed: ${error.message}`, 'error', 4000);
+        }
+    };
+
+    return (
+        <div className="flex items-center gap-2 px-3 py-1.5 bg-slate-100 border-b border-slate-200 shrink-0 flex-wrap">
+            <button
+                onClick={() => rewrite(text => formatXml(text, formatOptions), 'format')}
+                disabled={!hasXml}
+                className={BUTTON_CLASS}
+                title="Pretty-print: one element per line (text, mixed content and xml:space=&quot;preserve&quot; are kept)"
+            >
+                ⇥ Format
+            </button>
+            <select
+                value={indentKey}
+                onChange={(e) => setFormatOptions({ indent: INDENTS.find(choice => choice.key === e.target.value).indent })}
+                className={SELECT_CLASS}
+                title="Indent of Format"
+            >
+                {INDENTS.map(choice => (
+                    <option key={choice.key} value={choice.key}>{choice.label}</option>
+                ))}
+            </select>
+
+            <div className="h-4 w-px bg-slate-300 mx-1"></div>
+
+            <button
+                onClick={() => rewrite(text => canonicalizeXml(text, canonicalOptions), 'canonicalize')}
+                disabled={!hasXml}
+                className={BUTTON_CLASS}
+                title="Canonical XML: sorted attributes, normalized namespaces, no declaration, expanded empty elements"
+            >
+                ≡ Canonicalize
+            </button>
+            <select
+                value={canonicalOptions.method}
+                onChange={(e) => setCanonicalOptions({ method: e.target.value })}
+                className={SELECT_CLASS}
+                title="Canonicalization algorithm (exclusive declares only the namespaces each element uses)"
+            >
+                {METHODS.map(([method, label]) => (
+                    <option key={method} value={method}>{label}</option>
+                ))}
+            </select>
+            <label className="flex items-center gap-1 text-xs text-slate-600" title="Keep comments in the canonical form">
+                <input
+                    type="checkbox"
+                    checked={canonicalOptions.withComments}
+                    onChange={(e) => setCanonicalOptions({ withComments: e.target.checked })}
+                />
+                Comments
+            </label>
+
+            <div className="flex items-center gap-2 ml-auto">
+                <button onClick={() => copy(false)} disabled={!hasXml} className={BUTTON_CLASS} title="Copy the XML as it is">
+                    📋 Copy
+                </button>
+                <button
+                    onClick={() => copy(true)}
+                    disabled={!hasXml}
+                    className={BUTTON_CLASS}
+                    title="Copy the canonical form (the text stays as it is)"
+                >
+                    📋 Copy canonical
+                </button>
+            </div>
+        </div>
+    );
+}
@@ -4,11 +4,25 @@
  */
 
 import { useState, useEffect, useRef, memo } from 'react';
-import { getDiffStatus } from '../utils/xmlComparer';
-import { findNodeByXPath } from '../utils/xmlParser';
+import {
+    getDiffStatus,
+    getCounterpartXPath,
+    getChildAlignment,
+    getMovedEntry,
+    translateXPath,
+    isNormalizedMatch,
+    getNodeChanges,
+    getChangedAttributeNames,
+    getSubtreeChanges,
+} from '../utils/xmlComparer';
+import { findNodeByXPath, isElementNode, getNodeDelimiters } from '../utils/xmlParser';
 import { TREE_VIEW_COLORS } from '../utils/colorConfig';
 import useXmlStore from '../store/useXmlStore';
 import { useToast } from './Toast';
+import InlineDiffText from './InlineDiffText';
+import SearchHighlight from './SearchHighlight';
+import ModifiedInsideBadge from './ModifiedInsideBadge';
+import { getScopeMatches, SearchScope } from '../core/xmlSearch';
 
 // Performance optimization: collapse nodes deeper than this level by default
 const AUTO_COLLAPSE_DEPTH = 3;
@@ -21,6 +35,7 @@ const XmlTreeNode = memo(function XmlTreeNode({ node, side, depth = 0 }) {
     const {
         diffResults,
         selectedXPath,
+        selectedSide,
         setSelectedXPath,
         fontSize,
         leftTree,
@@ -28,6 +43,10 @@ const XmlTreeNode = memo(function XmlTreeNode({ node, side, depth = 0 }) {
         showBorders,
         showLeafDots,
         showStatusBadges,
+        queryResult,
+        viewFilter,
+        searchResult,
+        searchIndex,
         isDebugMode
     } = useXmlStore();
 
@@ -38,45 +57,76 @@ const XmlTreeNode = memo(function XmlTreeNode({ node, side, depth = 0 }) {
     }
 
     // Determine the 'other' tree for comparison
+    const otherSide = side === 'left' ? 'right' : 'left';
     const otherTree = side === 'left' ? rightTree : leftTree;
 
+    // Placeholders are copies of nodes from the other tree, so their XPath belongs there
+    const nodeSide = node.isPlaceholder ? otherSide : side;
+
     const hasChildren = node.children && node.children.length > 0;
     const status = getDiffStatus(node.xpath, diffResults, side);
+    // Matched only after value normalization - raw values are still highlighted
+    const isNormalized = status === 'matched' && isNormalizedMatch(node.xpath, diffResults, side);
 
-    // Get the counterpart node to check specific differences (attributes vs text)
-    // IMPORTANT: Always try to find otherNode when otherTree exists - needed for placeholder alignment
+    // Get the counterpart node - needed to align children with placeholders
     let otherNode = null;
-    let textChanged = false;
-    let attributesChanged = {}; // key -> boolean (true if changed)
-
     if (otherTree) {
-        otherNode = findNodeByXPath(otherTree, node.xpath);
-
-        if (otherNode && status === 'different') {
-            // Check Text
-            if (node.textContent !== otherNode.textContent) {
-                textChanged = true;
-            }
-            // Check Attributes
-            const allKeys = new Set([...Object.keys(node.attributes), ...Object.keys(otherNode.attributes)]);
-            allKeys.forEach(key => {
-                if (node.attributes[key] !== otherNode.attributes[key]) {
-                    attributesChanged[key] = true;
-                }
-            });
-        }
+        // Look up the node this one was paired with (its XPath may differ in key match mode)
+        const counterpartXPath = node.isPlaceholder
+            ? node.xpath
+            : getCounterpartXPath(node.xpath, diffResults, side);
+        otherNode = counterpartXPath ? findNodeByXPath(otherTree, counterpartXPath) : null;
     }
 
-    const isSelected = selectedXPath === node.xpath;
+    // Highlight the specific differences (attributes vs text) recorded by the comparison
+    const changes = !node.isPlaceholder && (status === 'different' || isNormalized)
+        ? getNodeChanges(node.xpath, diffResults, side)
+        : null;
+    const textChanged = Boolean(changes?.text);
+    const changedAttributes = getChangedAttributeNames(changes);
+
+    // Moved subtrees link to where they sit in the other tree
+    const movedEntry = !node.isPlaceholder && status === 'moved'
+        ? getMovedEntry(node.xpath, diffResults, side)
+        : null;
+    const movedTarget = movedEntry ? (side === 'left' ? movedEntry.to : movedEntry.from) : null;
+
+    // Express the selection in this node's tree before matching against it
+    const localSelectedXPath = translateXPath(selectedXPath, selectedSide, nodeSide, diffResults);
+    const isSelected = localSelectedXPath !== null && localSelectedXPath === node.xpath;
     const maxDepth = 50;
     const indentation = Math.min(depth, maxDepth) * (fontSize * 1.2);
 
-    // Auto-expand if this node is a parent of the selected node
-    useEffect(() => {
-        if (selectedXPath && selectedXPath.startsWith(node.xpath) && selectedXPath !== node.xpath) {
-            setExpanded(true);
-        }
-    }, [selectedXPath, node.xpath]);
+    // Auto-expand if this node is a parent of the selected node (once per selection,
+    // so the user can still collapse it afterwards)
+    const [revealedXPath, setRevealedXPath] = useState(null);
+    const isAncestorOfSelection = localSelectedXPath
+        && localSelectedXPath.startsWith(node.xpath)
+        && localSelectedXPath !== node.xpath;
+    if (isAncestorOfSelection && revealedXPath !== localSelectedXPath) {
+        setRevealedXPath(localSelectedXPath);
+        setExpanded(true);
+    }
+
+    // Query panel: highlight matches. With a filter on (query matches,
+    // differences only) show only the nodes it keeps, expanded once per
+    // filter like the selection above
+    const isQueryMatch = !node.isPlaceholder && Boolean(queryResult?.highlighted[side].has(node.xpath));
+    const [revealedFilter, setRevealedFilter] = useState(null);
+    if (viewFilter && revealedFilter !== viewFilter) {
+        setRevealedFilter(viewFilter);
+        setExpanded(true);
+    }
+
+    // Search bar: this node's matches, and expand (once per match) to reveal the current one
+    const searchMatches = node.isPlaceholder ? undefined : searchResult?.bySide[side].get(node.xpath);
+    const currentSearchMatch = searchResult?.matches[searchIndex] ?? null;
+    const [revealedSearchMatch, setRevealedSearchMatch] = useState(null);
+    if (currentSearchMatch && currentSearchMatch.side === side && !node.isPlaceholder
+        && currentSearchMatch.xpath.startsWith(`${node.xpath}/`) && revealedSearchMatch !== currentSearchMatch) {
+        setRevealedSearchMatch(currentSearchMatch);
+        setExpanded(true);
+    }
 
     // Scroll into view if selected
     useEffect(() => {
@@ -89,70 +139,32 @@ const XmlTreeNode = memo(function XmlTreeNode({ node, side, depth = 0 }) {
     }, [isSelected]);
 
     // VISUAL ALIGNMENT LOGIC
-    // Merge children from both trees to insert placeholders where needed
+    // Lay out children in the order computed by the comparison, inserting
+    // placeholders where a child exists only in the other tree
     const mergedChildren = (() => {
-        if (!hasChildren && (!otherNode || !otherNode.children || otherNode.children.length === 0)) {
-            return [];
-        }
-
         const L = node.children || [];
-        const R = (otherNode && otherNode.children) ? otherNode.children : [];
-
-        // Fast path: if one side is empty, just return the other (as real or placeholders)
-        if (L.length === 0) return R.map(c => ({ ...c, isPlaceholder: true }));
-        if (R.length === 0) return L;
-
-        // Map for fast lookup of Right nodes (handle duplicates by storing array of indices)
-        const rMap = new Map();
-        R.forEach((c, index) => {
-            if (!rMap.has(c.key)) {
-                rMap.set(c.key, []);
-            }
-            rMap.get(c.key).push(index);
-        });
 
-        const merged = [];
-        let i = 0, j = 0;
-
-        while (i < L.length || j < R.length) {
-            const cL = L[i];
-            const cR = R[j];
-
-            if (!cL) { // End of L, append rest of R as placeholders
-                merged.push({ ...cR, isPlaceholder: true });
-                j++;
-                continue;
-            }
-            if (!cR) { // End of R, append rest of L
-                merged.push(cL);
-                i++;
-                continue;
-            }
-
-            // Match by KEY instead of XPath
-            if (cL.key === cR.key) {
-                merged.push(cL);
-                i++;
-                j++;
-            } else {
-                // Mismatch
-                const indicesInR = rMap.get(cL.key);
-                const nextIndexInR = indicesInR ? indicesInR.find(idx => idx >= j) : undefined;
-
-                if (nextIndexInR !== undefined) {
-                    // cL matches something later in R, so cR must be a gap in L
-                    merged.push({ ...cR, isPlaceholder: true });
-                    j++;
-                } else {
-                    // cL does not exist in R (or was passed), so it is extra in L
-                    merged.push(cL);
-                    i++;
-                }
-            }
-        }
-        return merged;
+        // Everything below a placeholder is missing on this side too
+        if (node.isPlaceholder) return L.map(c => ({ ...c, isPlaceholder: true }));
+
+        const alignment = otherNode ? getChildAlignment(node.xpath, diffResults, side) : null;
+        if (!alignment) return L;
+
+        const ownByXPath = new Map(L.map(c => [c.xpath, c]));
+        const otherByXPath = new Map(otherNode.children.map(c => [c.xpath, c]));
+
+        return alignment.map(({ own, other }) => (
+            own !== null
+                ? ownByXPath.get(own)
+                : { ...otherByXPath.get(other), isPlaceholder: true }
+        ));
     })();
 
+    const visibleChildren = viewFilter
+        ? mergedChildren.filter(child => viewFilter[child.isPlaceholder ? otherSide : side].has(child.xpath))
+        : mergedChildren;
+    const hiddenCount = mergedChildren.length - visibleChildren.length;
+
     // Get color class from config
     const colorClass = node.isPlaceholder
         ? 'opacity-50 border border-dashed border-slate-300 bg-slate-50'
@@ -160,9 +172,28 @@ const XmlTreeNode = memo(function XmlTreeNode({ node, side, depth = 0 }) {
 
     // Format attributes for display with highlighting
     const attrsDisplay = Object.entries(node.attributes).map(([key, value]) => {
-        const isAttrDiff = attributesChanged[key];
+        const isAttrDiff = changedAttributes.has(key);
         return { key, value, isAttrDiff };
     });
+    const changedAttrColors = isNormalized ? TREE_VIEW_COLORS.attribute.normalized : TREE_VIEW_COLORS.attribute.changed;
+    const changedTextColors = isNormalized ? TREE_VIEW_COLORS.textContent.normalized : TREE_VIEW_COLORS.textContent.changed;
+
+    // Comments, processing instructions and CDATA are shown as their markup
+    const delimiters = isElementNode(node) ? null : getNodeDelimiters(node);
+    const textMatches = getScopeMatches(searchMatches, SearchScope.TEXT);
+    // Search matches are marked in place of the changed words
+    const textDisplay = (() => {
+        if (textMatches.length > 0) return <SearchHighlight text={node.textContent} matches={textMatches} />;
+        if (textChanged) return <InlineDiffText oldValue={changes.text.old} newValue={changes.text.new} side={side} />;
+        return node.textContent;
+    })();
+    const attrValueDisplay = (key, value) => {
+        const valueMatches = getScopeMatches(searchMatches, SearchScope.ATTRIBUTE_VALUE, key);
+        if (valueMatches.length > 0) return <SearchHighlight text={value} matches={valueMatches} />;
+        const change = changes?.changedAttributes[key];
+        if (change) return <InlineDiffText oldValue={change.old} newValue={change.new} side={side} />;
+        return value;
+    };
 
     return (
         <div className="font-mono min-w-fit" style={{ fontSize: `${fontSize}px` }}>
@@ -174,6 +205,7 @@ const XmlTreeNode = memo(function XmlTreeNode({ node, side, depth = 0 }) {
           ${showBorders && !node.isPlaceholder ? 'border' : ''}
           ${colorClass}
           ${isSelected ? 'ring-2 ring-blue-500 shadow-lg z-10 scale-[1.02]' : 'hover:shadow-md hover:scale-[1.01]'}
+          ${isQueryMatch ? TREE_VIEW_COLORS.queryMatch : ''}
         `}
                 style={{ marginLeft: `${indentation}px` }}
                 onClick={(e) => {
@@ -186,7 +218,7 @@ const XmlTreeNode = memo(function XmlTreeNode({ node, side, depth = 0 }) {
                         }
                         return;
                     }
-                    setSelectedXPath(node.xpath);
+                    setSelectedXPath(node.xpath, nodeSide);
                 }}
             >
                 {/* Expand/Collapse toggle - Disable for placeholders if no children? 
@@ -206,66 +238,107 @@ const XmlTreeNode = memo(function XmlTreeNode({ node, side, depth = 0 }) {
                     showLeafDots && <span className="w-5 h-5 flex items-center justify-center text-slate-400">•</span>
                 )}
 
-                <span className={`${node.isPlaceholder ? 'text-slate-500 italic' : 'text-blue-600 font-semibold'}`}>
-                    &lt;{node.tagName}
-                    {node.siblingTotal > 1 && (
-                        <span className={`${node.isPlaceholder ? 'text-slate-400' : 'text-yellow-600'} text-xs font-normal ml-0.5`}>
-                            {node.siblingIndex}/{node.siblingTotal}
-                        </span>
-                    )}
-                </span>
-
-                {/* Attributes - with individual highlighting */}
-                {attrsDisplay.length > 0 && (
-                    <span className="ml-1">
-                        {attrsDisplay.map(({ key, value, isAttrDiff }) => {
-                            const attrColors = isAttrDiff ? TREE_VIEW_COLORS.attribute.changed : TREE_VIEW_COLORS.attribute.normal;
-                            return (
-                                <span key={key} className={node.isPlaceholder ? 'opacity-70' : attrColors.container}>
-                                    <span className={node.isPlaceholder ? 'text-slate-500' : attrColors.key}>{key}</span>
-                                    <span className="text-slate-500">=</span>
-                                    <span className={node.isPlaceholder ? 'text-slate-500' : attrColors.value}>"{value}"</span>
-                                </span>
-                            );
-                        })}
+                {delimiters ? (
+                    <span className={node.isPlaceholder ? 'text-slate-500 italic' : TREE_VIEW_COLORS.otherNode[node.kind]}>
+                        {delimiters.open}
+                        {node.textContent && (
+                            <span
+                                className={`mx-1 ${!node.isPlaceholder && textChanged ? changedTextColors : ''}`}
+                                title={textChanged ? `Left: ${changes.text.old}\nRight: ${changes.text.new}` : undefined}
+                            >
+                                {textDisplay}
+                            </span>
+                        )}
+                        {delimiters.close}
                     </span>
-                )}
-
-                <span className={`${node.isPlaceholder ? 'text-slate-500' : 'text-blue-600 font-semibold'}`}>&gt;</span>
+                ) : (
+                    <>
+                        <span
+                            className={`${node.isPlaceholder ? 'text-slate-500 italic' : 'text-blue-600 font-semibold'}`}
+                            title={node.namespaceURI || undefined}
+                        >
+                            &lt;<SearchHighlight text={node.tagName} matches={getScopeMatches(searchMatches, SearchScope.TAG)} />
+                            {node.siblingTotal > 1 && (
+                                <span className={`${node.isPlaceholder ? 'text-slate-400' : 'text-yellow-600'} text-xs font-normal ml-0.5`}>
+                                    {node.siblingIndex}/{node.siblingTotal}
+                                </span>
+                            )}
+                        </span>
 
-                {/* Text content (if leaf node or has direct text) */}
-                {node.textContent && (
-                    <span className={`ml-1 ${node.isPlaceholder
-                        ? 'text-transparent select-none' // Hide text for placeholders as requested
-                        : (textChanged ? TREE_VIEW_COLORS.textContent.changed : TREE_VIEW_COLORS.textContent.normal)
-                        }`}>
-                        {node.textContent}
-                    </span>
+                        {/* Attributes - with individual highlighting */}
+                        {attrsDisplay.length > 0 && (
+                            <span className="ml-1">
+                                {attrsDisplay.map(({ key, value, isAttrDiff }) => {
+                                    const attrColors = isAttrDiff ? changedAttrColors : TREE_VIEW_COLORS.attribute.normal;
+                                    return (
+                                        <span key={key} className={node.isPlaceholder ? 'opacity-70' : attrColors.container}>
+                                            <span className={node.isPlaceholder ? 'text-slate-500' : attrColors.key}>
+                                                <SearchHighlight text={key} matches={getScopeMatches(searchMatches, SearchScope.ATTRIBUTE_NAME, key)} />
+                                            </span>
+                                            <span className="text-slate-500">=</span>
+                                            <span className={node.isPlaceholder ? 'text-slate-500' : attrColors.value}>
+                                                "{attrValueDisplay(key, value)}"
+                                            </span>
+                                        </span>
+                                    );
+                                })}
+                            </span>
+                        )}
+
+                        <span className={`${node.isPlaceholder ? 'text-slate-500' : 'text-blue-600 font-semibold'}`}>&gt;</span>
+
+                        {/* Text content (if leaf node or has direct text) */}
+                        {node.textContent && (
+                            <span className={`ml-1 ${node.isPlaceholder
+                                ? 'text-transparent select-none' // Hide text for placeholders as requested
+                                : (textChanged ? changedTextColors : TREE_VIEW_COLORS.textContent.normal)
+                                }`}
+                                title={textChanged ? `Left: ${changes.text.old}\nRight: ${changes.text.new}` : undefined}
+                            >
+                                {textDisplay}
+                            </span>
+                        )}
+
+                        {/* Closing tag for leaf nodes */}
+                        {!hasChildren && !(node.isPlaceholder && node.children?.length) && (
+                            <span className={`${node.isPlaceholder ? 'text-slate-500 italic' : 'text-blue-600 font-semibold'}`}>&lt;/{node.tagName}&gt;</span>
+                        )}
+                        {/* Closing tag for non-leaf nodes with text content */}
+                        {(hasChildren || (node.isPlaceholder && node.children?.length)) && node.textContent && (
+                            <span className={`${node.isPlaceholder ? 'text-slate-500 italic' : 'text-blue-600 font-semibold'}`}>&lt;/{node.tagName}&gt;</span>
+                        )}
+                    </>
                 )}
 
-                {/* Closing tag for leaf nodes */}
-                {!hasChildren && !(node.isPlaceholder && node.children?.length) && (
-                    <span className={`${node.isPlaceholder ? 'text-slate-500 italic' : 'text-blue-600 font-semibold'}`}>&lt;/{node.tagName}&gt;</span>
-                )}
-                {/* Closing tag for non-leaf nodes with text content */}
-                {(hasChildren || (node.isPlaceholder && node.children?.length)) && node.textContent && (
-                    <span className={`${node.isPlaceholder ? 'text-slate-500 italic' : 'text-blue-600 font-semibold'}`}>&lt;/{node.tagName}&gt;</span>
+                {/* Changes hidden below a collapsed element */}
+                {hasChildren && !expanded && !node.isPlaceholder && (
+                    <ModifiedInsideBadge changes={getSubtreeChanges(node.xpath, diffResults, side)} />
                 )}
 
                 {/* Status badge - SHOW 'MISSING' FOR PLACEHOLDERS */}
                 {(status !== 'neutral' || node.isPlaceholder) && diffResults && showStatusBadges && (
-                    <span className={`ml-auto text-[10px] px-1.5 py-0.5 rounded-full font-bold uppercase tracking-wide ${node.isPlaceholder ? 'bg-slate-200 text-slate-500' : (TREE_VIEW_COLORS.badge[status] || TREE_VIEW_COLORS.badge.missing)
-                        }`}>
-                        {node.isPlaceholder ? 'MISSING' : status}
+                    <span
+                        className={`ml-auto text-[10px] px-1.5 py-0.5 rounded-full font-bold uppercase tracking-wide ${node.isPlaceholder ? 'bg-slate-200 text-slate-500' : (TREE_VIEW_COLORS.badge[status] || TREE_VIEW_COLORS.badge.missing)
+                            } ${movedTarget ? 'hover:ring-2 hover:ring-sky-300' : ''}`}
+                        title={movedTarget
+                            ? `Moved ${side === 'left' ? 'to' : 'from'} ${movedTarget} - click to jump there`
+                            : (isNormalized ? 'Equal after normalization - raw values differ' : undefined)}
+                        onClick={movedTarget ? (e) => {
+                            // Jump to the other location of this moved subtree
+                            e.stopPropagation();
+                            setSelectedXPath(movedTarget, otherSide);
+                        } : undefined}
+                    >
+                        {node.isPlaceholder ? 'MISSING' : (isNormalized ? 'matched (normalized)' : status)}
                     </span>
                 )}
             </div>
 
-            {/* Children - Use mergedChildren */}
+            {/* Children - Use mergedChildren (only those the active filter keeps) */}
             {((hasChildren || node.isPlaceholder) && expanded) && (
                 // ALWAYS show the vertical line (border-l-2) regardless of showBorders, as requested
                 <div className={`ml-2 border-l-2 border-slate-200/50 min-w-fit`}>
-                    {mergedChildren.map((child, index) => (
+                    {visibleChildren.map((child, index) => (
                         <XmlTreeNode
                             key={child.xpath + index}
                             node={child}
@@ -273,6 +346,15 @@ const XmlTreeNode = memo(function XmlTreeNode({ node, side, depth = 0 }) {
                             depth={depth + 1}
                         />
                     ))}
+                    {hiddenCount > 0 && (
+                        <div
+                            className="text-slate-400 italic font-mono py-0.5 px-2"
+                            style={{ marginLeft: `${Math.min(depth + 1, maxDepth) * (fontSize * 1.2)}px`, fontSize: `${fontSize}px` }}
+                            title="Hidden by the active filter"
+                        >
+                            … {hiddenCount} hidden
+                        </div>
+                    )}
                     {/* Closing tag */}
                     <div
                         className={`${node.isPlaceholder ? 'text-slate-400 italic' : 'text-blue-600'} font-mono py-0.5 px-2 opacity-50`}
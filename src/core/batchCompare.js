@@ -0,0 +1,274 @@
+/**
+ * ============================================================================
+ * BATCH COMPARE - Core Library
+ * ============================================================================
+ *
+ * This module compares two folders of XML files, e.g. the expected and
+ * actual outputs of a regression run:
+ * 1. Pair the files by relative path, or by a rename pattern
+ * 2. Parse and compare each pair in turn (see compareJob.js), keeping only
+ *    the counts, so hundreds of files never sit in memory at once
+ *
+ * RENAME PATTERNS:
+ * `left=right`, where each `*` matches any text (including `/`) and the
+ * `*`s of the right side take what the left ones matched, in order:
+ * - `*_expected.xml=*_actual.xml` pairs `a/b_expected.xml` with `a/b_actual.xml`
+ * - `old/*.xml=new/*.xml` pairs files across differently named subfolders
+ * Files the pattern does not match, or whose renamed counterpart does not
+ * exist, are paired by their own path.
+ *
+ * Files are read through a callback, so the same code runs on File objects
+ * in the browser (and the XML worker) and on paths in Node.js.
+ *
+ * DEPENDENCIES:
+ * - compareJob.js (parse and compare one pair)
+ * - xmlComparer.js (identical check)
+ *
+ * ============================================================================
+ */
+
+import { runCompareJob } from './compareJob.js';
+import { areTreesIdentical } from './xmlComparer.js';
+
+// ============================================================================
+// TYPE DEFINITIONS (JSDoc for IDE support)
+// ============================================================================
+
+/**
+ * @typedef {Object} FilePair
+ * @property {string} name - Name shown for the pair (the left path, or the
+ *   right one for files only on the right)
+ * @property {string|null} leftPath - Relative path in the left folder
+ * @property {string|null} rightPath - Relative path in the right folder
+ * @property {*} [left] - What readFile reads for the left file (a File, a
+ *   full path, ...)
+ * @property {*} [right] - What readFile reads for the right file
+ */
+
+/**
+ * @typedef {Object} BatchJob
+ * @property {FilePair[]} pairs - The files to compare
+ * @property {Object} [xpathSettings] - Settings for XPath generation (as for
+ *   runCompareJob)
+ * @property {CompareOptions} [compareOptions] - Comparison settings
+ */
+
+/**
+ * @typedef {Object} BatchCounts
+ * @property {number} matched - Matched elements
+ * @property {number} different - Elements with different text or attributes
+ * @property {number} leftOnly - Elements only in the left file
+ * @property {number} rightOnly - Elements only in the right file
+ * @property {number} moved - Moved subtrees
+ */
+
+/**
+ * @typedef {Object} BatchEntry
+ * @property {string} name - Name of the pair
+ * @property {string|null} leftPath - Relative path in the left folder
+ * @property {string|null} rightPath - Relative path in the right folder
+ * @property {string} status - One of BatchStatus
+ * @property {BatchCounts|null} counts - The counts (null unless compared)
+ * @property {string|null} error - Why the pair could not be compared
+ */
+
+/**
+ * Enum-like object for the outcome of one pair.
+ */
+export const BatchStatus = {
+    IDENTICAL: 'identical',
+    DIFFERENT: 'different',
+    LEFT_ONLY: 'leftOnly',
+    RIGHT_ONLY: 'rightOnly',
+    ERROR: 'error',
+};
+
+// ============================================================================
+// PAIRING
+// ============================================================================
+
+/**
+ * Pair the files of two folders.
+ *
+ * @param {string[]} leftPaths - Relative paths in the left folder
+ * @param {string[]} rightPaths - Relative paths in the right folder
+ * @param {Object} [options] - Pairing options
+ * @param {string} [options.renamePattern] - Rename pattern (see above)
+ * @returns {FilePair[]} The pairs and unpaired files, sorted by name
+ * @throws {Error} If the rename pattern is invalid
+ *
+ * @example
+ * pairFiles(['a.xml', 'b_old.xml'], ['a.xml', 'b_new.xml', 'c.xml'], { renamePattern: '*_old.xml=*_new.xml' });
+ * // [{ name: 'a.xml', leftPath: 'a.xml', rightPath: 'a.xml' },
+ * //  { name: 'b_old.xml', leftPath: 'b_old.xml', rightPath: 'b_new.xml' },
+ * //  { name: 'c.xml', leftPath: null, rightPath: 'c.xml' }]
+ */
+export function pairFiles(leftPaths, rightPaths, options = {}) {
+    const rename = options.renamePattern ? compileRenamePattern(options.renamePattern) : null;
+    const available = new Set(rightPaths);
+    const claim = (path) => (available.delete(path) ? path : null);
+
+    // Renamed counterparts first, so falling back to the same path never
+    // takes a file another left file is renamed to
+    const renamed = leftPaths.map(leftPath => (rename ? claim(rename(leftPath)) : null));
+    const pairs = leftPaths.map((leftPath, index) => ({
+        name: leftPath,
+        leftPath,
+        rightPath: renamed[index] ?? claim(leftPath),
+    }));
+    for (const rightPath of rightPaths) {
+        if (available.has(rightPath)) {
+            pairs.push({ name: rightPath, leftPath: null, rightPath });
+        }
+    }
+
+    return pairs.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Compile a rename pattern into a function from left to right paths.
+ *
+ * @param {string} pattern - The pattern, e.g. `*_old.xml=*_new.xml`
+ * @returns {function(string): (string|null)} Maps a left path to its right
+ *   path, or to null if the pattern does not match it
+ * @throws {Error} If the pattern has no `=` or its sides have different
+ *   numbers of `*`
+ *
+ * @example
+ * compileRenamePattern('*_old.xml=*_new.xml')('a/b_old.xml'); // 'a/b_new.xml'
+ */
+export function compileRenamePattern(pattern) {
+    const separator = pattern.indexOf('=');
+    const from = pattern.slice(0, separator).trim();
+    const to = pattern.slice(separator + 1).trim();
+    const wildcards = (side) => side.split('*').length - 1;
+
+    if (separator === -1 || !from || !to || wildcards(from) !== wildcards(to)) {
+        throw new Error(`Invalid rename pattern: ${pattern} (expected left=right with as many * on each side, e.g. *_old.xml=*_new.xml)`);
+    }
+
+    const regex = new RegExp('^' + from.split('*').map(escapeRegExp).join('(.*)') + '$');
+    const parts = to.split('*');
+
+    return (path) => {
+        const match = regex.exec(path);
+        if (!match) return null;
+        return parts.reduce((result, part, index) => result + match[index] + part);
+    };
+}
+
+// ============================================================================
+// COMPARING
+// ============================================================================
+
+/**
+ * Compare every pair of a batch, one after the other.
+ *
+ * Files only on one side are not read. Pairs that fail to read or parse
+ * get the error status and the batch goes on.
+ *
+ * @param {BatchJob} job - The pairs and settings
+ * @param {Object} [options] - Reading, progress and cancellation
+ * @param {function(*): Promise<string>} [options.readFile] - Reads a pair's
+ *   `left` or `right` (default: calls its `text()`, as for File objects)
+ * @param {function({completed: number, total: number, name: string}): void} [options.onProgress] -
+ *   Called after each pair
+ * @param {AbortSignal} [options.signal] - Cancels the batch between and
+ *   during pairs; the promise then rejects with the signal's reason
+ * @returns {Promise<BatchEntry[]>} One entry per pair, in order
+ *
+ * @example
+ * const entries = await runBatchCompare(
+ *   { pairs, xpathSettings, compareOptions },
+ *   { readFile: (path) => fs.promises.readFile(path, 'utf8') }
+ * );
+ */
+export async function runBatchCompare(job, { readFile = (source) => source.text(), onProgress, signal } = {}) {
+    const { pairs, xpathSettings = {}, compareOptions = {} } = job;
+    const entries = [];
+
+    for (const pair of pairs) {
+        signal?.throwIfAborted();
+        entries.push(await comparePair(pair, { xpathSettings, compareOptions, readFile, signal }));
+        onProgress?.({ completed: entries.length, total: pairs.length, name: pair.name });
+    }
+
+    return entries;
+}
+
+/**
+ * Count the entries of a batch per status.
+ *
+ * @param {BatchEntry[]} entries - The batch results
+ * @returns {Object.<string, number>} Count per BatchStatus value, plus `total`
+ *
+ * @example
+ * summarizeBatch(entries); // { total: 3, identical: 1, different: 1, leftOnly: 0, rightOnly: 1, error: 0 }
+ */
+export function summarizeBatch(entries) {
+    const summary = { total: entries.length };
+    for (const status of Object.values(BatchStatus)) {
+        summary[status] = 0;
+    }
+    for (const entry of entries) {
+        summary[entry.status]++;
+    }
+    return summary;
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Compare one pair.
+ *
+ * @param {FilePair} pair - The pair
+ * @param {Object} context - Settings, reader and signal
+ * @returns {Promise<BatchEntry>} The entry
+ */
+async function comparePair(pair, { xpathSettings, compareOptions, readFile, signal }) {
+    const entry = (status, fields = {}) => ({
+        name: pair.name,
+        leftPath: pair.leftPath,
+        rightPath: pair.rightPath,
+        status,
+        counts: null,
+        error: null,
+        ...fields,
+    });
+
+    if (pair.rightPath === null) return entry(BatchStatus.LEFT_ONLY);
+    if (pair.leftPath === null) return entry(BatchStatus.RIGHT_ONLY);
+
+    let leftXml;
+    let rightXml;
+    try {
+        leftXml = await readFile(pair.left);
+        rightXml = await readFile(pair.right);
+    } catch (error) {
+        return entry(BatchStatus.ERROR, { error: error.message });
+    }
+
+    const result = await runCompareJob({ leftXml, rightXml, xpathSettings, compareOptions }, { signal });
+    if (!result.success) {
+        const errors = [[pair.leftPath, result.leftError], [pair.rightPath, result.rightError]]
+            .filter(([, error]) => error)
+            .map(([path, error]) => `${path}: ${error}`);
+        return entry(BatchStatus.ERROR, { error: errors.join('\n') });
+    }
+
+    const { matched, different, leftOnly, rightOnly, moved } = result.diffResults.stats;
+    return entry(
+        areTreesIdentical(result.diffResults) ? BatchStatus.IDENTICAL : BatchStatus.DIFFERENT,
+        { counts: { matched, different, leftOnly, rightOnly, moved } }
+    );
+}
+
+/**
+ * @param {string} text - Literal text
+ * @returns {string} The text with regular expression syntax escaped
+ */
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
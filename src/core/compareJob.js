@@ -0,0 +1,176 @@
+/**
+ * ============================================================================
+ * COMPARE JOB - Core Library
+ * ============================================================================
+ *
+ * This module runs a whole comparison job: parse both documents, then
+ * compare the trees, reporting progress for each phase. It is what the
+ * XML worker (xml-worker.js) runs off the main thread, and what the app
+ * runs directly where there are no Web Workers, so both give the same
+ * results.
+ *
+ * Parse errors are reported per side (with their line and column) rather
+ * than thrown, so each panel can show its own error.
+ *
+ * The `parser` XPath setting picks the parser as for parseXml: DOMParser
+ * where there is one (unless `js` is asked for), otherwise the built-in
+ * parser, streamed with progress. The built-in parser knows no DOCTYPE
+ * entities; when it rejects a document under `auto` where there is no
+ * DOMParser (in the worker), the result asks for the job to be run again
+ * on a thread that has one.
+ *
+ * DEPENDENCIES:
+ * - xmlParser.js (DOMParser parsing and parser selection)
+ * - xmlStreamParser.js (chunked parsing with progress)
+ * - xmlComparer.js (tree comparison with progress)
+ *
+ * ============================================================================
+ */
+
+import { parseXml, resolveParserBackend, ParserBackend } from './xmlParser.js';
+import { parseXmlStream } from './xmlStreamParser.js';
+import { compareXml } from './xmlComparer.js';
+
+// ============================================================================
+// TYPE DEFINITIONS (JSDoc for IDE support)
+// ============================================================================
+
+/**
+ * @typedef {Object} CompareJob
+ * @property {string} leftXml - The left XML document
+ * @property {string} rightXml - The right XML document
+ * @property {Object} [xpathSettings] - Settings for XPath generation (as for
+ *   parseXml); its `ignoreRules` also apply to the comparison
+ * @property {CompareOptions} [compareOptions] - Comparison settings
+ */
+
+/**
+ * @typedef {Object} CompareJobProgress
+ * @property {'parsing-left'|'parsing-right'|'diffing'} phase - What is being done
+ *   (see ComparePhase)
+ * @property {number} percent - How much of the phase is done (0-100)
+ */
+
+/**
+ * @typedef {Object} CompareJobResult
+ * @property {boolean} success - Whether both documents parsed and were compared
+ * @property {XmlNode|null} leftTree - The parsed left tree
+ * @property {XmlNode|null} rightTree - The parsed right tree
+ * @property {DiffResults|null} diffResults - The comparison results
+ * @property {string|null} leftError - Why the left side failed
+ * @property {string|null} rightError - Why the right side failed
+ * @property {SourcePosition|null} leftErrorPosition - Where the left syntax error is
+ * @property {SourcePosition|null} rightErrorPosition - Where the right syntax error is
+ * @property {boolean} retryWithDomParser - The built-in parser rejected a side
+ *   that DOMParser, which is not available here, may read: run the job again
+ *   where there is one (e.g. on the main thread instead of the worker)
+ */
+
+/**
+ * Enum-like object for the phases of a compare job.
+ */
+export const ComparePhase = {
+    PARSING_LEFT: 'parsing-left',
+    PARSING_RIGHT: 'parsing-right',
+    DIFFING: 'diffing',
+};
+
+// ============================================================================
+// MAIN FUNCTION
+// ============================================================================
+
+/**
+ * Parse two XML documents and compare them.
+ *
+ * @param {CompareJob} job - The documents and settings
+ * @param {Object} [options] - Progress and cancellation
+ * @param {function(CompareJobProgress): void} [options.onProgress] - Called as
+ *   each phase advances
+ * @param {AbortSignal} [options.signal] - Cancels the job while parsing; the
+ *   promise then rejects with the signal's reason
+ * @returns {Promise<CompareJobResult>} The trees and results, or the errors
+ *
+ * @example
+ * const result = await runCompareJob(
+ *   { leftXml, rightXml, xpathSettings, compareOptions },
+ *   { onProgress: ({ phase, percent }) => console.log(phase, percent) }
+ * );
+ * if (result.success) console.log(result.diffResults.stats);
+ */
+export async function runCompareJob(job, { onProgress, signal } = {}) {
+    const { leftXml, rightXml, xpathSettings = {}, compareOptions = {} } = job;
+    const report = (phase, done, total) => {
+        onProgress?.({ phase, percent: total ? Math.floor((done / total) * 100) : 100 });
+    };
+
+    // Step 1: Parse both documents (separately, so each side gets its own error)
+    const left = await parseSide(leftXml, xpathSettings, ComparePhase.PARSING_LEFT, report, signal);
+    const right = await parseSide(rightXml, xpathSettings, ComparePhase.PARSING_RIGHT, report, signal);
+
+    const result = {
+        success: false,
+        leftTree: null,
+        rightTree: null,
+        diffResults: null,
+        leftError: left.error,
+        rightError: right.error,
+        leftErrorPosition: left.errorPosition,
+        rightErrorPosition: right.errorPosition,
+        retryWithDomParser: left.retryWithDomParser || right.retryWithDomParser,
+    };
+    if (!left.tree || !right.tree) {
+        return result;
+    }
+
+    // Step 2: Compare the parsed trees
+    signal?.throwIfAborted();
+    report(ComparePhase.DIFFING, 0, 1);
+    try {
+        const diffResults = compareXml(left.tree, right.tree, {
+            ...compareOptions,
+            ignoreRules: xpathSettings.ignoreRules ?? [],
+            onProgress: ({ compared, total }) => report(ComparePhase.DIFFING, compared, total),
+        });
+        return { ...result, success: true, leftTree: left.tree, rightTree: right.tree, diffResults };
+    } catch (error) {
+        return { ...result, leftError: error.message, rightError: error.message };
+    }
+}
+
+/**
+ * Parse one side, keeping the error (and its line/column) instead of throwing.
+ *
+ * @param {string} xml - The XML document
+ * @param {Object} xpathSettings - Settings for XPath generation
+ * @param {string} phase - The phase to report progress for
+ * @param {function(string, number, number): void} report - Progress reporter
+ * @param {AbortSignal} [signal] - Cancels parsing
+ * @returns {Promise<{tree: XmlNode|null, error: string|null, errorPosition: SourcePosition|null,
+ *   retryWithDomParser: boolean}>} The tree, or the error
+ */
+async function parseSide(xml, xpathSettings, phase, report, signal) {
+    report(phase, 0, 1);
+    try {
+        // DOMParser reads the whole document at once, without progress
+        if (resolveParserBackend(xpathSettings.parser) === ParserBackend.DOM) {
+            const tree = parseXml(xml, xpathSettings);
+            report(phase, 1, 1);
+            return { tree, error: null, errorPosition: null, retryWithDomParser: false };
+        }
+
+        const tree = await parseXmlStream(xml, xpathSettings, {
+            signal,
+            onProgress: ({ loaded, total }) => report(phase, loaded, total),
+        });
+        return { tree, error: null, errorPosition: null, retryWithDomParser: false };
+    } catch (error) {
+        if (signal?.aborted) throw error;
+        return {
+            tree: null,
+            error: error.message,
+            errorPosition: error.position ?? null,
+            retryWithDomParser: (xpathSettings.parser ?? ParserBackend.AUTO) === ParserBackend.AUTO
+                && typeof DOMParser === 'undefined',
+        };
+    }
+}
@@ -0,0 +1,392 @@
+/**
+ * ============================================================================
+ * DIFF EXPORTERS - Core Library
+ * ============================================================================
+ *
+ * This module serializes comparison results for other systems:
+ * - JSON: a versioned document with the statistics and every difference
+ * - CSV: one row per difference (xpath, status, attribute, left value, right value)
+ * - JUnit XML: one failing test case per difference, for CI dashboards
+ *
+ * Every format is built from the same list of differences (see
+ * collectDifferences): a changed element yields a row for its text and for
+ * each changed, added or removed attribute; every element only on one side
+ * yields a row; a moved subtree yields one row with both locations.
+ *
+ * DEPENDENCIES:
+ * - xmlParser.js (looking up one-sided nodes)
+ * - htmlReport.js (the HTML format, for exportDiff)
+ * - xmlNames.js (names of namespace declarations)
+ *
+ * ============================================================================
+ */
+
+import { findNodeByXPath } from './xmlParser.js';
+import { createHtmlReport } from './htmlReport.js';
+import { getDeclarationName } from './xmlNames.js';
+
+// ============================================================================
+// TYPE DEFINITIONS (JSDoc for IDE support)
+// ============================================================================
+
+/**
+ * One difference between the documents.
+ *
+ * @typedef {Object} DifferenceRecord
+ * @property {string} status - 'different', 'leftOnly', 'rightOnly' or 'moved'
+ * @property {string} kind - What differs (see DifferenceKind)
+ * @property {string} xpath - Where (the left XPath when there is one)
+ * @property {string} path - XPath of what differs, as every export names it:
+ *   the node, its `text()` or its `@attribute`
+ * @property {string|null} leftXPath - XPath in the left tree
+ * @property {string|null} rightXPath - XPath in the right tree
+ * @property {string|null} attribute - The attribute, for attribute differences
+ * @property {string|null} leftValue - The left text or attribute value
+ *   (the left XPath for moves)
+ * @property {string|null} rightValue - The right text or attribute value
+ *   (the right XPath for moves)
+ */
+
+/**
+ * @typedef {Object} ExportOptions
+ * @property {string} [leftName='Left'] - Label of the left document (e.g. its file name)
+ * @property {string} [rightName='Right'] - Label of the right document
+ * @property {Date|string} [generatedAt] - Timestamp to include (JSON and JUnit;
+ *   left out by default so exports of the same comparison are identical)
+ * @property {string} [suiteName] - JUnit test suite name (default "left vs right")
+ */
+
+/**
+ * Version of the JSON export's layout; bumped on incompatible changes.
+ */
+export const EXPORT_SCHEMA_VERSION = 1;
+
+/**
+ * Enum-like object for what a difference is about.
+ */
+export const DifferenceKind = {
+    TEXT: 'text',
+    ATTRIBUTE: 'attribute',
+    NODE: 'node',
+};
+
+/**
+ * Enum-like object for the export formats (see exportDiff).
+ */
+export const ExportFormat = {
+    JSON: 'json',
+    CSV: 'csv',
+    JUNIT: 'junit',
+    HTML: 'html',
+};
+
+const DEFAULT_EXPORT_OPTIONS = {
+    leftName: 'Left',
+    rightName: 'Right',
+    generatedAt: null,
+    suiteName: null,
+};
+
+const CSV_COLUMNS = ['path', 'status', 'attribute', 'left value', 'right value'];
+
+const XML_ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' };
+
+// ============================================================================
+// DIFFERENCES
+// ============================================================================
+
+/**
+ * List every difference of a comparison, in the order different, left
+ * only, right only, moved.
+ *
+ * @param {XmlNode} leftTree - The left tree that was compared
+ * @param {XmlNode} rightTree - The right tree that was compared
+ * @param {DiffResults} diffResults - The comparison results
+ * @returns {DifferenceRecord[]} The differences
+ *
+ * @example
+ * collectDifferences(leftTree, rightTree, diffResults);
+ * // [{ status: 'different', kind: 'attribute', xpath: '/catalog/item', attribute: 'status',
+ * //    leftValue: 'new', rightValue: 'old', ... }]
+ */
+export function collectDifferences(leftTree, rightTree, diffResults) {
+    const records = [];
+    const record = (fields) => {
+        const leftXPath = fields.leftXPath ?? null;
+        const rightXPath = fields.rightXPath ?? null;
+        const xpath = leftXPath ?? rightXPath;
+        records.push({
+            status: fields.status,
+            kind: fields.kind,
+            xpath,
+            path: getDifferencePath(xpath, fields.kind, fields.attribute ?? null),
+            leftXPath,
+            rightXPath,
+            attribute: fields.attribute ?? null,
+            leftValue: fields.leftValue ?? null,
+            rightValue: fields.rightValue ?? null,
+        });
+    };
+
+    for (const leftXPath of diffResults.different) {
+        const rightXPath = diffResults.counterparts.left[leftXPath] ?? null;
+        const changes = diffResults.changes[leftXPath];
+        const base = { status: 'different', leftXPath, rightXPath };
+        const before = records.length;
+
+        if (changes?.text) {
+            record({ ...base, kind: DifferenceKind.TEXT, leftValue: changes.text.old, rightValue: changes.text.new });
+        }
+        for (const [attribute, change] of Object.entries(changes?.changedAttributes ?? {})) {
+            record({ ...base, kind: DifferenceKind.ATTRIBUTE, attribute, leftValue: change.old, rightValue: change.new });
+        }
+        for (const [attribute, value] of Object.entries(changes?.removedAttributes ?? {})) {
+            record({ ...base, kind: DifferenceKind.ATTRIBUTE, attribute, leftValue: value });
+        }
+        for (const [attribute, value] of Object.entries(changes?.addedAttributes ?? {})) {
+            record({ ...base, kind: DifferenceKind.ATTRIBUTE, attribute, rightValue: value });
+        }
+        // Namespace declarations are reported as the xmlns attributes they are written as
+        for (const [prefix, change] of Object.entries(changes?.changedNamespaces ?? {})) {
+            record({ ...base, kind: DifferenceKind.ATTRIBUTE, attribute: getDeclarationName(prefix), leftValue: change.old, rightValue: change.new });
+        }
+        for (const [prefix, uri] of Object.entries(changes?.removedNamespaces ?? {})) {
+            record({ ...base, kind: DifferenceKind.ATTRIBUTE, attribute: getDeclarationName(prefix), leftValue: uri });
+        }
+        for (const [prefix, uri] of Object.entries(changes?.addedNamespaces ?? {})) {
+            record({ ...base, kind: DifferenceKind.ATTRIBUTE, attribute: getDeclarationName(prefix), rightValue: uri });
+        }
+        if (records.length === before) {
+            // Only the element's namespace changed (or nothing that can be listed)
+            record({ ...base, kind: DifferenceKind.NODE, leftValue: changes?.namespace?.old, rightValue: changes?.namespace?.new });
+        }
+    }
+
+    for (const leftXPath of diffResults.leftOnly) {
+        const node = findNodeByXPath(leftTree, leftXPath);
+        record({ status: 'leftOnly', kind: DifferenceKind.NODE, leftXPath, leftValue: node?.textContent || null });
+    }
+    for (const rightXPath of diffResults.rightOnly) {
+        const node = findNodeByXPath(rightTree, rightXPath);
+        record({ status: 'rightOnly', kind: DifferenceKind.NODE, rightXPath, rightValue: node?.textContent || null });
+    }
+    for (const { from, to } of diffResults.moved) {
+        record({ status: 'moved', kind: DifferenceKind.NODE, leftXPath: from, rightXPath: to, leftValue: from, rightValue: to });
+    }
+
+    return records;
+}
+
+// ============================================================================
+// FORMATS
+// ============================================================================
+
+/**
+ * Serialize comparison results as JSON (see EXPORT_SCHEMA_VERSION).
+ *
+ * @param {XmlNode} leftTree - The left tree that was compared
+ * @param {XmlNode} rightTree - The right tree that was compared
+ * @param {DiffResults} diffResults - The comparison results
+ * @param {ExportOptions} [options] - Labels and timestamp
+ * @returns {string} Indented JSON
+ *
+ * @example
+ * JSON.parse(exportJson(leftTree, rightTree, diffResults)).differences.length; // 3
+ */
+export function exportJson(leftTree, rightTree, diffResults, options = {}) {
+    const opts = { ...DEFAULT_EXPORT_OPTIONS, ...options };
+    const differences = collectDifferences(leftTree, rightTree, diffResults);
+
+    const document = {
+        schemaVersion: EXPORT_SCHEMA_VERSION,
+        ...(opts.generatedAt && { generatedAt: new Date(opts.generatedAt).toISOString() }),
+        left: { name: opts.leftName },
+        right: { name: opts.rightName },
+        identical: differences.length === 0,
+        stats: diffResults.stats,
+        differences,
+        ignored: diffResults.ignored,
+        normalized: diffResults.normalized,
+    };
+
+    return JSON.stringify(document, null, 2) + '\n';
+}
+
+/**
+ * Serialize the differences as CSV (RFC 4180, with a header row).
+ *
+ * Moves have the left and right XPaths as their values.
+ *
+ * @param {XmlNode} leftTree - The left tree that was compared
+ * @param {XmlNode} rightTree - The right tree that was compared
+ * @param {DiffResults} diffResults - The comparison results
+ * @returns {string} The CSV text
+ *
+ * @example
+ * exportCsv(leftTree, rightTree, diffResults);
+ * // 'path,status,attribute,left value,right value\r\n/catalog/item/@status,different,status,new,old\r\n...'
+ */
+export function exportCsv(leftTree, rightTree, diffResults) {
+    const rows = collectDifferences(leftTree, rightTree, diffResults).map(difference => [
+        difference.path,
+        difference.status,
+        difference.attribute,
+        difference.leftValue,
+        difference.rightValue,
+    ]);
+
+    return [CSV_COLUMNS, ...rows]
+        .map(row => row.map(escapeCsvField).join(','))
+        .join('\r\n') + '\r\n';
+}
+
+/**
+ * Serialize the differences as a JUnit XML report: every difference is a
+ * failing test case, and identical documents give one passing test case.
+ *
+ * @param {XmlNode} leftTree - The left tree that was compared
+ * @param {XmlNode} rightTree - The right tree that was compared
+ * @param {DiffResults} diffResults - The comparison results
+ * @param {ExportOptions} [options] - Labels, suite name and timestamp
+ * @returns {string} The JUnit XML document
+ *
+ * @example
+ * exportJUnit(leftTree, rightTree, diffResults, { suiteName: 'orders regression' });
+ */
+export function exportJUnit(leftTree, rightTree, diffResults, options = {}) {
+    const opts = { ...DEFAULT_EXPORT_OPTIONS, ...options };
+    const differences = collectDifferences(leftTree, rightTree, diffResults);
+    const suiteName = opts.suiteName ?? `${opts.leftName} vs ${opts.rightName}`;
+    const timestamp = opts.generatedAt ? ` timestamp="${new Date(opts.generatedAt).toISOString()}"` : '';
+
+    const testCases = differences.length === 0
+        ? ['    <testcase classname="identical" name="documents are identical"/>']
+        : differences.map((difference) => {
+            const message = describeDifference(difference);
+            const values = describeValues(difference, leftTree, rightTree);
+            return `    <testcase classname="${difference.status}" name="${escapeXml(difference.path)}">\n`
+                + `      <failure type="${difference.status}" message="${escapeXml(message)}">${escapeXml(values)}</failure>\n`
+                + '    </testcase>';
+        });
+
+    const counts = `tests="${testCases.length}" failures="${differences.length}" errors="0"`;
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<testsuites name="xml-compare" ${counts}>`,
+        `  <testsuite name="${escapeXml(suiteName)}" ${counts}${timestamp}>`,
+        ...testCases,
+        '  </testsuite>',
+        '</testsuites>',
+        '',
+    ].join('\n');
+}
+
+/**
+ * Export comparison results in any format.
+ *
+ * @param {string} format - One of ExportFormat
+ * @param {XmlNode} leftTree - The left tree that was compared
+ * @param {XmlNode} rightTree - The right tree that was compared
+ * @param {DiffResults} diffResults - The comparison results
+ * @param {ExportOptions} [options] - Labels and format options (HTML takes
+ *   HtmlReportOptions)
+ * @returns {string} The exported text
+ * @throws {Error} For unknown formats
+ *
+ * @example
+ * fs.writeFileSync('diff.xml', exportDiff(ExportFormat.JUNIT, leftTree, rightTree, results));
+ */
+export function exportDiff(format, leftTree, rightTree, diffResults, options = {}) {
+    switch (format) {
+        case ExportFormat.JSON:
+            return exportJson(leftTree, rightTree, diffResults, options);
+        case ExportFormat.CSV:
+            return exportCsv(leftTree, rightTree, diffResults);
+        case ExportFormat.JUNIT:
+            return exportJUnit(leftTree, rightTree, diffResults, options);
+        case ExportFormat.HTML:
+            return createHtmlReport(leftTree, rightTree, diffResults, options);
+        default:
+            throw new Error(`Unknown export format: ${format} (expected ${Object.values(ExportFormat).join(', ')})`);
+    }
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * @param {string} xpath - XPath of the node that differs
+ * @param {string} kind - What differs (see DifferenceKind)
+ * @param {string|null} attribute - The attribute, for attribute differences
+ * @returns {string} The XPath of what differs: the node, its text() or its attribute
+ */
+function getDifferencePath(xpath, kind, attribute) {
+    if (attribute) return `${xpath}/@${attribute}`;
+    if (kind === DifferenceKind.TEXT) return `${xpath}/text()`;
+    return xpath;
+}
+
+/**
+ * @param {DifferenceRecord} difference - A difference
+ * @returns {string} A one-line summary
+ */
+function describeDifference(difference) {
+    switch (difference.status) {
+        case 'leftOnly':
+            return `Only in the left document: ${difference.xpath}`;
+        case 'rightOnly':
+            return `Only in the right document: ${difference.xpath}`;
+        case 'moved':
+            return `Moved from ${difference.leftXPath} to ${difference.rightXPath}`;
+        default:
+            if (difference.attribute && difference.leftValue === null) return `Attribute @${difference.attribute} added`;
+            if (difference.attribute && difference.rightValue === null) return `Attribute @${difference.attribute} removed`;
+            if (difference.attribute) return `Attribute @${difference.attribute} differs`;
+            return difference.kind === DifferenceKind.TEXT ? 'Text differs' : 'Element differs';
+    }
+}
+
+/**
+ * @param {DifferenceRecord} difference - A difference
+ * @param {XmlNode} leftTree - The left tree that was compared
+ * @param {XmlNode} rightTree - The right tree that was compared
+ * @returns {string} Both values, one per line; a node on one side only
+ *   shows its text, or its tag when it has none
+ */
+function describeValues(difference, leftTree, rightTree) {
+    const present = (tree, xpath, value) => {
+        if (value !== null) return value;
+        const node = findNodeByXPath(tree, xpath);
+        return node ? `<${node.tagName}>` : '(none)';
+    };
+
+    const leftValue = difference.status === 'leftOnly'
+        ? present(leftTree, difference.leftXPath, difference.leftValue)
+        : difference.leftValue ?? '(none)';
+    const rightValue = difference.status === 'rightOnly'
+        ? present(rightTree, difference.rightXPath, difference.rightValue)
+        : difference.rightValue ?? '(none)';
+    return `left: ${leftValue}\nright: ${rightValue}`;
+}
+
+/**
+ * Quote a CSV field when it holds a comma, quote or line break.
+ *
+ * @param {string|null} value - The field
+ * @returns {string} The CSV field
+ */
+function escapeCsvField(value) {
+    const text = value ?? '';
+    return /[",\r\n]/u.test(text) ? `"${text.replace(/"/gu, '""')}"` : text;
+}
+
+/**
+ * Escape text for XML content and attribute values.
+ *
+ * @param {string} value - The text
+ * @returns {string} Escaped text
+ */
+function escapeXml(value) {
+    return String(value).replace(/[&<>"']/gu, char => XML_ENTITIES[char]);
+}
@@ -0,0 +1,155 @@
+/**
+ * ============================================================================
+ * DIFF FILTER - Core Library
+ * ============================================================================
+ *
+ * This module decides which nodes a tree view keeps when it shows only the
+ * differences: every node whose diff category is enabled, the ancestors that
+ * lead to it, and optionally some context around it. Everything else (the
+ * unchanged subtrees) is hidden.
+ *
+ * CONTEXT:
+ * With a context of N levels, a kept node also keeps
+ * - its descendants down to N levels, and
+ * - the children of its ancestors up to N levels up (its siblings for 1,
+ *   its parent's siblings as well for 2, and so on).
+ *
+ * DEPENDENCIES:
+ * - xmlParser.js (document nodes)
+ * - xmlComparer.js (diff status lookups)
+ *
+ * ============================================================================
+ */
+
+import { getDocumentNodes } from './xmlParser.js';
+import { getDiffStatus, DiffStatus } from './xmlComparer.js';
+
+// ============================================================================
+// TYPE DEFINITIONS (JSDoc for IDE support)
+// ============================================================================
+
+/**
+ * @typedef {Object} DiffFilterOptions
+ * @property {string[]} [categories] - Which categories to keep (see
+ *   DiffCategory; default all but matched and ignored)
+ * @property {number} [context=0] - Levels of context around kept nodes
+ */
+
+/**
+ * Enum-like object for the categories of a node, named like the lists of
+ * the comparison results.
+ */
+export const DiffCategory = {
+    MATCHED: 'matched',
+    DIFFERENT: 'different',
+    LEFT_ONLY: 'leftOnly',
+    RIGHT_ONLY: 'rightOnly',
+    MOVED: 'moved',
+    IGNORED: 'ignored',
+};
+
+/**
+ * The categories kept by default: everything that changed.
+ */
+export const DEFAULT_FILTER_CATEGORIES = [
+    DiffCategory.DIFFERENT,
+    DiffCategory.LEFT_ONLY,
+    DiffCategory.RIGHT_ONLY,
+    DiffCategory.MOVED,
+];
+
+// ============================================================================
+// MAIN FUNCTIONS
+// ============================================================================
+
+/**
+ * Get the category of a node from its diff status.
+ *
+ * @param {string} xpath - XPath of the node on `side`
+ * @param {DiffResults|null} diffResults - The comparison results
+ * @param {'left'|'right'} side - Which tree the XPath belongs to
+ * @returns {string|null} One of DiffCategory, or null for neutral nodes
+ *
+ * @example
+ * getDiffCategory('/root/extra', diffResults, 'right'); // 'rightOnly'
+ */
+export function getDiffCategory(xpath, diffResults, side) {
+    switch (getDiffStatus(xpath, diffResults, side)) {
+        case DiffStatus.MATCHED:
+            return DiffCategory.MATCHED;
+        case DiffStatus.DIFFERENT:
+            return DiffCategory.DIFFERENT;
+        case DiffStatus.IGNORED:
+            return DiffCategory.IGNORED;
+        case DiffStatus.MOVED:
+            return DiffCategory.MOVED;
+        case DiffStatus.EXTRA:
+            return side === 'left' ? DiffCategory.LEFT_ONLY : DiffCategory.RIGHT_ONLY;
+        default:
+            return null;
+    }
+}
+
+/**
+ * Collect the XPaths a tree view keeps when it shows only some categories.
+ *
+ * @param {XmlNode} tree - The root of one of the compared trees
+ * @param {DiffResults|null} diffResults - The comparison results
+ * @param {'left'|'right'} side - Which tree it is
+ * @param {DiffFilterOptions} [options] - What to keep
+ * @returns {Set<string>} The XPaths to keep (empty without results)
+ *
+ * @example
+ * collectDiffFilterXPaths(tree, diffResults, 'left', { context: 1 });
+ * // Set { '/root', '/root/item', '/root/item/price', '/root/item/name', ... }
+ */
+export function collectDiffFilterXPaths(tree, diffResults, side, options = {}) {
+    const { categories = DEFAULT_FILTER_CATEGORIES, context = 0 } = options;
+    const enabled = new Set(categories);
+    const visible = new Set();
+    if (!diffResults) return visible;
+
+    // Nodes with an enabled category, and each node's parent
+    const targets = [];
+    const parents = new Map();
+    const visit = (node, parent) => {
+        parents.set(node, parent);
+        if (enabled.has(getDiffCategory(node.xpath, diffResults, side))) {
+            targets.push(node);
+        }
+        node.children.forEach(child => visit(child, node));
+    };
+    getDocumentNodes(tree).forEach(node => visit(node, null));
+
+    // How deep below each node descendants were already kept, and which
+    // nodes already had all their children kept
+    const keptDepth = new Map();
+    const keptChildren = new Set();
+
+    const keepDescendants = (node, depth) => {
+        if ((keptDepth.get(node) ?? -1) >= depth) return;
+        keptDepth.set(node, depth);
+        visible.add(node.xpath);
+        if (depth > 0) {
+            node.children.forEach(child => keepDescendants(child, depth - 1));
+        }
+    };
+
+    for (const target of targets) {
+        keepDescendants(target, context);
+
+        let level = 0;
+        for (let ancestor = parents.get(target); ancestor; ancestor = parents.get(ancestor)) {
+            level++;
+            if (level <= context && !keptChildren.has(ancestor)) {
+                keptChildren.add(ancestor);
+                ancestor.children.forEach(child => visible.add(child.xpath));
+            }
+            // Ancestors above the context that are already kept have theirs kept too
+            if (visible.has(ancestor.xpath) && level > context) break;
+            visible.add(ancestor.xpath);
+        }
+    }
+
+    return visible;
+}
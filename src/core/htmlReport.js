@@ -0,0 +1,490 @@
+/**
+ * ============================================================================
+ * HTML REPORT - Core Library
+ * ============================================================================
+ *
+ * This module renders comparison results as a single self-contained HTML
+ * page, for attaching to tickets and emails. The page has:
+ * - the summary statistics
+ * - the changes grouped by status, with a text filter and status toggles
+ * - both documents side by side, highlighted like the syntax view
+ *
+ * Styles and the small filtering script are inlined, so the file needs no
+ * external assets and opens offline in any browser.
+ *
+ * DEPENDENCIES:
+ * - xmlParser.js (document nodes and markup of non-element nodes)
+ * - xmlComparer.js (diff status and change lookups)
+ * - inlineDiff.js (changed words inside values)
+ * - xmlNames.js (names of namespace declarations)
+ *
+ * ============================================================================
+ */
+
+import { getDocumentNodes, getNodeDelimiters, isElementNode } from './xmlParser.js';
+import {
+    getDiffStatus,
+    getNodeChanges,
+    getChangedAttributeNames,
+    isNormalizedMatch,
+    DiffStatus,
+} from './xmlComparer.js';
+import { diffInline, getSideSegments, InlineDiffMode, SegmentType } from './inlineDiff.js';
+import { getDeclarationName } from './xmlNames.js';
+
+// ============================================================================
+// TYPE DEFINITIONS (JSDoc for IDE support)
+// ============================================================================
+
+/**
+ * @typedef {Object} HtmlReportOptions
+ * @property {string} [title='XML Comparison Report'] - Page title and heading
+ * @property {string} [leftName='Left'] - Label of the left document (e.g. its file name)
+ * @property {string} [rightName='Right'] - Label of the right document
+ * @property {Date|string} [generatedAt] - When the report was made (default now)
+ * @property {'word'|'char'} [inlineDiffMode='word'] - Granularity of changed
+ *   values (see InlineDiffMode)
+ */
+
+const DEFAULT_REPORT_OPTIONS = {
+    title: 'XML Comparison Report',
+    leftName: 'Left',
+    rightName: 'Right',
+    generatedAt: null,
+    inlineDiffMode: InlineDiffMode.WORD,
+};
+
+// Groups of the change list, in display order
+const CHANGE_GROUPS = [
+    ['different', 'Different'],
+    ['leftOnly', 'Left only'],
+    ['rightOnly', 'Right only'],
+    ['moved', 'Moved'],
+];
+
+const HTML_ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+// Mirrors VIEW_ONLY_COLORS and INLINE_DIFF_COLORS (utils/colorConfig.js) with
+// the Tailwind palette values written out, as the report has no Tailwind
+const REPORT_STYLES = `
+* { box-sizing: border-box; }
+body { margin: 0; font-family: system-ui, -apple-system, 'Segoe UI', sans-serif; color: #0f172a; background: #f8fafc; }
+header, section { padding: 16px 24px; }
+header { background: #0f172a; color: #f8fafc; }
+h1 { margin: 0 0 4px; font-size: 20px; }
+h2 { margin: 0 0 12px; font-size: 16px; }
+.meta { color: #94a3b8; font-size: 13px; }
+.stats { display: flex; flex-wrap: wrap; gap: 8px; margin-top: 12px; }
+.stat { min-width: 90px; padding: 6px 12px; border-radius: 8px; background: #1e293b; text-align: center; }
+.stat b { display: block; font-size: 20px; }
+.stat span { font-size: 10px; letter-spacing: 0.05em; text-transform: uppercase; color: #cbd5e1; }
+.identical { color: #16a34a; font-weight: 600; }
+.filters { display: flex; flex-wrap: wrap; align-items: center; gap: 12px; margin-bottom: 12px; font-size: 13px; }
+.filters input[type=search] { width: 280px; padding: 4px 8px; border: 1px solid #cbd5e1; border-radius: 6px; }
+details { margin-bottom: 8px; background: #fff; border: 1px solid #e2e8f0; border-radius: 8px; }
+summary { padding: 6px 12px; cursor: pointer; font-weight: 600; font-size: 14px; }
+details ul { margin: 0; padding: 0 12px 8px; list-style: none; }
+.change { padding: 4px 0; border-top: 1px solid #f1f5f9; font-size: 13px; }
+.change a { font-family: ui-monospace, Menlo, Consolas, monospace; color: #1d4ed8; text-decoration: none; }
+.change a:hover { text-decoration: underline; }
+.detail { margin: 2px 0 0 16px; color: #334155; font-family: ui-monospace, Menlo, Consolas, monospace; white-space: pre-wrap; word-break: break-all; }
+.side-by-side { display: grid; grid-template-columns: 1fr 1fr; gap: 16px; }
+.document { min-width: 0; overflow: auto; padding: 12px 16px; background: #fff; border: 1px solid #e2e8f0; border-radius: 8px;
+    font-family: ui-monospace, Menlo, Consolas, monospace; font-size: 13px; }
+.document h3 { margin: 0 0 8px; font-family: system-ui, sans-serif; font-size: 14px; }
+.line { margin: 0 -8px; padding: 0 8px; white-space: pre; border-left: 2px solid transparent; }
+.line:target { outline: 2px solid #facc15; outline-offset: -2px; }
+.status-matched { background: rgb(240 253 244 / 0.5); border-left-color: #86efac; }
+.status-extra { background: rgb(255 251 235 / 0.5); border-left-color: #fcd34d; }
+.status-different { background: rgb(250 245 255 / 0.4); border-left-color: #d8b4fe; }
+.status-moved { background: rgb(240 249 255 / 0.5); border-left-color: #7dd3fc; }
+.status-ignored { background: rgb(241 245 249 / 0.6); border-left-color: #cbd5e1; }
+.punct { color: #94a3b8; }
+.tag { color: #1d4ed8; font-weight: 600; }
+.eq { color: #64748b; }
+.attr-key { color: #9333ea; }
+.attr-value { color: #16a34a; }
+.attr-changed { margin: 0 2px; padding: 0 4px; background: #fff7ed; border: 1px solid #fb923c; border-radius: 4px; box-shadow: 0 0 0 1px #fed7aa; }
+.attr-changed .attr-key { color: #9a3412; font-weight: 700; }
+.attr-changed .attr-value { color: #c2410c; font-weight: 600; }
+.attr-normalized { text-decoration: underline dotted #16a34a; }
+.text { color: #0f172a; font-weight: 500; }
+.text-changed { margin: 0 4px; padding: 2px 6px; color: #155e75; background: #ecfeff; border: 1px solid #22d3ee;
+    border-radius: 4px; box-shadow: 0 0 0 1px #a5f3fc; font-weight: 600; }
+.text-normalized { text-decoration: underline dotted #16a34a; }
+.node-comment { color: #64748b; font-style: italic; }
+.node-processing-instruction { color: #0f766e; }
+ins { color: #14532d; background: #bbf7d0; border-radius: 2px; text-decoration: none; }
+del { color: #7f1d1d; background: #fecaca; border-radius: 2px; text-decoration: line-through #ef4444; }
+`;
+
+// Filters the change list by text and status (no other behaviour)
+const REPORT_SCRIPT = `
+(function () {
+    var search = document.getElementById('change-search');
+    var toggles = document.querySelectorAll('[data-status-toggle]');
+    if (!search) return;
+    function update() {
+        var query = search.value.toLowerCase();
+        var shown = {};
+        toggles.forEach(function (toggle) { shown[toggle.value] = toggle.checked; });
+        document.querySelectorAll('details[data-group]').forEach(function (group) {
+            var visible = 0;
+            group.querySelectorAll('.change').forEach(function (change) {
+                change.hidden = !shown[group.dataset.group] || change.dataset.search.indexOf(query) === -1;
+                if (!change.hidden) visible++;
+            });
+            group.hidden = visible === 0;
+            group.querySelector('.count').textContent = visible;
+        });
+    }
+    search.addEventListener('input', update);
+    toggles.forEach(function (toggle) { toggle.addEventListener('change', update); });
+})();
+`;
+
+// ============================================================================
+// MAIN FUNCTION
+// ============================================================================
+
+/**
+ * Render comparison results as a standalone HTML page.
+ *
+ * @param {XmlNode} leftTree - The left tree that was compared
+ * @param {XmlNode} rightTree - The right tree that was compared
+ * @param {DiffResults} diffResults - The comparison results
+ * @param {HtmlReportOptions} [options] - Labels and rendering options
+ * @returns {string} The complete HTML document
+ *
+ * @example
+ * const html = createHtmlReport(leftTree, rightTree, compareXml(leftTree, rightTree), {
+ *   leftName: 'expected.xml',
+ *   rightName: 'actual.xml',
+ * });
+ */
+export function createHtmlReport(leftTree, rightTree, diffResults, options = {}) {
+    const opts = { ...DEFAULT_REPORT_OPTIONS, ...options };
+    const generatedAt = opts.generatedAt ? new Date(opts.generatedAt) : new Date();
+
+    // Render the documents first: the change list links to their lines
+    const left = renderDocument(leftTree, 'left', diffResults, opts);
+    const right = renderDocument(rightTree, 'right', diffResults, opts);
+    const lineIds = { left: left.lineIds, right: right.lineIds };
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(opts.title)}</title>
+<style>${REPORT_STYLES}</style>
+</head>
+<body>
+<header>
+<h1>${escapeHtml(opts.title)}</h1>
+<div class="meta">${escapeHtml(opts.leftName)} ⟷ ${escapeHtml(opts.rightName)} · generated ${escapeHtml(generatedAt.toISOString())}</div>
+${renderStats(diffResults.stats)}
+</header>
+<section>
+<h2>Changes</h2>
+${renderChangeList(diffResults, leftTree, rightTree, lineIds)}
+</section>
+<section>
+<h2>Documents</h2>
+<div class="side-by-side">
+<div class="document"><h3>${escapeHtml(opts.leftName)}</h3>
+${left.html}
+</div>
+<div class="document"><h3>${escapeHtml(opts.rightName)}</h3>
+${right.html}
+</div>
+</div>
+</section>
+<script>${REPORT_SCRIPT}</script>
+</body>
+</html>
+`;
+}
+
+// ============================================================================
+// SUMMARY AND CHANGE LIST
+// ============================================================================
+
+/**
+ * Render the statistics cards.
+ *
+ * @param {DiffStats} stats - Summary statistics
+ * @returns {string} HTML
+ */
+function renderStats(stats) {
+    const cards = [
+        ['Left', stats.totalLeft],
+        ['Right', stats.totalRight],
+        ['Matched', stats.matched],
+        ['Left only', stats.leftOnly],
+        ['Right only', stats.rightOnly],
+        ['Different', stats.different],
+        ['Moved', stats.moved],
+        ['Ignored', stats.ignored],
+    ];
+
+    return `<div class="stats">${cards.map(([label, value]) => (
+        `<div class="stat"><b>${value}</b><span>${label}</span></div>`
+    )).join('')}</div>`;
+}
+
+/**
+ * Render the changes grouped by status, with the filter controls.
+ *
+ * Elements only on one side are listed by the root of each such subtree.
+ *
+ * @param {DiffResults} diffResults - The comparison results
+ * @param {XmlNode} leftTree - The left tree
+ * @param {XmlNode} rightTree - The right tree
+ * @param {{left: Map<string, string>, right: Map<string, string>}} lineIds - Line
+ *   anchors of the rendered documents, by XPath
+ * @returns {string} HTML
+ */
+function renderChangeList(diffResults, leftTree, rightTree, lineIds) {
+    const link = (side, xpath) => {
+        const id = lineIds[side].get(xpath);
+        return id ? `<a href="#${id}">${escapeHtml(xpath)}</a>` : escapeHtml(xpath);
+    };
+    const item = (texts, html) => (
+        `<li class="change" data-search="${escapeHtml(texts.join(' ').toLowerCase())}">${html}</li>`
+    );
+
+    const groups = {
+        different: diffResults.different.map((xpath) => {
+            const rightXPath = diffResults.counterparts.left[xpath];
+            const details = describeNodeChanges(diffResults.changes[xpath]);
+            const where = rightXPath && rightXPath !== xpath
+                ? `${link('left', xpath)} → ${link('right', rightXPath)}`
+                : link('left', xpath);
+            return item(
+                [xpath, rightXPath ?? '', ...details],
+                `${where}${details.map(detail => `<div class="detail">${escapeHtml(detail)}</div>`).join('')}`
+            );
+        }),
+        leftOnly: getSubtreeRoots(leftTree, diffResults.leftOnly).map(({ xpath, size }) => (
+            item([xpath], `${link('left', xpath)} ${describeSize(size)}`)
+        )),
+        rightOnly: getSubtreeRoots(rightTree, diffResults.rightOnly).map(({ xpath, size }) => (
+            item([xpath], `${link('right', xpath)} ${describeSize(size)}`)
+        )),
+        moved: diffResults.moved.map(({ from, to }) => (
+            item([from, to], `${link('left', from)} → ${link('right', to)}`)
+        )),
+    };
+
+    const total = Object.values(groups).reduce((sum, items) => sum + items.length, 0);
+    if (total === 0) {
+        return '<p class="identical">No differences: the documents are identical.</p>';
+    }
+
+    const filters = `<div class="filters">
+<input id="change-search" type="search" placeholder="Filter by XPath or value">
+${CHANGE_GROUPS.map(([status, label]) => (
+        `<label><input type="checkbox" data-status-toggle value="${status}" checked> ${label}</label>`
+    )).join('\n')}
+</div>`;
+
+    const sections = CHANGE_GROUPS
+        .filter(([status]) => groups[status].length > 0)
+        .map(([status, label]) => (
+            `<details open data-group="${status}"><summary>${label} (<span class="count">${groups[status].length}</span>)</summary>
+<ul>
+${groups[status].join('\n')}
+</ul>
+</details>`
+        ));
+
+    return `${filters}\n${sections.join('\n')}`;
+}
+
+/**
+ * Describe the text, attribute and namespace differences of a paired
+ * element, one line per difference.
+ *
+ * @param {NodeChanges|undefined} changes - The element's recorded changes
+ * @returns {string[]} Descriptions
+ */
+function describeNodeChanges(changes) {
+    if (!changes) return [];
+
+    const details = [];
+    if (changes.text) {
+        details.push(`text: "${changes.text.old}" → "${changes.text.new}"`);
+    }
+    for (const [name, change] of Object.entries(changes.changedAttributes)) {
+        details.push(`@${name}: "${change.old}" → "${change.new}"`);
+    }
+    for (const [name, value] of Object.entries(changes.addedAttributes)) {
+        details.push(`@${name} added: "${value}"`);
+    }
+    for (const [name, value] of Object.entries(changes.removedAttributes)) {
+        details.push(`@${name} removed: "${value}"`);
+    }
+    if (changes.namespace) {
+        details.push(`namespace: "${changes.namespace.old ?? ''}" → "${changes.namespace.new ?? ''}"`);
+    }
+    for (const [prefix, change] of Object.entries(changes.changedNamespaces)) {
+        details.push(`${getDeclarationName(prefix)}: "${change.old}" → "${change.new}"`);
+    }
+    for (const [prefix, uri] of Object.entries(changes.addedNamespaces)) {
+        details.push(`${getDeclarationName(prefix)} added: "${uri}"`);
+    }
+    for (const [prefix, uri] of Object.entries(changes.removedNamespaces)) {
+        details.push(`${getDeclarationName(prefix)} removed: "${uri}"`);
+    }
+    return details;
+}
+
+/**
+ * Group one-sided XPaths into the subtrees they form.
+ *
+ * @param {XmlNode} tree - The tree they belong to
+ * @param {string[]} xpaths - XPaths of nodes only on that side
+ * @returns {Array<{xpath: string, size: number}>} The root of each subtree
+ *   and how many of the XPaths it holds, in document order
+ */
+function getSubtreeRoots(tree, xpaths) {
+    const listed = new Set(xpaths);
+    const roots = [];
+
+    const countListed = (node) => (
+        (listed.has(node.xpath) ? 1 : 0) + node.children.reduce((sum, child) => sum + countListed(child), 0)
+    );
+    const visit = (node) => {
+        if (listed.has(node.xpath)) {
+            roots.push({ xpath: node.xpath, size: countListed(node) });
+        } else {
+            node.children.forEach(visit);
+        }
+    };
+
+    getDocumentNodes(tree).forEach(visit);
+    return roots;
+}
+
+/**
+ * @param {number} size - Nodes in a one-sided subtree
+ * @returns {string} HTML noting the size of larger subtrees
+ */
+function describeSize(size) {
+    return size > 1 ? `<span class="meta">(${size} nodes)</span>` : '';
+}
+
+// ============================================================================
+// SIDE-BY-SIDE DOCUMENTS
+// ============================================================================
+
+/**
+ * Render a tree as highlighted markup, one line per tag like the syntax view.
+ *
+ * @param {XmlNode} tree - The tree
+ * @param {'left'|'right'} side - Which tree it is
+ * @param {DiffResults} diffResults - The comparison results
+ * @param {HtmlReportOptions} opts - Rendering options
+ * @returns {{html: string, lineIds: Map<string, string>}} The markup and the
+ *   anchor of each node's (opening) line
+ */
+function renderDocument(tree, side, diffResults, opts) {
+    const lines = [];
+    const lineIds = new Map();
+    const context = { side, diffResults, opts, lines, lineIds };
+
+    getDocumentNodes(tree).forEach(node => renderNode(node, 0, context));
+    return { html: lines.join('\n'), lineIds };
+}
+
+/**
+ * Render a node and its descendants into the context's lines.
+ *
+ * @param {XmlNode} node - The node
+ * @param {number} depth - Nesting depth (for indentation)
+ * @param {Object} context - Side, results, options and output
+ */
+function renderNode(node, depth, context) {
+    const { side, diffResults, opts, lines, lineIds } = context;
+    const status = getDiffStatus(node.xpath, diffResults, side);
+    const isNormalized = status === DiffStatus.MATCHED && isNormalizedMatch(node.xpath, diffResults, side);
+    const changes = (status === DiffStatus.DIFFERENT || isNormalized)
+        ? getNodeChanges(node.xpath, diffResults, side)
+        : null;
+
+    const id = `${side === 'left' ? 'l' : 'r'}${lineIds.size + 1}`;
+    lineIds.set(node.xpath, id);
+
+    const line = (content, lineId) => (
+        `<div class="line status-${status}"${lineId ? ` id="${lineId}"` : ''}>`
+        + `<span style="padding-left: ${depth * 1.5}em">${content}</span></div>`
+    );
+    const punct = (text) => `<span class="punct">${escapeHtml(text)}</span>`;
+    const tag = (name) => `<span class="tag">${escapeHtml(name)}</span>`;
+    const text = renderValue(node.textContent, changes?.text, side, opts);
+    const textClass = changes?.text ? (isNormalized ? 'text-normalized' : 'text-changed') : '';
+
+    // Comments, processing instructions and CDATA take a single line
+    if (!isElementNode(node)) {
+        const { open, close } = getNodeDelimiters(node);
+        const body = node.textContent ? ` <span class="${textClass}">${text}</span> ` : '';
+        lines.push(line(`<span class="node-${node.kind}">${escapeHtml(open)}${body}${escapeHtml(close)}</span>`, id));
+        return;
+    }
+
+    const changedAttributes = getChangedAttributeNames(changes);
+    const attributes = Object.entries(node.attributes).map(([name, value]) => {
+        const attributeClass = changedAttributes.has(name)
+            ? (isNormalized ? 'attr-normalized' : 'attr-changed')
+            : '';
+        const valueHtml = renderValue(value, changes?.changedAttributes[name], side, opts);
+        return ` <span class="${attributeClass}"><span class="attr-key">${escapeHtml(name)}</span>`
+            + `<span class="eq">=</span><span class="attr-value">"${valueHtml}"</span></span>`;
+    }).join('');
+
+    const hasChildren = node.children.length > 0;
+    const open = `${punct('<')}${tag(node.tagName)}${attributes}`;
+
+    if (!hasChildren) {
+        lines.push(line(node.textContent
+            ? `${open}${punct('>')}<span class="text ${textClass}">${text}</span>${punct('</')}${tag(node.tagName)}${punct('>')}`
+            : `${open}${punct(' />')}`, id));
+        return;
+    }
+
+    lines.push(line(`${open}${punct('>')}`, id));
+    node.children.forEach(child => renderNode(child, depth + 1, context));
+    lines.push(line(`${punct('</')}${tag(node.tagName)}${punct('>')}`));
+}
+
+/**
+ * Render a text or attribute value, marking the changed words if it changed.
+ *
+ * @param {string} value - The value on this side
+ * @param {{old: string, new: string}|undefined|null} change - The recorded change
+ * @param {'left'|'right'} side - Which side is rendered
+ * @param {HtmlReportOptions} opts - Rendering options
+ * @returns {string} HTML
+ */
+function renderValue(value, change, side, opts) {
+    if (!change) return escapeHtml(value);
+
+    return getSideSegments(diffInline(change.old, change.new, opts.inlineDiffMode), side)
+        .map((segment) => {
+            if (segment.type === SegmentType.INSERT) return `<ins>${escapeHtml(segment.value)}</ins>`;
+            if (segment.type === SegmentType.DELETE) return `<del>${escapeHtml(segment.value)}</del>`;
+            return escapeHtml(segment.value);
+        })
+        .join('');
+}
+
+/**
+ * Escape text for use in HTML content and attribute values.
+ *
+ * @param {*} value - The text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/gu, char => HTML_ENTITIES[char]);
+}
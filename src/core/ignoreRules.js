@@ -0,0 +1,211 @@
+/**
+ * ============================================================================
+ * IGNORE RULES - Core Library
+ * ============================================================================
+ *
+ * This module compiles user-supplied ignore rules (timestamps, generated IDs,
+ * signatures, ...) into matchers the comparer can query per element.
+ *
+ * RULE SYNTAX (one rule per string):
+ * - `@generatedAt`                  attribute on any element
+ * - `/catalog/item/@rev`            attribute on matching elements
+ * - `/catalog/book/lastModified`    element's own text and attributes
+ *   (its children are still compared)
+ * - `/catalog/Signature/**`         element and its whole subtree
+ * - `lastModified` or `//lastModified`  element at any depth
+ *
+ * PATH STEPS:
+ * - `item` matches `item` and any indexed `item[n]`
+ * - `item[2]` matches only that index
+ * - `*` matches any single element
+ * - `//` matches any number of levels
+ * - `{http://example.com/ns}Order` matches a Clark-notation step
+ *
+ * DEPENDENCIES:
+ * - None (matches against XmlNode XPaths produced by xmlParser.js)
+ *
+ * ============================================================================
+ */
+
+// ============================================================================
+// TYPE DEFINITIONS (JSDoc for IDE support)
+// ============================================================================
+
+/**
+ * @typedef {Object} IgnoreRule
+ * @property {string} source - The rule as written by the user
+ * @property {'element'|'subtree'|'attribute'} kind - What the rule ignores
+ * @property {RegExp} pattern - Matches XPaths of the elements the rule applies to
+ * @property {string|null} attribute - Ignored attribute name ('*' = all), for attribute rules
+ */
+
+/**
+ * Enum-like object for the kinds of ignore rule.
+ */
+export const IgnoreRuleKind = {
+    ELEMENT: 'element',
+    SUBTREE: 'subtree',
+    ATTRIBUTE: 'attribute',
+};
+
+// ============================================================================
+// RULE COMPILATION
+// ============================================================================
+
+/**
+ * Compile ignore rules into matchers.
+ *
+ * Blank rules and lines starting with `#` are skipped, so the text of a
+ * rules editor can be passed in line by line.
+ *
+ * @param {string[]} rules - Rules in the syntax described above
+ * @returns {IgnoreRule[]} Compiled rules
+ *
+ * @example
+ * const rules = compileIgnoreRules(['@generatedAt', '/catalog/book/lastModified']);
+ * isElementIgnored(rules, '/catalog/book[2]/lastModified'); // true
+ */
+export function compileIgnoreRules(rules = []) {
+    return rules
+        .map(rule => rule.trim())
+        .filter(rule => rule !== '' && !rule.startsWith('#'))
+        .map(compileRule);
+}
+
+/**
+ * Compile a single rule.
+ *
+ * @param {string} source - The trimmed rule
+ * @returns {IgnoreRule} The compiled rule
+ */
+function compileRule(source) {
+    const steps = splitSteps(source);
+    const last = steps[steps.length - 1];
+
+    let kind = IgnoreRuleKind.ELEMENT;
+    let attribute = null;
+
+    if (last.startsWith('@')) {
+        kind = IgnoreRuleKind.ATTRIBUTE;
+        attribute = last.slice(1);
+        steps.pop();
+    } else if (last === '**') {
+        kind = IgnoreRuleKind.SUBTREE;
+        steps.pop();
+    }
+
+    // A bare `@name` (or `//@name`) applies to every element
+    const path = steps.join('/');
+    const pattern = path === '' || path === '/'
+        ? /^/
+        : compilePathPattern(path);
+
+    return { source, kind, pattern, attribute };
+}
+
+// One XPath step, which may be a Clark name containing slashes
+const ANY_STEP = '(?:\\{[^}]*\\}|[^/{])+';
+
+/**
+ * Turn a path pattern into a regular expression over XPaths.
+ *
+ * Uses the path step syntax described above, so other per-path settings
+ * can share it.
+ *
+ * @param {string} path - Path pattern without the trailing attribute/`**` step
+ * @returns {RegExp} Anchored expression matching whole XPaths
+ *
+ * @example
+ * compilePathPattern('//price').test('/catalog/book[3]/price'); // true
+ */
+export function compilePathPattern(path) {
+    // Relative patterns match at any depth
+    let anyDepth = !path.startsWith('/');
+    let source = '^';
+
+    for (const step of splitSteps(path).slice(path.startsWith('/') ? 1 : 0)) {
+        if (step === '') {
+            anyDepth = true;
+            continue;
+        }
+
+        source += anyDepth ? `(?:/${ANY_STEP})*/` : '/';
+        source += compileStep(step);
+        anyDepth = false;
+    }
+
+    return new RegExp(`${source}$`);
+}
+
+/**
+ * Split a path into steps. Slashes inside a Clark namespace
+ * (`{http://example.com/ns}Order`) do not separate steps.
+ *
+ * @param {string} path - Path or rule
+ * @returns {string[]} The steps
+ */
+function splitSteps(path) {
+    return path.split(/\/(?![^{]*\})/);
+}
+
+/**
+ * Turn one path step into a regular expression fragment.
+ *
+ * @param {string} step - A tag name, `*`, or a tag with an index predicate
+ * @returns {string} Regular expression source
+ */
+function compileStep(step) {
+    if (step === '*') {
+        return ANY_STEP;
+    }
+
+    const escaped = step.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+    // Without a predicate, a step matches every index of that tag
+    return step.includes('[') ? escaped : `${escaped}(?:\\[[^\\]]+\\])?`;
+}
+
+// ============================================================================
+// RULE QUERIES
+// ============================================================================
+
+/**
+ * Check whether an element's whole subtree is ignored.
+ *
+ * Only checks the element itself; callers carry the result down to
+ * descendants while walking the tree.
+ *
+ * @param {IgnoreRule[]} rules - Compiled rules
+ * @param {string} xpath - XPath of the element
+ * @returns {boolean} True if a subtree rule matches the element
+ */
+export function isSubtreeIgnored(rules, xpath) {
+    return rules.some(rule => rule.kind === IgnoreRuleKind.SUBTREE && rule.pattern.test(xpath));
+}
+
+/**
+ * Check whether an element's own text and attributes are ignored.
+ *
+ * @param {IgnoreRule[]} rules - Compiled rules
+ * @param {string} xpath - XPath of the element
+ * @returns {boolean} True if an element or subtree rule matches the element
+ */
+export function isElementIgnored(rules, xpath) {
+    return rules.some(rule => rule.kind !== IgnoreRuleKind.ATTRIBUTE && rule.pattern.test(xpath));
+}
+
+/**
+ * Check whether an attribute of an element is ignored.
+ *
+ * @param {IgnoreRule[]} rules - Compiled rules
+ * @param {string} xpath - XPath of the element carrying the attribute
+ * @param {string} name - Attribute name
+ * @returns {boolean} True if an attribute rule matches
+ */
+export function isAttributeIgnored(rules, xpath, name) {
+    return rules.some(rule => (
+        rule.kind === IgnoreRuleKind.ATTRIBUTE &&
+        (rule.attribute === '*' || rule.attribute === name) &&
+        rule.pattern.test(xpath)
+    ));
+}
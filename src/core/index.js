@@ -32,13 +32,150 @@ export {
     getAllXPaths,
     countNodes,
     findNodeByXPath,
+    getDocumentNodes,
+    getNodeDelimiters,
+    isElementNode,
+    NamespaceMode,
+    NodeKind,
+    ParserBackend,
+    WhitespaceMode,
 } from './xmlParser.js';
 
 // Re-export all comparer functions
 export {
     compareXml,
     getDiffStatus,
+    getCounterpartXPath,
+    translateXPath,
+    getChildAlignment,
+    getMovedEntry,
+    isNormalizedMatch,
+    getNodeChanges,
+    getChangedAttributeNames,
+    getSubtreeChanges,
+    getSubtreeStatus,
     getDiffSummary,
     areTreesIdentical,
     DiffStatus,
+    SubtreeStatus,
+    MatchMode,
 } from './xmlComparer.js';
+
+// Re-export ignore rule helpers
+export {
+    compileIgnoreRules,
+    isSubtreeIgnored,
+    isElementIgnored,
+    isAttributeIgnored,
+    IgnoreRuleKind,
+} from './ignoreRules.js';
+
+// Re-export value normalization helpers
+export {
+    areValuesEquivalent,
+    resolveNormalization,
+    compileNormalizationRules,
+    DEFAULT_NORMALIZATION,
+} from './valueNormalization.js';
+
+// Re-export namespace-aware name helpers
+export {
+    getElementName,
+    getComparableAttributes,
+} from './xmlNames.js';
+
+// Re-export inline (word/character) value diff
+export {
+    diffInline,
+    getSideSegments,
+    InlineDiffMode,
+    SegmentType,
+} from './inlineDiff.js';
+
+// Re-export the built-in (DOMParser-free) document parser
+export { parseXmlDocument } from './xmlDom.js';
+
+// Re-export the position-tracking tokenizer
+export {
+    tokenizeXml,
+    createTokenizer,
+    findSyntaxError,
+    createPositionLookup,
+    createIncrementalPositionLookup,
+    TokenType,
+} from './xmlTokenizer.js';
+
+// Re-export the streaming parser for very large documents
+export { parseXmlStream } from './xmlStreamParser.js';
+
+// Re-export the XPath 1.0 evaluator
+export {
+    evaluateXPath,
+    selectNodes,
+    queryXPath,
+    getResultType,
+    getStringValue,
+    XPathResultType,
+} from './xpathEvaluator.js';
+
+// Re-export the query panel's queries over both trees
+export { queryTrees, collectVisibleXPaths, isSimpleQuery, QueryMode } from './xmlQuery.js';
+
+// Re-export the differences-only filter of the tree views
+export {
+    collectDiffFilterXPaths,
+    getDiffCategory,
+    DiffCategory,
+    DEFAULT_FILTER_CATEGORIES,
+} from './diffFilter.js';
+
+// Re-export the find bar's full-text search
+export {
+    searchTree,
+    createSearchPattern,
+    findInText,
+    groupMatchesByNode,
+    getScopeMatches,
+    splitByRanges,
+    SearchScope,
+} from './xmlSearch.js';
+
+// Re-export the standalone HTML report
+export { createHtmlReport } from './htmlReport.js';
+
+// Re-export the JSON, CSV and JUnit XML exporters
+export {
+    collectDifferences,
+    exportJson,
+    exportCsv,
+    exportJUnit,
+    exportDiff,
+    DifferenceKind,
+    ExportFormat,
+    EXPORT_SCHEMA_VERSION,
+} from './diffExporters.js';
+
+// Re-export the terminal renderings (tree, unified diff, batch table and
+// canonical listing)
+export { formatTreeDiff, formatUnifiedDiff, formatBatchTable, formatCanonicalListing } from './textDiff.js';
+
+// Re-export the folder (batch) comparison
+export {
+    pairFiles,
+    compileRenamePattern,
+    runBatchCompare,
+    summarizeBatch,
+    BatchStatus,
+} from './batchCompare.js';
+
+// Re-export pretty-printing and Canonical XML
+export {
+    formatXml,
+    canonicalizeXml,
+    CanonicalMethod,
+    DEFAULT_FORMAT_OPTIONS,
+    DEFAULT_CANONICAL_OPTIONS,
+} from './xmlSerializer.js';
+
+// Re-export the parse-and-compare job (what the XML worker runs)
+export { runCompareJob, ComparePhase } from './compareJob.js';
@@ -0,0 +1,151 @@
+/**
+ * ============================================================================
+ * INLINE DIFF - Core Library
+ * ============================================================================
+ *
+ * This module diffs two versions of a single text or attribute value, so
+ * the views can mark exactly which words or characters changed instead of
+ * highlighting the whole value.
+ *
+ * MODES:
+ * - Word: runs of letters/digits, runs of whitespace and single punctuation
+ *   characters are compared as units (good for prose and descriptions)
+ * - Char: every character is a unit (good for IDs, account numbers, base64)
+ *
+ * DEPENDENCIES:
+ * - siblingAlignment.js (longest common subsequence)
+ *
+ * ============================================================================
+ */
+
+import { longestCommonSubsequence } from './siblingAlignment.js';
+
+// ============================================================================
+// TYPE DEFINITIONS (JSDoc for IDE support)
+// ============================================================================
+
+/**
+ * @typedef {Object} InlineSegment
+ * @property {'equal'|'insert'|'delete'} type - Whether the text is on both
+ *   sides, only in the new (right) value, or only in the old (left) value
+ * @property {string} value - The text of the segment
+ */
+
+/**
+ * Enum-like object for inline diff granularity.
+ */
+export const InlineDiffMode = {
+    WORD: 'word',
+    CHAR: 'char',
+};
+
+/**
+ * Enum-like object for inline segment types.
+ */
+export const SegmentType = {
+    EQUAL: 'equal',
+    INSERT: 'insert',
+    DELETE: 'delete',
+};
+
+const WORD_TOKEN_PATTERN = /\s+|[\p{L}\p{N}_]+|[^\s\p{L}\p{N}_]/gu;
+
+// ============================================================================
+// MAIN DIFF FUNCTION
+// ============================================================================
+
+/**
+ * Diff two versions of a value.
+ *
+ * Adjacent segments of the same type are merged. Very long values whose
+ * changed middle section is too large to diff are reported as one
+ * deletion plus one insertion.
+ *
+ * @param {string} oldValue - Value from the left tree
+ * @param {string} newValue - Value from the right tree
+ * @param {'word'|'char'} [mode] - Granularity (see InlineDiffMode)
+ * @returns {InlineSegment[]} Segments covering both values in order
+ *
+ * @example
+ * diffInline('DE44 5001 0517', 'DE44 5001 0518', InlineDiffMode.CHAR);
+ * // [{ type: 'equal', value: 'DE44 5001 051' }, { type: 'delete', value: '7' }, { type: 'insert', value: '8' }]
+ */
+export function diffInline(oldValue, newValue, mode = InlineDiffMode.WORD) {
+    const oldTokens = tokenize(oldValue ?? '', mode);
+    const newTokens = tokenize(newValue ?? '', mode);
+    const matches = longestCommonSubsequence(oldTokens, newTokens);
+
+    const segments = [];
+    let oldIndex = 0;
+    let newIndex = 0;
+
+    // Everything between two matched tokens was deleted and/or inserted
+    for (const [oldMatch, newMatch] of [...matches, [oldTokens.length, newTokens.length]]) {
+        pushSegment(segments, SegmentType.DELETE, oldTokens.slice(oldIndex, oldMatch).join(''));
+        pushSegment(segments, SegmentType.INSERT, newTokens.slice(newIndex, newMatch).join(''));
+
+        if (oldMatch < oldTokens.length) {
+            pushSegment(segments, SegmentType.EQUAL, oldTokens[oldMatch]);
+        }
+
+        oldIndex = oldMatch + 1;
+        newIndex = newMatch + 1;
+    }
+
+    return segments;
+}
+
+/**
+ * Get the segments to render for one side of the comparison.
+ *
+ * The left value is made of equal and deleted segments, the right value
+ * of equal and inserted ones.
+ *
+ * @param {InlineSegment[]} segments - From diffInline
+ * @param {'left'|'right'} side - Which value to render
+ * @returns {InlineSegment[]} Segments that make up that side's value
+ */
+export function getSideSegments(segments, side) {
+    const hidden = side === 'left' ? SegmentType.INSERT : SegmentType.DELETE;
+    return segments.filter(segment => segment.type !== hidden);
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Split a value into diff units.
+ *
+ * @param {string} value - Value to split
+ * @param {'word'|'char'} mode - Granularity
+ * @returns {string[]} Tokens that join back to the value
+ */
+function tokenize(value, mode) {
+    if (mode === InlineDiffMode.CHAR) {
+        return Array.from(value);
+    }
+
+    return value.match(WORD_TOKEN_PATTERN) || [];
+}
+
+/**
+ * Append text to the segment list, merging with the previous segment
+ * when it has the same type.
+ *
+ * @param {InlineSegment[]} segments - Segments so far
+ * @param {string} type - Segment type
+ * @param {string} value - Text to append (ignored if empty)
+ */
+function pushSegment(segments, type, value) {
+    if (value === '') {
+        return;
+    }
+
+    const last = segments[segments.length - 1];
+    if (last && last.type === type) {
+        last.value += value;
+    } else {
+        segments.push({ type, value });
+    }
+}
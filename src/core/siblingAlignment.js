@@ -0,0 +1,468 @@
+/**
+ * ============================================================================
+ * SIBLING ALIGNMENT - Core Library
+ * ============================================================================
+ *
+ * This module decides which child of a left element corresponds to which
+ * child of the paired right element, and in which order the two child lists
+ * should be displayed side by side.
+ *
+ * STRATEGIES:
+ * - XPath: siblings whose XPath index comes from the index attribute pair
+ *   by XPath; the rest are positional
+ * - Key: siblings with an identifying attribute (id/name/key) pair by key;
+ *   the rest are unkeyed
+ * - Content alignment (on by default, in both modes): positional and
+ *   unkeyed siblings are aligned with a longest-common-subsequence pass
+ *   over their content, so a single deleted <line> in a long list shows up
+ *   as one missing element instead of shifting every following line.
+ *   Turned off, they pair by positional XPath.
+ *
+ * DEPENDENCIES:
+ * - xmlNames.js (which element/attribute names count as equal)
+ *
+ * ============================================================================
+ */
+
+import { getElementName, getComparableAttributes } from './xmlNames.js';
+
+// ============================================================================
+// TYPE DEFINITIONS (JSDoc for IDE support)
+// ============================================================================
+
+/**
+ * @typedef {Object} AlignmentEntry
+ * @property {number|null} left - Index into the left siblings (null = gap on the left)
+ * @property {number|null} right - Index into the right siblings (null = gap on the right)
+ */
+
+/**
+ * Enum-like object for sibling matching strategies.
+ *
+ * - XPATH: siblings are paired by XPath, i.e. by tag and position (or
+ *   index attribute)
+ * - KEY: siblings are paired by their comparison key (tag + id/name/key
+ *   attribute), so inserted or reordered records don't shift their neighbours
+ *
+ * In both modes, siblings that only have a position are aligned by content
+ * unless the `contentAlignment` option is false.
+ */
+export const MatchMode = {
+    XPATH: 'xpath',
+    KEY: 'key',
+};
+
+/**
+ * Upper bound on the LCS table size (left x right positional siblings).
+ * Larger runs fall back to positional pairing to keep memory bounded.
+ */
+const MAX_LCS_CELLS = 4_000_000;
+
+// ============================================================================
+// MAIN ALIGNMENT FUNCTION
+// ============================================================================
+
+/**
+ * Align two lists of sibling elements.
+ *
+ * Returns one entry per displayed row: paired siblings share an entry,
+ * unpaired ones get an entry with a gap on the other side. Entries follow
+ * left document order, with right-only siblings inserted where they occur.
+ *
+ * @param {XmlNode[]} leftSiblings - Children of a left element
+ * @param {XmlNode[]} rightSiblings - Children of the paired right element
+ * @param {Object} options - Alignment settings
+ * @param {'xpath'|'key'} options.matchMode - Pairing strategy
+ * @param {boolean} [options.contentAlignment=true] - Align siblings that only
+ *   have a position by content instead of pairing them by position
+ * @param {Map<XmlNode, number>} [options.signatureCache] - Reused across calls
+ *   so each subtree's content signature is computed only once
+ * @param {boolean} [options.ignorePrefixes] - Compare element names by namespace
+ *   URI + local name instead of as written
+ * @returns {AlignmentEntry[]} The ordered alignment
+ *
+ * @example
+ * alignSiblings(left.children, right.children, { matchMode: 'key' });
+ * // [{ left: 0, right: 0 }, { left: null, right: 1 }, { left: 1, right: 2 }]
+ */
+export function alignSiblings(leftSiblings, rightSiblings, options) {
+    const ignorePrefixes = Boolean(options.ignorePrefixes);
+
+    // Siblings share a paired parent, so comparing XPaths compares the last step;
+    // without prefixes that step is the namespaced name plus any index predicate
+    const identifyByPosition = ignorePrefixes
+        ? node => getElementName(node, true) + (node.xpath.match(/\[[^\]]*\]$/)?.[0] ?? '')
+        : node => node.xpath;
+
+    const signatureCache = options.signatureCache || new Map();
+    const pairPositional = options.contentAlignment === false
+        ? (left, right) => pairByIdentity(left, right, identifyByPosition)
+        : (left, right) => alignByContent(left, right, signatureCache, ignorePrefixes);
+
+    let pairs;
+    if (options.matchMode === MatchMode.KEY) {
+        // The key starts with the tag name; swap in the comparable name
+        const identifyByKey = node => getElementName(node, ignorePrefixes) + node.key.slice(node.tagName.length);
+        pairs = pairAnchored(leftSiblings, rightSiblings, isKeyed, identifyByKey, pairPositional);
+    } else {
+        const indexed = new Set([...findIndexedNames(leftSiblings), ...findIndexedNames(rightSiblings)]);
+        pairs = pairAnchored(leftSiblings, rightSiblings, node => indexed.has(node.expandedName), identifyByPosition, pairPositional);
+    }
+
+    return orderAlignment(leftSiblings.length, rightSiblings.length, pairs);
+}
+
+// ============================================================================
+// PAIRING STRATEGIES
+// ============================================================================
+
+/**
+ * Pair the n-th occurrence of an identifier on the left with the n-th
+ * occurrence of the same identifier on the right.
+ *
+ * @param {XmlNode[]} leftSiblings - Left sibling elements
+ * @param {XmlNode[]} rightSiblings - Right sibling elements
+ * @param {function(XmlNode): string} identify - Identifier for a node
+ * @returns {Map<number, number>} Left sibling index -> right sibling index
+ */
+function pairByIdentity(leftSiblings, rightSiblings, identify) {
+    // Queue up right indices per identifier, in document order
+    const queues = new Map();
+    rightSiblings.forEach((node, index) => {
+        const id = identify(node);
+        if (!queues.has(id)) {
+            queues.set(id, []);
+        }
+        queues.get(id).push(index);
+    });
+
+    const pairs = new Map();
+    leftSiblings.forEach((node, index) => {
+        const queue = queues.get(identify(node));
+        if (queue && queue.length > 0) {
+            pairs.set(index, queue.shift());
+        }
+    });
+
+    return pairs;
+}
+
+/**
+ * Pair anchored siblings by identifier and hand the rest to another strategy.
+ *
+ * @param {XmlNode[]} leftSiblings - Left sibling elements
+ * @param {XmlNode[]} rightSiblings - Right sibling elements
+ * @param {function(XmlNode): boolean} isAnchored - Whether a node has an
+ *   identity of its own (a key, or an index attribute)
+ * @param {function(XmlNode): string} identify - Identifier of an anchored node
+ * @param {function(XmlNode[], XmlNode[]): Map<number, number>} pairRest - Pairs
+ *   the other siblings (by sub-list position)
+ * @returns {Map<number, number>} Left sibling index -> right sibling index
+ */
+function pairAnchored(leftSiblings, rightSiblings, isAnchored, identify, pairRest) {
+    const leftAnchored = [];
+    const rightAnchored = [];
+    const leftRest = [];
+    const rightRest = [];
+
+    leftSiblings.forEach((node, index) => (isAnchored(node) ? leftAnchored : leftRest).push(index));
+    rightSiblings.forEach((node, index) => (isAnchored(node) ? rightAnchored : rightRest).push(index));
+
+    const pairs = remapPairs(
+        pairByIdentity(leftAnchored.map(i => leftSiblings[i]), rightAnchored.map(i => rightSiblings[i]), identify),
+        leftAnchored,
+        rightAnchored
+    );
+
+    const restPairs = remapPairs(
+        pairRest(leftRest.map(i => leftSiblings[i]), rightRest.map(i => rightSiblings[i])),
+        leftRest,
+        rightRest
+    );
+
+    for (const [leftIndex, rightIndex] of restPairs) {
+        pairs.set(leftIndex, rightIndex);
+    }
+
+    return pairs;
+}
+
+/**
+ * Check whether a node carries an identifying attribute in its key.
+ *
+ * Nodes without one have a key equal to their tag name.
+ *
+ * @param {XmlNode} node - The node to check
+ * @returns {boolean} True if the key includes an identifying attribute
+ */
+function isKeyed(node) {
+    return node.key !== node.tagName;
+}
+
+/**
+ * Find the names of the siblings whose XPath index is not their position,
+ * i.e. was taken from the index attribute (see xmlParser.js calculateIndex).
+ *
+ * Names are expanded names, so both sides agree on them whatever the
+ * prefixes; all siblings with such a name pair by XPath.
+ *
+ * @param {XmlNode[]} siblings - Sibling nodes, in document order
+ * @returns {string[]} Expanded names of the siblings indexed by attribute
+ */
+function findIndexedNames(siblings) {
+    const positions = new Map();
+    const names = [];
+
+    for (const node of siblings) {
+        // Siblings are counted by their XPath step, as the parser counts them
+        const step = node.xpath.replace(/\[\d+\]$/, '');
+        const position = (positions.get(step) || 0) + 1;
+        positions.set(step, position);
+        if (node.siblingIndex !== position) {
+            names.push(node.expandedName);
+        }
+    }
+
+    return names;
+}
+
+/**
+ * Translate pairs between sub-list indices back to full sibling indices.
+ *
+ * @param {Map<number, number>} pairs - Pairs between sub-list positions
+ * @param {number[]} leftIndices - Sibling index of each left sub-list entry
+ * @param {number[]} rightIndices - Sibling index of each right sub-list entry
+ * @returns {Map<number, number>} Pairs between full sibling indices
+ */
+function remapPairs(pairs, leftIndices, rightIndices) {
+    const remapped = new Map();
+
+    for (const [leftPos, rightPos] of pairs) {
+        remapped.set(leftIndices[leftPos], rightIndices[rightPos]);
+    }
+
+    return remapped;
+}
+
+// ============================================================================
+// CONTENT ALIGNMENT (LCS)
+// ============================================================================
+
+/**
+ * Align two sibling runs by subtree content.
+ *
+ * Identical subtrees are anchored with a longest common subsequence.
+ * Between two anchors, leftover siblings with the same tag are paired in
+ * order (they are edits of each other); the rest stay unpaired.
+ *
+ * @param {XmlNode[]} leftNodes - Left positional siblings
+ * @param {XmlNode[]} rightNodes - Right positional siblings
+ * @param {Map<XmlNode, number>} signatureCache - Subtree signature cache
+ * @param {boolean} ignorePrefixes - Compare names by namespace URI + local name
+ * @returns {Map<number, number>} Left position -> right position
+ */
+function alignByContent(leftNodes, rightNodes, signatureCache, ignorePrefixes) {
+    const a = leftNodes.map(node => getSubtreeSignature(node, signatureCache, ignorePrefixes));
+    const b = rightNodes.map(node => getSubtreeSignature(node, signatureCache, ignorePrefixes));
+
+    const anchors = longestCommonSubsequence(a, b);
+    const pairs = new Map();
+
+    // Walk the gaps between consecutive anchors (plus a sentinel at the end)
+    let prevLeft = -1;
+    let prevRight = -1;
+    for (const [leftPos, rightPos] of [...anchors, [a.length, b.length]]) {
+        pairGapByTag(leftNodes, rightNodes, prevLeft + 1, leftPos, prevRight + 1, rightPos, pairs, ignorePrefixes);
+
+        if (leftPos < a.length) {
+            pairs.set(leftPos, rightPos);
+        }
+        prevLeft = leftPos;
+        prevRight = rightPos;
+    }
+
+    return pairs;
+}
+
+/**
+ * Pair same-tag siblings in order within one gap between anchors.
+ *
+ * @param {XmlNode[]} leftNodes - Left siblings
+ * @param {XmlNode[]} rightNodes - Right siblings
+ * @param {number} leftStart - First left position in the gap
+ * @param {number} leftEnd - Left position after the gap
+ * @param {number} rightStart - First right position in the gap
+ * @param {number} rightEnd - Right position after the gap
+ * @param {Map<number, number>} pairs - Pairs to add to
+ * @param {boolean} ignorePrefixes - Compare names by namespace URI + local name
+ */
+function pairGapByTag(leftNodes, rightNodes, leftStart, leftEnd, rightStart, rightEnd, pairs, ignorePrefixes) {
+    let nextRight = rightStart;
+
+    for (let i = leftStart; i < leftEnd && nextRight < rightEnd; i++) {
+        for (let j = nextRight; j < rightEnd; j++) {
+            if (getElementName(rightNodes[j], ignorePrefixes) === getElementName(leftNodes[i], ignorePrefixes)) {
+                pairs.set(i, j);
+                nextRight = j + 1;
+                break;
+            }
+        }
+    }
+}
+
+/**
+ * Compute the longest common subsequence of two lists (items compared with ===).
+ *
+ * Common prefixes and suffixes are matched directly; only the middle
+ * section goes through the quadratic table, and only when it fits
+ * within MAX_LCS_CELLS. Otherwise the middle is left unmatched.
+ *
+ * @param {Array<number|string>} a - Left items (e.g. subtree signatures)
+ * @param {Array<number|string>} b - Right items
+ * @returns {Array<[number, number]>} Matched (left, right) positions in order
+ */
+export function longestCommonSubsequence(a, b) {
+    const matches = [];
+
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) {
+        matches.push([start, start]);
+        start++;
+    }
+
+    let endA = a.length;
+    let endB = b.length;
+    const suffix = [];
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+        endA--;
+        endB--;
+        suffix.unshift([endA, endB]);
+    }
+
+    const n = endA - start;
+    const m = endB - start;
+
+    if (n > 0 && m > 0 && n * m <= MAX_LCS_CELLS) {
+        // table[i * (m + 1) + j] = LCS length of a[start + i..endA) and b[start + j..endB)
+        const width = m + 1;
+        const table = new Uint32Array((n + 1) * width);
+
+        for (let i = n - 1; i >= 0; i--) {
+            for (let j = m - 1; j >= 0; j--) {
+                table[i * width + j] = a[start + i] === b[start + j]
+                    ? table[(i + 1) * width + j + 1] + 1
+                    : Math.max(table[(i + 1) * width + j], table[i * width + j + 1]);
+            }
+        }
+
+        let i = 0;
+        let j = 0;
+        while (i < n && j < m) {
+            if (a[start + i] === b[start + j]) {
+                matches.push([start + i, start + j]);
+                i++;
+                j++;
+            } else if (table[(i + 1) * width + j] >= table[i * width + j + 1]) {
+                i++;
+            } else {
+                j++;
+            }
+        }
+    }
+
+    return matches.concat(suffix);
+}
+
+/**
+ * Get a hash of a node's whole subtree (tag, attributes, text, children).
+ *
+ * Equal subtrees always get equal signatures. Different subtrees can
+ * collide in theory; the pair is then simply compared and reported.
+ *
+ * @param {XmlNode} node - Root of the subtree
+ * @param {Map<XmlNode, number>} cache - Previously computed signatures (only
+ *   share a cache between calls with the same `ignorePrefixes`)
+ * @param {boolean} [ignorePrefixes] - Hash names by namespace URI + local name
+ * @returns {number} 32-bit subtree hash
+ */
+export function getSubtreeSignature(node, cache, ignorePrefixes = false) {
+    const cached = cache.get(node);
+    if (cached !== undefined) {
+        return cached;
+    }
+
+    const attributes = [...getComparableAttributes(node, ignorePrefixes)]
+        .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+        .map(([name, { value }]) => `${name}=${value}`)
+        .join('\u0001');
+    const children = node.children.map(child => getSubtreeSignature(child, cache, ignorePrefixes)).join(',');
+
+    const signature = hashString(`${getElementName(node, ignorePrefixes)}\u0000${attributes}\u0000${node.textContent}\u0000${children}`);
+    cache.set(node, signature);
+    return signature;
+}
+
+/**
+ * FNV-1a 32-bit string hash.
+ *
+ * @param {string} text - Text to hash
+ * @returns {number} Unsigned 32-bit hash
+ */
+function hashString(text) {
+    let hash = 0x811c9dc5;
+
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+
+    return hash >>> 0;
+}
+
+// ============================================================================
+// ORDERING
+// ============================================================================
+
+/**
+ * Turn a set of pairs into display rows.
+ *
+ * Left siblings keep their order; each unpaired right sibling is emitted
+ * just before the first left sibling paired with a later right sibling.
+ *
+ * @param {number} leftCount - Number of left siblings
+ * @param {number} rightCount - Number of right siblings
+ * @param {Map<number, number>} pairs - Left index -> right index
+ * @returns {AlignmentEntry[]} Ordered rows
+ */
+function orderAlignment(leftCount, rightCount, pairs) {
+    const pairedRight = new Set(pairs.values());
+    const entries = [];
+    let nextRight = 0;
+
+    const flushUnpairedRight = (upTo) => {
+        for (; nextRight < upTo; nextRight++) {
+            if (!pairedRight.has(nextRight)) {
+                entries.push({ left: null, right: nextRight });
+            }
+        }
+    };
+
+    for (let leftIndex = 0; leftIndex < leftCount; leftIndex++) {
+        const rightIndex = pairs.get(leftIndex);
+
+        if (rightIndex === undefined) {
+            entries.push({ left: leftIndex, right: null });
+            continue;
+        }
+
+        if (rightIndex >= nextRight) {
+            flushUnpairedRight(rightIndex);
+            nextRight = rightIndex + 1;
+        }
+        entries.push({ left: leftIndex, right: rightIndex });
+    }
+
+    flushUnpairedRight(rightCount);
+
+    return entries;
+}
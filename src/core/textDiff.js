@@ -0,0 +1,572 @@
+/**
+ * ============================================================================
+ * TEXT DIFF - Core Library
+ * ============================================================================
+ *
+ * This module renders comparison results as plain text for terminals and
+ * logs (the `xml-compare` command prints these):
+ * - Tree: both documents merged into one indented tree, one line per node,
+ *   with a marker per line and changed values shown as `old→new`
+ * - Unified: one hunk per change, in document order, in the style of
+ *   `diff -u` (`--- left`, `+++ right`, `@@ -xpath +xpath @@`)
+ *
+ * - Batch table: one row per file pair of a folder comparison, with its
+ *   counts, and a summary line
+ * - Canonical listing: one document as one line per value, each with its
+ *   XPath (`/catalog/item/@id=p1`), so a line diff of two listings (git's
+ *   textconv) shows semantic changes rather than reformatting
+ *
+ * LINE MARKERS:
+ * - ` ` matched (or ignored), `~` different, `-` left only, `+` right only,
+ *   `>` moved
+ *
+ * Colors are ANSI escape codes and are off by default.
+ *
+ * DEPENDENCIES:
+ * - xmlParser.js (document nodes and markup of non-element nodes)
+ * - xmlComparer.js (counterparts, child alignment and change lookups)
+ * - diffFilter.js (categories and the nodes kept around changes)
+ * - batchCompare.js (batch statuses and summary)
+ * - ignoreRules.js (values left out of the canonical listing)
+ * - xmlNames.js (names of namespace declarations)
+ *
+ * ============================================================================
+ */
+
+import { getDocumentNodes, getNodeDelimiters, isElementNode, findNodeByXPath } from './xmlParser.js';
+import { getChildAlignment, getNodeChanges, getMovedEntry } from './xmlComparer.js';
+import { collectDiffFilterXPaths, getDiffCategory, DiffCategory } from './diffFilter.js';
+import { summarizeBatch, BatchStatus } from './batchCompare.js';
+import { compileIgnoreRules, isSubtreeIgnored, isElementIgnored, isAttributeIgnored } from './ignoreRules.js';
+import { getDeclarationName } from './xmlNames.js';
+
+// ============================================================================
+// TYPE DEFINITIONS (JSDoc for IDE support)
+// ============================================================================
+
+/**
+ * @typedef {Object} TextDiffOptions
+ * @property {boolean} [color=false] - Color the output with ANSI escape codes
+ * @property {boolean} [all=false] - Tree: print every node, not only the
+ *   changes and the path to them
+ * @property {number} [context=0] - Tree: levels of unchanged nodes to keep
+ *   around changes (as in the changes-only filter)
+ * @property {string} [leftName='Left'] - Unified: label of the left document
+ * @property {string} [rightName='Right'] - Unified: label of the right document
+ */
+
+/**
+ * One line of the merged tree: a node of either tree, or a pair of nodes.
+ *
+ * @typedef {Object} TreeRow
+ * @property {XmlNode|null} left - The left node (null = right only)
+ * @property {XmlNode|null} right - The right node (null = left only)
+ * @property {string|null} category - One of DiffCategory (null = neutral)
+ */
+
+const DEFAULT_TEXT_OPTIONS = {
+    color: false,
+    all: false,
+    context: 0,
+    leftName: 'Left',
+    rightName: 'Right',
+};
+
+const INDENT = '  ';
+
+const ANSI = {
+    bold: '\x1b[1m',
+    dim: '\x1b[2m',
+    red: '\x1b[31m',
+    green: '\x1b[32m',
+    yellow: '\x1b[33m',
+    cyan: '\x1b[36m',
+    reset: '\x1b[0m',
+};
+
+// Marker and color of each category in the tree
+const TREE_MARKERS = {
+    [DiffCategory.MATCHED]: [' ', null],
+    [DiffCategory.IGNORED]: [' ', 'dim'],
+    [DiffCategory.DIFFERENT]: ['~', 'yellow'],
+    [DiffCategory.LEFT_ONLY]: ['-', 'red'],
+    [DiffCategory.RIGHT_ONLY]: ['+', 'green'],
+    [DiffCategory.MOVED]: ['>', 'cyan'],
+};
+
+// Label and color of each batch status
+const BATCH_STATUSES = {
+    [BatchStatus.IDENTICAL]: ['identical', 'dim'],
+    [BatchStatus.DIFFERENT]: ['different', 'yellow'],
+    [BatchStatus.LEFT_ONLY]: ['left only', 'red'],
+    [BatchStatus.RIGHT_ONLY]: ['right only', 'green'],
+    [BatchStatus.ERROR]: ['error', 'red'],
+};
+
+// Count columns of the batch table
+const BATCH_COLUMNS = [
+    ['matched', 'MATCHED'],
+    ['different', 'DIFFERENT'],
+    ['leftOnly', 'LEFT ONLY'],
+    ['rightOnly', 'RIGHT ONLY'],
+    ['moved', 'MOVED'],
+];
+
+// ============================================================================
+// MAIN FUNCTIONS
+// ============================================================================
+
+/**
+ * Render both documents as one merged tree.
+ *
+ * Unless `all` is set, unchanged subtrees are left out and each run of
+ * left-out siblings is summarized as `… N hidden`.
+ *
+ * @param {XmlNode} leftTree - The left tree that was compared
+ * @param {XmlNode} rightTree - The right tree that was compared
+ * @param {DiffResults} diffResults - The comparison results
+ * @param {TextDiffOptions} [options] - Colors and what to print
+ * @returns {string} The tree, one node per line
+ *
+ * @example
+ * formatTreeDiff(leftTree, rightTree, diffResults);
+ * // '  <catalog>\n    … 2 hidden\n~   <item id="p3" status="new"→"old">\n-   <gone>bye</gone>\n'
+ */
+export function formatTreeDiff(leftTree, rightTree, diffResults, options = {}) {
+    const opts = { ...DEFAULT_TEXT_OPTIONS, ...options };
+    const paint = createPainter(opts.color);
+    const visible = opts.all ? null : {
+        left: collectDiffFilterXPaths(leftTree, diffResults, 'left', { context: opts.context }),
+        right: collectDiffFilterXPaths(rightTree, diffResults, 'right', { context: opts.context }),
+    };
+    const isVisible = (row) => !visible
+        || (row.left !== null && visible.left.has(row.left.xpath))
+        || (row.right !== null && visible.right.has(row.right.xpath));
+    const lines = [];
+
+    const renderRows = (rows, depth) => {
+        let hidden = 0;
+        const flushHidden = () => {
+            if (hidden > 0) {
+                lines.push(paint('dim', `  ${INDENT.repeat(depth)}… ${hidden} hidden`));
+                hidden = 0;
+            }
+        };
+
+        for (const row of rows) {
+            if (!isVisible(row)) {
+                hidden++;
+                continue;
+            }
+            flushHidden();
+
+            const [marker, style] = TREE_MARKERS[row.category] ?? [' ', null];
+            const moved = row.category === DiffCategory.MOVED;
+            lines.push(paint(style, `${marker} ${INDENT.repeat(depth)}`)
+                + formatRowMarkup(row, diffResults, paint)
+                + (moved ? paint(style, `  (${describeMove(row, diffResults)})`) : ''));
+
+            // Moved subtrees are identical on both sides; the line says it all
+            if (!moved) {
+                renderRows(getChildRows(row, diffResults), depth + 1);
+            }
+        }
+        flushHidden();
+    };
+
+    renderRows(getDocumentRows(leftTree, rightTree, diffResults), 0);
+    return lines.map(line => line + '\n').join('');
+}
+
+/**
+ * Render the changes as a unified diff: a hunk per changed element (its
+ * own markup before and after), per subtree only on one side (all of its
+ * markup) and per move, in document order.
+ *
+ * @param {XmlNode} leftTree - The left tree that was compared
+ * @param {XmlNode} rightTree - The right tree that was compared
+ * @param {DiffResults} diffResults - The comparison results
+ * @param {TextDiffOptions} [options] - Colors and labels
+ * @returns {string} The diff ('' for identical documents)
+ *
+ * @example
+ * formatUnifiedDiff(leftTree, rightTree, diffResults, { leftName: 'a.xml', rightName: 'b.xml' });
+ * // '--- a.xml\n+++ b.xml\n@@ -/catalog/item +/catalog/item @@\n-<item status="new">\n+<item status="old">\n'
+ */
+export function formatUnifiedDiff(leftTree, rightTree, diffResults, options = {}) {
+    const opts = { ...DEFAULT_TEXT_OPTIONS, ...options };
+    const paint = createPainter(opts.color);
+    const plain = createPainter(false);
+    const lines = [];
+
+    const hunk = (header, removed, added) => {
+        lines.push(paint('cyan', `@@ ${header} @@`));
+        removed.forEach(line => lines.push(paint('red', `-${line}`)));
+        added.forEach(line => lines.push(paint('green', `+${line}`)));
+    };
+
+    const visitRows = (rows) => {
+        for (const row of rows) {
+            switch (row.category) {
+                case DiffCategory.DIFFERENT:
+                    hunk(
+                        `-${row.left.xpath} +${row.right.xpath}`,
+                        [formatNodeLine(row.left, plain)],
+                        [formatNodeLine(row.right, plain)]
+                    );
+                    visitRows(getChildRows(row, diffResults));
+                    break;
+                case DiffCategory.LEFT_ONLY:
+                    hunk(`-${row.left.xpath}`, formatSubtreeLines(row.left), []);
+                    break;
+                case DiffCategory.RIGHT_ONLY:
+                    hunk(`+${row.right.xpath}`, [], formatSubtreeLines(row.right));
+                    break;
+                case DiffCategory.MOVED:
+                    // One hunk per move, at the place it moved from
+                    if (row.left) {
+                        const { from, to } = getMovedEntry(row.left.xpath, diffResults, 'left');
+                        lines.push(paint('cyan', `@@ -${from} +${to} @@ moved`));
+                    }
+                    break;
+                default:
+                    visitRows(getChildRows(row, diffResults));
+            }
+        }
+    };
+
+    visitRows(getDocumentRows(leftTree, rightTree, diffResults));
+    if (lines.length === 0) return '';
+
+    return [paint('bold', `--- ${opts.leftName}`), paint('bold', `+++ ${opts.rightName}`), ...lines]
+        .map(line => line + '\n')
+        .join('');
+}
+
+/**
+ * Render the results of a folder comparison as a table, one row per file
+ * pair, followed by a summary line. Errors are printed below their row.
+ *
+ * @param {BatchEntry[]} entries - The batch results
+ * @param {TextDiffOptions} [options] - Colors
+ * @returns {string} The table
+ *
+ * @example
+ * formatBatchTable(entries);
+ * // 'STATUS      MATCHED  DIFFERENT  LEFT ONLY  RIGHT ONLY  MOVED  FILE\n'
+ * // + 'different        12          1          0           0      0  orders/1.xml\n...'
+ */
+export function formatBatchTable(entries, options = {}) {
+    const opts = { ...DEFAULT_TEXT_OPTIONS, ...options };
+    const paint = createPainter(opts.color);
+    const statusWidth = Math.max(...Object.values(BATCH_STATUSES).map(([label]) => label.length));
+    const cells = (status, counts) => [
+        status.padEnd(statusWidth),
+        ...BATCH_COLUMNS.map(([, title], index) => counts[index].padStart(title.length)),
+    ].join('  ');
+
+    const lines = [paint('bold', `${cells('STATUS', BATCH_COLUMNS.map(([, title]) => title))}  FILE`)];
+    for (const entry of entries) {
+        const [label, style] = BATCH_STATUSES[entry.status];
+        const counts = BATCH_COLUMNS.map(([key]) => (entry.counts ? String(entry.counts[key]) : '-'));
+        const file = entry.leftPath && entry.rightPath && entry.leftPath !== entry.rightPath
+            ? `${entry.leftPath} → ${entry.rightPath}`
+            : entry.name;
+        lines.push(paint(style, cells(label, counts)) + `  ${file}`);
+        if (entry.error) {
+            entry.error.split('\n').forEach(line => lines.push(paint('red', `${' '.repeat(statusWidth + 2)}${line}`)));
+        }
+    }
+
+    const summary = summarizeBatch(entries);
+    const parts = Object.entries(BATCH_STATUSES)
+        .filter(([status]) => summary[status] > 0)
+        .map(([status, [label]]) => `${summary[status]} ${label}`);
+    lines.push('', `${summary.total} ${summary.total === 1 ? 'file' : 'files'}${parts.length ? ': ' + parts.join(', ') : ''}`);
+
+    return lines.map(line => line + '\n').join('');
+}
+
+/**
+ * Render one document as a canonical listing: a line per element (with its
+ * text), then a line per attribute in name order, each prefixed with the
+ * XPath. Line breaks in values are written as `\n`.
+ *
+ * Whatever the ignore rules cover is left out. With `sortSiblings`, keyed
+ * elements (those with an id, name or key attribute) are labelled by key
+ * instead of position, e.g. `/list/item[@id="1"]`, and the children of each
+ * element are listed in label order, so reordering keyed siblings, or
+ * siblings indexed by a numeric attribute (see the indexAttribute XPath
+ * setting), changes nothing.
+ *
+ * @param {XmlNode} tree - A parsed tree
+ * @param {Object} [options] - What to list
+ * @param {string[]} [options.ignoreRules] - Ignore rules (see ignoreRules.js)
+ * @param {boolean} [options.sortSiblings=false] - Label keyed elements by key
+ *   and list siblings in label order
+ * @returns {string} The listing
+ *
+ * @example
+ * formatCanonicalListing(parseXml('<a z="2" b="1"><c>x</c></a>'));
+ * // '/a\n/a/@b=1\n/a/@z=2\n/a/c=x\n'
+ */
+export function formatCanonicalListing(tree, options = {}) {
+    const rules = compileIgnoreRules(options.ignoreRules ?? []);
+    const lines = [];
+
+    // The path a node is listed under: its XPath, or with sortSiblings its
+    // parent's path and its key (keyed) or its last XPath step (unkeyed)
+    const label = (node, parentPath) => {
+        if (!options.sortSiblings) return node.xpath;
+        const step = node.key !== node.tagName ? node.key : node.xpath.slice(node.xpath.lastIndexOf('/') + 1);
+        return `${parentPath}/${step}`;
+    };
+
+    const visit = ({ node, path }) => {
+        if (isSubtreeIgnored(rules, node.xpath)) return;
+
+        if (isElementIgnored(rules, node.xpath)) {
+            lines.push(path);
+        } else {
+            lines.push(node.textContent ? `${path}=${escapeLineBreaks(node.textContent)}` : path);
+            Object.keys(node.attributes)
+                .filter(name => !isAttributeIgnored(rules, node.xpath, name))
+                .sort()
+                .forEach(name => lines.push(`${path}/@${name}=${escapeLineBreaks(node.attributes[name])}`));
+        }
+
+        const children = node.children.map(child => ({ node: child, path: label(child, path) }));
+        if (options.sortSiblings) {
+            children.sort((a, b) => a.path.localeCompare(b.path, undefined, { numeric: true }));
+        }
+        children.forEach(visit);
+    };
+
+    getDocumentNodes(tree).forEach(node => visit({ node, path: label(node, '') }));
+    return lines.map(line => line + '\n').join('');
+}
+
+// ============================================================================
+// MERGED TREE
+// ============================================================================
+
+/**
+ * Pair the top-level nodes of both documents: each left node with its
+ * counterpart, then the right nodes without one.
+ *
+ * @param {XmlNode} leftTree - The left tree
+ * @param {XmlNode} rightTree - The right tree
+ * @param {DiffResults} diffResults - The comparison results
+ * @returns {TreeRow[]} The rows
+ */
+function getDocumentRows(leftTree, rightTree, diffResults) {
+    const rows = [];
+    const paired = new Set();
+
+    for (const left of getDocumentNodes(leftTree)) {
+        const rightXPath = diffResults.counterparts.left[left.xpath];
+        const right = rightXPath ? findNodeByXPath(rightTree, rightXPath) : null;
+        if (right) paired.add(right);
+        rows.push(createRow(left, right, diffResults));
+    }
+    for (const right of getDocumentNodes(rightTree)) {
+        if (!paired.has(right)) {
+            rows.push(createRow(null, right, diffResults));
+        }
+    }
+
+    return rows;
+}
+
+/**
+ * Get the rows below a row: the aligned children of a pair, or the
+ * children of a node only on one side.
+ *
+ * @param {TreeRow} row - The parent row
+ * @param {DiffResults} diffResults - The comparison results
+ * @returns {TreeRow[]} The child rows
+ */
+function getChildRows(row, diffResults) {
+    const { left, right } = row;
+    const alignment = left && right ? getChildAlignment(left.xpath, diffResults, 'left') : null;
+
+    if (!alignment) {
+        const node = left ?? right;
+        return node.children.map(child => (
+            left ? createRow(child, null, diffResults) : createRow(null, child, diffResults)
+        ));
+    }
+
+    const leftChildren = new Map(left.children.map(child => [child.xpath, child]));
+    const rightChildren = new Map(right.children.map(child => [child.xpath, child]));
+    return alignment.map(({ own, other }) => createRow(
+        own !== null ? leftChildren.get(own) : null,
+        other !== null ? rightChildren.get(other) : null,
+        diffResults
+    ));
+}
+
+/**
+ * @param {XmlNode|null} left - The left node
+ * @param {XmlNode|null} right - The right node
+ * @param {DiffResults} diffResults - The comparison results
+ * @returns {TreeRow} The row, with its category
+ */
+function createRow(left, right, diffResults) {
+    const category = left
+        ? getDiffCategory(left.xpath, diffResults, 'left')
+        : getDiffCategory(right.xpath, diffResults, 'right');
+    return { left, right, category };
+}
+
+/**
+ * Describe where a moved subtree went (or came from).
+ *
+ * @param {TreeRow} row - A moved row (one side only)
+ * @param {DiffResults} diffResults - The comparison results
+ * @returns {string} E.g. "moved to /catalog/archive/item"
+ */
+function describeMove(row, diffResults) {
+    return row.left
+        ? `moved to ${getMovedEntry(row.left.xpath, diffResults, 'left').to}`
+        : `moved from ${getMovedEntry(row.right.xpath, diffResults, 'right').from}`;
+}
+
+// ============================================================================
+// MARKUP
+// ============================================================================
+
+/**
+ * Render the markup of a row; for a different pair, changed attribute,
+ * namespace declaration and text values are shown as `old→new` and added
+ * or removed ones get a `+` or `-`.
+ *
+ * @param {TreeRow} row - The row
+ * @param {DiffResults} diffResults - The comparison results
+ * @param {function(string|null, string): string} paint - Colors a string
+ * @returns {string} The markup
+ */
+function formatRowMarkup(row, diffResults, paint) {
+    const changes = row.category === DiffCategory.DIFFERENT
+        ? getNodeChanges(row.left.xpath, diffResults, 'left')
+        : null;
+    if (!changes) {
+        const node = row.left ?? row.right;
+        return formatNodeLine(node, paint, TREE_MARKERS[row.category]?.[1] ?? null);
+    }
+
+    const change = (oldValue, newValue) => (
+        `${paint('red', oldValue)}${paint('yellow', '→')}${paint('green', newValue)}`
+    );
+
+    const attributes = Object.entries(row.left.attributes).map(([name, value]) => {
+        if (name in changes.changedAttributes) {
+            const { old: oldValue, new: newValue } = changes.changedAttributes[name];
+            return ` ${name}=${change(quote(oldValue), quote(newValue))}`;
+        }
+        if (name in changes.removedAttributes) {
+            return ' ' + paint('red', `-${name}=${quote(value)}`);
+        }
+        return ` ${name}=${quote(value)}`;
+    });
+    for (const [name, value] of Object.entries(changes.addedAttributes)) {
+        attributes.push(' ' + paint('green', `+${name}=${quote(value)}`));
+    }
+    for (const [prefix, { old: oldValue, new: newValue }] of Object.entries(changes.changedNamespaces)) {
+        attributes.push(` ${getDeclarationName(prefix)}=${change(quote(oldValue), quote(newValue))}`);
+    }
+    for (const [prefix, uri] of Object.entries(changes.removedNamespaces)) {
+        attributes.push(' ' + paint('red', `-${getDeclarationName(prefix)}=${quote(uri)}`));
+    }
+    for (const [prefix, uri] of Object.entries(changes.addedNamespaces)) {
+        attributes.push(' ' + paint('green', `+${getDeclarationName(prefix)}=${quote(uri)}`));
+    }
+
+    const text = changes.text
+        ? change(changes.text.old || '∅', changes.text.new || '∅')
+        : row.left.textContent;
+    return formatMarkup(row.left, attributes.join(''), text);
+}
+
+/**
+ * Render a node as one line: an element's start tag (with its text and
+ * end tag when it has no children), or another node's whole markup.
+ *
+ * @param {XmlNode} node - The node
+ * @param {function(string|null, string): string} paint - Colors a string
+ * @param {string|null} [style] - Color of the whole line
+ * @returns {string} The line
+ */
+function formatNodeLine(node, paint, style = null) {
+    const attributes = Object.entries(node.attributes)
+        .map(([name, value]) => ` ${name}=${quote(value)}`)
+        .join('');
+    return paint(style, formatMarkup(node, attributes, node.textContent));
+}
+
+/**
+ * @param {XmlNode} node - The node
+ * @param {string} attributes - Rendered attributes (with leading spaces)
+ * @param {string} text - Rendered text content
+ * @returns {string} The markup of the line
+ */
+function formatMarkup(node, attributes, text) {
+    if (!isElementNode(node)) {
+        const { open, close } = getNodeDelimiters(node);
+        return `${open}${text}${close}`;
+    }
+    if (node.children.length > 0) {
+        return `<${node.tagName}${attributes}>`;
+    }
+    return text
+        ? `<${node.tagName}${attributes}>${text}</${node.tagName}>`
+        : `<${node.tagName}${attributes}/>`;
+}
+
+/**
+ * Render a whole subtree as indented markup, with end tags.
+ *
+ * @param {XmlNode} node - The subtree root
+ * @param {number} [depth=0] - Indentation level of the root
+ * @returns {string[]} The lines
+ */
+function formatSubtreeLines(node, depth = 0) {
+    const plain = createPainter(false);
+    const indent = INDENT.repeat(depth);
+    const line = indent + formatNodeLine(node, plain);
+    if (!isElementNode(node) || node.children.length === 0) {
+        return [line];
+    }
+    return [
+        line,
+        ...node.children.flatMap(child => formatSubtreeLines(child, depth + 1)),
+        `${indent}</${node.tagName}>`,
+    ];
+}
+
+/**
+ * @param {string} value - A text or attribute value
+ * @returns {string} The value on one line (backslashes and line breaks escaped)
+ */
+function escapeLineBreaks(value) {
+    return value.replace(/\\/g, '\\\\').replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * @param {string} value - An attribute value
+ * @returns {string} The value in double quotes
+ */
+function quote(value) {
+    return `"${value}"`;
+}
+
+/**
+ * Create a function that wraps text in an ANSI color, or leaves it as it
+ * is when colors are off.
+ *
+ * @param {boolean} enabled - Whether to color
+ * @returns {function(string|null, string): string} paint(style, text)
+ */
+function createPainter(enabled) {
+    return (style, text) => (enabled && style && text ? `${ANSI[style]}${text}${ANSI.reset}` : text);
+}
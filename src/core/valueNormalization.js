@@ -0,0 +1,273 @@
+/**
+ * ============================================================================
+ * VALUE NORMALIZATION - Core Library
+ * ============================================================================
+ *
+ * This module decides whether two text or attribute values that are not
+ * identical should still count as equal, e.g. `1200` vs `1200.00`,
+ * `TRUE` vs `1`, or the same instant written in two timezones.
+ *
+ * Options can be set globally and overridden per XPath pattern (same path
+ * syntax as ignore rules: `*`, `//`, `item` vs `item[2]`).
+ *
+ * DEPENDENCIES:
+ * - ignoreRules.js (path pattern syntax)
+ *
+ * ============================================================================
+ */
+
+import { compilePathPattern } from './ignoreRules.js';
+
+// ============================================================================
+// TYPE DEFINITIONS (JSDoc for IDE support)
+// ============================================================================
+
+/**
+ * @typedef {Object} NormalizationOptions
+ * @property {boolean} numeric - Compare numeric values by value (`1200` = `1200.00`)
+ * @property {number} absoluteTolerance - Allowed absolute difference between numbers
+ * @property {number} relativeTolerance - Allowed difference relative to the larger number
+ * @property {boolean} ignoreCase - Compare case-insensitively
+ * @property {boolean} collapseWhitespace - Trim and collapse runs of whitespace
+ * @property {boolean} booleans - Treat `true`/`1` and `false`/`0` as equal
+ * @property {boolean} dates - Compare ISO 8601 dates/times by the instant they denote
+ *   (values without an offset are read as UTC)
+ */
+
+/**
+ * @typedef {Object} NormalizationRule
+ * @property {string} path - Path pattern the options apply to
+ * Plus any NormalizationOptions fields to override for matching elements.
+ */
+
+/** @type {NormalizationOptions} */
+export const DEFAULT_NORMALIZATION = {
+    numeric: false,
+    absoluteTolerance: 0,
+    relativeTolerance: 0,
+    ignoreCase: false,
+    collapseWhitespace: false,
+    booleans: false,
+    dates: false,
+};
+
+const NUMBER_PATTERN = /^[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?$/;
+const ISO_DATE_PATTERN = /^(?<year>\d{4})-(?<month>\d{2})-(?<day>\d{2})(?:T(?<hour>\d{2}):(?<minute>\d{2})(?::(?<second>\d{2})(?:\.(?<fraction>\d+))?)?(?:Z|(?<sign>[+-])(?<offsetHours>\d{2}):?(?<offsetMinutes>\d{2}))?)?$/;
+const BOOLEAN_VALUES = { true: true, 1: true, false: false, 0: false };
+
+// ============================================================================
+// OPTION RESOLUTION
+// ============================================================================
+
+/**
+ * Compile per-path normalization rules.
+ *
+ * Rules without a path are skipped.
+ *
+ * @param {NormalizationRule[]} rules - Per-path overrides
+ * @returns {Array<{pattern: RegExp, options: Object}>} Compiled rules
+ */
+export function compileNormalizationRules(rules = []) {
+    return rules
+        .filter(rule => rule.path && rule.path.trim())
+        .map(({ path, ...options }) => ({
+            pattern: compilePathPattern(path.trim()),
+            options,
+        }));
+}
+
+/**
+ * Work out the options that apply to an element.
+ *
+ * Starts from the global options; every rule matching one of the given
+ * XPaths is applied on top, in order (later rules win).
+ *
+ * @param {Partial<NormalizationOptions>} globalOptions - Options for every element
+ * @param {Array<{pattern: RegExp, options: Object}>} compiledRules - From compileNormalizationRules
+ * @param {...string} xpaths - XPaths of the element (one per side)
+ * @returns {NormalizationOptions|null} Options, or null if nothing is enabled
+ */
+export function resolveNormalization(globalOptions, compiledRules, ...xpaths) {
+    const options = { ...DEFAULT_NORMALIZATION, ...globalOptions };
+
+    for (const rule of compiledRules) {
+        if (xpaths.some(xpath => rule.pattern.test(xpath))) {
+            Object.assign(options, rule.options);
+        }
+    }
+
+    return hasNormalization(options) ? options : null;
+}
+
+/**
+ * Check whether any normalization is enabled.
+ *
+ * @param {Partial<NormalizationOptions>} options - Options to check
+ * @returns {boolean} True if values may be compared loosely
+ */
+export function hasNormalization(options) {
+    return Boolean(
+        options.numeric ||
+        options.ignoreCase ||
+        options.collapseWhitespace ||
+        options.booleans ||
+        options.dates
+    );
+}
+
+// ============================================================================
+// VALUE COMPARISON
+// ============================================================================
+
+/**
+ * Check whether two values are equal after normalization.
+ *
+ * @param {string} leftValue - Value from the left tree
+ * @param {string} rightValue - Value from the right tree
+ * @param {NormalizationOptions} options - Normalization to apply
+ * @returns {boolean} True if the values are equivalent
+ *
+ * @example
+ * areValuesEquivalent('1200', '1200.00', { ...DEFAULT_NORMALIZATION, numeric: true }); // true
+ */
+export function areValuesEquivalent(leftValue, rightValue, options) {
+    if (leftValue === rightValue) {
+        return true;
+    }
+
+    const left = normalizeText(leftValue ?? '', options);
+    const right = normalizeText(rightValue ?? '', options);
+
+    if (left === right) {
+        return true;
+    }
+
+    if (options.booleans && areBooleansEqual(left, right)) {
+        return true;
+    }
+
+    if (options.numeric && areNumbersEqual(left, right, options)) {
+        return true;
+    }
+
+    if (options.dates && areDatesEqual(left, right)) {
+        return true;
+    }
+
+    return false;
+}
+
+/**
+ * Apply the textual normalizations (whitespace, case).
+ *
+ * @param {string} value - Raw value
+ * @param {NormalizationOptions} options - Normalization to apply
+ * @returns {string} Normalized value
+ */
+function normalizeText(value, options) {
+    let text = value;
+
+    if (options.collapseWhitespace) {
+        text = text.trim().replace(/\s+/g, ' ');
+    }
+
+    if (options.ignoreCase) {
+        text = text.toLowerCase();
+    }
+
+    return text;
+}
+
+/**
+ * Compare two values as booleans (`true`/`1`, `false`/`0`).
+ *
+ * @param {string} left - Normalized left value
+ * @param {string} right - Normalized right value
+ * @returns {boolean} True if both are booleans with the same value
+ */
+function areBooleansEqual(left, right) {
+    const leftBool = BOOLEAN_VALUES[left.trim().toLowerCase()];
+    const rightBool = BOOLEAN_VALUES[right.trim().toLowerCase()];
+
+    return leftBool !== undefined && leftBool === rightBool;
+}
+
+/**
+ * Compare two values as numbers within the configured tolerance.
+ *
+ * @param {string} left - Normalized left value
+ * @param {string} right - Normalized right value
+ * @param {NormalizationOptions} options - Tolerance settings
+ * @returns {boolean} True if both are numbers close enough to each other
+ */
+function areNumbersEqual(left, right, options) {
+    const leftText = left.trim();
+    const rightText = right.trim();
+
+    if (!NUMBER_PATTERN.test(leftText) || !NUMBER_PATTERN.test(rightText)) {
+        return false;
+    }
+
+    const leftNumber = Number(leftText);
+    const rightNumber = Number(rightText);
+    const allowed = Math.max(
+        Number(options.absoluteTolerance) || 0,
+        (Number(options.relativeTolerance) || 0) * Math.max(Math.abs(leftNumber), Math.abs(rightNumber))
+    );
+
+    return Math.abs(leftNumber - rightNumber) <= allowed;
+}
+
+/**
+ * Compare two values as ISO 8601 dates/times.
+ *
+ * Date-times with different offsets are equal if they denote the same instant.
+ * Values without an offset (and plain dates) are read as UTC, whatever the
+ * time zone of the machine running the comparison.
+ *
+ * @param {string} left - Normalized left value
+ * @param {string} right - Normalized right value
+ * @returns {boolean} True if both parse to the same instant
+ */
+function areDatesEqual(left, right) {
+    const leftTime = parseIsoDate(left.trim());
+    const rightTime = parseIsoDate(right.trim());
+
+    return leftTime !== null && leftTime === rightTime;
+}
+
+/**
+ * Parse an ISO 8601 date/time to epoch milliseconds.
+ *
+ * Every field is range-checked: `2024-02-30` or `T24:00` is not a date,
+ * rather than rolling over into the next month or day.
+ *
+ * @param {string} value - Candidate date string
+ * @returns {number|null} Epoch milliseconds, or null if not a valid ISO date
+ */
+function parseIsoDate(value) {
+    const match = ISO_DATE_PATTERN.exec(value.toUpperCase());
+    if (!match) {
+        return null;
+    }
+
+    const { year, month, day, hour = 0, minute = 0, second = 0, fraction = '', sign, offsetHours = 0, offsetMinutes = 0 } = match.groups;
+    const fields = [year, month - 1, day, hour, minute, second].map(Number);
+
+    // setUTCFullYear, unlike Date.UTC, keeps years 0-99 as they are
+    const date = new Date(0);
+    date.setUTCFullYear(fields[0], fields[1], fields[2]);
+    date.setUTCHours(fields[3], fields[4], fields[5], Number(fraction.padEnd(3, '0').slice(0, 3)));
+
+    // Out-of-range fields roll over (February 30 becomes March 1); reject them
+    const actual = [
+        date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate(),
+        date.getUTCHours(), date.getUTCMinutes(), date.getUTCSeconds(),
+    ];
+    if (actual.some((field, i) => field !== fields[i]) || Number(offsetHours) > 23 || Number(offsetMinutes) > 59) {
+        return null;
+    }
+
+    const offset = (sign === '-' ? -1 : 1) * (Number(offsetHours) * 60 + Number(offsetMinutes));
+    return date.getTime() - offset * 60_000;
+}
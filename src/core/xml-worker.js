@@ -6,58 +6,82 @@
  * This worker offloads the heavy XML parsing and comparison from the main
  * UI thread to prevent the application from freezing when handling large files.
  *
- * It listens for messages containing XML strings, processes them, and posts
- * the results back to the main thread.
+ * It listens for compare jobs and batch jobs (folders of file pairs), runs
+ * them (see compareJob.js and batchCompare.js) and posts progress messages
+ * and then the results back to the main thread. A job is cancelled by
+ * terminating the worker.
+ *
+ * MESSAGES:
+ * - in:  { jobId, leftXml, rightXml, xpathSettings, compareOptions, isDebugMode }
+ * - out: { type: 'progress', jobId, phase, percent }
+ * - out: { type: 'result', jobId, ...CompareJobResult }
+ * - in:  { jobId, pairs, xpathSettings, compareOptions, isDebugMode } (pairs
+ *   hold File objects, which the worker reads itself)
+ * - out: { type: 'progress', jobId, completed, total, name }
+ * - out: { type: 'result', jobId, success, entries } (see BatchEntry)
  *
  * ============================================================================
  */
 
-import { parseXml } from './xmlParser';
-import { compareXml } from './xmlComparer';
+import { runCompareJob } from './compareJob.js';
+import { runBatchCompare } from './batchCompare.js';
 
 /**
  * Main message handler for the worker.
  *
- * The event data is expected to be an object with `leftXml` and `rightXml`.
- *
  * @param {MessageEvent} event - The event from the main thread
  */
-self.onmessage = (event) => {
-    const { leftXml, rightXml, isDebugMode } = event.data;
+self.onmessage = async (event) => {
+    const { jobId, isDebugMode, ...job } = event.data;
 
-    if (isDebugMode) console.log('Worker received job:', { leftXml, rightXml });
+    if (isDebugMode) console.log('Worker received job:', jobId);
+
+    if (job.pairs) {
+        await runBatch(jobId, job, isDebugMode);
+        return;
+    }
 
-    if (!leftXml || !rightXml) {
+    if (!job.leftXml || !job.rightXml) {
         if (isDebugMode) console.error('Worker: Missing XML input.');
-        self.postMessage({ error: 'Both XML inputs are required.' });
+        const error = 'Both XML inputs are required.';
+        self.postMessage({ type: 'result', jobId, success: false, leftError: error, rightError: error });
         return;
     }
 
     try {
-        // Step 1: Parse both XML strings
-        if (isDebugMode) console.log('Worker: Parsing left XML...');
-        const leftTree = parseXml(leftXml);
-        if (isDebugMode) console.log('Worker: Parsing right XML...');
-        const rightTree = parseXml(rightXml);
-
-        // Step 2: Compare the parsed trees
-        if (isDebugMode) console.log('Worker: Comparing trees...');
-        const diffResults = compareXml(leftTree, rightTree);
-        if (isDebugMode) console.log('Worker: Comparison finished.');
-
-        // Step 3: Post the successful results back to the main thread
-        self.postMessage({
-            success: true,
-            leftTree,
-            rightTree,
-            diffResults,
+        const result = await runCompareJob(job, {
+            onProgress: (progress) => {
+                if (isDebugMode) console.log('Worker:', progress.phase, `${progress.percent}%`);
+                self.postMessage({ type: 'progress', jobId, ...progress });
+            },
         });
+
+        if (isDebugMode) console.log('Worker: Comparison finished.', result.success);
+        self.postMessage({ type: 'result', jobId, ...result });
     } catch (error) {
         if (isDebugMode) console.error('Worker: Error during processing:', error);
-        // Step 4: If any error occurs, post an error message back
-        self.postMessage({
-            success: false,
-            error: error.message,
-        });
+        self.postMessage({ type: 'result', jobId, success: false, leftError: error.message, rightError: error.message });
     }
 };
+
+/**
+ * Compare the file pairs of a batch job, posting progress after each pair.
+ *
+ * @param {number} jobId - The job's id
+ * @param {BatchJob} job - The pairs and settings
+ * @param {boolean} isDebugMode - Whether to log
+ */
+async function runBatch(jobId, job, isDebugMode) {
+    try {
+        const entries = await runBatchCompare(job, {
+            onProgress: (progress) => {
+                if (isDebugMode) console.log('Worker: compared', progress.name, `${progress.completed}/${progress.total}`);
+                self.postMessage({ type: 'progress', jobId, ...progress });
+            },
+        });
+        self.postMessage({ type: 'result', jobId, success: true, entries });
+    } catch (error) {
+        if (isDebugMode) console.error('Worker: Error during batch:', error);
+        self.postMessage({ type: 'result', jobId, success: false, error: error.message });
+    }
+}
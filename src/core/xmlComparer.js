@@ -19,7 +19,22 @@
  * ============================================================================
  */
 
-import { flattenTree, getAllXPaths } from './xmlParser.js';
+import { countNodes, getDocumentNodes } from './xmlParser.js';
+import { alignSiblings, getSubtreeSignature, MatchMode } from './siblingAlignment.js';
+import {
+    compileIgnoreRules,
+    isSubtreeIgnored,
+    isElementIgnored,
+    isAttributeIgnored,
+} from './ignoreRules.js';
+import {
+    compileNormalizationRules,
+    resolveNormalization,
+    areValuesEquivalent,
+} from './valueNormalization.js';
+import { getElementName, getComparableAttributes, getComparableNamespaces } from './xmlNames.js';
+
+export { MatchMode };
 
 // ============================================================================
 // TYPE DEFINITIONS (JSDoc for IDE support)
@@ -33,17 +48,103 @@ import { flattenTree, getAllXPaths } from './xmlParser.js';
  * @property {number} leftOnly - Elements only in left tree
  * @property {number} rightOnly - Elements only in right tree
  * @property {number} different - Elements in both but with different content
+ * @property {number} moved - Subtrees found unchanged at a different XPath
+ * @property {number} ignored - Paired elements excluded from comparison by ignore rules
+ * @property {number} normalized - Matched elements that are equal only after normalization
  */
 
 /**
  * @typedef {Object} DiffResults
  * @property {string[]} leftOnly - XPaths of elements only in left tree
  * @property {string[]} rightOnly - XPaths of elements only in right tree
- * @property {string[]} different - XPaths of elements with content differences
- * @property {string[]} matched - XPaths of identical elements
+ * @property {string[]} different - Left-side XPaths of paired elements with content differences
+ * @property {string[]} matched - Left-side XPaths of identical paired elements
+ * @property {MovedEntry[]} moved - Subtrees that exist unchanged on both sides
+ *   but at a different location (their descendants are listed as matched)
+ * @property {{left: Object.<string, MovedEntry>, right: Object.<string, MovedEntry>}} movesByXPath -
+ *   For each side, maps the XPath of a moved subtree root to its move
+ * @property {string[]} ignored - Left-side XPaths of paired elements whose
+ *   differences (if any) are covered by ignore rules
+ * @property {string[]} normalized - Left-side XPaths of matched elements whose raw
+ *   text or attribute values differ but are equal after normalization
+ * @property {Object.<string, NodeChanges>} changes - Raw value differences of every
+ *   paired element whose text or attributes differ, keyed by its left XPath
+ *   (covers different, normalized and ignored elements)
+ * @property {{left: Object.<string, string>, right: Object.<string, string>}} counterparts -
+ *   For each side, maps an element's XPath to the XPath of the element it was paired with
+ * @property {Object.<string, ChildAlignmentEntry[]>} alignment - For each paired parent
+ *   (keyed by its left XPath), the display order of both children lists
+ * @property {{left: Object.<string, SubtreeChanges>, right: Object.<string, SubtreeChanges>}} subtreeChanges -
+ *   For each side, the changes below every element that has any, by its XPath
  * @property {DiffStats} stats - Summary statistics
  */
 
+/**
+ * Changes found below an element (not counting the element itself). A
+ * change on one side also counts for the counterparts of its ancestors, so
+ * both sides of a pair report the same changes.
+ * 
+ * @typedef {Object} SubtreeChanges
+ * @property {number} different - Paired descendants with content differences
+ * @property {number} leftOnly - Descendants only in the left tree
+ * @property {number} rightOnly - Descendants only in the right tree
+ * @property {number} moved - Moved subtrees below it (on either side)
+ * @property {number} total - All of the above
+ */
+
+/**
+ * @typedef {Object} MovedEntry
+ * @property {string} from - XPath of the subtree root in the left tree
+ * @property {string} to - XPath of the subtree root in the right tree
+ */
+
+/**
+ * @typedef {Object} NodeChanges
+ * @property {{old: string, new: string}|null} text - Left (old) and right (new)
+ *   text, or null if the text is identical
+ * @property {Object.<string, {old: string, new: string, rightName?: string}>} changedAttributes -
+ *   Attributes present on both sides with different values, by left name
+ *   (`rightName` is set when the right side uses another prefix)
+ * @property {Object.<string, string>} addedAttributes - Attributes only on the right
+ * @property {Object.<string, string>} removedAttributes - Attributes only on the left
+ * @property {{old: string|null, new: string|null}|null} namespace - Left (old) and
+ *   right (new) namespace URI of the element, or null if it is the same
+ * @property {Object.<string, {old: string, new: string}>} changedNamespaces -
+ *   Namespace declarations whose URI differs, by prefix ('' for the default namespace)
+ * @property {Object.<string, string>} addedNamespaces - Declarations only on the right
+ * @property {Object.<string, string>} removedNamespaces - Declarations only on the left
+ */
+
+/**
+ * @typedef {Object} ChildAlignmentEntry
+ * @property {string|null} left - XPath of the left child (null = missing on the left)
+ * @property {string|null} right - XPath of the right child (null = missing on the right)
+ */
+
+/**
+ * @typedef {Object} CompareOptions
+ * @property {'xpath'|'key'} matchMode - How sibling elements are paired across trees
+ *   (see MatchMode)
+ * @property {boolean} contentAlignment - Align repeated siblings without a key
+ *   or index attribute by content, so an inserted or deleted one doesn't shift
+ *   the rest; when false they pair by position
+ * @property {boolean} detectMoves - Report identical subtrees found at a different
+ *   XPath as moved instead of as a left-only plus a right-only entry
+ * @property {string[]} ignoreRules - Paths, attributes and subtrees to leave out
+ *   of the comparison (see ignoreRules.js for the syntax). Ignored elements that
+ *   exist on one side only are not reported at all.
+ * @property {Partial<NormalizationOptions>} normalization - How loosely text and
+ *   attribute values are compared (see valueNormalization.js)
+ * @property {NormalizationRule[]} normalizationRules - Per-path overrides of
+ *   `normalization`, e.g. `{ path: '//price', numeric: true, absoluteTolerance: 0.01 }`
+ * @property {boolean} ignorePrefixes - Compare element and attribute names by
+ *   namespace URI + local name, so `ns1:Order` and `a:Order` bound to the same
+ *   namespace are the same element (see xmlNames.js)
+ * @property {function({compared: number, total: number}): void} [onProgress] - Called
+ *   as the walk advances through the left tree (at most once per percent), for
+ *   progress reporting on large documents
+ */
+
 /**
  * Enum-like object for diff status values.
  * Use these constants instead of string literals for type safety.
@@ -52,9 +153,31 @@ export const DiffStatus = {
     MATCHED: 'matched',
     EXTRA: 'extra',
     DIFFERENT: 'different',
+    MOVED: 'moved',
+    IGNORED: 'ignored',
     NEUTRAL: 'neutral',
 };
 
+/**
+ * Enum-like object for the status of a whole subtree: an element is
+ * modified if it or anything below it changed.
+ */
+export const SubtreeStatus = {
+    UNCHANGED: 'unchanged',
+    MODIFIED: 'modified',
+};
+
+const DEFAULT_COMPARE_OPTIONS = {
+    matchMode: MatchMode.XPATH,
+    contentAlignment: true,
+    detectMoves: true,
+    ignoreRules: [],
+    normalization: {},
+    normalizationRules: [],
+    ignorePrefixes: false,
+    onProgress: null,
+};
+
 // ============================================================================
 // MAIN COMPARISON FUNCTION
 // ============================================================================
@@ -63,13 +186,18 @@ export const DiffStatus = {
  * Compare two XML trees and return detailed diff results.
  * 
  * This is the main entry point for XML comparison. It:
- * 1. Extracts all XPaths from both trees
- * 2. Identifies elements unique to each tree
- * 3. Compares matching elements for content differences
- * 4. Returns comprehensive results with statistics
+ * 1. Pairs the two roots, then walks both trees level by level
+ * 2. Pairs the children of every paired element using the match mode
+ * 3. Compares paired elements for content differences, leaving out
+ *    whatever the ignore rules cover and applying value normalization
+ * 4. Pairs identical unpaired subtrees across locations as moves
+ * 5. Records the remaining unpaired elements (and subtrees) as left/right only
+ * 6. Rolls the changes up to every ancestor (see SubtreeChanges)
+ * 7. Returns comprehensive results with statistics
  * 
  * @param {XmlNode} leftTree - The left (source) tree to compare
  * @param {XmlNode} rightTree - The right (target) tree to compare
+ * @param {CompareOptions} [options] - Optional comparison settings
  * @returns {DiffResults} Detailed comparison results
  * 
  * @example
@@ -77,101 +205,408 @@ export const DiffStatus = {
  * const right = parseXml('<root><a>2</a></root>');
  * const diff = compareXml(left, right);
  * console.log(diff.different); // ['/root/a']
+ *
+ * @example
+ * // Pair records by id so an inserted <item> doesn't shift the rest
+ * const diff = compareXml(left, right, { matchMode: MatchMode.KEY });
+ *
+ * @example
+ * // Timestamps and signatures always differ
+ * const diff = compareXml(left, right, {
+ *   ignoreRules: ['@generatedAt', '//lastModified', '/feed/Signature/**'],
+ * });
+ *
+ * @example
+ * // Amounts may be formatted differently; prices can be a cent off
+ * const diff = compareXml(left, right, {
+ *   normalization: { numeric: true, collapseWhitespace: true },
+ *   normalizationRules: [{ path: '//price', absoluteTolerance: 0.01 }],
+ * });
+ * console.log(diff.normalized); // matched only after normalization
  */
-export function compareXml(leftTree, rightTree) {
-    // Step 1: Get all XPaths from both trees
-    const leftPaths = getAllXPaths(leftTree);
-    const rightPaths = getAllXPaths(rightTree);
+export function compareXml(leftTree, rightTree, options = {}) {
+    const settings = { ...DEFAULT_COMPARE_OPTIONS, ...options };
+
+    const totalLeft = countNodes(leftTree);
+    const collector = createCollector(
+        compileIgnoreRules(settings.ignoreRules),
+        compileNormalizationRules(settings.normalizationRules),
+        createProgressCounter(totalLeft, settings.onProgress)
+    );
 
-    // Step 2: Create lookup maps for node data
-    const leftMap = flattenTree(leftTree);
-    const rightMap = flattenTree(rightTree);
+    // Step 1: Pair the roots (and any comments or processing instructions
+    // around them) the same way as any other siblings
+    compareSiblings(null, getDocumentNodes(leftTree), getDocumentNodes(rightTree), settings, collector, false);
 
-    // Step 3: Find elements only in left tree
-    const leftOnly = findUniqueElements(leftPaths, rightPaths);
+    // Step 2: Pair up subtrees that moved rather than disappeared
+    const movedRoots = settings.detectMoves
+        ? detectMoves(settings, collector)
+        : new Set();
 
-    // Step 4: Find elements only in right tree
-    const rightOnly = findUniqueElements(rightPaths, leftPaths);
+    // Step 3: Whatever is still unpaired exists on one side only
+    for (const node of collector.unpairedLeft) {
+        collectSubtree(node, collector.leftOnly, movedRoots, collector.ignoreRules);
+    }
+    for (const node of collector.unpairedRight) {
+        collectSubtree(node, collector.rightOnly, movedRoots, collector.ignoreRules);
+    }
 
-    // Step 5: Find common elements and check for differences
-    const { matched, different } = compareCommonElements(
-        leftPaths,
-        rightPaths,
-        leftMap,
-        rightMap
-    );
+    // Step 4: Count the changes below every element
+    const subtreeChanges = calculateSubtreeChanges(leftTree, rightTree, collector);
 
-    // Step 6: Calculate statistics
-    const stats = calculateStats(leftPaths, rightPaths, matched, leftOnly, rightOnly, different);
+    // Step 5: Calculate statistics
+    const stats = calculateStats(
+        totalLeft,
+        countNodes(rightTree),
+        collector
+    );
+    collector.advance?.(totalLeft);
 
     return {
-        leftOnly: Array.from(leftOnly),
-        rightOnly: Array.from(rightOnly),
-        different: Array.from(different),
-        matched: Array.from(matched),
+        leftOnly: collector.leftOnly,
+        rightOnly: collector.rightOnly,
+        different: collector.different,
+        matched: collector.matched,
+        moved: collector.moved,
+        movesByXPath: collector.movesByXPath,
+        ignored: collector.ignored,
+        normalized: collector.normalized,
+        changes: collector.changes,
+        counterparts: collector.counterparts,
+        alignment: collector.alignment,
+        subtreeChanges,
         stats,
     };
 }
 
+/**
+ * Create the mutable accumulator used while walking both trees.
+ * 
+ * @param {IgnoreRule[]} ignoreRules - Compiled ignore rules
+ * @param {Array<{pattern: RegExp, options: Object}>} normalizationRules - Compiled
+ *   per-path normalization overrides
+ * @param {function(number): void|null} advance - Counts left nodes as walked
+ *   (null without a progress listener)
+ * @returns {Object} Empty result buckets and counterpart maps
+ */
+function createCollector(ignoreRules, normalizationRules, advance) {
+    return {
+        leftOnly: [],
+        rightOnly: [],
+        different: [],
+        matched: [],
+        moved: [],
+        movesByXPath: { left: {}, right: {} },
+        ignored: [],
+        normalized: [],
+        changes: {},
+        // Roots of subtrees that found no partner during the walk
+        unpairedLeft: [],
+        unpairedRight: [],
+        counterparts: { left: {}, right: {} },
+        alignment: {},
+        // Subtree signatures for content alignment, shared across levels
+        signatureCache: new Map(),
+        ignoreRules,
+        normalizationRules,
+        advance,
+    };
+}
+
+/**
+ * Create a counter of the left nodes walked so far that reports progress
+ * whenever the percentage changes.
+ * 
+ * @param {number} total - Nodes in the left tree
+ * @param {function({compared: number, total: number}): void|null} onProgress - Listener
+ * @returns {function(number): void|null} Count a number of nodes as walked
+ *   (null without a listener)
+ */
+function createProgressCounter(total, onProgress) {
+    if (!onProgress) {
+        return null;
+    }
+
+    let compared = 0;
+    let reportedPercent = -1;
+
+    return (count) => {
+        // Comments and PIs around the root are walked too, but not counted in the total
+        compared = Math.min(total, compared + count);
+        const percent = Math.floor((compared / total) * 100);
+        if (percent !== reportedPercent) {
+            reportedPercent = percent;
+            onProgress({ compared, total });
+        }
+    };
+}
+
 // ============================================================================
-// ELEMENT FINDING FUNCTIONS
+// SIBLING PAIRING FUNCTIONS
 // ============================================================================
 
 /**
- * Find elements that exist in sourceSet but not in targetSet.
+ * Pair two lists of sibling elements and compare each pair recursively.
  * 
- * This performs a set difference operation: source - target.
+ * Unpaired elements are set aside for move detection; whatever stays
+ * unpaired is later recorded (with its subtree) as left-only or right-only.
+ * Inside an ignored subtree unpaired elements are dropped instead.
  * 
- * @param {Set<string>} sourceSet - The set to find unique elements from
- * @param {Set<string>} targetSet - The set to check against
- * @returns {Set<string>} Elements in source but not in target
+ * @param {string|null} parentXPath - Left XPath of the paired parent (null for the roots)
+ * @param {XmlNode[]} leftSiblings - Children of a left element
+ * @param {XmlNode[]} rightSiblings - Children of the paired right element
+ * @param {CompareOptions} settings - Comparison settings
+ * @param {Object} collector - Result accumulator
+ * @param {boolean} insideIgnored - Whether the parent lies in an ignored subtree
  */
-function findUniqueElements(sourceSet, targetSet) {
-    const unique = new Set();
+function compareSiblings(parentXPath, leftSiblings, rightSiblings, settings, collector, insideIgnored) {
+    if (leftSiblings.length === 0 && rightSiblings.length === 0) {
+        return;
+    }
+
+    const entries = alignSiblings(leftSiblings, rightSiblings, {
+        matchMode: settings.matchMode,
+        contentAlignment: settings.contentAlignment,
+        signatureCache: collector.signatureCache,
+        ignorePrefixes: settings.ignorePrefixes,
+    });
+
+    if (parentXPath !== null) {
+        collector.alignment[parentXPath] = entries.map(({ left, right }) => ({
+            left: left !== null ? leftSiblings[left].xpath : null,
+            right: right !== null ? rightSiblings[right].xpath : null,
+        }));
+    }
+
+    for (const { left, right } of entries) {
+        // Unpaired left subtrees are not walked any further
+        if (left !== null && right === null) {
+            collector.advance?.(countNodes(leftSiblings[left]));
+        }
 
-    for (const path of sourceSet) {
-        if (!targetSet.has(path)) {
-            unique.add(path);
+        if (left !== null && right !== null) {
+            compareNodePair(leftSiblings[left], rightSiblings[right], settings, collector, insideIgnored);
+        } else if (insideIgnored) {
+            continue;
+        } else if (right === null) {
+            collector.unpairedLeft.push(leftSiblings[left]);
+        } else {
+            collector.unpairedRight.push(rightSiblings[right]);
         }
     }
+}
+
+/**
+ * Compare two paired elements, then descend into their children.
+ * 
+ * Elements covered by an element or subtree rule are always reported as
+ * ignored; elements that differ only in ignored attributes are too.
+ * Elements equal only after value normalization are matched and also
+ * listed as normalized. Rules are checked against both XPaths, which
+ * differ in key match mode.
+ * 
+ * @param {XmlNode} leftNode - Element from left tree
+ * @param {XmlNode} rightNode - Paired element from right tree
+ * @param {CompareOptions} settings - Comparison settings
+ * @param {Object} collector - Result accumulator
+ * @param {boolean} insideIgnored - Whether the parent lies in an ignored subtree
+ */
+function compareNodePair(leftNode, rightNode, settings, collector, insideIgnored) {
+    const { ignoreRules } = collector;
+    const appliesToPair = check => check(leftNode.xpath) || check(rightNode.xpath);
+
+    collector.counterparts.left[leftNode.xpath] = rightNode.xpath;
+    collector.counterparts.right[rightNode.xpath] = leftNode.xpath;
+    collector.advance?.(1);
+
+    const subtreeIgnored = insideIgnored
+        || appliesToPair(xpath => isSubtreeIgnored(ignoreRules, xpath));
+    const isIgnoredAttribute = name => appliesToPair(xpath => isAttributeIgnored(ignoreRules, xpath, name));
+
+    const normalization = resolveNormalization(
+        settings.normalization,
+        collector.normalizationRules,
+        leftNode.xpath,
+        rightNode.xpath
+    );
+    const { ignorePrefixes } = settings;
+
+    const changes = describeChanges(leftNode, rightNode, ignorePrefixes);
+    if (changes) {
+        collector.changes[leftNode.xpath] = changes;
+    }
+
+    if (subtreeIgnored || appliesToPair(xpath => isElementIgnored(ignoreRules, xpath))) {
+        collector.ignored.push(leftNode.xpath);
+    } else if (!changes) {
+        collector.matched.push(leftNode.xpath);
+    } else if (normalization && areNodesIdentical(leftNode, rightNode, { normalization, ignorePrefixes })) {
+        collector.matched.push(leftNode.xpath);
+        collector.normalized.push(leftNode.xpath);
+    } else if (areNodesIdentical(leftNode, rightNode, { isIgnoredAttribute, normalization, ignorePrefixes })) {
+        collector.ignored.push(leftNode.xpath);
+    } else {
+        collector.different.push(leftNode.xpath);
+    }
+
+    compareSiblings(leftNode.xpath, leftNode.children, rightNode.children, settings, collector, subtreeIgnored);
+}
+
+/**
+ * Add the XPath of a node and all its descendants to a bucket.
+ * 
+ * Elements covered by ignore rules are left out (with their subtree
+ * for subtree rules).
+ * 
+ * @param {XmlNode} node - Root of the unpaired subtree
+ * @param {string[]} bucket - Array to append XPaths to
+ * @param {Set<XmlNode>} skip - Subtrees to leave out (already reported as moved)
+ * @param {IgnoreRule[]} ignoreRules - Compiled ignore rules
+ */
+function collectSubtree(node, bucket, skip, ignoreRules) {
+    if (skip.has(node) || isSubtreeIgnored(ignoreRules, node.xpath)) {
+        return;
+    }
+
+    if (!isElementIgnored(ignoreRules, node.xpath)) {
+        bucket.push(node.xpath);
+    }
 
-    return unique;
+    for (const child of node.children) {
+        collectSubtree(child, bucket, skip, ignoreRules);
+    }
 }
 
+// ============================================================================
+// MOVE DETECTION
+// ============================================================================
+
 /**
- * Compare elements that exist in both trees.
+ * Find unpaired left subtrees that reappear unchanged among the unpaired
+ * right subtrees, at any depth and under any parent.
  * 
- * For each element that exists in both trees (by XPath),
- * check if they have the same content and attributes.
+ * Left subtrees are tried top-down, so the largest moved block wins over
+ * its pieces. Each move is recorded in `collector.moved` and indexed by
+ * both XPaths in `collector.movesByXPath`, and the two subtrees are
+ * paired so their descendants count as matched.
  * 
- * @param {Set<string>} leftPaths - XPaths from left tree
- * @param {Set<string>} rightPaths - XPaths from right tree
- * @param {Map<string, XmlNode>} leftMap - XPath to node map for left tree
- * @param {Map<string, XmlNode>} rightMap - XPath to node map for right tree
- * @returns {{matched: Set<string>, different: Set<string>}} Sets of matched and different XPaths
+ * @param {CompareOptions} settings - Comparison settings
+ * @param {Object} collector - Result accumulator after the main walk
+ * @returns {Set<XmlNode>} Roots of moved subtrees on both sides
  */
-function compareCommonElements(leftPaths, rightPaths, leftMap, rightMap) {
-    const matched = new Set();
-    const different = new Set();
+function detectMoves(settings, collector) {
+    const { signatureCache } = collector;
+    const { ignorePrefixes } = settings;
+    const movedRoots = new Set();
 
-    for (const xpath of leftPaths) {
-        // Skip if not in both trees
-        if (!rightPaths.has(xpath)) {
-            continue;
+    // Index every right-only node by subtree signature
+    const candidates = new Map();
+    const parents = new Map();
+    const indexRight = (node, parent) => {
+        parents.set(node, parent);
+        const signature = getSubtreeSignature(node, signatureCache, ignorePrefixes);
+        if (!candidates.has(signature)) {
+            candidates.set(signature, []);
         }
+        candidates.get(signature).push(node);
+        node.children.forEach(child => indexRight(child, node));
+    };
+    collector.unpairedRight.forEach(root => indexRight(root, null));
 
-        const leftNode = leftMap.get(xpath);
-        const rightNode = rightMap.get(xpath);
+    if (candidates.size === 0) {
+        return movedRoots;
+    }
 
-        // Compare nodes for differences
-        if (areNodesIdentical(leftNode, rightNode)) {
-            matched.add(xpath);
-        } else {
-            different.add(xpath);
+    // Right nodes inside or above a claimed subtree can't be claimed again
+    const claimed = new Set();
+    const claim = (rightNode) => {
+        const claimSubtree = node => {
+            claimed.add(node);
+            node.children.forEach(claimSubtree);
+        };
+        claimSubtree(rightNode);
+        for (let parent = parents.get(rightNode); parent; parent = parents.get(parent)) {
+            claimed.add(parent);
+        }
+    };
+
+    const visit = (leftNode) => {
+        const queue = candidates.get(getSubtreeSignature(leftNode, signatureCache, ignorePrefixes)) || [];
+        const rightNode = queue.find(node => !claimed.has(node) && areSubtreesIdentical(leftNode, node, ignorePrefixes));
+
+        if (!rightNode) {
+            leftNode.children.forEach(visit);
+            return;
         }
+
+        claim(rightNode);
+        movedRoots.add(leftNode);
+        movedRoots.add(rightNode);
+        const move = { from: leftNode.xpath, to: rightNode.xpath };
+        collector.moved.push(move);
+        collector.movesByXPath.left[move.from] = move;
+        collector.movesByXPath.right[move.to] = move;
+        pairIdenticalSubtrees(leftNode, rightNode, collector);
+    };
+    collector.unpairedLeft.forEach(visit);
+
+    return movedRoots;
+}
+
+/**
+ * Pair two identical subtrees node by node.
+ * 
+ * Their XPaths differ, so children are paired by position rather than
+ * through the match mode. Descendants are recorded as matched; the roots
+ * are recorded by the caller.
+ * 
+ * @param {XmlNode} leftNode - Root of the left subtree
+ * @param {XmlNode} rightNode - Root of the identical right subtree
+ * @param {Object} collector - Result accumulator
+ */
+function pairIdenticalSubtrees(leftNode, rightNode, collector) {
+    collector.counterparts.left[leftNode.xpath] = rightNode.xpath;
+    collector.counterparts.right[rightNode.xpath] = leftNode.xpath;
+
+    if (leftNode.children.length === 0) {
+        return;
+    }
+
+    collector.alignment[leftNode.xpath] = leftNode.children.map((child, index) => ({
+        left: child.xpath,
+        right: rightNode.children[index].xpath,
+    }));
+
+    leftNode.children.forEach((child, index) => {
+        collector.matched.push(child.xpath);
+        pairIdenticalSubtrees(child, rightNode.children[index], collector);
+    });
+}
+
+/**
+ * Check whether two subtrees are exactly equal (tags, content, children).
+ * 
+ * Guards against signature hash collisions before reporting a move.
+ * 
+ * @param {XmlNode} leftNode - Root of the left subtree
+ * @param {XmlNode} rightNode - Root of the right subtree
+ * @param {boolean} ignorePrefixes - Compare names by namespace URI + local name
+ * @returns {boolean} True if both subtrees are identical
+ */
+function areSubtreesIdentical(leftNode, rightNode, ignorePrefixes) {
+    if (getElementName(leftNode, ignorePrefixes) !== getElementName(rightNode, ignorePrefixes)) {
+        return false;
+    }
+
+    if (!areNodesIdentical(leftNode, rightNode, { ignorePrefixes })) {
+        return false;
+    }
+
+    if (leftNode.children.length !== rightNode.children.length) {
+        return false;
     }
 
-    return { matched, different };
+    return leftNode.children.every((child, index) => areSubtreesIdentical(child, rightNode.children[index], ignorePrefixes));
 }
 
 // ============================================================================
@@ -184,35 +619,139 @@ function compareCommonElements(leftPaths, rightPaths, leftMap, rightMap) {
  * Two nodes are considered identical if:
  * 1. They have the same text content
  * 2. They have the same attributes (keys and values)
+ * 3. Unless prefixes are ignored, they are in the same namespace and make
+ *    the same namespace declarations
  * 
  * Note: Child elements are compared separately by XPath.
  * 
  * @param {XmlNode} leftNode - Node from left tree
  * @param {XmlNode} rightNode - Node from right tree
+ * @param {Object} [comparison] - How loosely to compare
+ * @param {function(string): boolean} [comparison.isIgnoredAttribute] - Attributes to leave out
+ * @param {NormalizationOptions|null} [comparison.normalization] - Loose value comparison, if any
+ * @param {boolean} [comparison.ignorePrefixes] - Match attributes by namespace URI + local name
  * @returns {boolean} True if nodes are identical
  */
-function areNodesIdentical(leftNode, rightNode) {
+function areNodesIdentical(leftNode, rightNode, comparison = {}) {
+    const {
+        isIgnoredAttribute = () => false,
+        normalization = null,
+        ignorePrefixes = false,
+    } = comparison;
+
     // Check text content
-    if (!isTextContentEqual(leftNode.textContent, rightNode.textContent)) {
+    if (!isTextContentEqual(leftNode.textContent, rightNode.textContent, normalization)) {
         return false;
     }
 
     // Check attributes
-    if (!areAttributesEqual(leftNode.attributes, rightNode.attributes)) {
+    if (!areAttributesEqual(leftNode, rightNode, isIgnoredAttribute, normalization, ignorePrefixes)) {
+        return false;
+    }
+
+    // Check namespaces (names compared as written only)
+    if (!ignorePrefixes && !areNamespacesEqual(leftNode, rightNode)) {
         return false;
     }
 
     return true;
 }
 
+/**
+ * List the raw text, attribute and namespace differences between two paired nodes.
+ * 
+ * Attributes are listed under their qualified name on the side they come
+ * from (the left name for changed attributes), namespace declarations
+ * under their prefix.
+ * 
+ * @param {XmlNode} leftNode - Node from left tree
+ * @param {XmlNode} rightNode - Node from right tree
+ * @param {boolean} ignorePrefixes - Match attributes by namespace URI + local name
+ * @returns {NodeChanges|null} The differences, or null if the nodes are identical
+ */
+function describeChanges(leftNode, rightNode, ignorePrefixes) {
+    const changes = {
+        text: null,
+        changedAttributes: {},
+        addedAttributes: {},
+        removedAttributes: {},
+        namespace: null,
+        changedNamespaces: {},
+        addedNamespaces: {},
+        removedNamespaces: {},
+    };
+    let hasChanges = false;
+
+    if (leftNode.textContent !== rightNode.textContent) {
+        changes.text = { old: leftNode.textContent, new: rightNode.textContent };
+        hasChanges = true;
+    }
+
+    const leftAttrs = getComparableAttributes(leftNode, ignorePrefixes);
+    const rightAttrs = getComparableAttributes(rightNode, ignorePrefixes);
+
+    for (const [key, { name, value }] of leftAttrs) {
+        const right = rightAttrs.get(key);
+        if (!right) {
+            changes.removedAttributes[name] = value;
+            hasChanges = true;
+        } else if (right.value !== value) {
+            changes.changedAttributes[name] = right.name === name
+                ? { old: value, new: right.value }
+                : { old: value, new: right.value, rightName: right.name };
+            hasChanges = true;
+        }
+    }
+
+    for (const [key, { name, value }] of rightAttrs) {
+        if (!leftAttrs.has(key)) {
+            changes.addedAttributes[name] = value;
+            hasChanges = true;
+        }
+    }
+
+    // Paired by a name as written, the namespaces can still differ
+    if (!ignorePrefixes && leftNode.namespaceURI !== rightNode.namespaceURI) {
+        changes.namespace = { old: leftNode.namespaceURI, new: rightNode.namespaceURI };
+        hasChanges = true;
+    }
+
+    const leftNamespaces = getComparableNamespaces(leftNode, ignorePrefixes);
+    const rightNamespaces = getComparableNamespaces(rightNode, ignorePrefixes);
+
+    for (const [prefix, uri] of Object.entries(leftNamespaces)) {
+        if (!Object.hasOwn(rightNamespaces, prefix)) {
+            changes.removedNamespaces[prefix] = uri;
+            hasChanges = true;
+        } else if (rightNamespaces[prefix] !== uri) {
+            changes.changedNamespaces[prefix] = { old: uri, new: rightNamespaces[prefix] };
+            hasChanges = true;
+        }
+    }
+
+    for (const [prefix, uri] of Object.entries(rightNamespaces)) {
+        if (!Object.hasOwn(leftNamespaces, prefix)) {
+            changes.addedNamespaces[prefix] = uri;
+            hasChanges = true;
+        }
+    }
+
+    return hasChanges ? changes : null;
+}
+
 /**
  * Compare text content of two nodes.
  * 
  * @param {string} leftText - Text content from left node
  * @param {string} rightText - Text content from right node
+ * @param {NormalizationOptions|null} normalization - Loose value comparison, if any
  * @returns {boolean} True if text content is equal
  */
-function isTextContentEqual(leftText, rightText) {
+function isTextContentEqual(leftText, rightText, normalization) {
+    if (normalization) {
+        return areValuesEquivalent(leftText, rightText, normalization);
+    }
+
     return leftText === rightText;
 }
 
@@ -222,22 +761,29 @@ function isTextContentEqual(leftText, rightText) {
  * Checks that both nodes have the same attribute keys
  * and the same values for each key.
  * 
- * @param {Object.<string, string>} leftAttrs - Attributes from left node
- * @param {Object.<string, string>} rightAttrs - Attributes from right node
+ * @param {XmlNode} leftNode - Node from left tree
+ * @param {XmlNode} rightNode - Node from right tree
+ * @param {function(string): boolean} isIgnoredAttribute - Attributes to leave out
+ *   (by qualified name)
+ * @param {NormalizationOptions|null} normalization - Loose value comparison, if any
+ * @param {boolean} ignorePrefixes - Match attributes by namespace URI + local name
  * @returns {boolean} True if attributes are equal
  */
-function areAttributesEqual(leftAttrs, rightAttrs) {
-    const leftKeys = Object.keys(leftAttrs);
-    const rightKeys = Object.keys(rightAttrs);
+function areAttributesEqual(leftNode, rightNode, isIgnoredAttribute, normalization, ignorePrefixes) {
+    const compared = node => [...getComparableAttributes(node, ignorePrefixes)]
+        .filter(([, { name }]) => !isIgnoredAttribute(name));
+    const leftAttrs = compared(leftNode);
+    const rightAttrs = new Map(compared(rightNode));
 
     // Check if same number of attributes
-    if (leftKeys.length !== rightKeys.length) {
+    if (leftAttrs.length !== rightAttrs.size) {
         return false;
     }
 
     // Check each attribute value
-    for (const key of leftKeys) {
-        if (leftAttrs[key] !== rightAttrs[key]) {
+    for (const [key, { value }] of leftAttrs) {
+        const right = rightAttrs.get(key);
+        if (!right || !isTextContentEqual(value, right.value, normalization)) {
             return false;
         }
     }
@@ -245,6 +791,26 @@ function areAttributesEqual(leftAttrs, rightAttrs) {
     return true;
 }
 
+/**
+ * Compare the namespace and the namespace declarations of two nodes.
+ * 
+ * @param {XmlNode} leftNode - Node from left tree
+ * @param {XmlNode} rightNode - Node from right tree
+ * @returns {boolean} True if both are in the same namespace and declare
+ *   the same prefixes with the same URIs
+ */
+function areNamespacesEqual(leftNode, rightNode) {
+    if (leftNode.namespaceURI !== rightNode.namespaceURI) {
+        return false;
+    }
+
+    const leftNamespaces = Object.entries(getComparableNamespaces(leftNode, false));
+    const rightNamespaces = getComparableNamespaces(rightNode, false);
+
+    return leftNamespaces.length === Object.keys(rightNamespaces).length
+        && leftNamespaces.every(([prefix, uri]) => rightNamespaces[prefix] === uri);
+}
+
 // ============================================================================
 // STATISTICS
 // ============================================================================
@@ -252,23 +818,89 @@ function areAttributesEqual(leftAttrs, rightAttrs) {
 /**
  * Calculate summary statistics for the comparison.
  * 
- * @param {Set<string>} leftPaths - All paths from left tree
- * @param {Set<string>} rightPaths - All paths from right tree
- * @param {Set<string>} matched - Matched element paths
- * @param {Set<string>} leftOnly - Left-only element paths
- * @param {Set<string>} rightOnly - Right-only element paths
- * @param {Set<string>} different - Different element paths
+ * @param {number} totalLeft - Number of elements in the left tree
+ * @param {number} totalRight - Number of elements in the right tree
+ * @param {Object} collector - Result accumulator with all buckets filled
  * @returns {DiffStats} Summary statistics object
  */
-function calculateStats(leftPaths, rightPaths, matched, leftOnly, rightOnly, different) {
+function calculateStats(totalLeft, totalRight, collector) {
     return {
-        totalLeft: leftPaths.size,
-        totalRight: rightPaths.size,
-        matched: matched.size,
-        leftOnly: leftOnly.size,
-        rightOnly: rightOnly.size,
-        different: different.size,
+        totalLeft,
+        totalRight,
+        matched: collector.matched.length,
+        leftOnly: collector.leftOnly.length,
+        rightOnly: collector.rightOnly.length,
+        different: collector.different.length,
+        moved: collector.moved.length,
+        ignored: collector.ignored.length,
+        normalized: collector.normalized.length,
+    };
+}
+
+// ============================================================================
+// SUBTREE ROLL-UP
+// ============================================================================
+
+/**
+ * Count every change at each ancestor of the node(s) it happened at.
+ * 
+ * @param {XmlNode} leftTree - The left tree
+ * @param {XmlNode} rightTree - The right tree
+ * @param {Object} collector - Result accumulator with all buckets filled
+ * @returns {{left: Object.<string, SubtreeChanges>, right: Object.<string, SubtreeChanges>}}
+ *   Changes below each element that has any, per side
+ */
+function calculateSubtreeChanges(leftTree, rightTree, collector) {
+    const parents = { left: mapParents(leftTree), right: mapParents(rightTree) };
+    const subtreeChanges = { left: {}, right: {} };
+
+    // Count a change once at every ancestor (and its counterpart) of its locations
+    const countChange = (category, locations) => {
+        const counted = { left: new Set(), right: new Set() };
+        const count = (side, xpath) => {
+            if (counted[side].has(xpath)) return;
+            counted[side].add(xpath);
+
+            if (!subtreeChanges[side][xpath]) {
+                subtreeChanges[side][xpath] = { different: 0, leftOnly: 0, rightOnly: 0, moved: 0, total: 0 };
+            }
+            subtreeChanges[side][xpath][category]++;
+            subtreeChanges[side][xpath].total++;
+        };
+
+        for (const [side, xpath] of locations) {
+            const otherSide = side === 'left' ? 'right' : 'left';
+            for (let ancestor = parents[side].get(xpath); ancestor; ancestor = parents[side].get(ancestor)) {
+                count(side, ancestor);
+                const counterpart = collector.counterparts[side][ancestor];
+                if (counterpart) count(otherSide, counterpart);
+            }
+        }
+    };
+
+    collector.different.forEach(xpath => countChange('different', [['left', xpath]]));
+    collector.leftOnly.forEach(xpath => countChange('leftOnly', [['left', xpath]]));
+    collector.rightOnly.forEach(xpath => countChange('rightOnly', [['right', xpath]]));
+    collector.moved.forEach(({ from, to }) => countChange('moved', [['left', from], ['right', to]]));
+
+    return subtreeChanges;
+}
+
+/**
+ * Map the XPath of every node of a tree to its parent's XPath.
+ * 
+ * @param {XmlNode} tree - The root of the tree
+ * @returns {Map<string, string|null>} Parent XPaths (null at the top)
+ */
+function mapParents(tree) {
+    const parents = new Map();
+    const visit = (node, parentXPath) => {
+        parents.set(node.xpath, parentXPath);
+        node.children.forEach(child => visit(child, node.xpath));
     };
+
+    getDocumentNodes(tree).forEach(node => visit(node, null));
+    return parents;
 }
 
 // ============================================================================
@@ -298,16 +930,31 @@ export function getDiffStatus(xpath, diffResults, side) {
         return DiffStatus.NEUTRAL;
     }
 
+    // matched/different hold left-side XPaths, so resolve right nodes first
+    const leftXPath = side === 'right'
+        ? getCounterpartXPath(xpath, diffResults, 'right')
+        : xpath;
+
     // Check matched first (most common case)
-    if (isInArray(xpath, diffResults.matched)) {
+    if (isInArray(leftXPath, diffResults.matched)) {
         return DiffStatus.MATCHED;
     }
 
     // Check if different
-    if (isInArray(xpath, diffResults.different)) {
+    if (isInArray(leftXPath, diffResults.different)) {
         return DiffStatus.DIFFERENT;
     }
 
+    // Check if ignored (differences covered by ignore rules)
+    if (isInArray(leftXPath, diffResults.ignored)) {
+        return DiffStatus.IGNORED;
+    }
+
+    // Check if moved (the subtree root sits at another XPath on the other side)
+    if (getMovedEntry(xpath, diffResults, side)) {
+        return DiffStatus.MOVED;
+    }
+
     // Check if extra (exists only on this side)
     if (side === 'left' && isInArray(xpath, diffResults.leftOnly)) {
         return DiffStatus.EXTRA;
@@ -320,17 +967,227 @@ export function getDiffStatus(xpath, diffResults, side) {
     return DiffStatus.NEUTRAL;
 }
 
+/**
+ * Get the changes found below an element.
+ * 
+ * @param {string} xpath - XPath of an element on `side`
+ * @param {DiffResults|null} diffResults - The comparison results
+ * @param {'left'|'right'} side - Which tree the XPath belongs to
+ * @returns {SubtreeChanges|null} The changes, or null if there are none
+ * 
+ * @example
+ * getSubtreeChanges('/catalog', diffResults, 'left');
+ * // { different: 2, leftOnly: 0, rightOnly: 3, moved: 0, total: 5 }
+ */
+export function getSubtreeChanges(xpath, diffResults, side) {
+    if (!diffResults?.subtreeChanges) {
+        return null;
+    }
+
+    return diffResults.subtreeChanges[side][xpath] ?? null;
+}
+
+/**
+ * Get the status of an element's whole subtree, for showing that a
+ * collapsed (or matched) element has changes inside it.
+ * 
+ * @param {string} xpath - XPath of an element on `side`
+ * @param {DiffResults|null} diffResults - The comparison results
+ * @param {'left'|'right'} side - Which tree the XPath belongs to
+ * @returns {string} One of SubtreeStatus values
+ * 
+ * @example
+ * getDiffStatus('/catalog', diffResults, 'left'); // 'matched'
+ * getSubtreeStatus('/catalog', diffResults, 'left'); // 'modified'
+ */
+export function getSubtreeStatus(xpath, diffResults, side) {
+    const status = getDiffStatus(xpath, diffResults, side);
+    const isChanged = status === DiffStatus.DIFFERENT
+        || status === DiffStatus.EXTRA
+        || status === DiffStatus.MOVED;
+
+    return isChanged || getSubtreeChanges(xpath, diffResults, side)
+        ? SubtreeStatus.MODIFIED
+        : SubtreeStatus.UNCHANGED;
+}
+
+/**
+ * Check whether a matched element is equal only after value normalization,
+ * i.e. its raw text or attribute values still differ.
+ * 
+ * @param {string} xpath - XPath of an element on `side`
+ * @param {DiffResults|null} diffResults - The comparison results
+ * @param {'left'|'right'} side - Which tree the XPath belongs to
+ * @returns {boolean} True if the element is a normalized match
+ */
+export function isNormalizedMatch(xpath, diffResults, side) {
+    if (!diffResults) {
+        return false;
+    }
+
+    const leftXPath = side === 'right'
+        ? getCounterpartXPath(xpath, diffResults, 'right')
+        : xpath;
+
+    return isInArray(leftXPath, diffResults.normalized);
+}
+
+/**
+ * Get the raw text and attribute differences of a paired element.
+ * 
+ * @param {string} xpath - XPath of an element on `side`
+ * @param {DiffResults|null} diffResults - The comparison results
+ * @param {'left'|'right'} side - Which tree the XPath belongs to
+ * @returns {NodeChanges|null} The differences, or null if there are none
+ * 
+ * @example
+ * const changes = getNodeChanges('/root/item', diffResults, 'left');
+ * // { text: { old: '1', new: '2' }, changedAttributes: {}, addedAttributes: {}, removedAttributes: {} }
+ */
+export function getNodeChanges(xpath, diffResults, side) {
+    if (!diffResults) {
+        return null;
+    }
+
+    const leftXPath = side === 'right'
+        ? getCounterpartXPath(xpath, diffResults, 'right')
+        : xpath;
+
+    return (leftXPath && diffResults.changes[leftXPath]) || null;
+}
+
+/**
+ * Get the names of the attributes of an element that differ from its
+ * counterpart (changed, added or removed).
+ * 
+ * @param {NodeChanges|null} changes - From getNodeChanges
+ * @returns {Set<string>} Attribute names to highlight
+ */
+export function getChangedAttributeNames(changes) {
+    if (!changes) {
+        return new Set();
+    }
+
+    return new Set([
+        ...Object.entries(changes.changedAttributes).flatMap(([name, change]) => (
+            change.rightName ? [name, change.rightName] : [name]
+        )),
+        ...Object.keys(changes.addedAttributes),
+        ...Object.keys(changes.removedAttributes),
+    ]);
+}
+
+/**
+ * Get the XPath of the element paired with the given one on the other side.
+ * 
+ * In XPath match mode this is the same XPath; in key match mode the
+ * counterpart of `/root/item[2]` may well be `/root/item[1]`.
+ * 
+ * @param {string} xpath - XPath of an element on `side`
+ * @param {DiffResults|null} diffResults - The comparison results
+ * @param {'left'|'right'} side - Which tree the XPath belongs to
+ * @returns {string|null} XPath in the other tree, or null if unpaired
+ * 
+ * @example
+ * const rightXPath = getCounterpartXPath('/root/item[2]', diffResults, 'left');
+ */
+export function getCounterpartXPath(xpath, diffResults, side) {
+    if (!diffResults || !xpath) {
+        return null;
+    }
+
+    return diffResults.counterparts[side][xpath] ?? null;
+}
+
+/**
+ * Express an XPath from one tree in terms of another tree.
+ * 
+ * Returns the XPath unchanged when both sides are the same, otherwise
+ * the counterpart XPath (null when the element has no counterpart).
+ * 
+ * @param {string} xpath - The XPath to translate
+ * @param {'left'|'right'} fromSide - Tree the XPath belongs to
+ * @param {'left'|'right'} toSide - Tree to express it in
+ * @param {DiffResults|null} diffResults - The comparison results
+ * @returns {string|null} The XPath in `toSide`'s tree
+ */
+export function translateXPath(xpath, fromSide, toSide, diffResults) {
+    if (fromSide === toSide) {
+        return xpath;
+    }
+
+    return getCounterpartXPath(xpath, diffResults, fromSide);
+}
+
+/**
+ * Get the move record for an element, if it is the root of a moved subtree.
+ * 
+ * @param {string} xpath - XPath of an element on `side`
+ * @param {DiffResults|null} diffResults - The comparison results
+ * @param {'left'|'right'} side - Which tree the XPath belongs to
+ * @returns {MovedEntry|null} The move linking both locations, or null
+ * 
+ * @example
+ * const move = getMovedEntry('/root/b/item', diffResults, 'left');
+ * // { from: '/root/b/item', to: '/root/a/item' }
+ */
+export function getMovedEntry(xpath, diffResults, side) {
+    if (!diffResults) {
+        return null;
+    }
+
+    return diffResults.movesByXPath[side][xpath] ?? null;
+}
+
+/**
+ * Get the display order of an element's children next to its counterpart's.
+ * 
+ * Each row holds the XPath of a child in the element's own tree and of the
+ * child it lines up with in the other tree; either may be null (a gap).
+ * 
+ * @param {string} xpath - XPath of an element on `side`
+ * @param {DiffResults|null} diffResults - The comparison results
+ * @param {'left'|'right'} side - Which tree the XPath belongs to
+ * @returns {Array<{own: string|null, other: string|null}>|null} Rows, or
+ *   null if the element was not paired
+ * 
+ * @example
+ * getChildAlignment('/root', diffResults, 'right');
+ * // [{ own: '/root/item', other: null }, { own: '/root/item[2]', other: '/root/item' }]
+ */
+export function getChildAlignment(xpath, diffResults, side) {
+    const leftXPath = side === 'left' ? xpath : getCounterpartXPath(xpath, diffResults, side);
+    if (!diffResults || !leftXPath || !diffResults.counterparts.left[leftXPath]) {
+        return null;
+    }
+
+    const otherSide = side === 'left' ? 'right' : 'left';
+    const entries = diffResults.alignment[leftXPath] || [];
+
+    return entries.map(entry => ({ own: entry[side], other: entry[otherSide] }));
+}
+
+// Sets of the result arrays, built on first lookup (the arrays never change
+// once compareXml returns them)
+const arraySets = new WeakMap();
+
 /**
  * Check if a value exists in an array.
  * 
- * Simple helper to improve readability.
+ * Lookups go through a cached Set, so checking every node of a large tree
+ * (as the differences-only filter does) stays linear.
  * 
  * @param {string} value - Value to find
  * @param {string[]} array - Array to search
  * @returns {boolean} True if value is in array
  */
 function isInArray(value, array) {
-    return array.includes(value);
+    let set = arraySets.get(array);
+    if (!set) {
+        set = new Set(array);
+        arraySets.set(array, set);
+    }
+    return set.has(value);
 }
 
 // ============================================================================
@@ -355,6 +1212,9 @@ export function getDiffSummary(results) {
         `Left only: ${stats.leftOnly}`,
         `Right only: ${stats.rightOnly}`,
         `Different: ${stats.different}`,
+        `Moved: ${stats.moved}`,
+        `Ignored: ${stats.ignored}`,
+        `Normalized: ${stats.normalized}`,
     ].join('\n');
 }
 
@@ -362,6 +1222,7 @@ export function getDiffSummary(results) {
  * Check if two XML trees are identical.
  * 
  * Convenience function that returns true if there are no differences.
+ * Ignored elements don't count as differences.
  * 
  * @param {DiffResults} results - The comparison results
  * @returns {boolean} True if trees are identical
@@ -370,6 +1231,7 @@ export function areTreesIdentical(results) {
     return (
         results.leftOnly.length === 0 &&
         results.rightOnly.length === 0 &&
-        results.different.length === 0
+        results.different.length === 0 &&
+        results.moved.length === 0
     );
 }
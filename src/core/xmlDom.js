@@ -0,0 +1,316 @@
+/**
+ * ============================================================================
+ * XML DOM - Core Library
+ * ============================================================================
+ *
+ * This module is a dependency-free replacement for DOMParser. It builds a
+ * minimal read-only document from the tokens of xmlTokenizer.js, so the
+ * parser runs in Node.js and in Web Workers, where there is no DOMParser.
+ *
+ * The document only has what xmlParser.js reads from a DOM: node types,
+ * names, namespaces, attributes, child lists and node values. Like a DOM
+ * built by DOMParser it has:
+ * - entity and character references decoded, line endings normalized to
+ *   "\n", and tabs/newlines in attribute values turned into spaces
+ * - namespace URIs resolved for elements and prefixed attributes
+ * - no nodes for the XML declaration, DOCTYPE or whitespace outside the root
+ *
+ * Only the five predefined entities (and character references) are known;
+ * entities declared in a DOCTYPE are reported as undefined.
+ * Like DOMParser it rejects character references to characters XML 1.0
+ * does not allow (e.g. &#0;) and prefixes bound to an empty URI.
+ *
+ * DEPENDENCIES:
+ * - xmlTokenizer.js (tokens and well-formedness errors)
+ *
+ * ============================================================================
+ */
+
+import { tokenizeXml, TokenType } from './xmlTokenizer.js';
+
+// ============================================================================
+// TYPE DEFINITIONS (JSDoc for IDE support)
+// ============================================================================
+
+/**
+ * @typedef {Object} XmlDomResult
+ * @property {Object|null} document - The document (null if the XML is not well-formed)
+ * @property {Map<Object, XmlToken>} tokens - Token each node was built from
+ * @property {{message: string, offset: number}|null} error - First error, or null
+ */
+
+const XML_URI = 'http://www.w3.org/XML/1998/namespace';
+const XMLNS_URI = 'http://www.w3.org/2000/xmlns/';
+
+const PREDEFINED_ENTITIES = {
+    lt: '<',
+    gt: '>',
+    amp: '&',
+    apos: "'",
+    quot: '"',
+};
+
+// A reference, or a line ending (and, in attribute values, a tab)
+const VALUE_PATTERN = /&(#x[0-9A-Fa-f]+|#[0-9]+|[^;]+);|\r\n?|\n|\t/g;
+
+// DOM nodeType of each token type that becomes a node
+const NODE_TYPES = {
+    [TokenType.TEXT]: 3,
+    [TokenType.CDATA]: 4,
+    [TokenType.PROCESSING_INSTRUCTION]: 7,
+    [TokenType.COMMENT]: 8,
+};
+
+// ============================================================================
+// MAIN PARSING FUNCTION
+// ============================================================================
+
+/**
+ * Parse an XML string into a minimal DOM-like document.
+ *
+ * @param {string} source - The raw XML string
+ * @returns {XmlDomResult} The document and the token of every node, or the first error
+ *
+ * @example
+ * const { document } = parseXmlDocument('<a x="1">&lt;b&gt;</a>');
+ * document.documentElement.getAttribute('x'); // "1"
+ * document.documentElement.childNodes[0].nodeValue; // "<b>"
+ */
+export function parseXmlDocument(source) {
+    const { tokens, error } = tokenizeXml(source);
+    if (error) {
+        return { document: null, tokens: new Map(), error };
+    }
+
+    const document = { nodeType: 9, nodeName: '#document', documentElement: null, childNodes: [], children: [] };
+    const nodeTokens = new Map();
+    const factory = createNodeFactory();
+    const stack = [document];
+
+    try {
+        for (const token of tokens) {
+            const parent = stack[stack.length - 1];
+
+            if (token.type === TokenType.START_TAG) {
+                const element = factory.startElement(token);
+                element.parentElement = parent === document ? null : parent;
+                appendChild(parent, element);
+                nodeTokens.set(element, token);
+                if (parent === document) document.documentElement = element;
+                if (!token.selfClosing) stack.push(element);
+            } else if (token.type === TokenType.END_TAG) {
+                factory.endElement();
+                stack.pop();
+            } else if (token.type in NODE_TYPES && !(token.type === TokenType.TEXT && parent === document)) {
+                const node = factory.createNode(token);
+                appendChild(parent, node);
+                nodeTokens.set(node, token);
+            }
+        }
+    } catch (domError) {
+        if (!domError.xmlOffsetError) throw domError;
+        return { document: null, tokens: new Map(), error: { message: domError.message, offset: domError.offset } };
+    }
+
+    return { document, tokens: nodeTokens, error: null };
+}
+
+// ============================================================================
+// NODES
+// ============================================================================
+
+/**
+ * Create a factory that turns tokens, in document order, into nodes with
+ * their namespaces resolved.
+ *
+ * The nodes are not linked to each other (parseXmlDocument links them; the
+ * streaming parser never needs a whole document). Errors such as undefined
+ * entities are thrown with an `offset`.
+ *
+ * @returns {{startElement: function(XmlToken): Object, endElement: function(): void,
+ *   createNode: function(XmlToken): Object}} Build an element from a start tag
+ *   (its namespace declarations stay in scope until endElement), or a text,
+ *   CDATA, processing instruction or comment node from its token
+ */
+export function createNodeFactory() {
+    const scopes = [{ xml: XML_URI }];
+
+    return {
+        startElement(token) {
+            const { element, scope } = createElement(token, scopes[scopes.length - 1]);
+            if (!token.selfClosing) scopes.push(scope);
+            return element;
+        },
+        endElement() {
+            scopes.pop();
+        },
+        createNode: createLeafNode,
+    };
+}
+
+/**
+ * Throw an error at an offset (caught by parseXmlDocument).
+ *
+ * @param {string} message - What is wrong
+ * @param {number} offset - Where
+ */
+function fail(message, offset) {
+    const error = new Error(message);
+    error.xmlOffsetError = true;
+    error.offset = offset;
+    throw error;
+}
+
+/**
+ * Append a node to a document or element.
+ *
+ * @param {Object} parent - The parent node
+ * @param {Object} child - The new last child
+ */
+function appendChild(parent, child) {
+    parent.childNodes.push(child);
+    if (child.nodeType === 1) parent.children.push(child);
+}
+
+/**
+ * Build an element from a start tag, resolving the namespaces of the
+ * element and its attributes.
+ *
+ * @param {XmlToken} token - The start tag
+ * @param {Object.<string, string>} parentScope - Prefixes in scope ('' for the default namespace)
+ * @returns {{element: Object, scope: Object.<string, string>}} The element, and
+ *   the prefixes in scope for its content
+ */
+function createElement(token, parentScope) {
+    const scope = { ...parentScope };
+    for (const { name, value } of token.attributes) {
+        if (name === 'xmlns') {
+            scope[''] = decodeValue(value, token.start, true);
+        } else if (name.startsWith('xmlns:')) {
+            const uri = decodeValue(value, token.start, true);
+            // Only the default namespace can be undeclared in XML 1.0
+            if (!uri) fail(`Namespace prefix "${name.slice(6)}" cannot be bound to an empty URI`, token.start);
+            scope[name.slice(6)] = uri;
+        }
+    }
+
+    const resolve = (qualifiedName, isAttribute) => {
+        const colon = qualifiedName.indexOf(':');
+        const prefix = colon === -1 ? null : qualifiedName.slice(0, colon);
+        const localName = colon === -1 ? qualifiedName : qualifiedName.slice(colon + 1);
+
+        if (qualifiedName === 'xmlns' || prefix === 'xmlns') {
+            return { prefix, localName, namespaceURI: XMLNS_URI };
+        }
+        if (prefix === null) {
+            return { prefix, localName, namespaceURI: isAttribute ? null : scope[''] || null };
+        }
+        if (!Object.hasOwn(scope, prefix)) {
+            fail(`Namespace prefix "${prefix}" is not declared`, token.start);
+        }
+        return { prefix, localName, namespaceURI: scope[prefix] || null };
+    };
+
+    const attributes = token.attributes.map(({ name, value }) => ({
+        name,
+        ...resolve(name, true),
+        value: decodeValue(value, token.start, true),
+    }));
+
+    const getAttributeNode = (name) => attributes.find(attribute => attribute.name === name);
+
+    const element = {
+        nodeType: 1,
+        nodeName: token.name,
+        tagName: token.name,
+        ...resolve(token.name, false),
+        attributes,
+        childNodes: [],
+        children: [],
+        parentElement: null,
+        getAttribute: (name) => getAttributeNode(name)?.value ?? null,
+        hasAttribute: (name) => Boolean(getAttributeNode(name)),
+    };
+
+    return { element, scope };
+}
+
+/**
+ * Build a text, CDATA, processing instruction or comment node.
+ *
+ * @param {XmlToken} token - The token
+ * @returns {Object} The node
+ */
+function createLeafNode(token) {
+    const nodeType = NODE_TYPES[token.type];
+
+    switch (token.type) {
+        case TokenType.TEXT:
+            return { nodeType, nodeName: '#text', nodeValue: decodeValue(token.value, token.start, false) };
+        case TokenType.CDATA:
+            return { nodeType, nodeName: '#cdata-section', nodeValue: normalizeLineEndings(token.value) };
+        case TokenType.PROCESSING_INSTRUCTION:
+            return { nodeType, nodeName: token.name, target: token.name, nodeValue: normalizeLineEndings(token.value) };
+        default:
+            return { nodeType, nodeName: '#comment', nodeValue: normalizeLineEndings(token.value) };
+    }
+}
+
+// ============================================================================
+// VALUES
+// ============================================================================
+
+/**
+ * Normalize "\r\n" and lone "\r" to "\n", as XML processors do.
+ *
+ * @param {string} value - Raw text
+ * @returns {string} The text with "\n" line endings
+ */
+function normalizeLineEndings(value) {
+    return value.replace(/\r\n?/g, '\n');
+}
+
+/**
+ * Decode the references in text or an attribute value, normalizing line
+ * endings.
+ *
+ * Attribute values also have literal tabs and line breaks turned into
+ * spaces; characters written as references are kept.
+ *
+ * @param {string} value - Raw text or attribute value
+ * @param {number} offset - Offset of the value (of the tag, for attribute values)
+ * @param {boolean} isAttribute - Whether the value is an attribute value
+ * @returns {string} The decoded value
+ */
+function decodeValue(value, offset, isAttribute) {
+    return value.replace(VALUE_PATTERN, (match, name, index) => {
+        if (!name) {
+            if (isAttribute) return ' ';
+            return match === '\t' ? match : '\n';
+        }
+        if (name.startsWith('#')) {
+            const codePoint = name[1] === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+            if (!isXmlChar(codePoint)) fail(`Invalid character reference ${match}`, offset + (isAttribute ? 0 : index));
+            return String.fromCodePoint(codePoint);
+        }
+        if (!Object.hasOwn(PREDEFINED_ENTITIES, name)) {
+            fail(`Undefined entity ${match}`, offset + (isAttribute ? 0 : index));
+        }
+        return PREDEFINED_ENTITIES[name];
+    });
+}
+
+/**
+ * Check whether a code point is allowed in an XML 1.0 document (the Char
+ * production): no control characters but tab and line breaks, no
+ * surrogates, no U+FFFE or U+FFFF.
+ *
+ * @param {number} codePoint - The code point of a character reference
+ * @returns {boolean} True if it is a valid XML character
+ */
+function isXmlChar(codePoint) {
+    return codePoint === 0x9 || codePoint === 0xA || codePoint === 0xD
+        || (codePoint >= 0x20 && codePoint <= 0xD7FF)
+        || (codePoint >= 0xE000 && codePoint <= 0xFFFD)
+        || (codePoint >= 0x10000 && codePoint <= 0x10FFFF);
+}
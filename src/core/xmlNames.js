@@ -0,0 +1,77 @@
+/**
+ * ============================================================================
+ * XML NAMES - Core Library
+ * ============================================================================
+ *
+ * This module decides which element and attribute names count as "the same"
+ * when comparing two trees.
+ *
+ * By default names are compared as written (`ns1:Order` differs from
+ * `a:Order`). With prefixes ignored, names are compared by namespace URI
+ * and local name instead, so documents that bind different prefixes to the
+ * same namespace compare equal. Compared as written, an element whose
+ * namespace or namespace declarations differ is changed, even when its
+ * name is not.
+ *
+ * DEPENDENCIES:
+ * - None (uses the namespace fields of XmlNode from xmlParser.js)
+ *
+ * ============================================================================
+ */
+
+/**
+ * Get the name an element is compared by.
+ *
+ * @param {XmlNode} node - The element
+ * @param {boolean} ignorePrefixes - Compare by namespace URI + local name
+ * @returns {string} The qualified name, or the Clark name "{uri}local"
+ */
+export function getElementName(node, ignorePrefixes) {
+    return ignorePrefixes ? (node.expandedName ?? node.tagName) : node.tagName;
+}
+
+/**
+ * Get an element's attributes keyed by the name they are compared by.
+ *
+ * Each entry keeps the attribute's qualified name for display.
+ *
+ * @param {XmlNode} node - The element
+ * @param {boolean} ignorePrefixes - Key prefixed attributes by "{uri}local"
+ * @returns {Map<string, {name: string, value: string}>} Comparable name -> attribute
+ */
+export function getComparableAttributes(node, ignorePrefixes) {
+    const entries = new Map();
+
+    for (const [name, value] of Object.entries(node.attributes)) {
+        const namespaceURI = ignorePrefixes ? node.attributeNamespaces?.[name] : null;
+        const key = namespaceURI ? `{${namespaceURI}}${name.slice(name.indexOf(':') + 1)}` : name;
+        entries.set(key, { name, value });
+    }
+
+    return entries;
+}
+
+/**
+ * Get the namespace declarations of an element that take part in the
+ * comparison.
+ *
+ * Names compared as written depend on the prefixes they use, so the
+ * declarations count; compared by namespace URI they don't.
+ *
+ * @param {XmlNode} node - The element
+ * @param {boolean} ignorePrefixes - Compare by namespace URI + local name
+ * @returns {Object.<string, string>} Prefix ('' for the default namespace) -> URI
+ */
+export function getComparableNamespaces(node, ignorePrefixes) {
+    return ignorePrefixes ? {} : (node.namespaces ?? {});
+}
+
+/**
+ * Get the attribute name of a namespace declaration.
+ *
+ * @param {string} prefix - The declared prefix ('' for the default namespace)
+ * @returns {string} "xmlns:prefix", or "xmlns"
+ */
+export function getDeclarationName(prefix) {
+    return prefix ? `xmlns:${prefix}` : 'xmlns';
+}
@@ -10,36 +10,156 @@
  * This module is designed to be framework-agnostic and can be used in:
  * - React web applications
  * - Electron desktop applications
- * - Node.js CLI tools (with jsdom)
+ * - Node.js CLI tools and Web Workers (built-in parser, no DOMParser needed)
  * - Any JavaScript/TypeScript environment
  * 
+ * PARSER BACKENDS:
+ * The XML is read either by the platform's DOMParser or by the built-in,
+ * dependency-free parser in xmlDom.js (see ParserBackend). Both produce
+ * identical trees; by default DOMParser is used wherever it exists.
+ * 
+ * NODE KINDS:
+ * Elements are always kept. Comments, processing instructions and CDATA
+ * sections are optional (see NodeKind); when kept they become leaf nodes
+ * with their own XPath steps:
+ * - comment:                `/root/comment()[1]`
+ * - processing instruction: `/processing-instruction('xml-stylesheet')`
+ * - CDATA section:          `/root/script/text()[1]`
+ * 
+ * TEXT:
+ * By default an element's direct text is joined into its `textContent`.
+ * With `mixedContent` on, elements that have both text and child nodes
+ * (`<p>Hello <b>big</b> world</p>`) keep each text segment as a text node
+ * between the children instead (`/p/text()[1]`, `/p/b`, `/p/text()[2]`).
+ * Whitespace in text is handled according to WhitespaceMode.
+ * 
+ * SOURCE POSITIONS:
+ * Every node records where its opening and closing tags are in the raw XML
+ * (`node.source`), and syntax errors report their line and column, using
+ * xmlTokenizer.js.
+ * 
  * DEPENDENCIES:
- * - Requires DOMParser (browser-native or jsdom for Node.js)
+ * - DOMParser (browser-native or jsdom) for the DOM backend
+ * - xmlDom.js (built-in parser backend)
+ * - xmlTokenizer.js (source positions and syntax error locations)
  * 
  * ============================================================================
  */
 
+import { tokenizeXml, findSyntaxError, createPositionLookup, TokenType } from './xmlTokenizer.js';
+import { parseXmlDocument } from './xmlDom.js';
+
 // ============================================================================
 // TYPE DEFINITIONS (JSDoc for IDE support)
 // ============================================================================
 
 /**
  * @typedef {Object} XmlNode
- * @property {string} tagName - The element's tag name (e.g., "item", "root")
+ * @property {'element'|'text'|'comment'|'processing-instruction'|'cdata'} kind - Node kind
+ *   (see NodeKind)
+ * @property {string} tagName - The element's qualified name as written (e.g., "item", "ns1:Order");
+ *   "#text", "#comment", "#cdata-section" or "?target" for the other kinds
+ * @property {string} localName - The name without prefix (e.g., "Order")
+ * @property {string|null} namespaceURI - Namespace the element belongs to (null if none)
+ * @property {string|null} prefix - Prefix used in the document (null for none/default namespace)
+ * @property {string} expandedName - Clark notation name, "{uri}local" (or just "local")
  * @property {string} xpath - Full XPath to this element (e.g., "/root/item[1]")
  * @property {Object.<string, string>} attributes - Key-value pairs of attributes
- * @property {string} textContent - Direct text content (not from children)
- * @property {XmlNode[]} children - Child element nodes
+ *   (namespace declarations are not included)
+ * @property {Object.<string, string>} attributeNamespaces - Namespace URI of each
+ *   prefixed attribute, keyed by its qualified name
+ * @property {Object.<string, string>} namespaces - Namespace declarations made on
+ *   this element, prefix -> URI ('' for the default namespace)
+ * @property {string} textContent - Direct text content (not from children; empty for
+ *   mixed content, whose text is in text nodes); the text, comment text,
+ *   instruction data or CDATA content for the other kinds
+ * @property {XmlNode[]} children - Child nodes (elements, plus any text segments of
+ *   mixed content and kept comments, processing instructions and CDATA
+ *   sections, in document order)
  * @property {string} key - Unique identifier for comparison purposes
  * @property {number} siblingIndex - 1-based index among siblings with same tag name
  * @property {number} siblingTotal - Total count of siblings with same tag name
+ * @property {NodeSource|null} source - Where the node is in the raw XML (null if unknown)
+ * @property {XmlNode[]} [prolog] - Root only: kept comments and processing
+ *   instructions before the root element
+ * @property {XmlNode[]} [epilog] - Root only: kept comments and processing
+ *   instructions after the root element
+ */
+
+/**
+ * @typedef {Object} NodeSource
+ * @property {SourceRange} openTag - The opening tag (for other kinds, the whole node)
+ * @property {SourceRange} closeTag - The closing tag (the opening tag again for
+ *   self-closing elements; for other kinds, the whole node)
+ */
+
+/**
+ * Enum-like object for the kinds of node in the tree.
+ * 
+ * Pass the optional kinds to keep in `xpathSettings.nodeKinds`; without
+ * them the tree only has elements (CDATA content then counts as text).
+ * Text nodes only appear in mixed content (see `xpathSettings.mixedContent`).
  */
+export const NodeKind = {
+    ELEMENT: 'element',
+    TEXT: 'text',
+    COMMENT: 'comment',
+    PROCESSING_INSTRUCTION: 'processing-instruction',
+    CDATA: 'cdata',
+};
+
+/**
+ * Enum-like object for how whitespace in text is treated.
+ * 
+ * - TRIM: leading and trailing whitespace of every text node is dropped
+ * - NORMALIZE: whitespace runs become one space; the element's text is trimmed
+ *   at its start and end only, so spaces between words and child elements stay
+ * - PRESERVE: text is kept exactly as written
+ * - XML_SPACE: TRIM, except inside elements marked `xml:space="preserve"`
+ * 
+ * Whitespace-only text between child elements (indentation) is always dropped.
+ */
+export const WhitespaceMode = {
+    TRIM: 'trim',
+    NORMALIZE: 'normalize',
+    PRESERVE: 'preserve',
+    XML_SPACE: 'xml-space',
+};
+
+/**
+ * Enum-like object for how namespaced element names appear in XPaths.
+ * 
+ * - PREFIX: qualified names as written in the document ("/ns1:Order/ns1:Item")
+ * - CLARK: namespace URI plus local name ("/{urn:orders}Order/{urn:orders}Item"),
+ *   so documents using different prefixes for the same namespace get equal XPaths
+ */
+export const NamespaceMode = {
+    PREFIX: 'prefix',
+    CLARK: 'clark',
+};
+
+/**
+ * Enum-like object for the parser that reads the XML text.
+ * 
+ * - AUTO: DOMParser if the environment has one, otherwise the built-in parser
+ * - DOM: the platform's DOMParser (browsers, or jsdom in Node.js)
+ * - JS: the built-in pure-JavaScript parser (works everywhere)
+ */
+export const ParserBackend = {
+    AUTO: 'auto',
+    DOM: 'dom',
+    JS: 'js',
+};
+
+const XMLNS_URI = 'http://www.w3.org/2000/xmlns/';
 
 /**
  * @typedef {Object} ParseResult
  * @property {boolean} success - Whether parsing was successful
  * @property {XmlNode|null} tree - The parsed tree (null if failed)
  * @property {string|null} error - Error message (null if successful)
+ * @property {SourcePosition|null} errorPosition - Where the syntax error is
+ *   (null if successful or unknown)
  */
 
 // ============================================================================
@@ -51,7 +171,7 @@
  * 
  * This is the main entry point for XML parsing. It handles:
  * 1. XML string validation
- * 2. DOM parsing with error detection
+ * 2. DOM parsing (DOMParser or the built-in parser) with error detection
  * 3. Tree structure normalization with XPath generation
  * 
  * @param {string} xmlString - The raw XML string to parse
@@ -59,8 +179,19 @@
  * @param {string[]} xpathSettings.elementsArray - Tags to omit [1] index for
  * @param {string|null} xpathSettings.indexAttribute - Attribute to use for indexing
  * @param {boolean} xpathSettings.leafOmit - Whether to omit [1] for leaf nodes
+ * @param {'prefix'|'clark'} xpathSettings.namespaceMode - How namespaced names
+ *   appear in XPaths (see NamespaceMode)
+ * @param {string[]} xpathSettings.nodeKinds - Optional node kinds to keep
+ *   (comment, processing-instruction, cdata; see NodeKind)
+ * @param {boolean} xpathSettings.mixedContent - Keep the text of mixed content
+ *   as text nodes between the children
+ * @param {'trim'|'normalize'|'preserve'|'xml-space'} xpathSettings.whitespace -
+ *   How whitespace in text is treated (see WhitespaceMode)
+ * @param {'auto'|'dom'|'js'} xpathSettings.parser - Which parser reads the XML
+ *   (see ParserBackend)
  * @returns {XmlNode} The root node of the parsed tree
- * @throws {Error} If the XML is invalid or empty
+ * @throws {Error} If the XML is invalid or empty (syntax errors carry the
+ *   line and column in the message and as `error.position`)
  * 
  * @example
  * const tree = parseXml('<root><item id="1">Hello</item></root>');
@@ -68,25 +199,21 @@
  * console.log(tree.children[0].xpath); // "/root/item"
  */
 export function parseXml(xmlString, xpathSettings = {}) {
-    // Merge with defaults
-    const settings = {
-        elementsArray: [],
-        indexAttribute: null,
-        leafOmit: true,
-        ...xpathSettings
-    };
-
     // Step 1: Validate input is not empty
     validateXmlInput(xmlString);
 
-    // Step 2: Parse string to DOM document
-    const xmlDoc = parseStringToDocument(xmlString);
+    // Steps 2-4: Parse string to a document, check for parsing errors and
+    // find every node in the source text
+    const { xmlDoc, tokens } = resolveParserBackend(xpathSettings.parser) === ParserBackend.JS
+        ? parseWithBuiltInParser(xmlString)
+        : parseWithDomParser(xmlString);
 
-    // Step 3: Check for parsing errors from the DOM parser
-    checkForParseErrors(xmlDoc);
+    // Step 5: Build the normalized tree (with the kept nodes outside the
+    // root element) in one pass over the document
+    const builder = createTreeBuilder(xpathSettings, createPositionLookup(xmlString));
+    walkDocument(xmlDoc, tokens, builder);
 
-    // Step 4: Build and return the normalized tree
-    return buildTreeFromElement(xmlDoc.documentElement, '', settings);
+    return builder.finish();
 }
 
 /**
@@ -109,9 +236,9 @@ export function parseXml(xmlString, xpathSettings = {}) {
 export function safeParseXml(xmlString, xpathSettings = {}) {
     try {
         const tree = parseXml(xmlString, xpathSettings);
-        return { success: true, tree, error: null };
+        return { success: true, tree, error: null, errorPosition: null };
     } catch (error) {
-        return { success: false, tree: null, error: error.message };
+        return { success: false, tree: null, error: error.message, errorPosition: error.position || null };
     }
 }
 
@@ -140,34 +267,97 @@ function validateXmlInput(xmlString) {
 // ============================================================================
 
 /**
- * Parse an XML string into a DOM Document using DOMParser.
+ * Pick the parser to use for a `parser` setting.
+ * 
+ * @param {'auto'|'dom'|'js'} [parser] - Requested backend (see ParserBackend; default auto)
+ * @returns {'dom'|'js'} The backend to use
+ * @throws {Error} If the DOM backend is requested but there is no DOMParser
+ */
+export function resolveParserBackend(parser) {
+    const hasDomParser = typeof DOMParser !== 'undefined';
+
+    if (parser === ParserBackend.DOM && !hasDomParser) {
+        throw new Error('DOMParser is not available in this environment');
+    }
+    if (parser === ParserBackend.JS || !hasDomParser) {
+        return ParserBackend.JS;
+    }
+    return ParserBackend.DOM;
+}
+
+/**
+ * Parse an XML string with DOMParser and locate its nodes in the source.
  * 
  * @param {string} xmlString - The XML string to parse
- * @returns {Document} The parsed DOM document
+ * @returns {{xmlDoc: Document, tokens: Map<Node, XmlToken>}} The parsed DOM
+ *   document and the token of each DOM node
+ * @throws {Error} If the XML is invalid
  */
-function parseStringToDocument(xmlString) {
+function parseWithDomParser(xmlString) {
     const parser = new DOMParser();
-    return parser.parseFromString(xmlString, 'text/xml');
+    const xmlDoc = parser.parseFromString(xmlString, 'text/xml');
+    checkForParseErrors(xmlDoc, xmlString);
+
+    return { xmlDoc, tokens: locateSourceNodes(xmlDoc, xmlString) };
+}
+
+/**
+ * Parse an XML string with the built-in parser (xmlDom.js), which knows
+ * the token of every node it builds.
+ * 
+ * @param {string} xmlString - The XML string to parse
+ * @returns {{xmlDoc: Object, tokens: Map<Object, XmlToken>}} The DOM-like
+ *   document and the token of each node
+ * @throws {Error} If the XML is invalid
+ */
+function parseWithBuiltInParser(xmlString) {
+    const { document, tokens, error } = parseXmlDocument(xmlString);
+    if (error) {
+        throw createSyntaxError(error.message, createPositionLookup(xmlString)(error.offset));
+    }
+
+    return { xmlDoc: document, tokens };
 }
 
 /**
  * Check if the DOM document contains any parsing errors.
  * 
  * The DOMParser doesn't throw errors; instead, it returns a document
- * containing a <parsererror> element if parsing failed.
+ * containing a <parsererror> element if parsing failed. The tokenizer
+ * then locates the error; the parser's own message is only used if the
+ * tokenizer finds nothing wrong.
  * 
  * @param {Document} xmlDoc - The DOM document to check
+ * @param {string} xmlString - The XML string that was parsed
  * @throws {Error} If a parsing error is found in the document
  */
-function checkForParseErrors(xmlDoc) {
+function checkForParseErrors(xmlDoc, xmlString) {
     const parseError = xmlDoc.querySelector('parsererror');
     if (parseError) {
+        const syntaxError = findSyntaxError(xmlString);
+        if (syntaxError) {
+            throw createSyntaxError(syntaxError.message, syntaxError.position);
+        }
+
         // Extract just the error message, not the full DOM content
         const errorText = extractErrorMessage(parseError);
         throw new Error(`Invalid XML: ${errorText}`);
     }
 }
 
+/**
+ * Create an "Invalid XML" error that carries the error's location.
+ * 
+ * @param {string} message - What is wrong
+ * @param {SourcePosition} position - Where
+ * @returns {Error} The error, with `error.position` set
+ */
+export function createSyntaxError(message, position) {
+    const error = new Error(`Invalid XML: ${message} (line ${position.line}, column ${position.column})`);
+    error.position = position;
+    return error;
+}
+
 /**
  * Extract a clean error message from a parsererror element.
  * 
@@ -189,70 +379,371 @@ function extractErrorMessage(parseError) {
     return message;
 }
 
+// ============================================================================
+// SOURCE POSITIONS
+// ============================================================================
+
+// Token type that each DOM nodeType comes from
+const TOKEN_TYPE_BY_NODE_TYPE = {
+    1: TokenType.START_TAG,
+    3: TokenType.TEXT,
+    4: TokenType.CDATA,
+    7: TokenType.PROCESSING_INSTRUCTION,
+    8: TokenType.COMMENT,
+};
+
+/**
+ * Pair every DOM node with the source token it was parsed from.
+ * 
+ * Nodes of each type appear in the DOM in the same order as their tokens
+ * in the source, so walking the document in order and taking the next
+ * token of the matching type pairs them up. Text outside the root element
+ * (whitespace) has no DOM node and is skipped.
+ * 
+ * @param {Document} xmlDoc - The parsed DOM document
+ * @param {string} xmlString - The XML string that was parsed
+ * @returns {Map<Node, XmlToken>} Token of each DOM node
+ */
+function locateSourceNodes(xmlDoc, xmlString) {
+    const queues = new Map(Object.values(TOKEN_TYPE_BY_NODE_TYPE).map(type => [type, []]));
+    for (const token of tokenizeXml(xmlString).tokens) {
+        if (queues.has(token.type) && !(token.type === TokenType.TEXT && token.depth === 0)) {
+            queues.get(token.type).push(token);
+        }
+    }
+
+    const tokens = new Map();
+    const visit = (parent) => {
+        for (const child of parent.childNodes) {
+            const queue = queues.get(TOKEN_TYPE_BY_NODE_TYPE[child.nodeType]);
+            if (queue && queue.length > 0) {
+                tokens.set(child, queue.shift());
+            }
+            if (child.nodeType === 1) visit(child);
+        }
+    };
+    visit(xmlDoc);
+
+    return tokens;
+}
+
+/**
+ * Get where a node, or a run of adjacent nodes, is in the source.
+ * 
+ * @param {Array<XmlToken|undefined>} tokens - Tokens of the node (or of the
+ *   first and following nodes of a run)
+ * @param {function(number): SourcePosition} positionAt - Offset -> position
+ * @returns {NodeSource|null} Source ranges, or null if the node was not located
+ */
+function getNodeSource(tokens, positionAt) {
+    const first = tokens[0];
+    const last = tokens[tokens.length - 1];
+    if (!first || !last) {
+        return null;
+    }
+
+    const toRange = (start, end) => ({ start: positionAt(start), end: positionAt(end) });
+    const openTag = toRange(first.start, first.type === TokenType.START_TAG ? first.end : last.end);
+    const closeTag = first.close ? toRange(first.close.start, first.close.end) : openTag;
+
+    return { openTag, closeTag };
+}
+
 // ============================================================================
 // TREE BUILDING
 // ============================================================================
 
 /**
- * Build a normalized tree structure from a DOM element.
+ * @typedef {Object} TreeBuilder
+ * @property {function(Element, XmlToken=): void} startElement - An element
+ *   starts (with its start tag token, if known)
+ * @property {function(Node, XmlToken=): void} addNode - Text, a CDATA section,
+ *   a comment or a processing instruction (with its token, if known)
+ * @property {function(): void} endElement - The innermost open element ends
+ * @property {function(): XmlNode} finish - The document ends; returns the root
+ */
+
+// Marks where a child element is among its parent's content
+const ELEMENT_SLOT = { nodeType: 1 };
+
+/**
+ * Create a builder that turns a document into the normalized tree in one
+ * pass, fed with its nodes in document order (SAX-style).
  * 
- * This function recursively traverses the DOM tree and creates
- * a simplified structure with XPath information.
+ * parseXml walks a parsed document into it; parseXmlStream (in
+ * xmlStreamParser.js) feeds it while the XML is still being read. An
+ * element's tree node is completed when the element ends, so besides the
+ * tree only the content of the open elements is held. Sibling indexes and
+ * totals come from per-parent counters.
  * 
- * @param {Element} element - The DOM element to process
- * @param {string} parentPath - The XPath of the parent element
- * @param {Object} settings - XPath generation settings
- * @returns {XmlNode} The normalized tree node
+ * The nodes only need the DOM properties parseXml reads (DOMParser nodes
+ * or the nodes of xmlDom.js).
+ * 
+ * @param {Object} xpathSettings - Settings for XPath generation (as for parseXml)
+ * @param {function(number): SourcePosition} positionAt - Offset -> position
+ *   in the source, for the nodes' source ranges
+ * @returns {TreeBuilder} The builder
+ * 
+ * @example
+ * const builder = createTreeBuilder({}, createPositionLookup(xml));
+ * builder.startElement(rootElement, rootToken);
+ * builder.addNode(textNode, textToken);
+ * builder.endElement();
+ * const tree = builder.finish();
  */
-function buildTreeFromElement(element, parentPath, settings) {
-    // Get basic element info
-    const tagName = element.tagName;
+export function createTreeBuilder(xpathSettings, positionAt) {
+    // Merge with defaults
+    const settings = {
+        elementsArray: [],
+        indexAttribute: null,
+        leafOmit: true,
+        namespaceMode: NamespaceMode.PREFIX,
+        nodeKinds: [],
+        mixedContent: false,
+        whitespace: WhitespaceMode.TRIM,
+        ...xpathSettings,
+        xmlSpacePreserve: false,
+    };
 
-    // Check if this is a leaf node (no child elements)
-    const hasChildElements = Array.from(element.childNodes).some(n => n.nodeType === 1);
-    const isLeaf = !hasChildElements;
+    const documentFrame = createFrame(null, null, settings);
+    const stack = [documentFrame];
+    let rootPosition = -1;
 
-    // Calculate XPath for this element
-    const xpath = calculateXPath(element, parentPath, settings, isLeaf);
+    return {
+        startElement(element, token) {
+            const parent = stack[stack.length - 1];
+            const node = openElementNode(element, parent, settings);
+
+            // Indentation before a child element is not text
+            parent.pendingWhitespace.length = 0;
+            parent.childNodes.push(ELEMENT_SLOT);
+            parent.elementChildren.push(node);
+            if (parent === documentFrame) rootPosition = parent.childNodes.length - 1;
+
+            stack.push(createFrame(node, token, applyXmlSpace(element, parent.settings)));
+        },
+
+        addNode(domNode, token) {
+            const frame = stack[stack.length - 1];
+            const lastNode = frame.childNodes[frame.childNodes.length - 1];
+            const inTextRun = Boolean(lastNode) && isTextNode(lastNode, frame.settings);
 
-    // Calculate sibling index and total for display
-    const siblings = findSameSiblings(element);
-    const siblingTotal = siblings.length;
-    const siblingIndex = calculateIndex(element, settings, siblings);
+            // Whitespace-only text that would start a text run is held back
+            // until more text follows, since it trims away otherwise; the
+            // indentation around many children is then never kept
+            if (domNode.nodeType === 3 && !inTextRun && domNode.nodeValue.trim() === ''
+                && getWhitespaceMode(frame.settings) === WhitespaceMode.TRIM) {
+                frame.pendingWhitespace.push({ domNode, token });
+                return;
+            }
+
+            if (isTextNode(domNode, frame.settings)) {
+                for (const pending of frame.pendingWhitespace) {
+                    frame.childNodes.push(pending.domNode);
+                    frame.tokens.set(pending.domNode, pending.token);
+                }
+            } else if (!isChildNode(domNode, frame.settings)) {
+                // Comments and processing instructions that are not kept
+                return;
+            }
+
+            frame.pendingWhitespace.length = 0;
+            frame.childNodes.push(domNode);
+            frame.tokens.set(domNode, token);
+        },
+
+        endElement() {
+            closeElementNode(stack.pop(), positionAt);
+        },
+
+        finish() {
+            const tree = documentFrame.elementChildren[0];
+
+            // Attach kept nodes outside the root element
+            const outerNodes = buildOtherNodes(documentFrame.childNodes, '', settings, [], locator(documentFrame, positionAt));
+            tree.prolog = outerNodes.filter(entry => entry.position < rootPosition).map(entry => entry.node);
+            tree.epilog = outerNodes.filter(entry => entry.position > rootPosition).map(entry => entry.node);
+
+            return tree;
+        },
+    };
+}
+
+/**
+ * Feed a parsed document to a tree builder.
+ * 
+ * @param {Document} xmlDoc - The document (DOMParser or xmlDom.js)
+ * @param {Map<Node, XmlToken>} tokens - Token of each node
+ * @param {TreeBuilder} builder - The builder
+ */
+function walkDocument(xmlDoc, tokens, builder) {
+    const visit = (parent) => {
+        for (const child of parent.childNodes) {
+            if (child.nodeType === 1) {
+                builder.startElement(child, tokens.get(child));
+                visit(child);
+                builder.endElement();
+            } else if (child.nodeType === 3 || OTHER_NODE_KINDS[child.nodeType]) {
+                builder.addNode(child, tokens.get(child));
+            }
+        }
+    };
+    visit(xmlDoc);
+}
 
-    // Extract attributes
-    const attributes = extractAttributes(element);
+/**
+ * @typedef {Object} ElementFrame
+ * @property {XmlNode|null} node - The element's tree node (null for the document)
+ * @property {XmlToken|undefined} token - The element's start tag
+ * @property {Object} settings - Settings for the element's content
+ * @property {Node[]} childNodes - Text and kept nodes so far, with
+ *   ELEMENT_SLOT for each child element
+ * @property {XmlNode[]} elementChildren - Tree nodes of the child elements so far
+ * @property {Map<Node, XmlToken>} tokens - Token of each node in childNodes
+ * @property {Map<string, number>} siblingCounts - Child elements so far, by name
+ * @property {Array<{domNode: Node, token: XmlToken}>} pendingWhitespace -
+ *   Whitespace-only text held back
+ */
+
+/**
+ * Start collecting the content of an element (or of the document).
+ * 
+ * @param {XmlNode|null} node - The element's tree node (null for the document)
+ * @param {XmlToken|undefined} token - The element's start tag
+ * @param {Object} settings - Settings for the element's content
+ * @returns {ElementFrame} The frame
+ */
+function createFrame(node, token, settings) {
+    return {
+        node,
+        token,
+        settings,
+        childNodes: [],
+        elementChildren: [],
+        tokens: new Map(),
+        siblingCounts: new Map(),
+        pendingWhitespace: [],
+    };
+}
+
+/**
+ * Create the tree node of an element from its start tag: everything but
+ * its content, sibling total and source.
+ * 
+ * @param {Element} element - The element
+ * @param {ElementFrame} parent - Frame of the parent element (or document)
+ * @param {Object} settings - XPath generation settings
+ * @returns {XmlNode} The tree node (completed by closeElementNode)
+ */
+function openElementNode(element, parent, settings) {
+    // Get basic element info
+    const tagName = element.tagName;
+    const localName = element.localName;
+    const namespaceURI = element.namespaceURI || null;
+    const prefix = element.prefix || null;
+    const expandedName = getExpandedName(namespaceURI, localName);
 
-    // Extract direct text content (not from children)
-    const textContent = extractDirectTextContent(element);
+    // Count the element among the earlier siblings with its name
+    const siblingName = getSiblingName({ tagName, expandedName }, settings);
+    const position = (parent.siblingCounts.get(siblingName) || 0) + 1;
+    parent.siblingCounts.set(siblingName, position);
+    const siblingIndex = calculateIndex(element, settings, position);
 
-    // Recursively build child nodes
-    const children = buildChildNodes(element, xpath, settings);
+    // Calculate XPath for this element
+    const xpath = calculateXPath(siblingName, parent.node ? parent.node.xpath : '', siblingIndex);
 
-    // Generate comparison key
-    const key = generateComparisonKey(tagName, attributes);
+    // Extract attributes (namespace declarations are kept apart)
+    const { attributes, attributeNamespaces, namespaces } = extractAttributes(element);
 
     return {
+        kind: NodeKind.ELEMENT,
         tagName,
+        localName,
+        namespaceURI,
+        prefix,
+        expandedName,
         xpath,
         attributes,
-        textContent,
-        children,
-        key,
+        attributeNamespaces,
+        namespaces,
+        textContent: '',
+        children: [],
+        key: generateComparisonKey(tagName, attributes),
         siblingIndex,
-        siblingTotal,
+        siblingTotal: 1,
+        source: null,
     };
 }
 
+/**
+ * Complete the tree node of an element once its content is known.
+ * 
+ * @param {ElementFrame} frame - The element's frame
+ * @param {function(number): SourcePosition} positionAt - Offset -> position
+ */
+function closeElementNode(frame, positionAt) {
+    const { node, settings, childNodes, elementChildren, siblingCounts } = frame;
+
+    // Extract direct text content (not from children), or keep it as
+    // text nodes for mixed content
+    const textRuns = collectTextRuns(childNodes, settings);
+    const hasChildNodes = childNodes.some(n => isChildNode(n, settings));
+    const isMixed = settings.mixedContent && hasChildNodes && textRuns.some(run => run.value.trim() !== '');
+    node.textContent = isMixed ? '' : joinTextRuns(textRuns, settings, hasChildNodes);
+
+    // Child elements, text nodes and kept nodes in document order
+    const otherNodes = buildOtherNodes(childNodes, node.xpath, settings, isMixed ? textRuns : [], locator(frame, positionAt));
+    let nextElement = 0;
+    childNodes.forEach((child, position) => {
+        if (child === ELEMENT_SLOT) {
+            node.children.push(elementChildren[nextElement++]);
+        } else if (otherNodes.length > 0 && otherNodes[0].position === position) {
+            node.children.push(otherNodes.shift().node);
+        }
+    });
+
+    // All siblings are known now
+    for (const child of elementChildren) {
+        child.siblingTotal = siblingCounts.get(getSiblingName(child, settings));
+    }
+
+    node.source = getNodeSource([frame.token], positionAt);
+}
+
+/**
+ * Create a function that gets where nodes of a frame's content are in the source.
+ * 
+ * @param {ElementFrame} frame - The frame
+ * @param {function(number): SourcePosition} positionAt - Offset -> position
+ * @returns {function(Node[]): (NodeSource|null)} Node (or run of nodes) -> source
+ */
+function locator(frame, positionAt) {
+    return (domNodes) => getNodeSource(domNodes.map(domNode => frame.tokens.get(domNode)), positionAt);
+}
+
+/**
+ * Get the name that an element's siblings are grouped by for indexing.
+ * 
+ * In Clark mode siblings are grouped by namespace and local name, so
+ * `a:Item` and `b:Item` in the same namespace share one index sequence.
+ * 
+ * @param {{tagName: string, expandedName: string}} node - The element
+ * @param {Object} settings - XPath generation settings
+ * @returns {string} Qualified name (prefix mode) or Clark notation name
+ */
+function getSiblingName(node, settings) {
+    return settings.namespaceMode === NamespaceMode.CLARK ? node.expandedName : node.tagName;
+}
+
 /**
  * Calculate the index for an element based on settings.
  * 
  * @param {Element} element - The DOM element
  * @param {Object} settings - XPath generation settings
- * @param {Element[]} siblings - Sibling elements with the same tag
+ * @param {number} position - 1-based position among siblings with the same name
  * @returns {number} The 1-based index
  */
-function calculateIndex(element, settings, siblings) {
+function calculateIndex(element, settings, position) {
     const { indexAttribute } = settings;
 
     // If indexAttribute is set and element has it, use that value
@@ -263,134 +754,377 @@ function calculateIndex(element, settings, siblings) {
         }
     }
 
-    // Otherwise, calculate from sibling position
-    return siblings.indexOf(element) + 1;
+    // Otherwise, use the position among siblings
+    return position;
 }
 
 /**
- * Calculate the XPath for an element based on its position among siblings.
+ * Calculate the XPath for an element from its name and index.
  * 
- * Uses configurable settings to determine when to show index.
+ * Only indexes above 1 are shown: `[1]` is always omitted, whatever
+ * elementsArray and leafOmit say (they only ever omit it), so an XPath
+ * never depends on siblings or children that come later in the document.
  * 
- * @param {Element} element - The DOM element
+ * @param {string} step - The element's name step (see getSiblingName)
  * @param {string} parentPath - The parent element's XPath
- * @param {Object} settings - XPath generation settings
- * @param {boolean} isLeaf - Whether this is a leaf node
+ * @param {number} index - The element's index (see calculateIndex)
  * @returns {string} The full XPath for this element
  */
-function calculateXPath(element, parentPath, settings, isLeaf) {
-    const tagName = element.tagName;
-    const tagNameLower = tagName.toLowerCase();
-    const { elementsArray, indexAttribute, leafOmit } = settings;
-
-    // Find siblings with the same tag name
-    const siblings = findSameSiblings(element);
-
-    // Calculate index
-    const index = calculateIndex(element, settings, siblings);
-
-    // Determine whether to display the index
-    let step = tagName;
-
-    if (index > 1) {
-        // Always show index if > 1
-        step += `[${index}]`;
-    } else {
-        // index == 1: decide whether to omit [1]
-        const isInElementsArray = elementsArray.includes(tagNameLower);
-        const shouldOmitForLeaf = leafOmit && isLeaf;
-
-        // Omit [1] if:
-        // - tag is in elementsArray, OR
-        // - leafOmit is true and this is a leaf node, OR
-        // - there's only one sibling (backwards compatibility)
-        if (isInElementsArray || shouldOmitForLeaf || siblings.length === 1) {
-            // No index appended
-        } else {
-            // Optionally add [1] for non-array, non-leaf nodes
-            // Currently omitting for cleaner XPaths
-        }
-    }
-
-    return `${parentPath}/${step}`;
+function calculateXPath(step, parentPath, index) {
+    return index > 1 ? `${parentPath}/${step}[${index}]` : `${parentPath}/${step}`;
 }
 
 /**
- * Find all sibling elements with the same tag name.
+ * Get the Clark notation name of an element or attribute.
  * 
- * @param {Element} element - The element to find siblings for
- * @returns {Element[]} Array of sibling elements with the same tag
+ * @param {string|null} namespaceURI - Namespace URI (null if none)
+ * @param {string} localName - Name without prefix
+ * @returns {string} "{uri}local", or just "local" outside any namespace
  */
-function findSameSiblings(element) {
-    const tagName = element.tagName;
-
-    if (!element.parentElement) {
-        // Root element has no siblings
-        return [element];
-    }
-
-    // Filter parent's children to only those with matching tag name
-    return Array.from(element.parentElement.children)
-        .filter(sibling => sibling.tagName === tagName);
+function getExpandedName(namespaceURI, localName) {
+    return namespaceURI ? `{${namespaceURI}}${localName}` : localName;
 }
 
 /**
  * Extract all attributes from an element as a key-value object.
  * 
+ * Namespace declarations (`xmlns`, `xmlns:p`) are returned separately
+ * instead of as ordinary attributes, and the namespace of each prefixed
+ * attribute is recorded.
+ * 
  * @param {Element} element - The DOM element
- * @returns {Object.<string, string>} Object mapping attribute names to values
+ * @returns {{attributes: Object.<string, string>, attributeNamespaces: Object.<string, string>,
+ *   namespaces: Object.<string, string>}} Attributes, attribute namespaces and declarations
  */
 function extractAttributes(element) {
     const attributes = {};
+    const attributeNamespaces = {};
+    const namespaces = {};
 
     for (const attr of element.attributes) {
+        if (attr.namespaceURI === XMLNS_URI) {
+            namespaces[attr.prefix ? attr.localName : ''] = attr.value;
+            continue;
+        }
+
         attributes[attr.name] = attr.value;
+        if (attr.namespaceURI) {
+            attributeNamespaces[attr.name] = attr.namespaceURI;
+        }
     }
 
-    return attributes;
+    return { attributes, attributeNamespaces, namespaces };
 }
 
+// ============================================================================
+// TEXT AND WHITESPACE
+// ============================================================================
+
 /**
- * Extract direct text content from an element (excluding child elements).
+ * @typedef {Object} TextRun
+ * @property {number} position - Index of the run's first DOM node among its siblings
+ * @property {Node[]} nodes - The DOM text nodes in the run
+ * @property {string[]} parts - Raw values of the text nodes in the run
+ * @property {string} value - The run's text after whitespace handling
+ */
+
+/**
+ * Check whether a DOM node is text of its parent element. CDATA sections
+ * count as text unless they are kept as nodes of their own.
+ * 
+ * @param {Node} domNode - The DOM node
+ * @param {Object} settings - XPath generation settings
+ * @returns {boolean} True for text
+ */
+function isTextNode(domNode, settings) {
+    return domNode.nodeType === 3 // Node.TEXT_NODE
+        || (domNode.nodeType === 4 && !settings.nodeKinds.includes(NodeKind.CDATA));
+}
+
+/**
+ * Check whether a DOM node becomes a child in the tree (an element or a
+ * kept comment, processing instruction or CDATA section).
  * 
- * This only gets text nodes that are direct children of the element,
- * not text from nested elements.
+ * @param {Node} domNode - The DOM node
+ * @param {Object} settings - XPath generation settings
+ * @returns {boolean} True if it becomes a child node
+ */
+function isChildNode(domNode, settings) {
+    const kind = OTHER_NODE_KINDS[domNode.nodeType];
+    return domNode.nodeType === 1 || Boolean(kind && settings.nodeKinds.includes(kind));
+}
+
+/**
+ * Pass `xml:space` from an element down to its descendants.
  * 
  * @param {Element} element - The DOM element
- * @returns {string} The combined direct text content (trimmed)
+ * @param {Object} settings - XPath generation settings
+ * @returns {Object} Settings for the element's content
  */
-function extractDirectTextContent(element) {
-    let textContent = '';
+function applyXmlSpace(element, settings) {
+    const space = element.getAttribute('xml:space');
+    const xmlSpacePreserve = space === 'preserve' || (space !== 'default' && settings.xmlSpacePreserve);
 
-    for (const child of element.childNodes) {
-        // Only process TEXT_NODE (nodeType 3)
-        if (child.nodeType === 3) { // Node.TEXT_NODE
-            const text = child.textContent.trim();
-            if (text) {
-                textContent += text;
+    return xmlSpacePreserve === settings.xmlSpacePreserve
+        ? settings
+        : { ...settings, xmlSpacePreserve };
+}
+
+/**
+ * Get the whitespace handling in effect, resolving XML_SPACE.
+ * 
+ * @param {Object} settings - XPath generation settings
+ * @returns {'trim'|'normalize'|'preserve'} Effective whitespace mode
+ */
+function getWhitespaceMode(settings) {
+    if (settings.whitespace === WhitespaceMode.XML_SPACE) {
+        return settings.xmlSpacePreserve ? WhitespaceMode.PRESERVE : WhitespaceMode.TRIM;
+    }
+    return settings.whitespace;
+}
+
+/**
+ * Collect the text of an element as runs of adjacent text nodes.
+ * 
+ * Runs are separated by the element's child nodes; comments and processing
+ * instructions that are not kept do not separate runs.
+ * 
+ * @param {Node[]} childNodes - The element's content (see ElementFrame)
+ * @param {Object} settings - Settings for the element's content
+ * @returns {TextRun[]} Text runs in document order
+ */
+function collectTextRuns(childNodes, settings) {
+    const runs = [];
+    let current = null;
+    let seenChild = false;
+
+    childNodes.forEach((child, position) => {
+        if (isTextNode(child, settings)) {
+            if (!current) {
+                current = { position, nodes: [], parts: [], atStart: !seenChild, atEnd: true };
+                runs.push(current);
             }
+            current.nodes.push(child);
+            current.parts.push(child.nodeValue);
+        } else if (isChildNode(child, settings)) {
+            if (current) current.atEnd = false;
+            current = null;
+            seenChild = true;
         }
+    });
+
+    const mode = getWhitespaceMode(settings);
+    return runs.map(({ position, nodes, parts, atStart, atEnd }) => ({
+        position,
+        nodes,
+        parts,
+        value: formatText(parts, mode, atStart, atEnd),
+    }));
+}
+
+/**
+ * Join an element's text runs into its text content.
+ * 
+ * @param {TextRun[]} runs - The element's text runs
+ * @param {Object} settings - Settings for the element's content
+ * @param {boolean} hasChildNodes - Whether the text sits between child nodes
+ * @returns {string} The text content
+ */
+function joinTextRuns(runs, settings, hasChildNodes) {
+    const mode = getWhitespaceMode(settings);
+    const text = mode === WhitespaceMode.NORMALIZE
+        ? formatText(runs.flatMap(run => run.parts), mode, true, true)
+        : runs.map(run => run.value).join('');
+
+    // Indentation around child elements is not text
+    return hasChildNodes && text.trim() === '' ? '' : text;
+}
+
+/**
+ * Apply a whitespace mode to the text nodes of one run.
+ * 
+ * @param {string[]} parts - Raw text node values
+ * @param {'trim'|'normalize'|'preserve'} mode - Effective whitespace mode
+ * @param {boolean} atStart - Whether the run starts the element's content
+ * @param {boolean} atEnd - Whether the run ends the element's content
+ * @returns {string} The text
+ */
+function formatText(parts, mode, atStart, atEnd) {
+    if (mode === WhitespaceMode.TRIM) {
+        return parts.map(part => part.trim()).join('');
+    }
+
+    if (mode === WhitespaceMode.PRESERVE) {
+        return parts.join('');
     }
 
-    return textContent;
+    let text = parts.join('').replace(/\s+/g, ' ');
+    if (atStart) text = text.trimStart();
+    if (atEnd) text = text.trimEnd();
+    return text;
 }
 
+// ============================================================================
+// TEXT NODES, COMMENTS, PROCESSING INSTRUCTIONS AND CDATA
+// ============================================================================
+
+// DOM nodeType of each optional kind
+const OTHER_NODE_KINDS = {
+    7: NodeKind.PROCESSING_INSTRUCTION,
+    8: NodeKind.COMMENT,
+    4: NodeKind.CDATA,
+};
+
 /**
- * Build child nodes recursively for an element.
+ * Build tree nodes for the given text runs and the kept comments,
+ * processing instructions and CDATA sections among a list of DOM nodes.
  * 
- * @param {Element} element - The parent DOM element
- * @param {string} parentXpath - The XPath of the parent element
+ * Each node test is numbered separately (processing instructions per
+ * target), the way XPath numbers `text()`, `comment()` or
+ * `processing-instruction('name')` steps. Text runs and CDATA sections
+ * are both `text()`.
+ * 
+ * @param {Node[]} domNodes - Content of an element or the document
+ * @param {string} parentXpath - The XPath of the parent element ('' for the document)
  * @param {Object} settings - XPath generation settings
- * @returns {XmlNode[]} Array of child tree nodes
+ * @param {TextRun[]} textRuns - Text to keep as text nodes (empty runs are skipped)
+ * @param {function(Node[]): (NodeSource|null)} locate - Where nodes are in the source
+ * @returns {Array<{position: number, node: XmlNode}>} Nodes with their index in domNodes
+ */
+function buildOtherNodes(domNodes, parentXpath, settings, textRuns, locate) {
+    const kept = textRuns
+        .filter(run => run.value !== '')
+        .map(run => ({
+            position: run.position,
+            kind: NodeKind.TEXT,
+            step: 'text()',
+            tagName: '#text',
+            value: run.value,
+            source: locate(run.nodes),
+        }));
+
+    domNodes.forEach((domNode, position) => {
+        const kind = OTHER_NODE_KINDS[domNode.nodeType];
+        if (kind && settings.nodeKinds.includes(kind)) {
+            kept.push({
+                position,
+                kind,
+                step: getNodeTest(domNode, kind),
+                tagName: kind === NodeKind.PROCESSING_INSTRUCTION
+                    ? `?${domNode.target}`
+                    : domNode.nodeName, // "#comment" or "#cdata-section"
+                value: kind === NodeKind.CDATA
+                    ? formatText([domNode.nodeValue], getWhitespaceMode(settings), true, true)
+                    : domNode.nodeValue.trim(),
+                source: locate([domNode]),
+            });
+        }
+    });
+    kept.sort((a, b) => a.position - b.position);
+
+    // Count each node test first so every node knows its sibling total
+    const totals = new Map();
+    for (const { step } of kept) {
+        totals.set(step, (totals.get(step) || 0) + 1);
+    }
+
+    const seen = new Map();
+    return kept.map(({ position, kind, step, tagName, value, source }) => {
+        const siblingIndex = (seen.get(step) || 0) + 1;
+        seen.set(step, siblingIndex);
+        const siblingTotal = totals.get(step);
+
+        // Text and comments have no name, so their index is always shown
+        const showIndex = kind !== NodeKind.PROCESSING_INSTRUCTION || siblingTotal > 1;
+        const xpath = `${parentXpath}/${step}${showIndex ? `[${siblingIndex}]` : ''}`;
+
+        const node = buildOtherNode(kind, tagName, value, xpath, siblingIndex, siblingTotal);
+        return { position, node: { ...node, source } };
+    });
+}
+
+/**
+ * Get the XPath node test for a comment, processing instruction or CDATA
+ * section (CDATA is text as far as XPath is concerned).
+ * 
+ * @param {Node} domNode - The DOM node
+ * @param {string} kind - Its NodeKind
+ * @returns {string} The node test, e.g. "comment()"
+ */
+function getNodeTest(domNode, kind) {
+    if (kind === NodeKind.PROCESSING_INSTRUCTION) {
+        return `processing-instruction('${domNode.target}')`;
+    }
+    return kind === NodeKind.COMMENT ? 'comment()' : 'text()';
+}
+
+/**
+ * Create the tree node for a text segment, comment, processing instruction
+ * or CDATA section. Its value is kept as text content so it is compared
+ * (and normalized) like element text.
+ * 
+ * @param {string} kind - Its NodeKind
+ * @param {string} tagName - "#text", "#comment", "#cdata-section" or "?target"
+ * @param {string} value - Its text
+ * @param {string} xpath - Its XPath
+ * @param {number} siblingIndex - 1-based index among siblings with the same node test
+ * @param {number} siblingTotal - Count of siblings with the same node test
+ * @returns {XmlNode} The tree node
  */
-function buildChildNodes(element, parentXpath, settings) {
-    const children = [];
+function buildOtherNode(kind, tagName, value, xpath, siblingIndex, siblingTotal) {
+    return {
+        kind,
+        tagName,
+        localName: tagName,
+        namespaceURI: null,
+        prefix: null,
+        expandedName: tagName,
+        xpath,
+        attributes: {},
+        attributeNamespaces: {},
+        namespaces: {},
+        textContent: value,
+        children: [],
+        key: tagName,
+        siblingIndex,
+        siblingTotal,
+    };
+}
 
-    for (const child of element.children) {
-        children.push(buildTreeFromElement(child, parentXpath, settings));
+/**
+ * Get the markup that surrounds the value of a text node, comment,
+ * processing instruction or CDATA section, for display.
+ * 
+ * @param {XmlNode} node - A node that is not an element
+ * @returns {{open: string, close: string}} Opening and closing delimiters
+ * 
+ * @example
+ * getNodeDelimiters(commentNode); // { open: '<!--', close: '-->' }
+ */
+export function getNodeDelimiters(node) {
+    switch (node.kind) {
+        case NodeKind.TEXT:
+            return { open: '', close: '' };
+        case NodeKind.COMMENT:
+            return { open: '<!--', close: '-->' };
+        case NodeKind.PROCESSING_INSTRUCTION:
+            return { open: `<${node.tagName}`, close: '?>' };
+        case NodeKind.CDATA:
+            return { open: '<![CDATA[', close: ']]>' };
+        default:
+            return { open: `<${node.tagName}>`, close: `</${node.tagName}>` };
     }
+}
 
-    return children;
+/**
+ * Check whether a node is an element (rather than text, a comment, a
+ * processing instruction or a CDATA section).
+ * 
+ * @param {XmlNode} node - The node
+ * @returns {boolean} True for elements
+ */
+export function isElementNode(node) {
+    return !node.kind || node.kind === NodeKind.ELEMENT;
 }
 
 /**
@@ -429,6 +1163,17 @@ function generateComparisonKey(tagName, attributes) {
 // TREE TRAVERSAL UTILITIES
 // ============================================================================
 
+/**
+ * Get the top-level nodes of a document: kept comments and processing
+ * instructions before the root, the root itself, and those after it.
+ * 
+ * @param {XmlNode} tree - The root of the tree
+ * @returns {XmlNode[]} Document-level nodes in document order
+ */
+export function getDocumentNodes(tree) {
+    return [...(tree.prolog || []), tree, ...(tree.epilog || [])];
+}
+
 /**
  * Flatten a tree into a Map of XPath -> Node for fast lookups.
  * 
@@ -478,27 +1223,46 @@ export function countNodes(tree) {
 /**
  * Generic tree traversal that calls a callback for each node.
  * 
- * Uses depth-first traversal (parent before children).
+ * Uses depth-first traversal (parent before children), in document
+ * order when starting from the root.
  * 
  * @param {XmlNode} node - The starting node
  * @param {function(XmlNode): void} callback - Function to call for each node
  */
 function traverseAndCollect(node, callback) {
+    for (const outer of node.prolog || []) {
+        callback(outer);
+    }
+
     callback(node);
 
     for (const child of node.children) {
         traverseAndCollect(child, callback);
     }
+
+    for (const outer of node.epilog || []) {
+        callback(outer);
+    }
 }
 
+// XPath -> node maps of trees searched before (trees are not modified after parsing)
+const xpathMaps = new WeakMap();
+
 /**
- * Find a node by its XPath.
+ * Find a node by its XPath (as generated for the tree; see
+ * xpathEvaluator.js to evaluate any XPath).
+ * 
+ * The tree is flattened on the first lookup only.
  * 
  * @param {XmlNode} tree - The root of the tree
  * @param {string} xpath - The XPath to find
  * @returns {XmlNode|null} The found node or null
  */
 export function findNodeByXPath(tree, xpath) {
-    const map = flattenTree(tree);
+    let map = xpathMaps.get(tree);
+    if (!map) {
+        map = flattenTree(tree);
+        xpathMaps.set(tree, map);
+    }
     return map.get(xpath) || null;
 }
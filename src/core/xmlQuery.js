@@ -0,0 +1,253 @@
+/**
+ * ============================================================================
+ * XML QUERY - Core Library
+ * ============================================================================
+ *
+ * This module runs one query against both compared trees at once and
+ * pairs up the results, so the query panel can list each match with its
+ * diff status and step through them.
+ *
+ * A query is either an XPath 1.0 expression (see xpathEvaluator.js) or a
+ * simple search:
+ * - `item`             elements named item (prefixed or local name; `*` for any)
+ * - `@id`, `item@id`   elements with an id attribute
+ * - `@id=p2`           ... whose id is p2 (quotes around the value are optional)
+ * - `"Laptop"`         nodes whose text contains Laptop (ignoring case)
+ *
+ * Anything else is evaluated as XPath.
+ *
+ * DEPENDENCIES:
+ * - xmlParser.js (document nodes)
+ * - xpathEvaluator.js (XPath queries)
+ * - xmlComparer.js (diff status and counterparts of matches)
+ *
+ * ============================================================================
+ */
+
+import { getDocumentNodes, isElementNode } from './xmlParser.js';
+import { queryXPath, getResultType, XPathResultType } from './xpathEvaluator.js';
+import { getDiffStatus, getCounterpartXPath } from './xmlComparer.js';
+
+// ============================================================================
+// TYPE DEFINITIONS (JSDoc for IDE support)
+// ============================================================================
+
+/**
+ * One result of a query: a node on one or both sides.
+ *
+ * @typedef {Object} QueryMatch
+ * @property {string|null} left - XPath of the matching left node, if any
+ * @property {string|null} right - XPath of the matching right node, if any
+ * @property {'left'|'right'} side - The side to select it on (left when both match)
+ * @property {string} status - Diff status of the node (see DiffStatus)
+ */
+
+/**
+ * @typedef {Object} QueryResult
+ * @property {string} query - The query as entered
+ * @property {'xpath'|'search'} mode - How it was run (see QueryMode)
+ * @property {QueryMatch[]} matches - Matches in left document order, then
+ *   right-only matches in right document order
+ * @property {{left: string[], right: string[]}} matched - XPaths of the
+ *   matching nodes of each side
+ * @property {{left: number, right: number}} counts - Matching nodes per side
+ * @property {{left: (string|number|boolean), right: (string|number|boolean)}|null} values -
+ *   The values of an XPath that does not select nodes, e.g. `count(//item)`
+ */
+
+/**
+ * Enum-like object for how a query is run.
+ */
+export const QueryMode = {
+    XPATH: 'xpath',
+    SEARCH: 'search',
+};
+
+// [name][@attribute[=value]] or a quoted text
+const SIMPLE_QUERY = /^(?:"(?<dq>[^"]*)"|'(?<sq>[^']*)'|(?<name>\*|[\p{L}_][\p{L}\p{N}_.:-]*)?(?:@(?<attribute>[\p{L}_][\p{L}\p{N}_.:-]*)(?:=(?<value>.*))?)?)$/u;
+
+// ============================================================================
+// MAIN FUNCTIONS
+// ============================================================================
+
+/**
+ * Run a query against both trees and pair up the matching nodes.
+ *
+ * A right match whose counterpart also matches shares its left match's
+ * entry, so a node that is in both documents is listed once.
+ *
+ * @param {string} query - An XPath 1.0 expression or a simple search
+ * @param {XmlNode|null} leftTree - The left tree
+ * @param {XmlNode|null} rightTree - The right tree
+ * @param {DiffResults|null} diffResults - The comparison results
+ * @returns {QueryResult} The matches
+ * @throws {Error} If the query is an invalid XPath
+ *
+ * @example
+ * const result = queryTrees('//item[price > 100]', leftTree, rightTree, diffResults);
+ * result.counts;     // { left: 2, right: 3 }
+ * result.matches[0]; // { left: '/catalog/item[3]', right: '/catalog/item[3]', side: 'left', status: 'different' }
+ *
+ * queryTrees('@id=p2', leftTree, rightTree, diffResults);
+ * queryTrees('count(//item)', leftTree, rightTree, diffResults).values; // { left: 3, right: 4 }
+ */
+export function queryTrees(query, leftTree, rightTree, diffResults) {
+    const search = parseSimpleQuery(query);
+    const mode = search ? QueryMode.SEARCH : QueryMode.XPATH;
+
+    const run = (tree) => {
+        if (!tree) return { nodes: [], value: null };
+        if (search) return { nodes: searchTree(tree, search), value: null };
+
+        const { value, nodes } = queryXPath(query, tree);
+        return { nodes, value: getResultType(value) === XPathResultType.NODE_SET ? null : value };
+    };
+    const left = run(leftTree);
+    const right = run(rightTree);
+
+    const matched = {
+        left: left.nodes.map(node => node.xpath),
+        right: right.nodes.map(node => node.xpath),
+    };
+
+    return {
+        query,
+        mode,
+        matches: pairMatches(matched, diffResults),
+        matched,
+        counts: { left: matched.left.length, right: matched.right.length },
+        values: left.value !== null || right.value !== null ? { left: left.value, right: right.value } : null,
+    };
+}
+
+/**
+ * Get the XPaths of the given nodes and all their ancestors, i.e. the
+ * nodes a tree view must show to reveal them.
+ *
+ * @param {XmlNode} tree - The root of the tree
+ * @param {string[]|Set<string>} xpaths - XPaths of nodes in the tree
+ * @returns {Set<string>} The XPaths to show
+ *
+ * @example
+ * collectVisibleXPaths(tree, ['/root/a/b']); // Set { '/root', '/root/a', '/root/a/b' }
+ */
+export function collectVisibleXPaths(tree, xpaths) {
+    const targets = new Set(xpaths);
+    const visible = new Set();
+
+    const visit = (node) => {
+        let isVisible = targets.has(node.xpath);
+        for (const child of node.children) {
+            if (visit(child)) isVisible = true;
+        }
+        if (isVisible) visible.add(node.xpath);
+        return isVisible;
+    };
+
+    getDocumentNodes(tree).forEach(visit);
+    return visible;
+}
+
+/**
+ * Check whether a query is a simple search rather than an XPath.
+ *
+ * @param {string} query - The query
+ * @returns {boolean} True for simple searches
+ *
+ * @example
+ * isSimpleQuery('item@id=p2'); // true
+ * isSimpleQuery('//item[2]'); // false
+ */
+export function isSimpleQuery(query) {
+    return parseSimpleQuery(query) !== null;
+}
+
+// ============================================================================
+// SIMPLE SEARCH
+// ============================================================================
+
+/**
+ * Parse a simple search.
+ *
+ * @param {string} query - The query
+ * @returns {{name: string|null, attribute: string|null, value: string|null, text: string|null}|null}
+ *   What to match, or null if the query is not a simple search
+ */
+function parseSimpleQuery(query) {
+    const trimmed = query.trim();
+    const match = trimmed && SIMPLE_QUERY.exec(trimmed);
+    if (!match) return null;
+
+    const { dq, sq, name, attribute, value } = match.groups;
+    return {
+        name: name ?? null,
+        attribute: attribute ?? null,
+        value: value === undefined ? null : value.replace(/^(["'])(.*)\1$/su, '$2'),
+        text: (dq ?? sq)?.toLowerCase() ?? null,
+    };
+}
+
+/**
+ * Find the nodes a simple search matches, in document order.
+ *
+ * @param {XmlNode} tree - The root of the tree
+ * @param {Object} search - What to match (from parseSimpleQuery)
+ * @returns {XmlNode[]} The matching nodes
+ */
+function searchTree(tree, search) {
+    const nodes = [];
+
+    const matches = (node) => {
+        if (search.text !== null) {
+            return node.textContent.toLowerCase().includes(search.text);
+        }
+        if (!isElementNode(node)) return false;
+        if (search.name && search.name !== '*' && node.tagName !== search.name && node.localName !== search.name) {
+            return false;
+        }
+        if (search.attribute) {
+            if (!Object.hasOwn(node.attributes, search.attribute)) return false;
+            if (search.value !== null && node.attributes[search.attribute] !== search.value) return false;
+        }
+        return true;
+    };
+
+    const visit = (node) => {
+        if (matches(node)) nodes.push(node);
+        node.children.forEach(visit);
+    };
+
+    getDocumentNodes(tree).forEach(visit);
+    return nodes;
+}
+
+// ============================================================================
+// HELPER FUNCTIONS
+// ============================================================================
+
+/**
+ * Pair the matches of both sides by their counterparts.
+ *
+ * @param {{left: string[], right: string[]}} matched - Matching XPaths per side
+ * @param {DiffResults|null} diffResults - The comparison results
+ * @returns {QueryMatch[]} One entry per node, or per pair of nodes
+ */
+function pairMatches(matched, diffResults) {
+    const rightMatches = new Set(matched.right);
+    const pairedRight = new Set();
+
+    const matches = matched.left.map((xpath) => {
+        const counterpart = getCounterpartXPath(xpath, diffResults, 'left');
+        const right = counterpart !== null && rightMatches.has(counterpart) ? counterpart : null;
+        if (right !== null) pairedRight.add(right);
+
+        return { left: xpath, right, side: 'left', status: getDiffStatus(xpath, diffResults, 'left') };
+    });
+
+    for (const xpath of matched.right) {
+        if (!pairedRight.has(xpath)) {
+            matches.push({ left: null, right: xpath, side: 'right', status: getDiffStatus(xpath, diffResults, 'right') });
+        }
+    }
+    return matches;
+}
@@ -0,0 +1,243 @@
+/**
+ * ============================================================================
+ * XML SEARCH - Core Library
+ * ============================================================================
+ *
+ * This module finds text in a parsed tree, the way a find bar does: every
+ * occurrence in tag names, attribute names, attribute values and text is a
+ * match, with its position in that string so views can highlight it inline.
+ *
+ * OPTIONS:
+ * - regex: the query is a regular expression (otherwise literal text)
+ * - caseSensitive: match case (ignored by default)
+ * - wholeWord: only match whole words ("p2" does not match "p20")
+ * - scopes: which strings to search (see SearchScope; all by default)
+ *
+ * DEPENDENCIES:
+ * - xmlParser.js (document nodes)
+ *
+ * ============================================================================
+ */
+
+import { getDocumentNodes, isElementNode } from './xmlParser.js';
+
+// ============================================================================
+// TYPE DEFINITIONS (JSDoc for IDE support)
+// ============================================================================
+
+/**
+ * @typedef {Object} SearchOptions
+ * @property {boolean} [regex=false] - Treat the query as a regular expression
+ * @property {boolean} [caseSensitive=false] - Match case
+ * @property {boolean} [wholeWord=false] - Only match whole words
+ * @property {string[]} [scopes] - Where to search (see SearchScope; default all)
+ * @property {number} [limit=Infinity] - Stop after this many matches
+ */
+
+/**
+ * One occurrence of the query.
+ *
+ * @typedef {Object} SearchMatch
+ * @property {string} xpath - XPath of the node it is in
+ * @property {string} scope - Which string of the node (see SearchScope)
+ * @property {string|null} attribute - The attribute, for attribute scopes
+ * @property {number} start - Where the occurrence starts in that string
+ * @property {number} end - Where it ends (exclusive)
+ */
+
+/**
+ * @typedef {Object} SearchResult
+ * @property {SearchMatch[]} matches - The matches in document order
+ * @property {boolean} truncated - Whether the limit cut the search short
+ */
+
+/**
+ * Enum-like object for the strings of a node that can be searched.
+ */
+export const SearchScope = {
+    TAG: 'tag',
+    ATTRIBUTE_NAME: 'attribute-name',
+    ATTRIBUTE_VALUE: 'attribute-value',
+    TEXT: 'text',
+};
+
+const DEFAULT_SEARCH_OPTIONS = {
+    regex: false,
+    caseSensitive: false,
+    wholeWord: false,
+    scopes: Object.values(SearchScope),
+    limit: Infinity,
+};
+
+// Letters, digits and underscores make up words
+const WORD_BEFORE = '(?<![\\p{L}\\p{N}_])';
+const WORD_AFTER = '(?![\\p{L}\\p{N}_])';
+
+// ============================================================================
+// MAIN FUNCTIONS
+// ============================================================================
+
+/**
+ * Find every occurrence of a query in a tree.
+ *
+ * Within a node, matches are ordered tag name, then each attribute's name
+ * and value, then text.
+ *
+ * @param {XmlNode} tree - The root of the tree
+ * @param {string} query - What to find
+ * @param {SearchOptions} [options] - How to match
+ * @returns {SearchResult} The matches
+ * @throws {Error} If a regular expression is invalid
+ *
+ * @example
+ * const { matches } = searchTree(tree, 'p2', { wholeWord: true });
+ * // [{ xpath: '/catalog/item[2]', scope: 'attribute-value', attribute: 'id', start: 0, end: 2 }]
+ *
+ * searchTree(tree, '^Lap', { regex: true, scopes: [SearchScope.TEXT] });
+ */
+export function searchTree(tree, query, options = {}) {
+    const opts = { ...DEFAULT_SEARCH_OPTIONS, ...options };
+    const matches = [];
+    if (!query) {
+        return { matches, truncated: false };
+    }
+
+    const pattern = createSearchPattern(query, opts);
+    const scopes = new Set(opts.scopes);
+    let truncated = false;
+
+    const add = (value, xpath, scope, attribute = null) => {
+        for (const { start, end } of findInText(value, pattern)) {
+            if (matches.length >= opts.limit) {
+                truncated = true;
+                return;
+            }
+            matches.push({ xpath, scope, attribute, start, end });
+        }
+    };
+
+    const visit = (node) => {
+        if (truncated) return;
+
+        if (isElementNode(node)) {
+            if (scopes.has(SearchScope.TAG)) add(node.tagName, node.xpath, SearchScope.TAG);
+            for (const [name, value] of Object.entries(node.attributes)) {
+                if (scopes.has(SearchScope.ATTRIBUTE_NAME)) add(name, node.xpath, SearchScope.ATTRIBUTE_NAME, name);
+                if (scopes.has(SearchScope.ATTRIBUTE_VALUE)) add(value, node.xpath, SearchScope.ATTRIBUTE_VALUE, name);
+            }
+        }
+        if (scopes.has(SearchScope.TEXT)) add(node.textContent, node.xpath, SearchScope.TEXT);
+
+        node.children.forEach(visit);
+    };
+
+    getDocumentNodes(tree).forEach(visit);
+    return { matches, truncated };
+}
+
+/**
+ * Build the regular expression a search uses.
+ *
+ * @param {string} query - What to find
+ * @param {SearchOptions} [options] - How to match
+ * @returns {RegExp} A global, Unicode-aware expression
+ * @throws {Error} If a regular expression is invalid
+ *
+ * @example
+ * createSearchPattern('a.b', { wholeWord: true }); // matches "a.b" but not "a.bc"
+ */
+export function createSearchPattern(query, options = {}) {
+    const { regex, caseSensitive, wholeWord } = { ...DEFAULT_SEARCH_OPTIONS, ...options };
+
+    let source = regex ? query : query.replace(/[.*+?^${}()|[\]\\]/gu, '\\$&');
+    if (wholeWord) {
+        source = `${WORD_BEFORE}(?:${source})${WORD_AFTER}`;
+    }
+
+    try {
+        return new RegExp(source, caseSensitive ? 'gu' : 'giu');
+    } catch (error) {
+        throw new Error(`Invalid regular expression: ${error.message.replace(/^Invalid regular expression: /u, '')}`);
+    }
+}
+
+/**
+ * Find the occurrences of a pattern in a string (empty matches are skipped).
+ *
+ * @param {string} text - The string to search
+ * @param {RegExp} pattern - A global pattern (from createSearchPattern)
+ * @returns {Array<{start: number, end: number}>} The occurrences
+ */
+export function findInText(text, pattern) {
+    const ranges = [];
+    if (!text) return ranges;
+
+    for (const match of text.matchAll(pattern)) {
+        if (match[0] !== '') {
+            ranges.push({ start: match.index, end: match.index + match[0].length });
+        }
+    }
+    return ranges;
+}
+
+/**
+ * Group matches by the node they are in.
+ *
+ * @param {SearchMatch[]} matches - The matches
+ * @returns {Map<string, SearchMatch[]>} Matches by XPath, in order
+ */
+export function groupMatchesByNode(matches) {
+    const byNode = new Map();
+    for (const match of matches) {
+        const nodeMatches = byNode.get(match.xpath);
+        if (nodeMatches) nodeMatches.push(match);
+        else byNode.set(match.xpath, [match]);
+    }
+    return byNode;
+}
+
+/**
+ * Get the matches of a node in one of its strings.
+ *
+ * @param {SearchMatch[]|undefined} nodeMatches - The node's matches (from groupMatchesByNode)
+ * @param {string} scope - Which string (see SearchScope)
+ * @param {string|null} [attribute] - The attribute, for attribute scopes
+ * @returns {SearchMatch[]} The matches in that string, in order
+ *
+ * @example
+ * getScopeMatches(byNode.get('/catalog/item[2]'), SearchScope.ATTRIBUTE_VALUE, 'id');
+ */
+export function getScopeMatches(nodeMatches, scope, attribute = null) {
+    if (!nodeMatches) return [];
+    return nodeMatches.filter(match => match.scope === scope && match.attribute === attribute);
+}
+
+/**
+ * Split a string into plain and highlighted segments.
+ *
+ * @param {string} text - The string
+ * @param {Array<{start: number, end: number}>} ranges - Non-overlapping
+ *   ranges to highlight, in order
+ * @returns {Array<{text: string, range: Object|null}>} The segments, each
+ *   with the range it highlights (null for plain text)
+ *
+ * @example
+ * splitByRanges('Laptop', [{ start: 0, end: 3 }]);
+ * // [{ text: 'Lap', range: {...} }, { text: 'top', range: null }]
+ */
+export function splitByRanges(text, ranges) {
+    const segments = [];
+    let position = 0;
+
+    for (const range of ranges) {
+        if (range.start > position) {
+            segments.push({ text: text.slice(position, range.start), range: null });
+        }
+        segments.push({ text: text.slice(range.start, range.end), range });
+        position = range.end;
+    }
+    if (position < text.length) {
+        segments.push({ text: text.slice(position), range: null });
+    }
+    return segments;
+}
@@ -0,0 +1,382 @@
+/**
+ * ============================================================================
+ * XML SERIALIZER - Core Library
+ * ============================================================================
+ *
+ * This module rewrites XML text in two standard shapes:
+ * - Pretty-print (`formatXml`): one element per line with a configurable
+ *   indent. Only whitespace between tags changes: attribute values, text
+ *   and references are kept as written, and mixed content or
+ *   `xml:space="preserve"` elements are kept on one line as they are
+ * - Canonical XML (`canonicalizeXml`): W3C Canonical XML 1.0, inclusive or
+ *   exclusive, with or without comments. Two documents that differ only in
+ *   attribute order, quoting, references, empty-element syntax, namespace
+ *   declarations or whitespace outside the root canonicalize to the same
+ *   text
+ *
+ * CANONICAL XML LIMITS:
+ * The whole document is canonicalized (no document subsets), and as with
+ * the rest of the library a DOCTYPE is dropped without applying it: no
+ * default attributes and no entities beyond the predefined ones.
+ *
+ * Both work on the built-in parser (no DOMParser), so they run the same in
+ * the browser, in Web Workers and in Node.js.
+ *
+ * DEPENDENCIES:
+ * - xmlTokenizer.js (tokens with their raw text, for pretty-printing)
+ * - xmlDom.js (decoded document with namespaces, for canonicalization)
+ * - xmlParser.js (syntax errors with line and column)
+ *
+ * ============================================================================
+ */
+
+import { tokenizeXml, createPositionLookup, TokenType } from './xmlTokenizer.js';
+import { parseXmlDocument } from './xmlDom.js';
+import { createSyntaxError } from './xmlParser.js';
+
+// ============================================================================
+// TYPE DEFINITIONS (JSDoc for IDE support)
+// ============================================================================
+
+/**
+ * @typedef {Object} FormatOptions
+ * @property {number|string} [indent=2] - Spaces per level, or the indent
+ *   string itself (e.g. '\t')
+ */
+
+/**
+ * @typedef {Object} CanonicalOptions
+ * @property {string} [method='c14n'] - One of CanonicalMethod
+ * @property {boolean} [withComments=false] - Keep comments (the "WithComments"
+ *   variants of the W3C algorithms)
+ * @property {string[]} [inclusivePrefixes=[]] - Exclusive method only:
+ *   prefixes declared as in inclusive canonicalization ('#default' for the
+ *   default namespace), the InclusiveNamespaces PrefixList
+ */
+
+/**
+ * Enum-like object for the canonicalization algorithms.
+ */
+export const CanonicalMethod = {
+    INCLUSIVE: 'c14n', // Canonical XML 1.0
+    EXCLUSIVE: 'exc-c14n', // Exclusive XML Canonicalization 1.0
+};
+
+export const DEFAULT_FORMAT_OPTIONS = {
+    indent: 2,
+};
+
+export const DEFAULT_CANONICAL_OPTIONS = {
+    method: CanonicalMethod.INCLUSIVE,
+    withComments: false,
+    inclusivePrefixes: [],
+};
+
+const XMLNS_URI = 'http://www.w3.org/2000/xmlns/';
+
+// Escapes of Canonical XML: text, then attribute values
+const TEXT_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '\r': '&#xD;' };
+const ATTRIBUTE_ESCAPES = { '&': '&amp;', '<': '&lt;', '"': '&quot;', '\t': '&#x9;', '\n': '&#xA;', '\r': '&#xD;' };
+
+// ============================================================================
+// PRETTY-PRINT
+// ============================================================================
+
+/**
+ * Pretty-print XML text: the XML declaration, DOCTYPE, comments,
+ * processing instructions and elements each on their own line, children
+ * indented one level deeper than their parent.
+ *
+ * Elements with only text (or CDATA) stay on one line; elements with mixed
+ * content (text next to child elements) or `xml:space="preserve"` are
+ * copied from the source as they are, since whitespace inside them is
+ * content.
+ *
+ * @param {string} xmlString - The XML text
+ * @param {FormatOptions} [options] - Formatting options
+ * @returns {string} The formatted text, ending with a line break
+ * @throws {Error} If the XML is empty or not well-formed (with the line and
+ *   column in the message and as `error.position`)
+ *
+ * @example
+ * formatXml('<a><b x="1">hi</b><c/></a>');
+ * // '<a>\n  <b x="1">hi</b>\n  <c/>\n</a>\n'
+ */
+export function formatXml(xmlString, options = {}) {
+    const { indent } = { ...DEFAULT_FORMAT_OPTIONS, ...options };
+    const unit = typeof indent === 'number' ? ' '.repeat(indent) : indent;
+
+    validateInput(xmlString);
+    const { tokens, error } = tokenizeXml(xmlString);
+    if (error) {
+        throw createSyntaxError(error.message, createPositionLookup(xmlString)(error.offset));
+    }
+
+    const lines = [];
+    for (const node of buildTokenTree(tokens)) {
+        if (!isBlankText(node)) formatTokenNode(node, xmlString, unit, 0, false, lines);
+    }
+    return lines.map(line => line + '\n').join('');
+}
+
+/**
+ * Nest the tokens of a document: every start tag gets the nodes up to its
+ * end tag as children.
+ *
+ * @param {XmlToken[]} tokens - Tokens of a well-formed document
+ * @returns {Array<{token: XmlToken, children: Array}>} The top-level nodes
+ */
+function buildTokenTree(tokens) {
+    const document = { children: [] };
+    const stack = [document];
+
+    for (const token of tokens) {
+        const parent = stack[stack.length - 1];
+        if (token.type === TokenType.END_TAG) {
+            stack.pop();
+        } else {
+            const node = { token, children: [] };
+            parent.children.push(node);
+            if (token.type === TokenType.START_TAG && !token.selfClosing) stack.push(node);
+        }
+    }
+
+    return document.children;
+}
+
+/**
+ * Append the lines of one node (and its subtree).
+ *
+ * @param {{token: XmlToken, children: Array}} node - The node
+ * @param {string} source - The XML text
+ * @param {string} unit - Indent per level
+ * @param {number} depth - Nesting level
+ * @param {boolean} preserve - Whether an ancestor has xml:space="preserve"
+ * @param {string[]} lines - The output lines
+ */
+function formatTokenNode(node, source, unit, depth, preserve, lines) {
+    const { token, children } = node;
+    const prefix = unit.repeat(depth);
+
+    if (token.type !== TokenType.START_TAG) {
+        lines.push(prefix + source.slice(token.start, token.end));
+        return;
+    }
+
+    const space = token.attributes.find(attribute => attribute.name === 'xml:space')?.value;
+    const isPreserved = space === undefined ? preserve : space === 'preserve';
+    const openTag = `<${token.name}${token.attributes.map(formatRawAttribute).join('')}`;
+
+    if (token.selfClosing) {
+        lines.push(`${prefix}${openTag}/>`);
+    } else if (children.every(isTextNode)) {
+        const text = children.map(child => source.slice(child.token.start, child.token.end)).join('');
+        lines.push(`${prefix}${openTag}>${text}</${token.name}>`);
+    } else if (isPreserved || children.some(child => isTextNode(child) && !isBlankText(child))) {
+        lines.push(prefix + source.slice(token.start, token.close.end));
+    } else {
+        lines.push(`${prefix}${openTag}>`);
+        for (const child of children) {
+            if (!isBlankText(child)) formatTokenNode(child, source, unit, depth + 1, isPreserved, lines);
+        }
+        lines.push(`${prefix}</${token.name}>`);
+    }
+}
+
+/**
+ * @param {{name: string, value: string}} attribute - A raw attribute
+ * @returns {string} The attribute with a leading space, in double quotes
+ *   unless its value contains one
+ */
+function formatRawAttribute({ name, value }) {
+    const quote = value.includes('"') ? "'" : '"';
+    return ` ${name}=${quote}${value}${quote}`;
+}
+
+/**
+ * @param {{token: XmlToken}} node - A node
+ * @returns {boolean} True for text and CDATA sections
+ */
+function isTextNode(node) {
+    return node.token.type === TokenType.TEXT || node.token.type === TokenType.CDATA;
+}
+
+/**
+ * @param {{token: XmlToken}} node - A node
+ * @returns {boolean} True for text of only whitespace
+ */
+function isBlankText(node) {
+    return node.token.type === TokenType.TEXT && node.token.value.trim() === '';
+}
+
+// ============================================================================
+// CANONICAL XML
+// ============================================================================
+
+/**
+ * Canonicalize XML text (W3C Canonical XML 1.0 or Exclusive XML
+ * Canonicalization 1.0, on the whole document).
+ *
+ * The output has no XML declaration or DOCTYPE, attributes sorted by
+ * namespace URI and local name after the namespace declarations (sorted
+ * by prefix), superfluous namespace declarations removed, empty elements
+ * written as start and end tag, CDATA sections as escaped text, references
+ * replaced by their characters and "\n" line endings.
+ *
+ * @param {string} xmlString - The XML text
+ * @param {CanonicalOptions} [options] - Algorithm options
+ * @returns {string} The canonical form
+ * @throws {Error} If the XML is empty or not well-formed (with the line and
+ *   column in the message and as `error.position`), or the method is unknown
+ *
+ * @example
+ * canonicalizeXml('<?xml version="1.0"?>\n<a z=\'1\' b="&#65;"><c/></a>');
+ * // '<a b="A" z="1"><c></c></a>'
+ *
+ * canonicalizeXml('<a xmlns:x="urn:x" xmlns:y="urn:y"><x:b/></a>', { method: CanonicalMethod.EXCLUSIVE });
+ * // '<a><x:b xmlns:x="urn:x"></x:b></a>'
+ */
+export function canonicalizeXml(xmlString, options = {}) {
+    const settings = { ...DEFAULT_CANONICAL_OPTIONS, ...options };
+    if (!Object.values(CanonicalMethod).includes(settings.method)) {
+        throw new Error(`Unknown canonicalization method: ${settings.method}`);
+    }
+
+    validateInput(xmlString);
+    const { document, error } = parseXmlDocument(xmlString);
+    if (error) {
+        throw createSyntaxError(error.message, createPositionLookup(xmlString)(error.offset));
+    }
+
+    // Comments and processing instructions around the root element go on
+    // their own lines, as the specification asks
+    let output = '';
+    let isAfterRoot = false;
+    for (const node of document.childNodes) {
+        if (node.nodeType === 1) {
+            output += canonicalizeElement(node, { '': '' }, { '': '' }, settings);
+            isAfterRoot = true;
+        } else {
+            const text = canonicalizeNode(node, settings);
+            if (text) output += isAfterRoot ? '\n' + text : text + '\n';
+        }
+    }
+    return output;
+}
+
+/**
+ * Canonicalize an element and its content.
+ *
+ * @param {Object} element - An element of the document
+ * @param {Object.<string, string>} parentScope - Namespaces in scope in the
+ *   parent, by prefix ('' for the default namespace)
+ * @param {Object.<string, string>} rendered - Namespaces declared in the
+ *   output of the ancestors, by prefix
+ * @param {CanonicalOptions} settings - Algorithm options
+ * @returns {string} The canonical markup
+ */
+function canonicalizeElement(element, parentScope, rendered, settings) {
+    const scope = { ...parentScope };
+    const attributes = [];
+    for (const attribute of element.attributes) {
+        if (attribute.namespaceURI === XMLNS_URI) {
+            scope[attribute.prefix === null ? '' : attribute.localName] = attribute.value;
+        } else {
+            attributes.push(attribute);
+        }
+    }
+
+    // Inclusive: every namespace in scope; exclusive: the prefixes the
+    // element and its attributes use, plus the inclusive prefix list
+    let prefixes;
+    if (settings.method === CanonicalMethod.INCLUSIVE) {
+        prefixes = Object.keys(scope);
+    } else {
+        prefixes = [element.prefix ?? '', ...attributes.map(attribute => attribute.prefix).filter(Boolean)];
+        for (const prefix of settings.inclusivePrefixes) {
+            const key = prefix === '#default' ? '' : prefix;
+            if (key in scope) prefixes.push(key);
+        }
+    }
+
+    const childRendered = { ...rendered };
+    const declarations = [...new Set(prefixes)]
+        .filter(prefix => prefix !== 'xml' && (rendered[prefix] ?? '') !== (scope[prefix] ?? ''))
+        .sort(compareCodePoints)
+        .map((prefix) => {
+            childRendered[prefix] = scope[prefix] ?? '';
+            const name = prefix ? `xmlns:${prefix}` : 'xmlns';
+            return ` ${name}="${escapeCanonical(childRendered[prefix], ATTRIBUTE_ESCAPES)}"`;
+        });
+
+    const sortedAttributes = attributes
+        .sort((a, b) => compareCodePoints(a.namespaceURI ?? '', b.namespaceURI ?? '')
+            || compareCodePoints(a.localName, b.localName))
+        .map(attribute => ` ${attribute.name}="${escapeCanonical(attribute.value, ATTRIBUTE_ESCAPES)}"`);
+
+    const content = element.childNodes
+        .map(child => (child.nodeType === 1
+            ? canonicalizeElement(child, scope, childRendered, settings)
+            : canonicalizeNode(child, settings)))
+        .join('');
+
+    return `<${element.nodeName}${declarations.join('')}${sortedAttributes.join('')}>${content}</${element.nodeName}>`;
+}
+
+/**
+ * Canonicalize a text, CDATA, processing instruction or comment node.
+ *
+ * @param {Object} node - The node
+ * @param {CanonicalOptions} settings - Algorithm options
+ * @returns {string} The canonical text ('' for comments unless kept)
+ */
+function canonicalizeNode(node, settings) {
+    switch (node.nodeType) {
+        case 3:
+        case 4:
+            return escapeCanonical(node.nodeValue, TEXT_ESCAPES);
+        case 7:
+            return `<?${node.target}${node.nodeValue ? ' ' + node.nodeValue : ''}?>`;
+        case 8:
+            return settings.withComments ? `<!--${node.nodeValue}-->` : '';
+        default:
+            return '';
+    }
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * @param {string} xmlString - The input
+ * @throws {Error} If it is not a string or is empty (as parseXml reports it)
+ */
+function validateInput(xmlString) {
+    if (typeof xmlString !== 'string') {
+        throw new Error('XML input must be a string');
+    }
+    if (xmlString.trim().length === 0) {
+        throw new Error('XML input cannot be empty');
+    }
+}
+
+/**
+ * @param {string} value - Text or an attribute value
+ * @param {Object.<string, string>} escapes - Character -> replacement
+ * @returns {string} The escaped value
+ */
+function escapeCanonical(value, escapes) {
+    return value.replace(/[&<>"\t\n\r]/g, character => escapes[character] ?? character);
+}
+
+/**
+ * Order strings by code point, as Canonical XML sorts (not by locale).
+ *
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Negative, zero or positive
+ */
+function compareCodePoints(a, b) {
+    return a < b ? -1 : a > b ? 1 : 0;
+}
@@ -0,0 +1,238 @@
+/**
+ * ============================================================================
+ * XML STREAM PARSER - Core Library
+ * ============================================================================
+ *
+ * This module parses very large XML documents (export feeds of hundreds of
+ * megabytes) without building a DOM first. The text is read in chunks,
+ * tokenized as it arrives and fed straight into the tree builder, so the
+ * only large structure in memory is the resulting XmlNode tree.
+ *
+ * Parsing reports its progress and yields to the event loop between
+ * chunks, so a page stays responsive, and it can be cancelled with an
+ * AbortSignal. The tree is identical to the one parseXml builds.
+ *
+ * SOURCES:
+ * - a string (read in chunks of `chunkSize` characters)
+ * - a Blob or File (decoded as UTF-8; progress counts bytes)
+ * - a ReadableStream or (async) iterable of string or Uint8Array chunks,
+ *   e.g. `fs.createReadStream(path)` in Node.js
+ *
+ * DEPENDENCIES:
+ * - xmlTokenizer.js (incremental tokenizer and positions)
+ * - xmlDom.js (nodes from tokens)
+ * - xmlParser.js (tree builder)
+ *
+ * ============================================================================
+ */
+
+import { createTokenizer, createIncrementalPositionLookup, TokenType } from './xmlTokenizer.js';
+import { createNodeFactory } from './xmlDom.js';
+import { createTreeBuilder, createSyntaxError } from './xmlParser.js';
+
+// ============================================================================
+// TYPE DEFINITIONS (JSDoc for IDE support)
+// ============================================================================
+
+/**
+ * @typedef {Object} StreamProgress
+ * @property {number} loaded - Characters (string sources) or bytes read so far
+ * @property {number|null} total - Size of the whole source (null if unknown)
+ */
+
+/**
+ * @typedef {Object} StreamOptions
+ * @property {function(StreamProgress): void} [onProgress] - Called after each chunk
+ * @property {AbortSignal} [signal] - Cancels parsing; the promise then
+ *   rejects with the signal's reason
+ * @property {number} [chunkSize] - Characters per chunk for string sources
+ *   (default 1 MB)
+ * @property {number} [totalSize] - Size of a stream or iterable source, for
+ *   progress (Blobs and strings know their size)
+ */
+
+const DEFAULT_CHUNK_SIZE = 1024 * 1024;
+
+// Longest stretch of parsing between two yields to the event loop (one frame)
+const YIELD_INTERVAL_MS = 16;
+
+// ============================================================================
+// MAIN PARSING FUNCTION
+// ============================================================================
+
+/**
+ * Parse an XML document chunk by chunk into a normalized tree.
+ *
+ * @param {string|Blob|ReadableStream|AsyncIterable<string|Uint8Array>} source - The XML
+ * @param {Object} xpathSettings - Settings for XPath generation (as for parseXml;
+ *   `parser` does not apply)
+ * @param {StreamOptions} [options] - Progress, cancellation and chunking
+ * @returns {Promise<XmlNode>} The root node of the parsed tree
+ * @throws {Error} If the XML is invalid or empty (syntax errors carry the
+ *   line and column in the message and as `error.position`)
+ *
+ * @example
+ * const tree = await parseXmlStream(file, xpathSettings, {
+ *   onProgress: ({ loaded, total }) => setProgress(loaded / total),
+ * });
+ */
+export async function parseXmlStream(source, xpathSettings = {}, options = {}) {
+    const { onProgress, signal } = options;
+
+    const lines = createIncrementalPositionLookup();
+    const factory = createNodeFactory();
+    const builder = createTreeBuilder(xpathSettings, lines.positionAt);
+    const tokenizer = createTokenizer((token) => {
+        try {
+            addToken(token, factory, builder);
+        } catch (error) {
+            if (!error.xmlOffsetError) throw error;
+            throw createSyntaxError(error.message, lines.positionAt(error.offset));
+        }
+    });
+
+    let hasContent = false;
+    let lastYield = Date.now();
+    for await (const { text, loaded, total } of readChunks(source, options)) {
+        signal?.throwIfAborted();
+
+        hasContent = hasContent || /\S/.test(text);
+        lines.append(text);
+        const error = tokenizer.write(text);
+        if (error) {
+            throw createSyntaxError(error.message, lines.positionAt(error.offset));
+        }
+
+        onProgress?.({ loaded, total });
+        if (Date.now() - lastYield >= YIELD_INTERVAL_MS) {
+            await yieldToEventLoop();
+            lastYield = Date.now();
+        }
+    }
+    signal?.throwIfAborted();
+
+    if (!hasContent) {
+        throw new Error('XML input cannot be empty');
+    }
+
+    const error = tokenizer.end();
+    if (error) {
+        throw createSyntaxError(error.message, lines.positionAt(error.offset));
+    }
+
+    return builder.finish();
+}
+
+// ============================================================================
+// TOKENS
+// ============================================================================
+
+/**
+ * Feed one token to the tree builder.
+ *
+ * @param {XmlToken} token - The token
+ * @param {Object} factory - Node factory (see createNodeFactory)
+ * @param {TreeBuilder} builder - The tree builder
+ */
+function addToken(token, factory, builder) {
+    switch (token.type) {
+        case TokenType.START_TAG:
+            builder.startElement(factory.startElement(token), token);
+            if (token.selfClosing) builder.endElement();
+            break;
+        case TokenType.END_TAG:
+            factory.endElement();
+            builder.endElement();
+            break;
+        case TokenType.TEXT:
+            // Whitespace outside the root element is not part of the document
+            if (token.depth > 0) builder.addNode(factory.createNode(token), token);
+            break;
+        case TokenType.CDATA:
+        case TokenType.COMMENT:
+        case TokenType.PROCESSING_INSTRUCTION:
+            builder.addNode(factory.createNode(token), token);
+            break;
+        default:
+            // The XML declaration and DOCTYPE are not nodes
+            break;
+    }
+}
+
+// ============================================================================
+// READING
+// ============================================================================
+
+/**
+ * Read a source as text chunks.
+ *
+ * @param {string|Blob|ReadableStream|AsyncIterable<string|Uint8Array>} source - The XML
+ * @param {StreamOptions} options - Chunk size and total size
+ * @returns {AsyncGenerator<{text: string, loaded: number, total: number|null}>} Chunks
+ */
+async function* readChunks(source, { chunkSize = DEFAULT_CHUNK_SIZE, totalSize = null }) {
+    if (typeof source === 'string') {
+        for (let offset = 0; offset < source.length; offset += chunkSize) {
+            const text = source.slice(offset, offset + chunkSize);
+            yield { text, loaded: offset + text.length, total: source.length };
+        }
+        return;
+    }
+
+    if (!source || (typeof source.stream !== 'function' && typeof source.getReader !== 'function'
+        && !source[Symbol.asyncIterator] && !source[Symbol.iterator])) {
+        throw new Error('XML input must be a string, Blob, stream or iterable');
+    }
+
+    const isBlob = typeof source.stream === 'function';
+    const total = isBlob ? source.size : totalSize;
+    const decoder = new TextDecoder();
+    let loaded = 0;
+
+    for await (const chunk of iterateStream(isBlob ? source.stream() : source)) {
+        if (typeof chunk === 'string') {
+            loaded += chunk.length;
+            yield { text: chunk, loaded, total };
+        } else {
+            loaded += chunk.byteLength;
+            yield { text: decoder.decode(chunk, { stream: true }), loaded, total };
+        }
+    }
+
+    const rest = decoder.decode();
+    if (rest) yield { text: rest, loaded, total };
+}
+
+/**
+ * Iterate a ReadableStream (not every browser makes streams async
+ * iterable) or pass an iterable through.
+ *
+ * @param {ReadableStream|AsyncIterable|Iterable} stream - The chunks
+ * @returns {AsyncGenerator} The chunks, in order
+ */
+async function* iterateStream(stream) {
+    if (typeof stream.getReader !== 'function') {
+        yield* stream;
+        return;
+    }
+
+    const reader = stream.getReader();
+    try {
+        for (;;) {
+            const { done, value } = await reader.read();
+            if (done) return;
+            yield value;
+        }
+    } finally {
+        reader.releaseLock();
+    }
+}
+
+/**
+ * Let other work (rendering, input, messages) run between chunks.
+ *
+ * @returns {Promise<void>} Resolves on the next macrotask
+ */
+function yieldToEventLoop() {
+    return new Promise(resolve => setTimeout(resolve, 0));
+}
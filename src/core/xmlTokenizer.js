@@ -0,0 +1,623 @@
+/**
+ * ============================================================================
+ * XML TOKENIZER - Core Library
+ * ============================================================================
+ *
+ * This module scans raw XML text into tokens that remember where they are
+ * in the source, and checks that the markup is well-formed.
+ *
+ * The parser uses it to give every XmlNode its line, column and character
+ * offset, and to report the exact position of syntax errors (DOMParser
+ * only gives a browser-specific message without a reliable position).
+ *
+ * STREAMING:
+ * `createTokenizer` accepts the text in chunks and hands over each token
+ * as soon as it is complete, so very large documents never have to be in
+ * memory as one string; `tokenizeXml` is the one-shot form.
+ *
+ * POSITIONS:
+ * - `offset` is the 0-based character index into the source string
+ * - `line` and `column` are 1-based; a column counts UTF-16 code units
+ * - ranges are half-open: `end` points just past the last character
+ *
+ * DEPENDENCIES:
+ * - None
+ *
+ * ============================================================================
+ */
+
+// ============================================================================
+// TYPE DEFINITIONS (JSDoc for IDE support)
+// ============================================================================
+
+/**
+ * @typedef {Object} SourcePosition
+ * @property {number} line - 1-based line number
+ * @property {number} column - 1-based column number
+ * @property {number} offset - 0-based character offset
+ */
+
+/**
+ * @typedef {Object} SourceRange
+ * @property {SourcePosition} start - First character
+ * @property {SourcePosition} end - Just past the last character
+ */
+
+/**
+ * @typedef {Object} XmlToken
+ * @property {string} type - One of TokenType
+ * @property {number} start - Offset of the first character
+ * @property {number} end - Offset just past the last character
+ * @property {number} depth - Number of open elements around the token
+ * @property {string} [name] - Tag name (tags) or target (processing instructions)
+ * @property {Array<{name: string, value: string}>} [attributes] - Raw attributes
+ *   of a start tag, in source order (values are not unescaped)
+ * @property {boolean} [selfClosing] - Whether a start tag ends with "/>"
+ * @property {{start: number, end: number}} [close] - Offsets of the matching
+ *   end tag of a start tag (the start tag itself when self-closing)
+ * @property {string} [value] - Raw text, comment text, CDATA content or
+ *   instruction data
+ */
+
+/**
+ * @typedef {Object} TokenizeResult
+ * @property {XmlToken[]} tokens - Tokens up to the first error (all of them if none)
+ * @property {{message: string, offset: number}|null} error - First
+ *   well-formedness error, or null
+ */
+
+/**
+ * Enum-like object for token types.
+ */
+export const TokenType = {
+    DECLARATION: 'declaration',
+    DOCTYPE: 'doctype',
+    START_TAG: 'start-tag',
+    END_TAG: 'end-tag',
+    TEXT: 'text',
+    COMMENT: 'comment',
+    CDATA: 'cdata',
+    PROCESSING_INSTRUCTION: 'processing-instruction',
+};
+
+const NAME_PATTERN = /[A-Za-z_:\u00C0-\uFFFF][\w.\-:\u00B7\u00C0-\uFFFF]*/y;
+const WHITESPACE_PATTERN = /[ \t\r\n]*/y;
+const INVALID_REFERENCE_PATTERN = /&(?!(?:[A-Za-z_:][\w.\-:]*|#[0-9]+|#x[0-9A-Fa-f]+);)/;
+
+// ============================================================================
+// MAIN TOKENIZER FUNCTION
+// ============================================================================
+
+/**
+ * Split an XML string into positioned tokens.
+ *
+ * Scanning stops at the first well-formedness error (mismatched or
+ * unclosed tags, bad attribute syntax, unterminated comments or "--" in
+ * them, stray text outside the root, ...), which is returned instead of
+ * thrown.
+ *
+ * @param {string} source - The raw XML string
+ * @returns {TokenizeResult} Tokens and the first error, if any
+ *
+ * @example
+ * const { error } = tokenizeXml('<root><a></b></root>');
+ * // { message: 'Expected </a> but found </b>', offset: 9 }
+ */
+export function tokenizeXml(source) {
+    const tokens = [];
+    const tokenizer = createTokenizer(token => tokens.push(token));
+    const error = tokenizer.write(source) || tokenizer.end();
+
+    return { tokens, error };
+}
+
+/**
+ * Create a tokenizer that is fed the XML text in chunks.
+ *
+ * Each token is passed to `onToken` once all of it has arrived; token
+ * offsets count from the start of the whole text. A start tag's `close`
+ * is filled in when its end tag is scanned, before the end tag token is
+ * passed on. After the first error, further input is ignored.
+ *
+ * @param {function(XmlToken): void} onToken - Called with each token, in order
+ * @returns {{write: function(string): ({message: string, offset: number}|null),
+ *   end: function(): ({message: string, offset: number}|null)}} Feed the next
+ *   chunk / signal the end of the text; both return the first error, if any
+ *
+ * @example
+ * const tokenizer = createTokenizer(token => console.log(token.type));
+ * tokenizer.write('<root><it');
+ * tokenizer.write('em/></root>'); // "start-tag", "start-tag", "end-tag"
+ * tokenizer.end();
+ */
+export function createTokenizer(onToken) {
+    const scanner = {
+        source: '', // unscanned text (with the incomplete construct at its start)
+        base: 0, // offset of source[0] in the whole text
+        index: 0,
+        final: false,
+        onToken,
+        stack: [],
+        rootClosed: false,
+        hasRoot: false,
+        error: null,
+    };
+
+    const run = () => {
+        if (scanner.error) return scanner.error;
+
+        try {
+            scanAvailable(scanner);
+            if (scanner.final) checkDocumentEnd(scanner);
+        } catch (error) {
+            if (!error.xmlOffsetError) throw error;
+            scanner.error = { message: error.message, offset: scanner.base + error.offset };
+        }
+        return scanner.error;
+    };
+
+    return {
+        write(chunk) {
+            if (scanner.error) return scanner.error;
+            scanner.source = scanner.source.slice(scanner.index) + chunk;
+            scanner.base += scanner.index;
+            scanner.index = 0;
+            return run();
+        },
+        end() {
+            scanner.final = true;
+            return run();
+        },
+    };
+}
+
+/**
+ * Find the first well-formedness error in an XML string.
+ *
+ * @param {string} source - The raw XML string
+ * @returns {{message: string, position: SourcePosition}|null} The error, or null
+ */
+export function findSyntaxError(source) {
+    const { error } = tokenizeXml(source);
+    return error
+        ? { message: error.message, position: createPositionLookup(source)(error.offset) }
+        : null;
+}
+
+// ============================================================================
+// POSITIONS
+// ============================================================================
+
+/**
+ * Create a function that turns offsets into line/column positions.
+ *
+ * Line starts are computed once, so each lookup is a binary search.
+ *
+ * @param {string} source - The raw XML string
+ * @returns {function(number): SourcePosition} Offset -> position
+ *
+ * @example
+ * const positionAt = createPositionLookup('<a>\n  <b/>\n</a>');
+ * positionAt(6); // { line: 2, column: 3, offset: 6 }
+ */
+export function createPositionLookup(source) {
+    const lookup = createIncrementalPositionLookup();
+    lookup.append(source);
+    return lookup.positionAt;
+}
+
+/**
+ * Create an offset -> line/column lookup for text that arrives in chunks.
+ *
+ * @returns {{append: function(string): void, positionAt: function(number): SourcePosition}}
+ *   Add the next chunk / look up an offset in the text so far
+ */
+export function createIncrementalPositionLookup() {
+    const lineStarts = [0];
+    let length = 0;
+
+    const append = (chunk) => {
+        for (let i = chunk.indexOf('\n'); i !== -1; i = chunk.indexOf('\n', i + 1)) {
+            lineStarts.push(length + i + 1);
+        }
+        length += chunk.length;
+    };
+
+    const positionAt = (offset) => {
+        let low = 0;
+        let high = lineStarts.length - 1;
+        while (low < high) {
+            const middle = (low + high + 1) >> 1;
+            if (lineStarts[middle] <= offset) {
+                low = middle;
+            } else {
+                high = middle - 1;
+            }
+        }
+        return { line: low + 1, column: offset - lineStarts[low] + 1, offset };
+    };
+
+    return { append, positionAt };
+}
+
+// ============================================================================
+// SCANNING
+// ============================================================================
+
+/**
+ * Scan every construct that has fully arrived.
+ *
+ * A construct cut off by the end of the chunk is left for the next
+ * write, unless this is the end of the text.
+ *
+ * @param {Object} scanner - Scanner state
+ */
+function scanAvailable(scanner) {
+    while (scanner.index < scanner.source.length) {
+        if (!scanner.final && !hasCompleteConstruct(scanner.source, scanner.index)) {
+            return;
+        }
+
+        if (scanner.source[scanner.index] === '<') {
+            scanMarkup(scanner);
+        } else {
+            scanText(scanner);
+        }
+    }
+}
+
+/**
+ * Check the document as a whole once all of it has been scanned.
+ *
+ * @param {Object} scanner - Scanner state
+ */
+function checkDocumentEnd(scanner) {
+    if (scanner.stack.length > 0) {
+        const unclosed = scanner.stack[scanner.stack.length - 1];
+        fail(`Unclosed tag <${unclosed.name}>`, unclosed.start - scanner.base);
+    }
+    if (!scanner.hasRoot) {
+        fail('No root element', scanner.source.length);
+    }
+}
+
+/**
+ * Check whether the construct (text or markup) at an offset ends within
+ * the text so far.
+ *
+ * @param {string} source - Text so far
+ * @param {number} index - Offset of the construct
+ * @returns {boolean} True if it can be scanned
+ */
+function hasCompleteConstruct(source, index) {
+    if (source[index] !== '<') {
+        // Text ends at the next markup
+        return source.indexOf('<', index) !== -1;
+    }
+
+    const head = source.slice(index, index + 9);
+    if (head.length < 9 && ['<!--', '<![CDATA[', '<!DOCTYPE'].some(open => open.length > head.length && open.startsWith(head))) {
+        return false;
+    }
+
+    if (head.startsWith('<!--')) return source.indexOf('-->', index + 4) !== -1;
+    if (head.startsWith('<![CDATA[')) return source.indexOf(']]>', index + 9) !== -1;
+    if (head.startsWith('<!DOCTYPE')) return findDoctypeEnd(source, index) !== -1;
+    if (head.startsWith('<?')) return source.indexOf('?>', index + 2) !== -1;
+
+    // A tag ends at the first ">" outside quoted attribute values
+    let quote = null;
+    for (let i = index + 1; i < source.length; i++) {
+        const char = source[i];
+        if (quote) {
+            if (char === quote) quote = null;
+        } else if (char === '"' || char === "'") {
+            quote = char;
+        } else if (char === '>') {
+            return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * Throw a well-formedness error at an offset (caught by the tokenizer).
+ *
+ * @param {string} message - What is wrong
+ * @param {number} offset - Where, relative to the scanner's text
+ */
+function fail(message, offset) {
+    const error = new Error(message);
+    error.xmlOffsetError = true;
+    error.offset = offset;
+    throw error;
+}
+
+/**
+ * Pass on a token and move the scanner past it.
+ *
+ * @param {Object} scanner - Scanner state
+ * @param {Object} token - Token fields besides depth, with offsets
+ *   relative to the scanner's text (changed to offsets into the whole text)
+ * @returns {XmlToken} The token
+ */
+function emit(scanner, token) {
+    const { base } = scanner;
+    token.start += base;
+    token.end += base;
+    token.depth = scanner.stack.length;
+    if (token.close) {
+        token.close.start += base;
+        token.close.end += base;
+    }
+
+    scanner.index = token.end - base;
+    scanner.onToken(token);
+    return token;
+}
+
+/**
+ * Scan character data up to the next "<".
+ *
+ * @param {Object} scanner - Scanner state
+ */
+function scanText(scanner) {
+    const { source, index } = scanner;
+    const next = source.indexOf('<', index);
+    const end = next === -1 ? source.length : next;
+    const value = source.slice(index, end);
+
+    if (scanner.stack.length === 0) {
+        const firstChar = value.search(/[^ \t\r\n]/);
+        if (firstChar !== -1) {
+            fail(scanner.rootClosed ? 'Text after the root element' : 'Text before the root element', index + firstChar);
+        }
+    } else {
+        const reference = value.search(INVALID_REFERENCE_PATTERN);
+        if (reference !== -1) {
+            fail("Unescaped '&' (use &amp;)", index + reference);
+        }
+        const cdataEnd = value.indexOf(']]>');
+        if (cdataEnd !== -1) {
+            fail("']]>' is not allowed in text", index + cdataEnd);
+        }
+    }
+
+    emit(scanner, { type: TokenType.TEXT, start: index, end, value });
+}
+
+/**
+ * Scan a tag, comment, CDATA section, processing instruction or DOCTYPE.
+ *
+ * @param {Object} scanner - Scanner state
+ */
+function scanMarkup(scanner) {
+    const { source, index } = scanner;
+
+    if (source.startsWith('<!--', index)) {
+        const close = findOrFail(source, '-->', index + 4, 'Unterminated comment', index);
+        const dashes = source.slice(index + 4, close + 1).indexOf('--');
+        if (dashes !== -1) fail('"--" is not allowed inside a comment', index + 4 + dashes);
+        emit(scanner, { type: TokenType.COMMENT, start: index, end: close + 3, value: source.slice(index + 4, close) });
+    } else if (source.startsWith('<![CDATA[', index)) {
+        if (scanner.stack.length === 0) fail('CDATA section outside the root element', index);
+        const close = findOrFail(source, ']]>', index + 9, 'Unterminated CDATA section', index);
+        emit(scanner, { type: TokenType.CDATA, start: index, end: close + 3, value: source.slice(index + 9, close) });
+    } else if (source.startsWith('<!DOCTYPE', index)) {
+        if (scanner.hasRoot) fail('DOCTYPE must come before the root element', index);
+        const end = findDoctypeEnd(source, index);
+        if (end === -1) fail('Unterminated DOCTYPE', index);
+        emit(scanner, { type: TokenType.DOCTYPE, start: index, end });
+    } else if (source.startsWith('<?', index)) {
+        scanProcessingInstruction(scanner);
+    } else if (source.startsWith('</', index)) {
+        scanEndTag(scanner);
+    } else {
+        scanStartTag(scanner);
+    }
+}
+
+/**
+ * Scan a processing instruction or the XML declaration.
+ *
+ * @param {Object} scanner - Scanner state
+ */
+function scanProcessingInstruction(scanner) {
+    const { source, index } = scanner;
+    const target = matchAt(NAME_PATTERN, source, index + 2);
+    if (!target) fail('Processing instruction without a target', index + 2);
+
+    const close = findOrFail(source, '?>', index + 2 + target.length, 'Unterminated processing instruction', index);
+    const end = close + 2;
+
+    if (target.toLowerCase() === 'xml') {
+        if (scanner.base + index !== 0) fail('The XML declaration must be at the very start of the document', index);
+        emit(scanner, { type: TokenType.DECLARATION, start: index, end });
+        return;
+    }
+
+    emit(scanner, {
+        type: TokenType.PROCESSING_INSTRUCTION,
+        start: index,
+        end,
+        name: target,
+        value: source.slice(index + 2 + target.length, close).trim(),
+    });
+}
+
+/**
+ * Scan a start tag (or self-closing tag) with its attributes.
+ *
+ * @param {Object} scanner - Scanner state
+ */
+function scanStartTag(scanner) {
+    const { source, index } = scanner;
+    const name = matchAt(NAME_PATTERN, source, index + 1);
+    if (!name) fail("Invalid character after '<'", index + 1);
+
+    if (scanner.rootClosed) fail('Only one root element is allowed', index);
+
+    const attributes = [];
+    let position = index + 1 + name.length;
+
+    for (;;) {
+        const whitespace = matchAt(WHITESPACE_PATTERN, source, position);
+        position += whitespace.length;
+
+        if (position >= source.length) fail(`Unterminated start tag <${name}>`, index);
+
+        if (source.startsWith('/>', position) || source[position] === '>') {
+            break;
+        }
+
+        if (attributes.length > 0 && whitespace === '') {
+            fail('Missing whitespace between attributes', position);
+        }
+
+        position = scanAttribute(source, position, attributes);
+    }
+
+    const selfClosing = source[position] === '/';
+    const end = position + (selfClosing ? 2 : 1);
+    const token = emit(scanner, {
+        type: TokenType.START_TAG,
+        start: index,
+        end,
+        name,
+        attributes,
+        selfClosing,
+        ...(selfClosing && { close: { start: index, end } }),
+    });
+    scanner.hasRoot = true;
+
+    if (selfClosing) {
+        if (scanner.stack.length === 0) scanner.rootClosed = true;
+    } else {
+        scanner.stack.push(token);
+    }
+}
+
+/**
+ * Scan one `name="value"` attribute.
+ *
+ * @param {string} source - The raw XML string
+ * @param {number} position - Offset of the attribute name
+ * @param {Array<{name: string, value: string}>} attributes - Attributes so far
+ * @returns {number} Offset just past the attribute
+ */
+function scanAttribute(source, position, attributes) {
+    const name = matchAt(NAME_PATTERN, source, position);
+    if (!name) fail('Invalid attribute name', position);
+    if (attributes.some(attribute => attribute.name === name)) {
+        fail(`Duplicate attribute "${name}"`, position);
+    }
+
+    let cursor = position + name.length;
+    cursor += matchAt(WHITESPACE_PATTERN, source, cursor).length;
+    if (source[cursor] !== '=') fail(`Attribute "${name}" has no value`, cursor);
+    cursor += 1;
+    cursor += matchAt(WHITESPACE_PATTERN, source, cursor).length;
+
+    const quote = source[cursor];
+    if (quote !== '"' && quote !== "'") fail(`Attribute "${name}" value must be quoted`, cursor);
+
+    const close = findOrFail(source, quote, cursor + 1, `Unterminated value of attribute "${name}"`, cursor);
+    const value = source.slice(cursor + 1, close);
+
+    const lessThan = value.indexOf('<');
+    if (lessThan !== -1) fail("'<' is not allowed in attribute values", cursor + 1 + lessThan);
+    const reference = value.search(INVALID_REFERENCE_PATTERN);
+    if (reference !== -1) fail("Unescaped '&' (use &amp;)", cursor + 1 + reference);
+
+    attributes.push({ name, value });
+    return close + 1;
+}
+
+/**
+ * Scan an end tag and match it against the innermost open element.
+ *
+ * @param {Object} scanner - Scanner state
+ */
+function scanEndTag(scanner) {
+    const { source, index } = scanner;
+    const name = matchAt(NAME_PATTERN, source, index + 2);
+    if (!name) fail('Invalid end tag', index + 2);
+
+    let position = index + 2 + name.length;
+    position += matchAt(WHITESPACE_PATTERN, source, position).length;
+    if (source[position] !== '>') fail(`Unterminated end tag </${name}>`, index);
+
+    const open = scanner.stack[scanner.stack.length - 1];
+    if (!open) fail(`Unexpected end tag </${name}>`, index);
+    if (open.name !== name) fail(`Expected </${open.name}> but found </${name}>`, index);
+
+    scanner.stack.pop();
+    open.close = { start: scanner.base + index, end: scanner.base + position + 1 };
+    emit(scanner, { type: TokenType.END_TAG, start: index, end: position + 1, name });
+
+    if (scanner.stack.length === 0) scanner.rootClosed = true;
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Match a sticky pattern at an offset.
+ *
+ * @param {RegExp} pattern - Pattern with the `y` flag
+ * @param {string} source - Text to match in
+ * @param {number} offset - Where the match must start
+ * @returns {string|null} The matched text, or null
+ */
+function matchAt(pattern, source, offset) {
+    pattern.lastIndex = offset;
+    const match = pattern.exec(source);
+    return match ? match[0] : null;
+}
+
+/**
+ * Find a terminator, failing at the construct's start if it is missing.
+ *
+ * @param {string} source - The raw XML string
+ * @param {string} terminator - Text that ends the construct
+ * @param {number} from - Where to start looking
+ * @param {string} message - Error message if missing
+ * @param {number} errorOffset - Where to report the error
+ * @returns {number} Offset of the terminator
+ */
+function findOrFail(source, terminator, from, message, errorOffset) {
+    const found = source.indexOf(terminator, from);
+    if (found === -1) fail(message, errorOffset);
+    return found;
+}
+
+/**
+ * Find the end of a DOCTYPE declaration, skipping quoted strings and the
+ * internal subset in square brackets.
+ *
+ * @param {string} source - The raw XML string
+ * @param {number} index - Offset of "<!DOCTYPE"
+ * @returns {number} Offset just past the closing ">" (-1 if there is none)
+ */
+function findDoctypeEnd(source, index) {
+    let bracketDepth = 0;
+    let quote = null;
+
+    for (let i = index + 9; i < source.length; i++) {
+        const char = source[i];
+        if (quote) {
+            if (char === quote) quote = null;
+        } else if (char === '"' || char === "'") {
+            quote = char;
+        } else if (char === '[') {
+            bracketDepth++;
+        } else if (char === ']') {
+            bracketDepth--;
+        } else if (char === '>' && bracketDepth === 0) {
+            return i + 1;
+        }
+    }
+
+    return -1;
+}
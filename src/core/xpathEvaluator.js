@@ -0,0 +1,1202 @@
+/**
+ * ============================================================================
+ * XPATH EVALUATOR - Core Library
+ * ============================================================================
+ *
+ * This module evaluates XPath 1.0 expressions against the normalized
+ * XmlNode tree, so users can query documents with any XPath, not only the
+ * ones this tool generates.
+ *
+ * SUPPORTED:
+ * - all 13 axes and the abbreviations `//`, `.`, `..`, `@` and `*`
+ * - node tests: names, `*`, `prefix:*`, `node()`, `text()`, `comment()`,
+ *   `processing-instruction('target')`
+ * - predicates (`item[2]`, `item[@id='p2']`, `item[price > 100]`), unions,
+ *   arithmetic, comparisons and `and`/`or`, with XPath 1.0 conversions
+ * - the whole XPath 1.0 function library (`count`, `contains`, `concat`,
+ *   `normalize-space`, `sum`, `last`, `position`, ...)
+ *
+ * THE TREE AS XPATH SEES IT:
+ * - the document node contains the root element and the kept comments and
+ *   processing instructions around it
+ * - an element's text (its `textContent`) is a single text node before its
+ *   child elements; in mixed content the text nodes are the element's
+ *   children. CDATA sections are text nodes.
+ * - attributes and text nodes that are not XmlNodes themselves are
+ *   returned as light nodes (kind 'attribute' or 'text') with an
+ *   `ownerElement`
+ * - namespace declarations are not attributes (they are on the namespace axis)
+ *
+ * NAMES:
+ * Names are matched as written in the document (`ns1:Order` matches
+ * elements whose tag is `ns1:Order`), so generated XPaths work as they are.
+ * A prefix bound in `options.namespaces` matches by namespace URI instead,
+ * and Clark notation (`{http://example.com/ns}Order`) always does.
+ *
+ * DEPENDENCIES:
+ * - xmlParser.js (node kinds, document nodes and XPath lookup)
+ *
+ * ============================================================================
+ */
+
+import { NodeKind, getDocumentNodes, findNodeByXPath } from './xmlParser.js';
+
+// ============================================================================
+// TYPE DEFINITIONS (JSDoc for IDE support)
+// ============================================================================
+
+/**
+ * @typedef {Object} XPathOptions
+ * @property {Object.<string, string>} [namespaces] - Prefixes to match by
+ *   namespace URI, e.g. `{ inv: 'urn:invoice' }`
+ * @property {Object.<string, (string|number|boolean|Array)>} [variables] - Values of
+ *   `$name` variable references
+ */
+
+/**
+ * The value of an XPath expression: a node-set (nodes in document order),
+ * a string, a number or a boolean.
+ *
+ * @typedef {Array<XmlNode>|string|number|boolean} XPathValue
+ */
+
+/**
+ * Enum-like object for the XPath result types.
+ */
+export const XPathResultType = {
+    NODE_SET: 'node-set',
+    STRING: 'string',
+    NUMBER: 'number',
+    BOOLEAN: 'boolean',
+};
+
+const XML_URI = 'http://www.w3.org/XML/1998/namespace';
+
+// Axes whose nodes are numbered from the context node backwards
+const REVERSE_AXES = new Set(['ancestor', 'ancestor-or-self', 'preceding', 'preceding-sibling']);
+
+const NODE_TYPE_TESTS = new Set(['node', 'text', 'comment', 'processing-instruction']);
+
+// ============================================================================
+// MAIN FUNCTIONS
+// ============================================================================
+
+/**
+ * Evaluate an XPath 1.0 expression against a tree.
+ *
+ * The context node is the document node, so relative and absolute paths
+ * select the same nodes.
+ *
+ * @param {string} expression - The XPath expression
+ * @param {XmlNode} tree - The root of the tree (from parseXml)
+ * @param {XPathOptions} [options] - Namespace prefixes and variables
+ * @returns {XPathValue} The value: nodes in document order, a string, a number or a boolean
+ * @throws {Error} If the expression is invalid ("Invalid XPath: ...") or
+ *   calls an unknown function
+ *
+ * @example
+ * evaluateXPath("count(//item[@id='p2'])", tree); // 1
+ * evaluateXPath('//item[price > 100]/name/text()', tree); // [text nodes]
+ * evaluateXPath('//inv:Order', tree, { namespaces: { inv: 'urn:invoice' } });
+ */
+export function evaluateXPath(expression, tree, options = {}) {
+    const ast = compileXPath(expression);
+    const index = getTreeIndex(tree);
+    const context = {
+        index,
+        namespaces: options.namespaces || {},
+        variables: options.variables || {},
+    };
+    return evaluate(ast, { node: index.document, position: 1, size: 1 }, context);
+}
+
+/**
+ * Select the nodes an XPath expression matches.
+ *
+ * @param {string} expression - An XPath expression that returns a node-set
+ * @param {XmlNode} tree - The root of the tree
+ * @param {XPathOptions} [options] - Namespace prefixes and variables
+ * @returns {XmlNode[]} The nodes, in document order
+ * @throws {Error} If the expression is invalid or does not return nodes
+ *
+ * @example
+ * selectNodes('//book[author="Kay"]/@isbn', tree).map(attr => attr.textContent);
+ */
+export function selectNodes(expression, tree, options = {}) {
+    const value = evaluateXPath(expression, tree, options);
+    if (!Array.isArray(value)) {
+        throw new Error(`XPath returns a ${getResultType(value)}, not nodes: ${expression}`);
+    }
+    return value;
+}
+
+/**
+ * Run an XPath typed or pasted by a user.
+ *
+ * XPaths generated by this tool are looked up as they are (with an index
+ * attribute their `[n]` is not a position); anything else is evaluated.
+ * Attributes and element text point to their element.
+ *
+ * @param {string} expression - The XPath
+ * @param {XmlNode} tree - The root of the tree
+ * @param {XPathOptions} [options] - Namespace prefixes and variables
+ * @returns {{value: XPathValue, nodes: XmlNode[]}} The value, and the tree
+ *   nodes it points to in document order (none unless it is a node-set)
+ * @throws {Error} If the expression is invalid
+ *
+ * @example
+ * queryXPath("//item[@id='p2']/@id", tree).nodes; // [the item element]
+ * queryXPath('count(//item)', tree).value; // 3
+ */
+export function queryXPath(expression, tree, options = {}) {
+    const generated = findNodeByXPath(tree, expression.trim());
+    if (generated) {
+        return { value: [generated], nodes: [generated] };
+    }
+
+    const value = evaluateXPath(expression, tree, options);
+    const nodes = Array.isArray(value)
+        ? value.map(node => node.ownerElement ?? node).filter(node => node.kind !== 'document')
+        : [];
+    return { value, nodes: [...new Set(nodes)] };
+}
+
+/**
+ * Get the type of an XPath value.
+ *
+ * @param {XPathValue} value - A value returned by evaluateXPath
+ * @returns {string} One of XPathResultType
+ */
+export function getResultType(value) {
+    if (Array.isArray(value)) return XPathResultType.NODE_SET;
+    if (typeof value === 'string') return XPathResultType.STRING;
+    if (typeof value === 'number') return XPathResultType.NUMBER;
+    return XPathResultType.BOOLEAN;
+}
+
+/**
+ * Get the string-value of a node as XPath defines it (the text of all
+ * descendant text nodes for elements).
+ *
+ * @param {XmlNode} node - A node from a node-set
+ * @returns {string} The string-value
+ */
+export function getStringValue(node) {
+    switch (node.kind) {
+        case NodeKind.ELEMENT:
+        case 'document': {
+            let value = node.kind === NodeKind.ELEMENT ? node.textContent : '';
+            for (const child of node.children) {
+                if (child.kind === NodeKind.ELEMENT || child.kind === NodeKind.TEXT || child.kind === NodeKind.CDATA) {
+                    value += getStringValue(child);
+                }
+            }
+            return value;
+        }
+        default:
+            return node.textContent;
+    }
+}
+
+// ============================================================================
+// COMPILATION
+// ============================================================================
+
+// Parsed expressions by source (expressions are often re-evaluated, e.g. per keystroke)
+const compiledExpressions = new Map();
+const MAX_COMPILED_EXPRESSIONS = 200;
+
+/**
+ * Parse an XPath expression into a syntax tree.
+ *
+ * @param {string} expression - The XPath expression
+ * @returns {Object} The syntax tree
+ * @throws {Error} If the expression is invalid
+ */
+function compileXPath(expression) {
+    let ast = compiledExpressions.get(expression);
+    if (!ast) {
+        ast = parseTokens(tokenize(expression));
+        if (compiledExpressions.size >= MAX_COMPILED_EXPRESSIONS) compiledExpressions.clear();
+        compiledExpressions.set(expression, ast);
+    }
+    return ast;
+}
+
+/**
+ * Create an "Invalid XPath" error.
+ *
+ * @param {string} message - What is wrong
+ * @param {number} offset - Where in the expression (0-based)
+ * @returns {Error} The error
+ */
+function invalidXPath(message, offset) {
+    return new Error(`Invalid XPath: ${message} (at character ${offset + 1})`);
+}
+
+// Names (NCName, with an optional prefix or prefix:*), numbers and literals
+const NAME = '[A-Za-z_\\u00C0-\\uFFFF][\\w.\\-\\u00B7\\u00C0-\\uFFFF]*';
+const NAME_PATTERN = new RegExp(`^${NAME}(?::(?:\\*|${NAME}))?`);
+const CLARK_PATTERN = new RegExp(`^\\{([^}]*)\\}(${NAME})`);
+const NUMBER_PATTERN = /^(?:\d+(?:\.\d*)?|\.\d+)/;
+const OPERATORS = ['//', '::', '..', '!=', '<=', '>=', '/', '|', '+', '-', '=', '<', '>', '(', ')', '[', ']', '.', '@', ',', '*', '$'];
+
+// After these tokens, `*` is a name test and names are names (not operators)
+const EXPRESSION_STARTS = new Set(['@', '::', '(', '[', ',', '/', '//', '|', '+', '-', '=', '!=', '<', '<=', '>', '>=',
+    'and', 'or', 'mod', 'div', '*', '$']);
+
+/**
+ * Split an XPath expression into tokens, resolving the lexical ambiguities
+ * of XPath 1.0 (`*` and `div` as operators or names).
+ *
+ * @param {string} expression - The XPath expression
+ * @returns {Array<{type: string, value: string, offset: number}>} The tokens
+ * @throws {Error} On a character that cannot start a token
+ */
+function tokenize(expression) {
+    const tokens = [];
+    let offset = 0;
+
+    // Whether the previous token ends an operand (so `*` multiplies)
+    const afterOperand = () => {
+        const previous = tokens[tokens.length - 1];
+        return Boolean(previous) && !(previous.type === 'operator' && EXPRESSION_STARTS.has(previous.value));
+    };
+
+    while (offset < expression.length) {
+        const rest = expression.slice(offset);
+        const space = /^\s+/.exec(rest);
+        if (space) {
+            offset += space[0].length;
+            continue;
+        }
+
+        const char = rest[0];
+        let match;
+
+        if (char === '"' || char === "'") {
+            const end = expression.indexOf(char, offset + 1);
+            if (end === -1) throw invalidXPath('Unterminated string literal', offset);
+            tokens.push({ type: 'literal', value: expression.slice(offset + 1, end), offset });
+            offset = end + 1;
+        } else if ((match = NUMBER_PATTERN.exec(rest))) {
+            tokens.push({ type: 'number', value: match[0], offset });
+            offset += match[0].length;
+        } else if ((match = CLARK_PATTERN.exec(rest))) {
+            tokens.push({ type: 'clark', value: match[0], uri: match[1], local: match[2], offset });
+            offset += match[0].length;
+        } else if ((match = NAME_PATTERN.exec(rest))) {
+            const name = match[0];
+            const isOperatorName = afterOperand() && ['and', 'or', 'mod', 'div'].includes(name);
+            tokens.push({ type: isOperatorName ? 'operator' : 'name', value: name, offset });
+            offset += name.length;
+        } else {
+            const operator = OPERATORS.find(candidate => rest.startsWith(candidate));
+            if (!operator) throw invalidXPath(`Unexpected character "${char}"`, offset);
+
+            const isMultiply = operator === '*' && afterOperand();
+            tokens.push({ type: operator === '*' && !isMultiply ? 'name' : 'operator', value: operator, offset });
+            offset += operator.length;
+        }
+    }
+
+    tokens.push({ type: 'end', value: '', offset });
+    return tokens;
+}
+
+/**
+ * Parse tokens with a recursive-descent parser for the XPath 1.0 grammar.
+ *
+ * @param {Array<{type: string, value: string, offset: number}>} tokens - From tokenize
+ * @returns {Object} The syntax tree
+ * @throws {Error} If the tokens do not form an expression
+ */
+function parseTokens(tokens) {
+    let index = 0;
+
+    // ---- token helpers ----
+
+    const peek = (ahead = 0) => tokens[Math.min(index + ahead, tokens.length - 1)];
+    const next = () => tokens[index++];
+    const isOperator = (value, ahead = 0) => peek(ahead).type === 'operator' && peek(ahead).value === value;
+
+    const accept = (value) => {
+        if (!isOperator(value)) return false;
+        index++;
+        return true;
+    };
+
+    const unexpected = (message) => {
+        const token = peek();
+        const found = token.type === 'end' ? 'end of expression' : `"${token.value}"`;
+        return invalidXPath(message ? `${message} but found ${found}` : `Unexpected ${found}`, token.offset);
+    };
+
+    const expect = (value) => {
+        if (!accept(value)) throw unexpected(`Expected "${value}"`);
+    };
+
+    // ---- expressions (lowest precedence first) ----
+
+    const parseBinary = (operators, parseOperand) => {
+        let left = parseOperand();
+        while (peek().type === 'operator' && operators.includes(peek().value)) {
+            const operator = next().value;
+            left = { type: 'binary', operator, left, right: parseOperand() };
+        }
+        return left;
+    };
+
+    const parseOr = () => parseBinary(['or'], parseAnd);
+    const parseAnd = () => parseBinary(['and'], parseEquality);
+    const parseEquality = () => parseBinary(['=', '!='], parseRelational);
+    const parseRelational = () => parseBinary(['<', '<=', '>', '>='], parseAdditive);
+    const parseAdditive = () => parseBinary(['+', '-'], parseMultiplicative);
+    const parseMultiplicative = () => parseBinary(['*', 'div', 'mod'], parseUnary);
+
+    const parseUnary = () => (accept('-') ? { type: 'negate', operand: parseUnary() } : parseUnion());
+
+    const parseUnion = () => {
+        let left = parsePath();
+        while (accept('|')) {
+            left = { type: 'union', left, right: parsePath() };
+        }
+        return left;
+    };
+
+    // ---- paths ----
+
+    const startsFilterExpression = () => {
+        const token = peek();
+        if (token.type === 'literal' || token.type === 'number' || isOperator('$') || isOperator('(')) {
+            return true;
+        }
+        // A function call (node type tests look the same but are steps)
+        return token.type === 'name' && isOperator('(', 1) && !NODE_TYPE_TESTS.has(token.value);
+    };
+
+    const startsStep = () => {
+        const { type } = peek();
+        return type === 'name' || type === 'clark' || isOperator('.') || isOperator('..') || isOperator('@');
+    };
+
+    const parsePath = () => {
+        if (!startsFilterExpression()) {
+            return parseLocationPath();
+        }
+
+        const filter = parseFilter();
+        if (!isOperator('/') && !isOperator('//')) {
+            return filter;
+        }
+        return { type: 'path', filter, absolute: false, steps: parseRelativeSteps([]) };
+    };
+
+    const parseFilter = () => {
+        const primary = parsePrimary();
+        const predicates = parsePredicates();
+        return predicates.length > 0 ? { type: 'filter', primary, predicates } : primary;
+    };
+
+    const parsePrimary = () => {
+        const token = next();
+        if (token.type === 'literal') return { type: 'literal', value: token.value };
+        if (token.type === 'number') return { type: 'number', value: Number(token.value) };
+
+        if (token.type === 'operator' && token.value === '$') {
+            const name = next();
+            if (name.type !== 'name') throw invalidXPath('Expected a variable name', name.offset);
+            return { type: 'variable', name: name.value };
+        }
+
+        if (token.type === 'operator' && token.value === '(') {
+            const expression = parseOr();
+            expect(')');
+            return expression;
+        }
+
+        // Function call
+        expect('(');
+        const args = [];
+        if (!accept(')')) {
+            do {
+                args.push(parseOr());
+            } while (accept(','));
+            expect(')');
+        }
+        return { type: 'call', name: token.value, args, offset: token.offset };
+    };
+
+    const parseLocationPath = () => {
+        if (accept('/')) {
+            // "/" alone is the document node
+            const steps = startsStep() ? parseRelativeSteps([parseStep()]) : [];
+            return { type: 'path', filter: null, absolute: true, steps };
+        }
+        if (isOperator('//')) {
+            return { type: 'path', filter: null, absolute: true, steps: parseRelativeSteps([]) };
+        }
+        return { type: 'path', filter: null, absolute: false, steps: parseRelativeSteps([parseStep()]) };
+    };
+
+    const parseRelativeSteps = (steps) => {
+        for (;;) {
+            if (accept('//')) {
+                steps.push(DESCENDANT_OR_SELF_STEP);
+            } else if (!accept('/')) {
+                return steps;
+            }
+            steps.push(parseStep());
+        }
+    };
+
+    const parseStep = () => {
+        if (accept('.')) return { axis: 'self', test: { type: 'node' }, predicates: [] };
+        if (accept('..')) return { axis: 'parent', test: { type: 'node' }, predicates: [] };
+
+        let axis = 'child';
+        if (accept('@')) {
+            axis = 'attribute';
+        } else if (peek().type === 'name' && isOperator('::', 1)) {
+            const token = next();
+            if (!AXES[token.value]) throw invalidXPath(`Unknown axis "${token.value}"`, token.offset);
+            axis = token.value;
+            next();
+        }
+
+        return { axis, test: parseNodeTest(), predicates: parsePredicates() };
+    };
+
+    const parseNodeTest = () => {
+        const token = peek();
+        if (token.type === 'clark') {
+            next();
+            return { type: 'clark', uri: token.uri, local: token.local };
+        }
+        if (token.type !== 'name') {
+            throw unexpected('Expected a node test');
+        }
+        next();
+
+        if (NODE_TYPE_TESTS.has(token.value) && accept('(')) {
+            let target = null;
+            if (token.value === 'processing-instruction' && peek().type === 'literal') {
+                target = next().value;
+            }
+            expect(')');
+            return { type: token.value, target };
+        }
+
+        if (token.value === '*') return { type: 'any' };
+        const colon = token.value.indexOf(':');
+        return {
+            type: 'name',
+            prefix: colon === -1 ? null : token.value.slice(0, colon),
+            local: colon === -1 ? token.value : token.value.slice(colon + 1),
+            name: token.value,
+        };
+    };
+
+    const parsePredicates = () => {
+        const predicates = [];
+        while (accept('[')) {
+            predicates.push(parseOr());
+            expect(']');
+        }
+        return predicates;
+    };
+
+    if (peek().type === 'end') {
+        throw invalidXPath('The expression is empty', 0);
+    }
+    const ast = parseOr();
+    if (peek().type !== 'end') {
+        throw unexpected();
+    }
+    return ast;
+}
+
+// The step "//" stands for
+const DESCENDANT_OR_SELF_STEP = { axis: 'descendant-or-self', test: { type: 'node' }, predicates: [] };
+
+// ============================================================================
+// TREE INDEX
+// ============================================================================
+
+// Indexes of trees queried before (trees are not modified after parsing)
+const treeIndexes = new WeakMap();
+
+/**
+ * Get (building it on first use) what XPath needs beyond the tree itself:
+ * parents, document order, and light nodes for attributes and text.
+ *
+ * @param {XmlNode} tree - The root of the tree
+ * @returns {Object} The index
+ */
+function getTreeIndex(tree) {
+    let index = treeIndexes.get(tree);
+    if (!index) {
+        index = buildTreeIndex(tree);
+        treeIndexes.set(tree, index);
+    }
+    return index;
+}
+
+/**
+ * Build the XPath index of a tree.
+ *
+ * @param {XmlNode} tree - The root of the tree
+ * @returns {Object} Document node, parents, document order, the last
+ *   descendant of every node, children and attributes (as XPath sees them),
+ *   and all other nodes in document order with their positions
+ */
+function buildTreeIndex(tree) {
+    const document = { kind: 'document', tagName: '#document', xpath: '/', textContent: '', children: getDocumentNodes(tree) };
+    const index = {
+        document,
+        parents: new Map(),
+        order: new Map(),
+        lastDescendant: new Map(),
+        children: new Map(),
+        attributes: new Map(),
+        // Every node except attributes, in document order
+        nodes: [],
+        positions: new Map(),
+    };
+
+    const visit = (node, parent) => {
+        index.parents.set(node, parent);
+        index.order.set(node, index.order.size);
+        index.positions.set(node, index.nodes.length);
+        index.nodes.push(node);
+
+        if (node.kind === NodeKind.ELEMENT) {
+            const attributes = Object.entries(node.attributes).map(([name, value]) => {
+                const attribute = createAttributeNode(node, name, value);
+                index.parents.set(attribute, node);
+                index.order.set(attribute, index.order.size);
+                return attribute;
+            });
+            index.attributes.set(node, attributes);
+        }
+
+        const children = node.kind === NodeKind.ELEMENT && node.textContent !== ''
+            ? [createTextNode(node), ...node.children]
+            : node.children || [];
+        index.children.set(node, children);
+        for (const child of children) {
+            visit(child, node);
+        }
+        index.lastDescendant.set(node, index.nodes[index.nodes.length - 1]);
+    };
+    visit(document, null);
+
+    return index;
+}
+
+/**
+ * Create the light node of an attribute.
+ *
+ * @param {XmlNode} element - The element the attribute is on
+ * @param {string} name - The attribute's qualified name
+ * @param {string} value - Its value
+ * @returns {Object} The attribute node
+ */
+function createAttributeNode(element, name, value) {
+    const colon = name.indexOf(':');
+    return {
+        kind: 'attribute',
+        tagName: name,
+        localName: colon === -1 ? name : name.slice(colon + 1),
+        prefix: colon === -1 ? null : name.slice(0, colon),
+        namespaceURI: element.attributeNamespaces[name] || null,
+        xpath: `${element.xpath}/@${name}`,
+        textContent: value,
+        children: [],
+        ownerElement: element,
+    };
+}
+
+/**
+ * Create the light text node holding an element's text content.
+ *
+ * @param {XmlNode} element - The element
+ * @returns {Object} The text node
+ */
+function createTextNode(element) {
+    return {
+        kind: NodeKind.TEXT,
+        tagName: '#text',
+        localName: '#text',
+        prefix: null,
+        namespaceURI: null,
+        xpath: `${element.xpath}/text()`,
+        textContent: element.textContent,
+        children: [],
+        ownerElement: element,
+    };
+}
+
+// ============================================================================
+// AXES
+// ============================================================================
+
+/**
+ * The nodes along each axis, in axis order (reverse axes: nearest first).
+ */
+const AXES = {
+    child: (node, index) => index.children.get(node) || [],
+    descendant: (node, index) => {
+        const position = index.positions.get(node);
+        if (position === undefined) return [];
+        return index.nodes.slice(position + 1, index.positions.get(index.lastDescendant.get(node)) + 1);
+    },
+    'descendant-or-self': (node, index) => [node, ...AXES.descendant(node, index)],
+    parent: (node, index) => {
+        const parent = index.parents.get(node);
+        return parent ? [parent] : [];
+    },
+    ancestor: (node, index) => {
+        const ancestors = [];
+        for (let parent = index.parents.get(node); parent; parent = index.parents.get(parent)) {
+            ancestors.push(parent);
+        }
+        return ancestors;
+    },
+    'ancestor-or-self': (node, index) => [node, ...AXES.ancestor(node, index)],
+    'following-sibling': (node, index) => {
+        if (node.kind === 'attribute' || node.kind === 'namespace') return [];
+        const siblings = AXES.child(index.parents.get(node), index);
+        return siblings.slice(siblings.indexOf(node) + 1);
+    },
+    'preceding-sibling': (node, index) => {
+        if (node.kind === 'attribute' || node.kind === 'namespace') return [];
+        const siblings = AXES.child(index.parents.get(node), index);
+        return siblings.slice(0, siblings.indexOf(node)).reverse();
+    },
+    following: (node, index) => {
+        // After the node's subtree; an attribute's element content follows it
+        const start = node.ownerElement && !index.positions.has(node)
+            ? index.positions.get(node.ownerElement) + 1
+            : index.positions.get(index.lastDescendant.get(node)) + 1;
+        return index.nodes.slice(start);
+    },
+    preceding: (node, index) => {
+        const ancestors = new Set(AXES.ancestor(node, index));
+        const end = node.ownerElement && !index.positions.has(node)
+            ? index.positions.get(node.ownerElement)
+            : index.positions.get(node);
+        return index.nodes.slice(0, end).filter(candidate => !ancestors.has(candidate)).reverse();
+    },
+    attribute: (node, index) => index.attributes.get(node) || [],
+    namespace: (node, index) => getNamespaceNodes(node, index),
+    self: (node) => [node],
+};
+
+/**
+ * Get the namespace nodes in scope on an element (the nearest declaration
+ * of each prefix, and the xml prefix).
+ *
+ * @param {XmlNode} node - The context node
+ * @param {Object} index - The tree index
+ * @returns {Object[]} Namespace nodes (kind 'namespace', localName = prefix)
+ */
+function getNamespaceNodes(node, index) {
+    if (node.kind !== NodeKind.ELEMENT) return [];
+
+    const inScope = new Map([['xml', XML_URI]]);
+    for (const element of [...AXES.ancestor(node, index)].reverse().concat(node)) {
+        for (const [prefix, uri] of Object.entries(element.namespaces || {})) {
+            if (uri) inScope.set(prefix, uri);
+            else inScope.delete(prefix);
+        }
+    }
+
+    return [...inScope].map(([prefix, uri]) => ({
+        kind: 'namespace',
+        tagName: prefix,
+        localName: prefix,
+        prefix: null,
+        namespaceURI: null,
+        xpath: `${node.xpath}/namespace::${prefix || '*'}`,
+        textContent: uri,
+        children: [],
+        ownerElement: node,
+    }));
+}
+
+// ============================================================================
+// EVALUATION
+// ============================================================================
+
+/**
+ * Evaluate a syntax tree node.
+ *
+ * @param {Object} ast - The expression
+ * @param {{node: XmlNode, position: number, size: number}} focus - Context
+ *   node, position and size
+ * @param {Object} context - Tree index, namespaces and variables
+ * @returns {XPathValue} The value
+ */
+function evaluate(ast, focus, context) {
+    switch (ast.type) {
+        case 'literal':
+        case 'number':
+            return ast.value;
+        case 'variable':
+            if (!Object.hasOwn(context.variables, ast.name)) {
+                throw new Error(`XPath variable $${ast.name} is not defined`);
+            }
+            return context.variables[ast.name];
+        case 'negate':
+            return -toNumber(evaluate(ast.operand, focus, context));
+        case 'binary':
+            return evaluateBinary(ast, focus, context);
+        case 'union': {
+            const left = evaluate(ast.left, focus, context);
+            const right = evaluate(ast.right, focus, context);
+            if (!Array.isArray(left) || !Array.isArray(right)) {
+                throw new Error('XPath union ("|") needs node-sets on both sides');
+            }
+            return sortInDocumentOrder([...new Set([...left, ...right])], context.index);
+        }
+        case 'filter': {
+            const nodes = evaluate(ast.primary, focus, context);
+            if (!Array.isArray(nodes)) throw new Error('XPath predicates can only filter node-sets');
+            return applyPredicates(nodes, ast.predicates, context);
+        }
+        case 'path':
+            return evaluatePath(ast, focus, context);
+        case 'call':
+            return callFunction(ast, focus, context);
+        default:
+            throw new Error(`Unknown XPath expression type ${ast.type}`);
+    }
+}
+
+/**
+ * Evaluate `and`, `or`, a comparison or arithmetic.
+ *
+ * @param {Object} ast - The binary expression
+ * @param {Object} focus - Context node, position and size
+ * @param {Object} context - Evaluation context
+ * @returns {boolean|number} The value
+ */
+function evaluateBinary(ast, focus, context) {
+    const { operator } = ast;
+    if (operator === 'or') {
+        return toBoolean(evaluate(ast.left, focus, context)) || toBoolean(evaluate(ast.right, focus, context));
+    }
+    if (operator === 'and') {
+        return toBoolean(evaluate(ast.left, focus, context)) && toBoolean(evaluate(ast.right, focus, context));
+    }
+
+    const left = evaluate(ast.left, focus, context);
+    const right = evaluate(ast.right, focus, context);
+
+    switch (operator) {
+        case '+': return toNumber(left) + toNumber(right);
+        case '-': return toNumber(left) - toNumber(right);
+        case '*': return toNumber(left) * toNumber(right);
+        case 'div': return toNumber(left) / toNumber(right);
+        case 'mod': return toNumber(left) % toNumber(right);
+        default: return compareValues(operator, left, right);
+    }
+}
+
+/**
+ * Evaluate a location path (or a filter expression followed by steps).
+ *
+ * @param {Object} ast - The path
+ * @param {Object} focus - Context node, position and size
+ * @param {Object} context - Evaluation context
+ * @returns {XmlNode[]} The selected nodes, in document order
+ */
+function evaluatePath(ast, focus, context) {
+    let nodes;
+    if (ast.filter) {
+        nodes = evaluate(ast.filter, focus, context);
+        if (!Array.isArray(nodes)) throw new Error('XPath steps can only follow a node-set');
+    } else {
+        nodes = [ast.absolute ? context.index.document : focus.node];
+    }
+
+    for (const step of ast.steps) {
+        nodes = evaluateStep(step, nodes, context);
+    }
+    return nodes;
+}
+
+/**
+ * Apply one location step to every node of a node-set.
+ *
+ * @param {Object} step - Axis, node test and predicates
+ * @param {XmlNode[]} nodes - The context nodes, in document order
+ * @param {Object} context - Evaluation context
+ * @returns {XmlNode[]} The selected nodes, in document order
+ */
+function evaluateStep(step, nodes, context) {
+    const { index } = context;
+    const selected = new Set();
+
+    for (const node of nodes) {
+        const candidates = AXES[step.axis](node, index).filter(candidate => matchesNodeTest(candidate, step, context));
+        for (const match of applyPredicates(candidates, step.predicates, context)) {
+            selected.add(match);
+        }
+    }
+
+    const result = [...selected];
+    // One forward-axis step from one node is already in document order
+    return nodes.length > 1 || REVERSE_AXES.has(step.axis) ? sortInDocumentOrder(result, index) : result;
+}
+
+/**
+ * Keep the nodes every predicate holds for, numbering them (for
+ * position() and numeric predicates) in the order given.
+ *
+ * @param {XmlNode[]} nodes - The nodes, in axis order
+ * @param {Object[]} predicates - Predicate expressions
+ * @param {Object} context - Evaluation context
+ * @returns {XmlNode[]} The remaining nodes, in the same order
+ */
+function applyPredicates(nodes, predicates, context) {
+    return predicates.reduce((remaining, predicate) => remaining.filter((node, i) => {
+        const value = evaluate(predicate, { node, position: i + 1, size: remaining.length }, context);
+        return typeof value === 'number' ? value === i + 1 : toBoolean(value);
+    }), nodes);
+}
+
+/**
+ * Check whether a node passes a step's node test.
+ *
+ * @param {XmlNode} node - A node on the step's axis
+ * @param {Object} step - The step
+ * @param {Object} context - Evaluation context (namespace prefixes)
+ * @returns {boolean} True if the node passes
+ */
+function matchesNodeTest(node, { axis, test }, context) {
+    switch (test.type) {
+        case 'node':
+            return true;
+        case 'text':
+            return node.kind === NodeKind.TEXT || node.kind === NodeKind.CDATA;
+        case 'comment':
+            return node.kind === NodeKind.COMMENT;
+        case 'processing-instruction':
+            return node.kind === NodeKind.PROCESSING_INSTRUCTION
+                && (test.target === null || node.tagName === `?${test.target}`);
+        default:
+            break;
+    }
+
+    // Name tests only match the axis' principal node type
+    const principal = axis === 'attribute' ? 'attribute' : axis === 'namespace' ? 'namespace' : NodeKind.ELEMENT;
+    if (node.kind !== principal) return false;
+
+    if (test.type === 'any') return true;
+    if (test.type === 'clark') {
+        return (node.namespaceURI || '') === test.uri && node.localName === test.local;
+    }
+
+    // Prefixes bound by the caller match by namespace URI; others as written
+    if (test.prefix !== null && Object.hasOwn(context.namespaces, test.prefix)) {
+        return node.namespaceURI === context.namespaces[test.prefix]
+            && (test.local === '*' || node.localName === test.local);
+    }
+    if (test.local === '*') {
+        return node.prefix === test.prefix;
+    }
+    return principal === 'namespace' ? node.localName === test.name : node.tagName === test.name;
+}
+
+/**
+ * Sort nodes into document order.
+ *
+ * @param {XmlNode[]} nodes - Distinct nodes
+ * @param {Object} index - The tree index
+ * @returns {XmlNode[]} The same array, sorted
+ */
+function sortInDocumentOrder(nodes, index) {
+    // Namespace nodes are not indexed; they sort just after their element
+    const orderOf = node => index.order.get(node) ?? index.order.get(node.ownerElement) + 0.5;
+    return nodes.sort((a, b) => orderOf(a) - orderOf(b));
+}
+
+// ============================================================================
+// COMPARISONS AND CONVERSIONS
+// ============================================================================
+
+/**
+ * Compare two values with =, !=, <, <=, > or >=, following the XPath 1.0
+ * rules for node-sets (true if any node's value compares true).
+ *
+ * @param {string} operator - The comparison
+ * @param {XPathValue} left - Left value
+ * @param {XPathValue} right - Right value
+ * @returns {boolean} The result
+ */
+function compareValues(operator, left, right) {
+    const leftIsNodes = Array.isArray(left);
+    const rightIsNodes = Array.isArray(right);
+
+    if (leftIsNodes && rightIsNodes) {
+        const rightValues = right.map(getStringValue);
+        return left.some(node => {
+            const value = getStringValue(node);
+            return rightValues.some(other => compareAtomic(operator, value, other));
+        });
+    }
+    if (leftIsNodes || rightIsNodes) {
+        const [nodes, other] = leftIsNodes ? [left, right] : [right, left];
+        const compare = (value) => (leftIsNodes
+            ? compareAtomic(operator, value, other)
+            : compareAtomic(operator, other, value));
+
+        if (typeof other === 'boolean') return compare(nodes.length > 0);
+        if (typeof other === 'number') return nodes.some(node => compare(toNumber(getStringValue(node))));
+        return nodes.some(node => compare(getStringValue(node)));
+    }
+    return compareAtomic(operator, left, right);
+}
+
+/**
+ * Compare two strings, numbers or booleans.
+ *
+ * @param {string} operator - The comparison
+ * @param {string|number|boolean} left - Left value
+ * @param {string|number|boolean} right - Right value
+ * @returns {boolean} The result
+ */
+function compareAtomic(operator, left, right) {
+    if (operator === '=' || operator === '!=') {
+        let equal;
+        if (typeof left === 'boolean' || typeof right === 'boolean') {
+            equal = toBoolean(left) === toBoolean(right);
+        } else if (typeof left === 'number' || typeof right === 'number') {
+            equal = toNumber(left) === toNumber(right);
+        } else {
+            equal = left === right;
+        }
+        return operator === '=' ? equal : !equal;
+    }
+
+    const a = toNumber(left);
+    const b = toNumber(right);
+    switch (operator) {
+        case '<': return a < b;
+        case '<=': return a <= b;
+        case '>': return a > b;
+        default: return a >= b;
+    }
+}
+
+/**
+ * Convert a value to a string (the first node's string-value for node-sets).
+ *
+ * @param {XPathValue} value - The value
+ * @returns {string} The string
+ */
+function toXPathString(value) {
+    if (Array.isArray(value)) return value.length > 0 ? getStringValue(value[0]) : '';
+    if (typeof value === 'number') return formatNumber(value);
+    return String(value);
+}
+
+/**
+ * Convert a value to a number (NaN if it is not one).
+ *
+ * @param {XPathValue} value - The value
+ * @returns {number} The number
+ */
+function toNumber(value) {
+    if (typeof value === 'number') return value;
+    if (typeof value === 'boolean') return value ? 1 : 0;
+    const text = toXPathString(value).trim();
+    return /^-?(?:\d+(?:\.\d*)?|\.\d+)$/.test(text) ? Number(text) : NaN;
+}
+
+/**
+ * Convert a value to a boolean (non-empty node-sets and strings, non-zero numbers).
+ *
+ * @param {XPathValue} value - The value
+ * @returns {boolean} The boolean
+ */
+function toBoolean(value) {
+    if (Array.isArray(value)) return value.length > 0;
+    if (typeof value === 'number') return value !== 0 && !Number.isNaN(value);
+    if (typeof value === 'string') return value.length > 0;
+    return value;
+}
+
+/**
+ * Format a number the way XPath does (no exponent, integers without ".0").
+ *
+ * @param {number} value - The number
+ * @returns {string} Its string form
+ */
+function formatNumber(value) {
+    if (Number.isNaN(value)) return 'NaN';
+    if (!Number.isFinite(value)) return value > 0 ? 'Infinity' : '-Infinity';
+    if (Object.is(value, -0)) return '0';
+    const text = String(value);
+    return text.includes('e')
+        ? value.toLocaleString('en-US', { useGrouping: false, maximumFractionDigits: 20 })
+        : text;
+}
+
+// ============================================================================
+// FUNCTIONS
+// ============================================================================
+
+/**
+ * Call an XPath function.
+ *
+ * @param {Object} ast - The call: name and argument expressions
+ * @param {Object} focus - Context node, position and size
+ * @param {Object} context - Evaluation context
+ * @returns {XPathValue} The function's value
+ * @throws {Error} For unknown functions or the wrong number of arguments
+ */
+function callFunction(ast, focus, context) {
+    const definition = FUNCTIONS[ast.name];
+    if (!definition) {
+        throw invalidXPath(`Unknown function ${ast.name}()`, ast.offset);
+    }
+
+    const [min, max, implementation] = definition;
+    if (ast.args.length < min || ast.args.length > max) {
+        const expected = min === max ? `${min}` : max === Infinity ? `at least ${min}` : `${min}-${max}`;
+        throw invalidXPath(`${ast.name}() takes ${expected} argument(s), not ${ast.args.length}`, ast.offset);
+    }
+
+    const args = ast.args.map(arg => evaluate(arg, focus, context));
+    return implementation(args, focus, context);
+}
+
+/**
+ * Get a node-set argument.
+ *
+ * @param {XPathValue} value - The argument's value
+ * @param {string} name - Function name, for the error
+ * @returns {XmlNode[]} The nodes
+ */
+function nodeSetArgument(value, name) {
+    if (!Array.isArray(value)) throw new Error(`XPath ${name}() needs a node-set argument`);
+    return value;
+}
+
+// The argument, or the context node as a node-set when it is left out
+const nodesOrContext = (args, focus, name) => (args.length > 0 ? nodeSetArgument(args[0], name) : [focus.node]);
+const stringOrContext = (args, focus) => (args.length > 0 ? toXPathString(args[0]) : getStringValue(focus.node));
+
+/**
+ * The XPath 1.0 core function library: [min args, max args, implementation].
+ */
+const FUNCTIONS = {
+    // Node-set functions
+    last: [0, 0, (args, focus) => focus.size],
+    position: [0, 0, (args, focus) => focus.position],
+    count: [1, 1, ([nodes]) => nodeSetArgument(nodes, 'count').length],
+    id: [1, 1, ([value], focus, context) => {
+        // Without a DTD, IDs are the values of attributes named "id"
+        const ids = new Set((Array.isArray(value) ? value.map(getStringValue) : [toXPathString(value)])
+            .flatMap(text => text.trim().split(/\s+/)));
+        return context.index.nodes.filter(node => node.kind === NodeKind.ELEMENT && ids.has(node.attributes.id));
+    }],
+    'local-name': [0, 1, (args, focus) => {
+        const [node] = nodesOrContext(args, focus, 'local-name');
+        return node ? getNodeName(node, true) : '';
+    }],
+    'namespace-uri': [0, 1, (args, focus) => {
+        const [node] = nodesOrContext(args, focus, 'namespace-uri');
+        return node && (node.kind === NodeKind.ELEMENT || node.kind === 'attribute') ? node.namespaceURI || '' : '';
+    }],
+    name: [0, 1, (args, focus) => {
+        const [node] = nodesOrContext(args, focus, 'name');
+        return node ? getNodeName(node, false) : '';
+    }],
+
+    // String functions
+    string: [0, 1, (args, focus) => stringOrContext(args, focus)],
+    concat: [2, Infinity, (args) => args.map(toXPathString).join('')],
+    'starts-with': [2, 2, ([text, prefix]) => toXPathString(text).startsWith(toXPathString(prefix))],
+    contains: [2, 2, ([text, part]) => toXPathString(text).includes(toXPathString(part))],
+    'substring-before': [2, 2, ([text, part]) => {
+        const value = toXPathString(text);
+        const at = value.indexOf(toXPathString(part));
+        return at === -1 ? '' : value.slice(0, at);
+    }],
+    'substring-after': [2, 2, ([text, part]) => {
+        const value = toXPathString(text);
+        const search = toXPathString(part);
+        const at = value.indexOf(search);
+        return at === -1 ? '' : value.slice(at + search.length);
+    }],
+    substring: [2, 3, ([text, start, length]) => {
+        // Positions are 1-based and rounded; characters are code points
+        const characters = [...toXPathString(text)];
+        const first = Math.round(toNumber(start));
+        const end = length === undefined ? Infinity : first + Math.round(toNumber(length));
+        return characters.filter((_, i) => i + 1 >= first && i + 1 < end).join('');
+    }],
+    'string-length': [0, 1, (args, focus) => [...stringOrContext(args, focus)].length],
+    'normalize-space': [0, 1, (args, focus) => stringOrContext(args, focus).trim().replace(/\s+/g, ' ')],
+    translate: [3, 3, ([text, from, to]) => {
+        const source = [...toXPathString(from)];
+        const target = [...toXPathString(to)];
+        return [...toXPathString(text)].map((char) => {
+            const at = source.indexOf(char);
+            return at === -1 ? char : target[at] ?? '';
+        }).join('');
+    }],
+
+    // Boolean functions
+    boolean: [1, 1, ([value]) => toBoolean(value)],
+    not: [1, 1, ([value]) => !toBoolean(value)],
+    true: [0, 0, () => true],
+    false: [0, 0, () => false],
+    lang: [1, 1, ([language], focus, context) => {
+        const wanted = toXPathString(language).toLowerCase();
+        for (const node of AXES['ancestor-or-self'](focus.node, context.index)) {
+            const value = node.attributes?.['xml:lang'];
+            if (value !== undefined) {
+                const lang = value.toLowerCase();
+                return lang === wanted || lang.startsWith(`${wanted}-`);
+            }
+        }
+        return false;
+    }],
+
+    // Number functions
+    number: [0, 1, (args, focus) => (args.length > 0 ? toNumber(args[0]) : toNumber(getStringValue(focus.node)))],
+    sum: [1, 1, ([nodes]) => nodeSetArgument(nodes, 'sum')
+        .reduce((total, node) => total + toNumber(getStringValue(node)), 0)],
+    floor: [1, 1, ([value]) => Math.floor(toNumber(value))],
+    ceiling: [1, 1, ([value]) => Math.ceil(toNumber(value))],
+    round: [1, 1, ([value]) => {
+        const number = toNumber(value);
+        return Number.isFinite(number) ? Math.floor(number + 0.5) : number;
+    }],
+};
+
+/**
+ * Get the name of a node for name() and local-name().
+ *
+ * @param {XmlNode} node - The node
+ * @param {boolean} local - Whether to leave out the prefix
+ * @returns {string} The name ('' for text, comments and the document)
+ */
+function getNodeName(node, local) {
+    switch (node.kind) {
+        case NodeKind.ELEMENT:
+        case 'attribute':
+            return local ? node.localName : node.tagName;
+        case 'namespace':
+            return node.localName;
+        case NodeKind.PROCESSING_INSTRUCTION:
+            return node.tagName.slice(1); // "?target"
+        default:
+            return '';
+    }
+}
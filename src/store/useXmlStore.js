@@ -1,19 +1,33 @@
 /**
  * Zustand Store for XML Comparison
- * Uses main thread parsing with requestIdleCallback for non-blocking execution
+ * Comparisons (and batch comparisons of two folders) run in the XML worker
+ * (off the main thread), reporting progress, and can be cancelled
  */
 
 import { create } from 'zustand';
-import { parseXml } from '../core/xmlParser';
-import { compareXml } from '../core/xmlComparer';
+import { NamespaceMode, WhitespaceMode } from '../core/xmlParser';
+import { MatchMode } from '../core/xmlComparer';
+import { runCompareJob } from '../core/compareJob';
+import { pairFiles, runBatchCompare } from '../core/batchCompare';
+import { queryTrees, collectVisibleXPaths } from '../core/xmlQuery';
+import { searchTree, groupMatchesByNode, SearchScope } from '../core/xmlSearch';
+import { collectDiffFilterXPaths, DEFAULT_FILTER_CATEGORIES } from '../core/diffFilter';
+import { InlineDiffMode } from '../core/inlineDiff';
+import { DEFAULT_FORMAT_OPTIONS, DEFAULT_CANONICAL_OPTIONS } from '../core/xmlSerializer';
 import { DEBUG_MODE } from '../config';
 
 const XPATH_SETTINGS_KEY = 'xmlCompare_xpathSettings';
+const COMPARE_OPTIONS_KEY = 'xmlCompare_compareOptions';
 
 const defaultXpathSettings = {
     elementsArray: [],
     indexAttribute: null,
-    leafOmit: true
+    leafOmit: true,
+    namespaceMode: NamespaceMode.PREFIX,
+    nodeKinds: [],
+    mixedContent: false,
+    whitespace: WhitespaceMode.TRIM,
+    ignoreRules: []
 };
 
 // Load settings from localStorage or use defaults
@@ -29,6 +43,171 @@ const loadXpathSettings = () => {
     return defaultXpathSettings;
 };
 
+const defaultCompareOptions = {
+    matchMode: MatchMode.XPATH,
+    normalization: {},
+    normalizationRules: [],
+    ignorePrefixes: false
+};
+
+// Load compare options from localStorage or use defaults
+const loadCompareOptions = () => {
+    try {
+        const stored = localStorage.getItem(COMPARE_OPTIONS_KEY);
+        if (stored) {
+            return { ...defaultCompareOptions, ...JSON.parse(stored) };
+        }
+    } catch (e) {
+        console.warn('Failed to load compare options from localStorage:', e);
+    }
+    return defaultCompareOptions;
+};
+
+// Which tree the XPaths in each navigable category belong to
+const categorySide = (category) => (category === 'rightOnly' ? 'right' : 'left');
+
+// XPaths to step through for a category (moves are navigated by their left location)
+const getCategoryItems = (diffResults, category) => {
+    if (category === 'moved') {
+        return diffResults.moved.map(entry => entry.from);
+    }
+    return diffResults[category];
+};
+
+// Run a query against both trees; the sets make highlighting and filtering
+// the tree views cheap (nothing is filtered for queries that return values)
+const runTreeQuery = (query, { leftTree, rightTree, diffResults }) => {
+    const result = queryTrees(query, leftTree, rightTree, diffResults);
+    return {
+        ...result,
+        highlighted: { left: new Set(result.matched.left), right: new Set(result.matched.right) },
+        visible: result.values ? null : {
+            left: leftTree ? collectVisibleXPaths(leftTree, result.matched.left) : new Set(),
+            right: rightTree ? collectVisibleXPaths(rightTree, result.matched.right) : new Set(),
+        },
+    };
+};
+
+// XPaths each tree view keeps under the active filters (the query filter
+// and the differences-only filter), or null when nothing is filtered; a node
+// is kept when every active filter keeps it
+const buildViewFilter = ({ queryResult, isQueryFilterActive, diffFilter, diffResults, leftTree, rightTree }) => {
+    const filters = [];
+    if (isQueryFilterActive && queryResult?.visible) {
+        filters.push(queryResult.visible);
+    }
+    if (diffFilter.isActive && diffResults) {
+        filters.push({
+            left: leftTree ? collectDiffFilterXPaths(leftTree, diffResults, 'left', diffFilter) : new Set(),
+            right: rightTree ? collectDiffFilterXPaths(rightTree, diffResults, 'right', diffFilter) : new Set(),
+        });
+    }
+
+    if (filters.length === 0) return null;
+    const [first, ...rest] = filters;
+    const keep = (side) => new Set([...first[side]].filter(xpath => rest.every(filter => filter[side].has(xpath))));
+    return rest.length === 0 ? first : { left: keep('left'), right: keep('right') };
+};
+
+// Most matches the search bar collects (across both panels)
+const SEARCH_LIMIT = 10000;
+
+// Search the panel with the search bar open, or both panels; matches are
+// tagged with their side and grouped by node for inline highlighting
+const runTreeSearch = ({ searchSide, searchQuery, searchOptions, leftTree, rightTree }) => {
+    if (!searchSide || !searchQuery) return null;
+
+    const matches = [];
+    const bySide = { left: new Map(), right: new Map() };
+    let truncated = false;
+
+    for (const side of searchOptions.bothSides ? ['left', 'right'] : [searchSide]) {
+        const tree = side === 'left' ? leftTree : rightTree;
+        if (!tree) continue;
+
+        const result = searchTree(tree, searchQuery, { ...searchOptions, limit: SEARCH_LIMIT - matches.length });
+        const sideMatches = result.matches.map(match => ({ ...match, side }));
+        matches.push(...sideMatches);
+        bySide[side] = groupMatchesByNode(sideMatches);
+        truncated = truncated || result.truncated;
+    }
+    return { matches, bySide, truncated };
+};
+
+// Path of an uploaded file inside the chosen folder (without the folder's own name)
+const getRelativePath = (file) => (
+    file.webkitRelativePath ? file.webkitRelativePath.split('/').slice(1).join('/') : file.name
+);
+
+// Run a job on this thread: a batch job (file pairs) or a compare job
+const runJobHere = (job, options) => (job.pairs
+    ? runBatchCompare(job, options).then(entries => ({ success: true, entries }))
+    : runCompareJob(job, options));
+
+// The worker that runs comparisons (created on first use; terminating it cancels a job)
+let worker = null;
+
+// The comparison in flight: { id, controller } (the controller only without Web Workers)
+let activeJob = null;
+let lastJobId = 0;
+
+const getWorker = () => {
+    if (!worker) {
+        worker = new Worker(new URL('../core/xml-worker.js', import.meta.url), { type: 'module' });
+    }
+    return worker;
+};
+
+// Run a compare or batch job in the worker, or on this thread where there are no Web Workers
+const startJob = (job, onProgress) => {
+    const id = ++lastJobId;
+
+    if (typeof Worker === 'undefined') {
+        const controller = new AbortController();
+        activeJob = { id, controller };
+        return { id, result: runJobHere(job, { onProgress, signal: controller.signal }) };
+    }
+
+    activeJob = { id, controller: null };
+    const result = new Promise((resolve, reject) => {
+        const jobWorker = getWorker();
+        jobWorker.onmessage = ({ data }) => {
+            if (data.jobId !== id) return;
+            if (data.type === 'progress') {
+                onProgress(data);
+            } else if (data.retryWithDomParser && activeJob?.id === id) {
+                // The worker's built-in parser rejected a document that DOMParser
+                // (only on this thread) may read, e.g. one with DOCTYPE entities
+                const controller = new AbortController();
+                activeJob = { id, controller };
+                resolve(runJobHere(job, { onProgress, signal: controller.signal }));
+            } else {
+                resolve(data);
+            }
+        };
+        jobWorker.onerror = (event) => {
+            // A crashed worker (e.g. out of memory) is replaced on the next job
+            jobWorker.terminate();
+            if (worker === jobWorker) worker = null;
+            reject(new Error(event.message || 'The comparison failed unexpectedly'));
+        };
+        jobWorker.postMessage({ jobId: id, ...job });
+    });
+    return { id, result };
+};
+
+// Stop the comparison in flight, if any; its results are never applied
+const stopActiveJob = () => {
+    if (!activeJob) return;
+    if (activeJob.controller) {
+        activeJob.controller.abort();
+    } else {
+        worker?.terminate();
+        worker = null;
+    }
+    activeJob = null;
+};
+
 const useXmlStore = create((set, get) => ({
     // Raw XML strings
     leftXml: '',
@@ -38,19 +217,61 @@ const useXmlStore = create((set, get) => ({
     leftTree: null,
     rightTree: null,
 
-    // Parse errors
+    // Parse errors (with the line/column of syntax errors, if known)
     leftError: null,
     rightError: null,
+    leftErrorPosition: null,
+    rightErrorPosition: null,
 
     // Comparison results
     diffResults: null,
     isComparing: false,
+    compareProgress: null, // { phase, percent } while a comparison runs (see ComparePhase)
 
-    // Currently selected XPath (for highlighting)
+    // Currently selected XPath (for highlighting) and the tree it belongs to
     selectedXPath: null,
+    selectedSide: 'left',
 
     // Navigation State
-    activeCategory: null, // 'matched', 'different', 'leftOnly', 'rightOnly'
+    activeCategory: null, // 'matched', 'different', 'leftOnly', 'rightOnly', 'moved', 'ignored'
+
+    // Query panel: results of an XPath/simple search over both trees (see runQuery)
+    queryResult: null,
+    queryError: null,
+    isQueryFilterActive: false, // show only the matches and their ancestors
+
+    // Differences-only view: hide unchanged subtrees, keeping nodes of the
+    // chosen categories, their ancestors and `context` levels around them
+    diffFilter: {
+        isActive: false,
+        categories: DEFAULT_FILTER_CATEGORIES,
+        context: 0,
+    },
+    viewFilter: null, // { left: Set, right: Set } of XPaths to show while a filter is active
+
+    // Full-text search (Ctrl+F): the panel showing the search bar, what to find and the matches
+    searchSide: null, // 'left' or 'right' while the search bar is open
+    searchQuery: '',
+    searchOptions: {
+        regex: false,
+        caseSensitive: false,
+        wholeWord: false,
+        scopes: Object.values(SearchScope),
+        bothSides: false, // search both panels from the bar
+    },
+    searchResult: null, // { matches, bySide: { left, right }, truncated }
+    searchError: null,
+    searchIndex: -1, // the current match
+
+    // Batch mode: two folders of XML files compared pair by pair (see batchCompare.js)
+    isBatchOpen: false,
+    batchFiles: { left: [], right: [] }, // { path, file } per XML file of each folder
+    batchRenamePattern: '', // e.g. '*_old.xml=*_new.xml'
+    batchEntries: null, // BatchEntry per pair, after a run
+    batchProgress: null, // { completed, total, name } while a batch runs
+    isBatchRunning: false,
+    batchError: null,
+    batchPairName: null, // the pair of the batch open in the compare view
 
     // Debug mode
     isDebugMode: DEBUG_MODE,
@@ -58,6 +279,9 @@ const useXmlStore = create((set, get) => ({
     // XPath Settings
     xpathSettings: loadXpathSettings(),
 
+    // Comparison Options
+    compareOptions: loadCompareOptions(),
+
     // View Settings
     fontSize: 14,
     isZenMode: false,
@@ -65,9 +289,15 @@ const useXmlStore = create((set, get) => ({
     // treeViewStyle removed as per user request
     showLeafDots: true,
     showStatusBadges: true,
+    inlineDiffMode: InlineDiffMode.WORD, // granularity of changed-value highlighting
     isScrollLocked: false, // New state for scroll synchronization
     lastFocusedSide: 'left', // 'left' or 'right'
 
+    // Text view: Format (pretty-print) and Canonicalize, also used when
+    // copying the canonical form
+    formatOptions: DEFAULT_FORMAT_OPTIONS,
+    canonicalOptions: DEFAULT_CANONICAL_OPTIONS,
+
     setLastFocusedSide: (side) => {
         set({ lastFocusedSide: side });
     },
@@ -82,6 +312,16 @@ const useXmlStore = create((set, get) => ({
         set({ xpathSettings: newSettings });
     },
 
+    setCompareOptions: (options) => {
+        const newOptions = { ...get().compareOptions, ...options };
+        try {
+            localStorage.setItem(COMPARE_OPTIONS_KEY, JSON.stringify(newOptions));
+        } catch (e) {
+            console.warn('Failed to save compare options to localStorage:', e);
+        }
+        set({ compareOptions: newOptions });
+    },
+
     loadXpathSettingsFromFile: async (file) => {
         try {
             const text = await file.text();
@@ -128,116 +368,176 @@ const useXmlStore = create((set, get) => ({
         set({ showStatusBadges: !showStatusBadges });
     },
 
+    toggleInlineDiffMode: () => {
+        const { inlineDiffMode } = get();
+        const nextMode = inlineDiffMode === InlineDiffMode.WORD ? InlineDiffMode.CHAR : InlineDiffMode.WORD;
+        if (DEBUG_MODE) console.log('Toggling Inline Diff Mode. New value:', nextMode);
+        set({ inlineDiffMode: nextMode });
+    },
+
+    setFormatOptions: (options) => {
+        set({ formatOptions: { ...get().formatOptions, ...options } });
+    },
+
+    setCanonicalOptions: (options) => {
+        set({ canonicalOptions: { ...get().canonicalOptions, ...options } });
+    },
+
     setLeftXml: (xml) => {
         if (DEBUG_MODE) console.log('Setting left XML');
+        stopActiveJob();
         set({
             leftXml: xml,
             leftTree: null,
             leftError: null,
+            leftErrorPosition: null,
             diffResults: null,
+            isComparing: false,
+            compareProgress: null,
             selectedXPath: null,
             activeCategory: null,
+            queryResult: null,
+            queryError: null,
+            viewFilter: null,
+            searchResult: null,
+            searchIndex: -1,
+            batchPairName: null,
         });
     },
 
     setRightXml: (xml) => {
         if (DEBUG_MODE) console.log('Setting right XML');
+        stopActiveJob();
         set({
             rightXml: xml,
             rightTree: null,
             rightError: null,
+            rightErrorPosition: null,
             diffResults: null,
+            isComparing: false,
+            compareProgress: null,
             selectedXPath: null,
             activeCategory: null,
+            queryResult: null,
+            queryError: null,
+            viewFilter: null,
+            searchResult: null,
+            searchIndex: -1,
+            batchPairName: null,
         });
     },
 
     compare: () => {
-        const { leftXml, rightXml, isDebugMode, xpathSettings } = get();
+        const { leftXml, rightXml, isDebugMode, xpathSettings, compareOptions } = get();
         if (isDebugMode) console.log('Comparing XMLs');
 
         if (!leftXml || !rightXml) {
             return;
         }
 
-        set({ isComparing: true, diffResults: null });
+        stopActiveJob();
+        set({ isComparing: true, diffResults: null, compareProgress: null });
 
-        // Use setTimeout to allow UI to update before heavy processing
-        setTimeout(() => {
-            try {
-                // Step 1: Parse both XML strings
-                if (isDebugMode) console.log('Parsing left XML...');
-                const leftTree = parseXml(leftXml, xpathSettings);
-
-                if (isDebugMode) console.log('Parsing right XML...');
-                const rightTree = parseXml(rightXml, xpathSettings);
-
-                // Step 2: Compare the parsed trees
-                if (isDebugMode) console.log('Comparing trees...');
-                const diffResults = compareXml(leftTree, rightTree);
-                if (isDebugMode) console.log('Comparison finished.');
-
-                set({
-                    leftTree,
-                    rightTree,
-                    diffResults,
-                    isComparing: false,
-                    leftError: null,
-                    rightError: null,
-                });
-            } catch (error) {
-                if (isDebugMode) console.error('Error during processing:', error);
-                set({
-                    isComparing: false,
-                    leftError: error.message,
-                    rightError: error.message,
-                    diffResults: null,
-                    leftTree: null,
-                    rightTree: null,
-                });
+        const { id, result } = startJob(
+            { leftXml, rightXml, xpathSettings, compareOptions, isDebugMode },
+            ({ phase, percent }) => {
+                if (activeJob?.id === id) set({ compareProgress: { phase, percent } });
+            }
+        );
+
+        result.then((job) => {
+            // Cancelled, or the XML was edited or cleared meanwhile
+            if (activeJob?.id !== id) return;
+            activeJob = null;
+
+            if (!job.success && isDebugMode) console.error('Compare failed:', job.leftError, job.rightError);
+            set({
+                leftError: job.leftError ?? null,
+                rightError: job.rightError ?? null,
+                leftErrorPosition: job.leftErrorPosition ?? null,
+                rightErrorPosition: job.rightErrorPosition ?? null,
+                leftTree: job.success ? job.leftTree : null,
+                rightTree: job.success ? job.rightTree : null,
+                diffResults: job.success ? job.diffResults : null,
+                isComparing: false,
+                compareProgress: null,
+            });
+
+            // Re-run the query, the filters and the search against the new trees
+            const { queryResult } = get();
+            if (job.success && queryResult) {
+                try {
+                    set({ queryResult: runTreeQuery(queryResult.query, get()), queryError: null });
+                } catch (error) {
+                    set({ queryResult: null, queryError: error.message });
+                }
             }
-        }, 50); // Small delay to let UI update
+            get().refreshViewFilter();
+            if (job.success) get().refreshSearch();
+        }).catch((error) => {
+            if (activeJob?.id !== id) return;
+            activeJob = null;
+
+            if (isDebugMode) console.error('Error during processing:', error);
+            set({
+                isComparing: false,
+                compareProgress: null,
+                leftError: error.message,
+                rightError: error.message,
+                diffResults: null,
+                leftTree: null,
+                rightTree: null,
+            });
+        });
+    },
+
+    cancelCompare: () => {
+        const { isDebugMode } = get();
+        if (isDebugMode) console.log('Cancelling comparison');
+        stopActiveJob();
+        set({ isComparing: false, compareProgress: null });
     },
 
-    setSelectedXPath: (xpath) => {
+    setSelectedXPath: (xpath, side = 'left') => {
         const { isDebugMode } = get();
-        if (isDebugMode) console.log('Setting selected XPath:', xpath);
-        set({ selectedXPath: xpath });
+        if (isDebugMode) console.log('Setting selected XPath:', xpath, side);
+        set({ selectedXPath: xpath, selectedSide: side });
     },
 
     cycleDiff: (category) => {
-        const { diffResults, selectedXPath } = get();
+        const { diffResults, selectedXPath, selectedSide } = get();
 
         if (!diffResults || !diffResults[category] || diffResults[category].length === 0) {
             return;
         }
 
-        const items = diffResults[category];
+        const items = getCategoryItems(diffResults, category);
         let nextIndex = 0;
 
         // If we're already in this category and have a selection, find next
-        if (selectedXPath && items.includes(selectedXPath)) {
+        if (selectedXPath && selectedSide === categorySide(category) && items.includes(selectedXPath)) {
             const currentIndex = items.indexOf(selectedXPath);
             nextIndex = (currentIndex + 1) % items.length;
         }
 
         set({
             selectedXPath: items[nextIndex],
+            selectedSide: categorySide(category),
             activeCategory: category,
         });
     },
 
     navigateDiff: (category, direction) => {
-        const { diffResults, selectedXPath } = get();
+        const { diffResults, selectedXPath, selectedSide } = get();
 
         if (!diffResults || !diffResults[category] || diffResults[category].length === 0) {
             return;
         }
 
-        const items = diffResults[category];
+        const items = getCategoryItems(diffResults, category);
         let nextIndex = 0;
 
-        if (selectedXPath && items.includes(selectedXPath)) {
+        if (selectedXPath && selectedSide === categorySide(category) && items.includes(selectedXPath)) {
             const currentIndex = items.indexOf(selectedXPath);
             if (direction === 'next') {
                 nextIndex = (currentIndex + 1) % items.length;
@@ -251,13 +551,169 @@ const useXmlStore = create((set, get) => ({
 
         set({
             selectedXPath: items[nextIndex],
+            selectedSide: categorySide(category),
             activeCategory: category,
         });
     },
 
+    runQuery: (query) => {
+        const { isDebugMode } = get();
+        if (isDebugMode) console.log('Running query:', query);
+
+        if (!query.trim()) {
+            set({ queryResult: null, queryError: null });
+        } else {
+            try {
+                const queryResult = runTreeQuery(query, get());
+                set({ queryResult, queryError: null });
+                if (queryResult.matches.length > 0) get().selectQueryMatch(0);
+            } catch (error) {
+                set({ queryResult: null, queryError: error.message });
+            }
+        }
+        get().refreshViewFilter();
+    },
+
+    // Select a query match on its side (the tree views show its counterpart too)
+    selectQueryMatch: (index) => {
+        const { queryResult } = get();
+        const match = queryResult?.matches[index];
+        if (!match) return;
+
+        set({
+            selectedXPath: match[match.side],
+            selectedSide: match.side,
+            activeCategory: null,
+        });
+    },
+
+    stepQuery: (direction) => {
+        const { queryResult, selectedXPath, selectedSide } = get();
+
+        if (!queryResult || queryResult.matches.length === 0) {
+            return;
+        }
+
+        const { matches } = queryResult;
+        const currentIndex = selectedXPath
+            ? matches.findIndex(match => match[selectedSide] === selectedXPath)
+            : -1;
+        let nextIndex;
+
+        if (currentIndex !== -1) {
+            if (direction === 'next') {
+                nextIndex = (currentIndex + 1) % matches.length;
+            } else {
+                nextIndex = (currentIndex - 1 + matches.length) % matches.length;
+            }
+        } else {
+            // If no match is selected yet, start from beginning or end based on direction
+            nextIndex = direction === 'next' ? 0 : matches.length - 1;
+        }
+
+        get().selectQueryMatch(nextIndex);
+    },
+
+    toggleQueryFilter: () => {
+        const { isQueryFilterActive, isDebugMode } = get();
+        if (isDebugMode) console.log('Toggling Query Filter. New value:', !isQueryFilterActive);
+        set({ isQueryFilterActive: !isQueryFilterActive });
+        get().refreshViewFilter();
+    },
+
+    clearQuery: () => {
+        set({ queryResult: null, queryError: null, isQueryFilterActive: false });
+        get().refreshViewFilter();
+    },
+
+    setDiffFilter: (options) => {
+        const { diffFilter, isDebugMode } = get();
+        if (isDebugMode) console.log('Setting diff filter:', options);
+        set({ diffFilter: { ...diffFilter, ...options } });
+        get().refreshViewFilter();
+    },
+
+    toggleDiffFilterCategory: (category) => {
+        const { categories } = get().diffFilter;
+        get().setDiffFilter({
+            categories: categories.includes(category)
+                ? categories.filter(existing => existing !== category)
+                : [...categories, category],
+        });
+    },
+
+    // Recompute what the tree views show after a filter or the results changed
+    refreshViewFilter: () => {
+        set({ viewFilter: buildViewFilter(get()) });
+    },
+
+    openSearch: (side, bothSides) => {
+        const { searchOptions, isDebugMode } = get();
+        if (isDebugMode) console.log('Opening search:', side, bothSides);
+        set({
+            searchSide: side,
+            searchOptions: { ...searchOptions, bothSides: bothSides ?? searchOptions.bothSides },
+        });
+        get().refreshSearch();
+    },
+
+    closeSearch: () => {
+        set({ searchSide: null, searchResult: null, searchError: null, searchIndex: -1 });
+    },
+
+    setSearchQuery: (searchQuery) => {
+        set({ searchQuery });
+        get().refreshSearch();
+    },
+
+    setSearchOptions: (options) => {
+        set({ searchOptions: { ...get().searchOptions, ...options } });
+        get().refreshSearch();
+    },
+
+    // Search again (the current match is reset)
+    refreshSearch: () => {
+        try {
+            set({ searchResult: runTreeSearch(get()), searchError: null, searchIndex: -1 });
+        } catch (error) {
+            set({ searchResult: null, searchError: error.message, searchIndex: -1 });
+        }
+    },
+
+    // Move to the next/previous match and select its node (which reveals it)
+    stepSearch: (direction) => {
+        const { searchResult, searchIndex } = get();
+
+        if (!searchResult || searchResult.matches.length === 0) {
+            return;
+        }
+
+        const { matches } = searchResult;
+        let nextIndex;
+
+        if (searchIndex !== -1) {
+            if (direction === 'next') {
+                nextIndex = (searchIndex + 1) % matches.length;
+            } else {
+                nextIndex = (searchIndex - 1 + matches.length) % matches.length;
+            }
+        } else {
+            nextIndex = direction === 'next' ? 0 : matches.length - 1;
+        }
+
+        const match = matches[nextIndex];
+        set({
+            searchIndex: nextIndex,
+            selectedXPath: match.xpath,
+            selectedSide: match.side,
+            activeCategory: null,
+        });
+    },
+
     clear: () => {
         const { isDebugMode } = get();
         if (isDebugMode) console.log('Clearing all');
+        stopActiveJob();
         set({
             leftXml: '',
             rightXml: '',
@@ -265,11 +721,128 @@ const useXmlStore = create((set, get) => ({
             rightTree: null,
             leftError: null,
             rightError: null,
+            leftErrorPosition: null,
+            rightErrorPosition: null,
             diffResults: null,
+            isComparing: false,
+            compareProgress: null,
             selectedXPath: null,
             activeCategory: null,
+            queryResult: null,
+            queryError: null,
+            viewFilter: null,
+            searchResult: null,
+            searchIndex: -1,
+            batchPairName: null,
+        });
+    },
+
+    openBatch: () => {
+        set({ isBatchOpen: true });
+    },
+
+    // Back to the compare view (a running batch is cancelled)
+    closeBatch: () => {
+        if (get().isBatchRunning) get().cancelBatch();
+        set({ isBatchOpen: false });
+    },
+
+    // Keep the XML files of a folder chosen for one side
+    setBatchFiles: (side, files) => {
+        const xmlFiles = [...files]
+            .filter(file => /\.xml$/i.test(file.name))
+            .map(file => ({ path: getRelativePath(file), file }));
+        set({ batchFiles: { ...get().batchFiles, [side]: xmlFiles }, batchEntries: null, batchError: null });
+    },
+
+    setBatchRenamePattern: (pattern) => {
+        set({ batchRenamePattern: pattern, batchError: null });
+    },
+
+    // Pair the files of both folders and compare every pair in the worker
+    runBatch: () => {
+        const { batchFiles, batchRenamePattern, xpathSettings, compareOptions, isDebugMode } = get();
+        if (isDebugMode) console.log('Running batch comparison');
+
+        let pairs;
+        try {
+            pairs = pairFiles(
+                batchFiles.left.map(({ path }) => path),
+                batchFiles.right.map(({ path }) => path),
+                { renamePattern: batchRenamePattern.trim() }
+            );
+        } catch (error) {
+            set({ batchError: error.message });
+            return;
+        }
+
+        const leftFiles = new Map(batchFiles.left.map(({ path, file }) => [path, file]));
+        const rightFiles = new Map(batchFiles.right.map(({ path, file }) => [path, file]));
+        const jobPairs = pairs.map(pair => ({
+            ...pair,
+            left: leftFiles.get(pair.leftPath) ?? null,
+            right: rightFiles.get(pair.rightPath) ?? null,
+        }));
+
+        stopActiveJob();
+        set({
+            isComparing: false,
+            compareProgress: null,
+            isBatchRunning: true,
+            batchEntries: null,
+            batchError: null,
+            batchProgress: { completed: 0, total: pairs.length, name: null },
+        });
+
+        const { id, result } = startJob(
+            { pairs: jobPairs, xpathSettings, compareOptions, isDebugMode },
+            ({ completed, total, name }) => {
+                if (activeJob?.id === id) set({ batchProgress: { completed, total, name } });
+            }
+        );
+
+        result.then((job) => {
+            if (activeJob?.id !== id) return;
+            activeJob = null;
+            set({
+                isBatchRunning: false,
+                batchProgress: null,
+                batchEntries: job.success ? job.entries : null,
+                batchError: job.success ? null : job.error,
+            });
+        }).catch((error) => {
+            if (activeJob?.id !== id) return;
+            activeJob = null;
+
+            if (isDebugMode) console.error('Error during batch:', error);
+            set({ isBatchRunning: false, batchProgress: null, batchError: error.message });
         });
     },
+
+    cancelBatch: () => {
+        const { isDebugMode } = get();
+        if (isDebugMode) console.log('Cancelling batch comparison');
+        stopActiveJob();
+        set({ isBatchRunning: false, batchProgress: null });
+    },
+
+    // Load a pair of the batch into the compare view and compare it
+    openBatchPair: async (name) => {
+        const { batchEntries, batchFiles } = get();
+        const entry = batchEntries?.find(candidate => candidate.name === name);
+        if (!entry?.leftPath || !entry.rightPath) return;
+
+        const readFile = (side, path) => batchFiles[side].find(file => file.path === path).file.text();
+        const [leftXml, rightXml] = await Promise.all([
+            readFile('left', entry.leftPath),
+            readFile('right', entry.rightPath),
+        ]);
+
+        get().setLeftXml(leftXml);
+        get().setRightXml(rightXml);
+        set({ isBatchOpen: false, batchPairName: name });
+        get().compare();
+    },
 }));
 
 export default useXmlStore;
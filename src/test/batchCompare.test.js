@@ -0,0 +1,184 @@
+/**
+ * ============================================================================
+ * BATCH COMPARE - Unit Tests
+ * ============================================================================
+ *
+ * Tests for comparing two folders: pairing files by path and by rename
+ * pattern, comparing each pair, and the summary per status.
+ *
+ * Run with: npm test
+ *
+ * ============================================================================
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+    pairFiles,
+    compileRenamePattern,
+    runBatchCompare,
+    summarizeBatch,
+    BatchStatus,
+} from '../core/batchCompare.js';
+
+// Files of both folders, read by key instead of from disk
+const FILES = {
+    'left/a.xml': '<a><b>1</b><c>x</c></a>',
+    'right/a.xml': '<a><b>2</b><c>x</c></a>',
+    'left/same.xml': '<s/>',
+    'right/same.xml': '<s/>',
+    'left/broken.xml': '<x>',
+    'right/broken.xml': '<x/>',
+};
+
+const readFile = async (key) => {
+    if (!(key in FILES)) throw new Error(`ENOENT: ${key}`);
+    return FILES[key];
+};
+
+const withSources = (pairs) => pairs.map(pair => ({
+    ...pair,
+    left: pair.leftPath && `left/${pair.leftPath}`,
+    right: pair.rightPath && `right/${pair.rightPath}`,
+}));
+
+// ============================================================================
+// Pairing Tests
+// ============================================================================
+
+describe('pairFiles', () => {
+    it('should pair files by relative path and keep unpaired ones, sorted', () => {
+        expect(pairFiles(['b.xml', 'sub/a.xml', 'gone.xml'], ['sub/a.xml', 'b.xml', 'new.xml'])).toEqual([
+            { name: 'b.xml', leftPath: 'b.xml', rightPath: 'b.xml' },
+            { name: 'gone.xml', leftPath: 'gone.xml', rightPath: null },
+            { name: 'new.xml', leftPath: null, rightPath: 'new.xml' },
+            { name: 'sub/a.xml', leftPath: 'sub/a.xml', rightPath: 'sub/a.xml' },
+        ]);
+    });
+
+    it('should pair files by a rename pattern, and others by path', () => {
+        const pairs = pairFiles(
+            ['orders/1_expected.xml', 'index.xml'],
+            ['orders/1_actual.xml', 'index.xml'],
+            { renamePattern: '*_expected.xml=*_actual.xml' }
+        );
+
+        expect(pairs).toEqual([
+            { name: 'index.xml', leftPath: 'index.xml', rightPath: 'index.xml' },
+            { name: 'orders/1_expected.xml', leftPath: 'orders/1_expected.xml', rightPath: 'orders/1_actual.xml' },
+        ]);
+    });
+
+    it('should pair by path when the renamed file does not exist', () => {
+        const pairs = pairFiles(
+            ['a_expected.xml', 'b_expected.xml', 'c_expected.xml'],
+            ['a_actual.xml', 'b_expected.xml', 'a_expected.xml'],
+            { renamePattern: '*_expected.xml=*_actual.xml' }
+        );
+
+        expect(pairs).toEqual([
+            { name: 'a_expected.xml', leftPath: 'a_expected.xml', rightPath: 'a_actual.xml' },
+            { name: 'a_expected.xml', leftPath: null, rightPath: 'a_expected.xml' },
+            { name: 'b_expected.xml', leftPath: 'b_expected.xml', rightPath: 'b_expected.xml' },
+            { name: 'c_expected.xml', leftPath: 'c_expected.xml', rightPath: null },
+        ]);
+    });
+
+    it('should map every wildcard in order', () => {
+        const rename = compileRenamePattern('old/*/*.xml = new/*/v2-*.xml');
+
+        expect(rename('old/eu/orders.xml')).toBe('new/eu/v2-orders.xml');
+        expect(rename('other/eu/orders.xml')).toBeNull();
+        expect(compileRenamePattern('a.xml=b.xml')('a.xml')).toBe('b.xml');
+    });
+
+    it('should reject invalid rename patterns', () => {
+        expect(() => compileRenamePattern('*.xml')).toThrow(/^Invalid rename pattern: \*\.xml/);
+        expect(() => compileRenamePattern('*_a.xml=b.xml')).toThrow(/^Invalid rename pattern/);
+        expect(() => pairFiles([], [], { renamePattern: '=x' })).toThrow(/^Invalid rename pattern/);
+    });
+});
+
+// ============================================================================
+// runBatchCompare Tests
+// ============================================================================
+
+describe('runBatchCompare', () => {
+    it('should compare each pair and keep its counts', async () => {
+        const pairs = withSources(pairFiles(['a.xml', 'same.xml', 'gone.xml'], ['a.xml', 'same.xml']));
+        const entries = await runBatchCompare({ pairs }, { readFile });
+
+        expect(entries).toEqual([
+            {
+                name: 'a.xml', leftPath: 'a.xml', rightPath: 'a.xml', status: BatchStatus.DIFFERENT,
+                counts: { matched: 2, different: 1, leftOnly: 0, rightOnly: 0, moved: 0 }, error: null,
+            },
+            {
+                name: 'gone.xml', leftPath: 'gone.xml', rightPath: null, status: BatchStatus.LEFT_ONLY,
+                counts: null, error: null,
+            },
+            {
+                name: 'same.xml', leftPath: 'same.xml', rightPath: 'same.xml', status: BatchStatus.IDENTICAL,
+                counts: { matched: 1, different: 0, leftOnly: 0, rightOnly: 0, moved: 0 }, error: null,
+            },
+        ]);
+    });
+
+    it('should record read and parse errors and go on', async () => {
+        const pairs = withSources(pairFiles(['broken.xml', 'missing.xml', 'same.xml'], ['broken.xml', 'missing.xml', 'same.xml']));
+        const entries = await runBatchCompare({ pairs }, { readFile });
+
+        expect(entries.map(entry => entry.status)).toEqual([BatchStatus.ERROR, BatchStatus.ERROR, BatchStatus.IDENTICAL]);
+        expect(entries[0].error).toMatch(/^broken\.xml: Invalid XML: /);
+        expect(entries[1].error).toBe('ENOENT: left/missing.xml');
+    });
+
+    it('should use the settings for every pair', async () => {
+        const pairs = withSources(pairFiles(['a.xml'], ['a.xml']));
+        const [entry] = await runBatchCompare({ pairs, xpathSettings: { ignoreRules: ['/a/b'] } }, { readFile });
+
+        expect(entry.status).toBe(BatchStatus.IDENTICAL);
+    });
+
+    it('should report progress after each pair', async () => {
+        const progress = [];
+        const pairs = withSources(pairFiles(['a.xml', 'same.xml'], ['a.xml', 'same.xml']));
+        await runBatchCompare({ pairs }, { readFile, onProgress: (update) => progress.push(update) });
+
+        expect(progress).toEqual([
+            { completed: 1, total: 2, name: 'a.xml' },
+            { completed: 2, total: 2, name: 'same.xml' },
+        ]);
+    });
+
+    it('should stop when cancelled', async () => {
+        const controller = new AbortController();
+        const pairs = withSources(pairFiles(['a.xml', 'same.xml'], ['a.xml', 'same.xml']));
+        const batch = runBatchCompare({ pairs }, { readFile, signal: controller.signal, onProgress: () => controller.abort() });
+
+        await expect(batch).rejects.toThrow();
+    });
+
+    it('should read File-like objects by default', async () => {
+        const file = (text) => ({ text: async () => text });
+        const [entry] = await runBatchCompare({
+            pairs: [{ name: 'x.xml', leftPath: 'x.xml', rightPath: 'x.xml', left: file('<x>1</x>'), right: file('<x>1</x>') }],
+        });
+
+        expect(entry.status).toBe(BatchStatus.IDENTICAL);
+    });
+});
+
+// ============================================================================
+// summarizeBatch Tests
+// ============================================================================
+
+describe('summarizeBatch', () => {
+    it('should count the entries per status', () => {
+        const entries = [BatchStatus.IDENTICAL, BatchStatus.DIFFERENT, BatchStatus.DIFFERENT, BatchStatus.RIGHT_ONLY]
+            .map(status => ({ status }));
+
+        expect(summarizeBatch(entries)).toEqual({
+            total: 4, identical: 1, different: 2, leftOnly: 0, rightOnly: 1, error: 0,
+        });
+    });
+});
@@ -0,0 +1,123 @@
+/**
+ * ============================================================================
+ * COMPARE JOB - Unit Tests
+ * ============================================================================
+ *
+ * Tests for the parse-and-compare job the XML worker runs: results,
+ * per-side errors, forwarded settings, progress and cancellation.
+ *
+ * Run with: npm test
+ *
+ * ============================================================================
+ */
+
+import { describe, it, expect } from 'vitest';
+import { runCompareJob, ComparePhase } from '../core/compareJob.js';
+import { MatchMode } from '../core/xmlComparer.js';
+import { ParserBackend } from '../core/xmlParser.js';
+import { fixtures } from './fixtures.js';
+
+// ============================================================================
+// runCompareJob Tests
+// ============================================================================
+
+describe('runCompareJob', () => {
+    it('should parse and compare both documents', async () => {
+        const result = await runCompareJob({
+            leftXml: '<root><a>1</a></root>',
+            rightXml: '<root><a>2</a></root>',
+        });
+
+        expect(result.success).toBe(true);
+        expect(result.leftTree.tagName).toBe('root');
+        expect(result.rightTree.tagName).toBe('root');
+        expect(result.diffResults.different).toEqual(['/root/a']);
+        expect(result.leftError).toBeNull();
+    });
+
+    it('should report a parse error for its side only', async () => {
+        const result = await runCompareJob({
+            leftXml: '<root/>',
+            rightXml: '<root>\n  <a></b>\n</root>',
+        });
+
+        expect(result.success).toBe(false);
+        expect(result.diffResults).toBeNull();
+        expect(result.leftError).toBeNull();
+        expect(result.rightError).toBe('Invalid XML: Expected </a> but found </b> (line 2, column 6)');
+        expect(result.rightErrorPosition).toEqual({ line: 2, column: 6, offset: 12 });
+    });
+
+    it('should use the XPath settings and compare options', async () => {
+        const result = await runCompareJob({
+            leftXml: '<list><item id="1">a</item><item id="2">b</item></list>',
+            rightXml: '<list><item id="2">b</item><item id="1">changed</item></list>',
+            xpathSettings: { indexAttribute: 'id', ignoreRules: ['//item'] },
+            compareOptions: { matchMode: MatchMode.KEY },
+        });
+
+        expect(result.leftTree.children.map(child => child.xpath)).toEqual(['/list/item', '/list/item[2]']);
+        expect(result.diffResults.different).toEqual([]);
+        expect(result.diffResults.ignored).toHaveLength(2);
+    });
+
+    describe('parser selection', () => {
+        const withEntity = '<!DOCTYPE r [<!ENTITY e "x">]><r>&e;</r>';
+
+        it('should use DOMParser under auto, so DOCTYPE entities resolve', async () => {
+            const result = await runCompareJob({ leftXml: withEntity, rightXml: '<r>x</r>' });
+
+            expect(result.success).toBe(true);
+            expect(result.diffResults.different).toEqual([]);
+        });
+
+        it('should use the built-in parser when asked to', async () => {
+            const result = await runCompareJob({ leftXml: withEntity, rightXml: '<r>x</r>', xpathSettings: { parser: ParserBackend.JS } });
+
+            expect(result.success).toBe(false);
+            expect(result.leftError).toMatch(/^Invalid XML: Undefined entity &e;/);
+            expect(result.retryWithDomParser).toBe(false);
+        });
+
+        it('should ask for a retry with DOMParser where there is none', async () => {
+            const domParser = globalThis.DOMParser;
+            delete globalThis.DOMParser;
+
+            try {
+                const result = await runCompareJob({ leftXml: withEntity, rightXml: '<r>x</r>' });
+                expect(result.success).toBe(false);
+                expect(result.retryWithDomParser).toBe(true);
+
+                const valid = await runCompareJob({ leftXml: '<r/>', rightXml: '<r/>' });
+                expect(valid.success).toBe(true);
+                expect(valid.retryWithDomParser).toBe(false);
+            } finally {
+                globalThis.DOMParser = domParser;
+            }
+        });
+    });
+
+    it('should report the progress of each phase in order', async () => {
+        const progress = [];
+        await runCompareJob(
+            { leftXml: fixtures.sampleLeft, rightXml: fixtures.sampleRight },
+            { onProgress: (update) => progress.push(update) }
+        );
+
+        const phases = [...new Set(progress.map(({ phase }) => phase))];
+        expect(phases).toEqual([ComparePhase.PARSING_LEFT, ComparePhase.PARSING_RIGHT, ComparePhase.DIFFING]);
+        for (const phase of phases) {
+            const percents = progress.filter(update => update.phase === phase).map(({ percent }) => percent);
+            expect(percents[0]).toBe(0);
+            expect(percents.at(-1)).toBe(100);
+        }
+    });
+
+    it('should stop when the signal is aborted', async () => {
+        const controller = new AbortController();
+        controller.abort(new Error('Cancelled'));
+
+        await expect(runCompareJob({ leftXml: '<a/>', rightXml: '<a/>' }, { signal: controller.signal }))
+            .rejects.toThrow('Cancelled');
+    });
+});
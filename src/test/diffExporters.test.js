@@ -0,0 +1,197 @@
+/**
+ * ============================================================================
+ * DIFF EXPORTERS - Unit Tests
+ * ============================================================================
+ *
+ * Tests for the machine-readable exports: the list of differences and its
+ * JSON, CSV and JUnit XML serializations.
+ *
+ * Run with: npm test
+ *
+ * ============================================================================
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { parseXml } from '../core/xmlParser.js';
+import { compareXml } from '../core/xmlComparer.js';
+import {
+    collectDifferences,
+    exportJson,
+    exportCsv,
+    exportJUnit,
+    exportDiff,
+    DifferenceKind,
+    ExportFormat,
+    EXPORT_SCHEMA_VERSION,
+} from '../core/diffExporters.js';
+
+const LEFT = `
+<catalog>
+    <item id="p1" status="new" color="red"><name>Laptop</name></item>
+    <item id="p2"><name>Mouse, "wireless"</name></item>
+    <gone>bye</gone>
+</catalog>`;
+
+const RIGHT = `
+<catalog>
+    <item id="p1" status="old" size="L"><name>Laptop</name></item>
+    <item id="p2"><name>Mouse & pad</name></item>
+</catalog>`.replace('& pad', '&amp; pad');
+
+describe('Diff exporters', () => {
+    let leftTree;
+    let rightTree;
+    let diffResults;
+
+    beforeEach(() => {
+        leftTree = parseXml(LEFT);
+        rightTree = parseXml(RIGHT);
+        diffResults = compareXml(leftTree, rightTree);
+    });
+
+    // ========================================================================
+    // collectDifferences Tests
+    // ========================================================================
+
+    describe('collectDifferences', () => {
+        it('should list text and attribute changes, then one-sided nodes', () => {
+            const differences = collectDifferences(leftTree, rightTree, diffResults);
+
+            expect(differences.map(({ status, kind, xpath, attribute, leftValue, rightValue }) => (
+                [status, kind, xpath, attribute, leftValue, rightValue]
+            ))).toEqual([
+                ['different', DifferenceKind.ATTRIBUTE, '/catalog/item', 'status', 'new', 'old'],
+                ['different', DifferenceKind.ATTRIBUTE, '/catalog/item', 'color', 'red', null],
+                ['different', DifferenceKind.ATTRIBUTE, '/catalog/item', 'size', null, 'L'],
+                ['different', DifferenceKind.TEXT, '/catalog/item[2]/name', null, 'Mouse, "wireless"', 'Mouse & pad'],
+                ['leftOnly', DifferenceKind.NODE, '/catalog/gone', null, 'bye', null],
+            ]);
+        });
+
+        it('should list moves with both locations', () => {
+            const left = parseXml('<root><a><item>X</item></a><b/></root>');
+            const right = parseXml('<root><a/><b><item>X</item></b></root>');
+
+            expect(collectDifferences(left, right, compareXml(left, right))).toEqual([{
+                status: 'moved',
+                kind: DifferenceKind.NODE,
+                xpath: '/root/a/item',
+                path: '/root/a/item',
+                leftXPath: '/root/a/item',
+                rightXPath: '/root/b/item',
+                attribute: null,
+                leftValue: '/root/a/item',
+                rightValue: '/root/b/item',
+            }]);
+        });
+
+        it('should list namespace changes', () => {
+            const left = parseXml('<r xmlns:p="urn:a"><O xmlns="urn:o"/></r>');
+            const right = parseXml('<r xmlns:p="urn:b"><O/></r>');
+
+            expect(collectDifferences(left, right, compareXml(left, right)).map(({ kind, xpath, attribute, leftValue, rightValue }) => (
+                [kind, xpath, attribute, leftValue, rightValue]
+            ))).toEqual([
+                [DifferenceKind.ATTRIBUTE, '/r', 'xmlns:p', 'urn:a', 'urn:b'],
+                [DifferenceKind.ATTRIBUTE, '/r/O', 'xmlns', 'urn:o', null],
+            ]);
+        });
+    });
+
+    // ========================================================================
+    // Format Tests
+    // ========================================================================
+
+    describe('exportJson', () => {
+        it('should write a versioned document with stats and differences', () => {
+            const json = JSON.parse(exportJson(leftTree, rightTree, diffResults, { leftName: 'a.xml' }));
+
+            expect(json.schemaVersion).toBe(EXPORT_SCHEMA_VERSION);
+            expect(json.left).toEqual({ name: 'a.xml' });
+            expect(json.identical).toBe(false);
+            expect(json.stats.leftOnly).toBe(1);
+            expect(json.differences).toHaveLength(5);
+            expect(json.generatedAt).toBeUndefined();
+        });
+
+        it('should end with a newline', () => {
+            expect(exportJson(leftTree, rightTree, diffResults)).toMatch(/\}\n$/);
+        });
+
+        it('should include the timestamp when given', () => {
+            const json = JSON.parse(exportJson(leftTree, rightTree, diffResults, { generatedAt: '2024-05-01T10:00:00Z' }));
+
+            expect(json.generatedAt).toBe('2024-05-01T10:00:00.000Z');
+        });
+    });
+
+    describe('exportCsv', () => {
+        it('should write a header and one quoted row per difference', () => {
+            const lines = exportCsv(leftTree, rightTree, diffResults).split('\r\n');
+
+            expect(lines[0]).toBe('path,status,attribute,left value,right value');
+            expect(lines[1]).toBe('/catalog/item/@status,different,status,new,old');
+            expect(lines[4]).toBe('/catalog/item[2]/name/text(),different,,"Mouse, ""wireless""",Mouse & pad');
+            expect(lines).toHaveLength(7);
+            expect(lines[6]).toBe('');
+        });
+    });
+
+    describe('exportJUnit', () => {
+        it('should write one failing test case per difference', () => {
+            const xml = exportJUnit(leftTree, rightTree, diffResults, { leftName: 'a.xml', rightName: 'b.xml' });
+            const report = new globalThis.DOMParser().parseFromString(xml, 'application/xml');
+            const suite = report.querySelector('testsuite');
+            const cases = report.querySelectorAll('testcase');
+
+            expect(suite.getAttribute('name')).toBe('a.xml vs b.xml');
+            expect(suite.getAttribute('failures')).toBe('5');
+            expect(cases[0].getAttribute('name')).toBe('/catalog/item/@status');
+            expect(cases[0].querySelector('failure').getAttribute('message')).toBe('Attribute @status differs');
+            expect(cases[3].getAttribute('name')).toBe('/catalog/item[2]/name/text()');
+            expect(cases[3].querySelector('failure').textContent).toBe('left: Mouse, "wireless"\nright: Mouse & pad');
+            expect(cases[4].querySelector('failure').getAttribute('message')).toBe('Only in the left document: /catalog/gone');
+            expect(cases[4].querySelector('failure').textContent).toBe('left: bye\nright: (none)');
+        });
+
+        it('should show the tag of one-sided elements without text', () => {
+            const left = parseXml('<r><a/></r>');
+            const right = parseXml('<r><b><c>x</c></b></r>');
+            const report = new globalThis.DOMParser().parseFromString(exportJUnit(left, right, compareXml(left, right)), 'application/xml');
+            const failures = [...report.querySelectorAll('failure')].map(failure => failure.textContent);
+
+            expect(failures).toEqual([
+                'left: <a>\nright: (none)',
+                'left: (none)\nright: <b>',
+                'left: (none)\nright: x',
+            ]);
+        });
+
+        it('should name differences by the same paths as the other exports', () => {
+            const report = new globalThis.DOMParser().parseFromString(exportJUnit(leftTree, rightTree, diffResults), 'application/xml');
+            const names = [...report.querySelectorAll('testcase')].map(testCase => testCase.getAttribute('name'));
+
+            expect(names).toEqual(collectDifferences(leftTree, rightTree, diffResults).map(({ path }) => path));
+            expect(names).toEqual(exportCsv(leftTree, rightTree, diffResults).split('\r\n').slice(1, -1).map(line => line.split(',')[0]));
+        });
+
+        it('should pass identical documents', () => {
+            const xml = exportJUnit(leftTree, leftTree, compareXml(leftTree, parseXml(LEFT)));
+
+            expect(xml).toContain('tests="1" failures="0"');
+            expect(xml).not.toContain('<failure');
+        });
+    });
+
+    describe('exportDiff', () => {
+        it('should export any format', () => {
+            expect(exportDiff(ExportFormat.CSV, leftTree, rightTree, diffResults))
+                .toBe(exportCsv(leftTree, rightTree, diffResults));
+            expect(exportDiff(ExportFormat.HTML, leftTree, rightTree, diffResults)).toContain('<!DOCTYPE html>');
+        });
+
+        it('should reject unknown formats', () => {
+            expect(() => exportDiff('pdf', leftTree, rightTree, diffResults)).toThrow('Unknown export format: pdf');
+        });
+    });
+});
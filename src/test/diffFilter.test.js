@@ -0,0 +1,134 @@
+/**
+ * ============================================================================
+ * DIFF FILTER - Unit Tests
+ * ============================================================================
+ *
+ * Tests for showing only the differences: the category of each node, the
+ * ancestors kept to reach changed nodes and the context kept around them.
+ *
+ * Run with: npm test
+ *
+ * ============================================================================
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { parseXml } from '../core/xmlParser.js';
+import { compareXml } from '../core/xmlComparer.js';
+import { collectDiffFilterXPaths, getDiffCategory, DiffCategory } from '../core/diffFilter.js';
+
+const LEFT = `
+<catalog>
+    <item id="p1"><name>Laptop</name><price>999</price><stock>3</stock></item>
+    <item id="p2"><name>Mouse</name><price>25</price></item>
+    <info><owner>Ann</owner></info>
+</catalog>`;
+
+const RIGHT = `
+<catalog>
+    <item id="p1"><name>Laptop</name><price>899</price><stock>3</stock></item>
+    <item id="p2"><name>Mouse</name><price>25</price></item>
+    <info><owner>Ann</owner></info>
+    <item id="p3"><name>Keyboard</name></item>
+</catalog>`;
+
+const sorted = (set) => [...set].sort();
+
+describe('Diff filter', () => {
+    let leftTree;
+    let rightTree;
+    let diffResults;
+
+    beforeEach(() => {
+        leftTree = parseXml(LEFT);
+        rightTree = parseXml(RIGHT);
+        diffResults = compareXml(leftTree, rightTree);
+    });
+
+    // ========================================================================
+    // getDiffCategory Tests
+    // ========================================================================
+
+    describe('getDiffCategory', () => {
+        it('should name the category of each node per side', () => {
+            expect(getDiffCategory('/catalog/item/price', diffResults, 'left')).toBe(DiffCategory.DIFFERENT);
+            expect(getDiffCategory('/catalog/item[2]/name', diffResults, 'right')).toBe(DiffCategory.MATCHED);
+            expect(getDiffCategory('/catalog/item[3]', diffResults, 'right')).toBe(DiffCategory.RIGHT_ONLY);
+        });
+
+        it('should have no category without results', () => {
+            expect(getDiffCategory('/catalog', null, 'left')).toBeNull();
+        });
+    });
+
+    // ========================================================================
+    // collectDiffFilterXPaths Tests
+    // ========================================================================
+
+    describe('collectDiffFilterXPaths', () => {
+        it('should keep changed nodes and their ancestors only', () => {
+            const visible = collectDiffFilterXPaths(leftTree, diffResults, 'left');
+
+            expect(visible.has('/catalog/item/price')).toBe(true);
+            expect(visible.has('/catalog/item')).toBe(true);
+            expect(visible.has('/catalog')).toBe(true);
+            expect(visible.has('/catalog/item/name')).toBe(false);
+            expect(visible.has('/catalog/item[2]')).toBe(false);
+            expect(visible.has('/catalog/info')).toBe(false);
+        });
+
+        it('should keep the whole subtree of nodes only on one side', () => {
+            const visible = collectDiffFilterXPaths(rightTree, diffResults, 'right', {
+                categories: [DiffCategory.RIGHT_ONLY],
+            });
+
+            expect(sorted(visible)).toEqual(['/catalog', '/catalog/item[3]', '/catalog/item[3]/name']);
+        });
+
+        it('should keep only the enabled categories', () => {
+            const visible = collectDiffFilterXPaths(rightTree, diffResults, 'right', {
+                categories: [DiffCategory.LEFT_ONLY],
+            });
+
+            expect(visible.size).toBe(0);
+        });
+
+        it('should keep siblings and children for one level of context', () => {
+            const visible = collectDiffFilterXPaths(rightTree, diffResults, 'right', {
+                categories: [DiffCategory.RIGHT_ONLY],
+                context: 1,
+            });
+
+            // Siblings of the new item (but not their children)
+            expect(visible.has('/catalog/item')).toBe(true);
+            expect(visible.has('/catalog/info')).toBe(true);
+            expect(visible.has('/catalog/info/owner')).toBe(false);
+        });
+
+        it('should keep more levels of context up and down', () => {
+            const categories = [DiffCategory.DIFFERENT];
+            const price = '/catalog/item/price';
+            const level1 = collectDiffFilterXPaths(leftTree, diffResults, 'left', { categories, context: 1 });
+            const level2 = collectDiffFilterXPaths(leftTree, diffResults, 'left', { categories, context: 2 });
+
+            expect(level1.has(price)).toBe(true);
+            expect(level1.has('/catalog/item/stock')).toBe(true);
+            expect(level1.has('/catalog/item[2]')).toBe(false);
+            expect(level2.has('/catalog/item[2]')).toBe(true);
+            expect(level2.has('/catalog/info')).toBe(true);
+            expect(level2.has('/catalog/info/owner')).toBe(false);
+        });
+
+        it('should keep everything when matched nodes are enabled too', () => {
+            const visible = collectDiffFilterXPaths(leftTree, diffResults, 'left', {
+                categories: Object.values(DiffCategory),
+            });
+
+            expect(visible.has('/catalog/info/owner')).toBe(true);
+            expect(visible.has('/catalog/item[2]/price')).toBe(true);
+        });
+
+        it('should keep nothing without results', () => {
+            expect(collectDiffFilterXPaths(leftTree, null, 'left').size).toBe(0);
+        });
+    });
+});
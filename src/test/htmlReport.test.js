@@ -0,0 +1,107 @@
+/**
+ * ============================================================================
+ * HTML REPORT - Unit Tests
+ * ============================================================================
+ *
+ * Tests for the standalone HTML report: statistics, the grouped change
+ * list, the highlighted side-by-side documents and that the page needs no
+ * external assets.
+ *
+ * Run with: npm test
+ *
+ * ============================================================================
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { parseXml } from '../core/xmlParser.js';
+import { compareXml } from '../core/xmlComparer.js';
+import { createHtmlReport } from '../core/htmlReport.js';
+
+const LEFT = `
+<catalog>
+    <item id="p1" status="new"><name>Laptop</name><price>999</price></item>
+    <item id="p2"><name>Mouse &amp; pad</name></item>
+    <discontinued><item id="p0"/><item id="p00"/></discontinued>
+</catalog>`;
+
+const RIGHT = `
+<catalog>
+    <item id="p1" status="old"><name>Laptop Pro</name><price>999</price></item>
+    <item id="p2"><name>Mouse &amp; pad</name></item>
+</catalog>`;
+
+describe('createHtmlReport', () => {
+    let leftTree;
+    let rightTree;
+    let diffResults;
+    let html;
+    let page;
+
+    beforeEach(() => {
+        leftTree = parseXml(LEFT);
+        rightTree = parseXml(RIGHT);
+        diffResults = compareXml(leftTree, rightTree);
+        html = createHtmlReport(leftTree, rightTree, diffResults, {
+            leftName: 'expected.xml',
+            rightName: 'actual <v2>.xml',
+            generatedAt: '2024-05-01T10:00:00Z',
+        });
+        page = new globalThis.DOMParser().parseFromString(html, 'text/html');
+    });
+
+    it('should be a complete page without external assets', () => {
+        expect(html.startsWith('<!DOCTYPE html>')).toBe(true);
+        expect(page.querySelector('style')).not.toBeNull();
+        expect(page.querySelectorAll('link, script[src], img')).toHaveLength(0);
+    });
+
+    it('should show the labels, date and statistics', () => {
+        expect(page.querySelector('.meta').textContent).toBe('expected.xml ⟷ actual <v2>.xml · generated 2024-05-01T10:00:00.000Z');
+        const stats = [...page.querySelectorAll('.stat')].map(stat => stat.textContent);
+        expect(stats).toContain('3Left only');
+        expect(stats).toContain('2Different');
+    });
+
+    it('should group the changes by status with their details', () => {
+        const different = page.querySelector('details[data-group="different"]');
+        const leftOnly = page.querySelector('details[data-group="leftOnly"]');
+
+        expect(different.querySelector('.count').textContent).toBe('2');
+        expect(different.textContent).toContain('@status: "new" → "old"');
+        expect(different.textContent).toContain('text: "Laptop" → "Laptop Pro"');
+        // The removed subtree is listed once by its root
+        expect(leftOnly.querySelectorAll('.change')).toHaveLength(1);
+        expect(leftOnly.textContent).toContain('(3 nodes)');
+        expect(page.querySelector('details[data-group="rightOnly"]')).toBeNull();
+    });
+
+    it('should link changes to their lines in the documents', () => {
+        const link = page.querySelector('details[data-group="leftOnly"] a');
+        const line = page.getElementById(link.getAttribute('href').slice(1));
+
+        expect(line.classList.contains('status-extra')).toBe(true);
+        expect(line.textContent.trim()).toBe('<discontinued>');
+    });
+
+    it('should highlight both documents like the syntax view', () => {
+        const [left, right] = page.querySelectorAll('.document');
+
+        expect(left.querySelector('.attr-changed').textContent).toBe('status="new"');
+        expect(left.querySelectorAll('.status-different').length).toBeGreaterThan(0);
+        expect(right.querySelector('.text-changed ins').textContent).toBe(' Pro');
+        expect(right.textContent).toContain('Mouse & pad');
+    });
+
+    it('should escape markup in names and values', () => {
+        expect(html).toContain('actual &lt;v2&gt;.xml');
+        expect(html).toContain('Mouse &amp; pad');
+    });
+
+    it('should say so when the documents are identical', () => {
+        const same = createHtmlReport(leftTree, leftTree, compareXml(leftTree, parseXml(LEFT)));
+        const samePage = new globalThis.DOMParser().parseFromString(same, 'text/html');
+
+        expect(samePage.querySelector('.identical').textContent).toBe('No differences: the documents are identical.');
+        expect(samePage.getElementById('change-search')).toBeNull();
+    });
+});
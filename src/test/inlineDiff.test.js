@@ -0,0 +1,75 @@
+/**
+ * ============================================================================
+ * INLINE DIFF - Unit Tests
+ * ============================================================================
+ *
+ * Tests for word- and character-level diffing of single values.
+ *
+ * Run with: npm test
+ *
+ * ============================================================================
+ */
+
+import { describe, it, expect } from 'vitest';
+import { diffInline, getSideSegments, InlineDiffMode, SegmentType } from '../core/inlineDiff.js';
+
+// ============================================================================
+// diffInline Tests
+// ============================================================================
+
+describe('diffInline', () => {
+    const join = (segments) => segments.map(segment => segment.value).join('');
+
+    it('should return one equal segment for identical values', () => {
+        expect(diffInline('same text', 'same text')).toEqual([
+            { type: SegmentType.EQUAL, value: 'same text' },
+        ]);
+    });
+
+    it('should mark changed words by default', () => {
+        const segments = diffInline('The quick brown fox', 'The slow brown fox');
+
+        expect(segments).toEqual([
+            { type: SegmentType.EQUAL, value: 'The ' },
+            { type: SegmentType.DELETE, value: 'quick' },
+            { type: SegmentType.INSERT, value: 'slow' },
+            { type: SegmentType.EQUAL, value: ' brown fox' },
+        ]);
+    });
+
+    it('should mark a single changed character in character mode', () => {
+        const segments = diffInline('DE89370400440532013000', 'DE89370400440532013001', InlineDiffMode.CHAR);
+
+        expect(segments).toEqual([
+            { type: SegmentType.EQUAL, value: 'DE8937040044053201300' },
+            { type: SegmentType.DELETE, value: '0' },
+            { type: SegmentType.INSERT, value: '1' },
+        ]);
+    });
+
+    it('should treat punctuation as separate words', () => {
+        const segments = diffInline('a,b', 'a;b');
+
+        expect(segments.filter(segment => segment.type !== SegmentType.EQUAL)).toEqual([
+            { type: SegmentType.DELETE, value: ',' },
+            { type: SegmentType.INSERT, value: ';' },
+        ]);
+    });
+
+    it('should handle empty and missing values', () => {
+        expect(diffInline('', 'new')).toEqual([{ type: SegmentType.INSERT, value: 'new' }]);
+        expect(diffInline('old', undefined)).toEqual([{ type: SegmentType.DELETE, value: 'old' }]);
+    });
+
+    it('should rebuild both values from their side segments', () => {
+        const oldValue = 'Lorem ipsum dolor sit amet, consectetur';
+        const newValue = 'Lorem ipsum color sit amet; adipiscing';
+
+        for (const mode of [InlineDiffMode.WORD, InlineDiffMode.CHAR]) {
+            const segments = diffInline(oldValue, newValue, mode);
+
+            expect(join(getSideSegments(segments, 'left'))).toBe(oldValue);
+            expect(join(getSideSegments(segments, 'right'))).toBe(newValue);
+        }
+    });
+});
@@ -0,0 +1,234 @@
+/**
+ * ============================================================================
+ * TEXT DIFF - Unit Tests
+ * ============================================================================
+ *
+ * Tests for the terminal renderings of a comparison: the merged tree with
+ * its markers and hidden runs, the unified diff, the batch table and the
+ * canonical listing.
+ *
+ * Run with: npm test
+ *
+ * ============================================================================
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { parseXml } from '../core/xmlParser.js';
+import { compareXml } from '../core/xmlComparer.js';
+import { formatTreeDiff, formatUnifiedDiff, formatBatchTable, formatCanonicalListing } from '../core/textDiff.js';
+import { BatchStatus } from '../core/batchCompare.js';
+
+const LEFT = `
+<catalog>
+    <item id="p1" status="new" color="red"><name>Laptop</name></item>
+    <item id="p2"><name>Mouse</name><price>25</price></item>
+    <gone>bye</gone>
+    <archive><note>keep</note></archive>
+</catalog>`;
+
+const RIGHT = `
+<catalog>
+    <item id="p1" status="old" size="L"><name>Laptop</name></item>
+    <item id="p2"><name>Mouse</name><price>30</price></item>
+    <archive/>
+    <shelf><note>keep</note></shelf>
+</catalog>`;
+
+describe('Text diff', () => {
+    let leftTree;
+    let rightTree;
+    let diffResults;
+
+    beforeEach(() => {
+        leftTree = parseXml(LEFT);
+        rightTree = parseXml(RIGHT);
+        diffResults = compareXml(leftTree, rightTree);
+    });
+
+    // ========================================================================
+    // formatTreeDiff Tests
+    // ========================================================================
+
+    describe('formatTreeDiff', () => {
+        it('should print the changes and the path to them', () => {
+            expect(formatTreeDiff(leftTree, rightTree, diffResults)).toBe([
+                '  <catalog>',
+                '~   <item id="p1" status="new"→"old" -color="red" +size="L">',
+                '      … 1 hidden',
+                '    <item id="p2">',
+                '      … 1 hidden',
+                '~     <price>25→30</price>',
+                '-   <gone>bye</gone>',
+                '    <archive>',
+                '>     <note>keep</note>  (moved to /catalog/shelf/note)',
+                '+   <shelf>',
+                '>     <note>keep</note>  (moved from /catalog/archive/note)',
+                '',
+            ].join('\n'));
+        });
+
+        it('should print every node with the all option', () => {
+            const lines = formatTreeDiff(leftTree, rightTree, diffResults, { all: true }).split('\n');
+
+            expect(lines).toContain('      <name>Laptop</name>');
+            expect(lines.some(line => line.includes('hidden'))).toBe(false);
+        });
+
+        it('should keep context around changes', () => {
+            const lines = formatTreeDiff(leftTree, rightTree, diffResults, { context: 1 }).split('\n');
+
+            expect(lines).toContain('      <name>Mouse</name>');
+        });
+
+        it('should hide everything for identical documents', () => {
+            const tree = parseXml(LEFT);
+
+            expect(formatTreeDiff(tree, parseXml(LEFT), compareXml(tree, parseXml(LEFT)))).toBe('  … 1 hidden\n');
+        });
+
+        it('should color with ANSI codes only when asked to', () => {
+            expect(formatTreeDiff(leftTree, rightTree, diffResults)).not.toContain('\x1b[');
+            expect(formatTreeDiff(leftTree, rightTree, diffResults, { color: true })).toContain('\x1b[31m-   \x1b[0m');
+        });
+    });
+
+    // ========================================================================
+    // formatUnifiedDiff Tests
+    // ========================================================================
+
+    describe('formatUnifiedDiff', () => {
+        it('should print one hunk per change in document order', () => {
+            const diff = formatUnifiedDiff(leftTree, rightTree, diffResults, { leftName: 'a.xml', rightName: 'b.xml' });
+
+            expect(diff).toBe([
+                '--- a.xml',
+                '+++ b.xml',
+                '@@ -/catalog/item +/catalog/item @@',
+                '-<item id="p1" status="new" color="red">',
+                '+<item id="p1" status="old" size="L">',
+                '@@ -/catalog/item[2]/price +/catalog/item[2]/price @@',
+                '-<price>25</price>',
+                '+<price>30</price>',
+                '@@ -/catalog/gone @@',
+                '-<gone>bye</gone>',
+                '@@ -/catalog/archive/note +/catalog/shelf/note @@ moved',
+                '@@ +/catalog/shelf @@',
+                '+<shelf>',
+                '+  <note>keep</note>',
+                '+</shelf>',
+                '',
+            ].join('\n'));
+        });
+
+        it('should print whole subtrees only on one side', () => {
+            const left = parseXml('<a/>');
+            const right = parseXml('<a><b id="1"><c>x</c></b></a>');
+            const diff = formatUnifiedDiff(left, right, compareXml(left, right));
+
+            expect(diff).toContain('@@ +/a/b @@\n+<b id="1">\n+  <c>x</c>\n+</b>\n');
+        });
+
+        it('should be empty for identical documents', () => {
+            const tree = parseXml(LEFT);
+
+            expect(formatUnifiedDiff(tree, parseXml(LEFT), compareXml(tree, parseXml(LEFT)))).toBe('');
+        });
+    });
+
+    // ========================================================================
+    // formatBatchTable Tests
+    // ========================================================================
+
+    describe('formatBatchTable', () => {
+        it('should print a row per pair and a summary', () => {
+            const counts = { matched: 12, different: 1, leftOnly: 0, rightOnly: 2, moved: 0 };
+            const table = formatBatchTable([
+                { name: 'a_old.xml', leftPath: 'a_old.xml', rightPath: 'a_new.xml', status: BatchStatus.DIFFERENT, counts, error: null },
+                { name: 'b.xml', leftPath: 'b.xml', rightPath: 'b.xml', status: BatchStatus.ERROR, counts: null, error: 'b.xml: Invalid XML' },
+                { name: 'c.xml', leftPath: null, rightPath: 'c.xml', status: BatchStatus.RIGHT_ONLY, counts: null, error: null },
+            ]);
+
+            expect(table).toBe([
+                'STATUS      MATCHED  DIFFERENT  LEFT ONLY  RIGHT ONLY  MOVED  FILE',
+                'different        12          1          0           2      0  a_old.xml → a_new.xml',
+                'error             -          -          -           -      -  b.xml',
+                '            b.xml: Invalid XML',
+                'right only        -          -          -           -      -  c.xml',
+                '',
+                '3 files: 1 different, 1 right only, 1 error',
+                '',
+            ].join('\n'));
+        });
+    });
+
+    // ========================================================================
+    // formatCanonicalListing Tests
+    // ========================================================================
+
+    describe('formatCanonicalListing', () => {
+        it('should print a line per element and attribute, attributes by name', () => {
+            const tree = parseXml('<a z="2" b="1">\n  <c>x</c>\n  <d k="v"/>\n</a>');
+
+            expect(formatCanonicalListing(tree)).toBe([
+                '/a',
+                '/a/@b=1',
+                '/a/@z=2',
+                '/a/c=x',
+                '/a/d',
+                '/a/d/@k=v',
+                '',
+            ].join('\n'));
+        });
+
+        it('should ignore formatting', () => {
+            const compact = parseXml('<a b="1" z="2"><c>x</c><d k="v"/></a>');
+            const indented = parseXml('<a  z="2"\n   b="1">\n    <c>x</c>\n    <d k="v"></d>\n</a>\n');
+
+            expect(formatCanonicalListing(indented)).toBe(formatCanonicalListing(compact));
+        });
+
+        it('should leave out what the ignore rules cover', () => {
+            const tree = parseXml('<a stamp="1"><b>x</b><sig><v>1</v></sig><c id="2">y</c></a>');
+            const listing = formatCanonicalListing(tree, { ignoreRules: ['@stamp', '/a/sig/**', '/a/c'] });
+
+            expect(listing).toBe('/a\n/a/b=x\n/a/c\n');
+        });
+
+        it('should list keyed siblings in XPath order when asked to', () => {
+            const settings = { indexAttribute: 'n' };
+            const left = parseXml('<a><i n="2">y</i><i n="10">z</i><i n="1">x</i></a>', settings);
+            const right = parseXml('<a><i n="1">x</i><i n="10">z</i><i n="2">y</i></a>', settings);
+
+            expect(formatCanonicalListing(left, { sortSiblings: true }))
+                .toBe(formatCanonicalListing(right, { sortSiblings: true }));
+            expect(formatCanonicalListing(left, { sortSiblings: true }).split('\n')[1]).toBe('/a/i=x');
+            expect(formatCanonicalListing(left)).not.toBe(formatCanonicalListing(right));
+        });
+
+        it('should label keyed siblings by key and list them in key order when asked to', () => {
+            const left = parseXml('<list><item id="2"><v>b</v></item><note/><item id="1"><v>a</v></item></list>');
+            const right = parseXml('<list><item id="1"><v>a</v></item><item id="2"><v>b</v></item><note/></list>');
+
+            expect(formatCanonicalListing(left, { sortSiblings: true }))
+                .toBe(formatCanonicalListing(right, { sortSiblings: true }));
+            expect(formatCanonicalListing(left, { sortSiblings: true })).toBe([
+                '/list',
+                '/list/item[@id="1"]',
+                '/list/item[@id="1"]/@id=1',
+                '/list/item[@id="1"]/v=a',
+                '/list/item[@id="2"]',
+                '/list/item[@id="2"]/@id=2',
+                '/list/item[@id="2"]/v=b',
+                '/list/note',
+                '',
+            ].join('\n'));
+            expect(formatCanonicalListing(left)).not.toBe(formatCanonicalListing(right));
+        });
+
+        it('should keep multi-line values on one line', () => {
+            const tree = parseXml('<a>one\\two\nthree</a>', { whitespace: 'preserve' });
+
+            expect(formatCanonicalListing(tree)).toBe('/a=one\\\\two\\nthree\n');
+        });
+    });
+});
@@ -13,13 +13,23 @@
 
 import { describe, it, expect, beforeEach } from 'vitest';
 import { JSDOM } from 'jsdom';
-import { parseXml } from '../core/xmlParser.js';
+import { parseXml, NodeKind, WhitespaceMode } from '../core/xmlParser.js';
 import {
     compareXml,
     getDiffStatus,
+    getCounterpartXPath,
+    getChildAlignment,
+    getMovedEntry,
+    isNormalizedMatch,
+    getNodeChanges,
+    getChangedAttributeNames,
+    getSubtreeChanges,
+    getSubtreeStatus,
     getDiffSummary,
     areTreesIdentical,
     DiffStatus,
+    SubtreeStatus,
+    MatchMode,
 } from '../core/xmlComparer.js';
 import { fixtures, inlineXml } from './fixtures.js';
 
@@ -229,6 +239,618 @@ describe('compareXml', () => {
             expect(result.matched).toContain('/root');
         });
     });
+
+    // --------------------------------------------------------------------------
+    // Key Match Mode Tests
+    // --------------------------------------------------------------------------
+
+    describe('Key Match Mode', () => {
+        const left = '<root><item id="a">1</item><item id="b">2</item></root>';
+        const right = '<root><item id="new">0</item><item id="a">1</item><item id="b">2</item></root>';
+
+        it('should report every shifted item as different when matching by position', () => {
+            const result = compareXml(parseXml(left), parseXml(right), { contentAlignment: false });
+
+            expect(result.different).toContain('/root/item');
+            expect(result.different).toContain('/root/item[2]');
+            expect(result.rightOnly).toEqual(['/root/item[3]']);
+        });
+
+        it('should pair inserted records by key', () => {
+            const result = compareXml(parseXml(left), parseXml(right), { matchMode: MatchMode.KEY });
+
+            expect(result.different).toHaveLength(0);
+            expect(result.leftOnly).toHaveLength(0);
+            expect(result.rightOnly).toEqual(['/root/item']);
+            expect(result.stats.matched).toBe(3);
+        });
+
+        it('should pair reordered records by key', () => {
+            const reordered = '<root><item id="b">2</item><item id="a">1</item></root>';
+            const result = compareXml(parseXml(left), parseXml(reordered), { matchMode: MatchMode.KEY });
+
+            expect(areTreesIdentical(result)).toBe(true);
+            expect(getCounterpartXPath('/root/item', result, 'left')).toBe('/root/item[2]');
+            expect(getCounterpartXPath('/root/item[2]', result, 'right')).toBe('/root/item');
+        });
+
+        it('should pair unkeyed siblings in document order', () => {
+            const result = compareXml(
+                parseXml('<root><line>1</line><line>2</line></root>'),
+                parseXml('<root><line>1</line><line>3</line></root>'),
+                { matchMode: MatchMode.KEY }
+            );
+
+            expect(result.matched).toContain('/root/line');
+            expect(result.different).toEqual(['/root/line[2]']);
+        });
+
+        it('should resolve right-side status through the pairing', () => {
+            const result = compareXml(parseXml(left), parseXml(right), { matchMode: MatchMode.KEY });
+
+            expect(getDiffStatus('/root/item[2]', result, 'right')).toBe(DiffStatus.MATCHED);
+            expect(getDiffStatus('/root/item', result, 'right')).toBe(DiffStatus.EXTRA);
+        });
+    });
+
+    // --------------------------------------------------------------------------
+    // Content Alignment Tests (unkeyed repeated siblings)
+    // --------------------------------------------------------------------------
+
+    describe('Content Alignment', () => {
+        const lines = (values) => `<invoice>${values.map(v => `<line>${v}</line>`).join('')}</invoice>`;
+        const values = Array.from({ length: 100 }, (_, i) => `Line ${i + 1}`);
+
+        it('should report one deleted line as a single left-only element', () => {
+            const withoutLine42 = values.filter((_, i) => i !== 41);
+            const result = compareXml(parseXml(lines(values)), parseXml(lines(withoutLine42)), { matchMode: MatchMode.KEY });
+
+            expect(result.leftOnly).toEqual(['/invoice/line[42]']);
+            expect(result.rightOnly).toHaveLength(0);
+            expect(result.different).toHaveLength(0);
+        });
+
+        it('should align by content in the default match mode too', () => {
+            const withoutLine42 = values.filter((_, i) => i !== 41);
+            const result = compareXml(parseXml(lines(values)), parseXml(lines(withoutLine42)));
+
+            expect(result.leftOnly).toEqual(['/invoice/line[42]']);
+            expect(result.rightOnly).toHaveLength(0);
+            expect(result.different).toHaveLength(0);
+        });
+
+        it('should pair by position when content alignment is off', () => {
+            const withoutLine42 = values.filter((_, i) => i !== 41);
+            const result = compareXml(
+                parseXml(lines(values)),
+                parseXml(lines(withoutLine42)),
+                { contentAlignment: false }
+            );
+
+            expect(result.leftOnly).toEqual(['/invoice/line[100]']);
+            expect(result.different).toHaveLength(58);
+        });
+
+        it('should keep pairing siblings indexed by attribute by their XPath', () => {
+            const settings = { indexAttribute: 'n' };
+            const result = compareXml(
+                parseXml('<r><i n="2">a</i><i n="1">b</i></r>', settings),
+                parseXml('<r><i n="1">a</i><i n="2">b</i></r>', settings)
+            );
+
+            expect(result.different.sort()).toEqual(['/r/i', '/r/i[2]']);
+        });
+
+        it('should pair an edited line with its counterpart between anchors', () => {
+            const edited = values.map((v, i) => (i === 9 ? 'Edited' : v));
+            const result = compareXml(parseXml(lines(values)), parseXml(lines(edited)), { matchMode: MatchMode.KEY });
+
+            expect(result.different).toEqual(['/invoice/line[10]']);
+            expect(result.leftOnly).toHaveLength(0);
+            expect(result.rightOnly).toHaveLength(0);
+        });
+
+        it('should expose the display order with gaps for placeholders', () => {
+            const result = compareXml(
+                parseXml('<root><line>a</line><line>b</line></root>'),
+                parseXml('<root><line>new</line><line>a</line><line>b</line></root>'),
+                { matchMode: MatchMode.KEY }
+            );
+
+            expect(getChildAlignment('/root', result, 'left')).toEqual([
+                { own: null, other: '/root/line' },
+                { own: '/root/line', other: '/root/line[2]' },
+                { own: '/root/line[2]', other: '/root/line[3]' },
+            ]);
+            expect(getChildAlignment('/root', result, 'right')[0]).toEqual({ own: '/root/line', other: null });
+        });
+
+        it('should return no alignment for unpaired elements', () => {
+            const result = compareXml(parseXml('<root><a><x/></a></root>'), parseXml('<root/>'));
+
+            expect(getChildAlignment('/root/a', result, 'left')).toBeNull();
+        });
+    });
+
+    // --------------------------------------------------------------------------
+    // Move Detection Tests
+    // --------------------------------------------------------------------------
+
+    describe('Move Detection', () => {
+        const left = '<root><a><item><name>X</name></item></a><b/></root>';
+        const right = '<root><a/><b><item><name>X</name></item></b></root>';
+
+        it('should report a subtree moved across parents as one move', () => {
+            const result = compareXml(parseXml(left), parseXml(right));
+
+            expect(result.moved).toEqual([{ from: '/root/a/item', to: '/root/b/item' }]);
+            expect(result.leftOnly).toHaveLength(0);
+            expect(result.rightOnly).toHaveLength(0);
+            expect(result.stats.moved).toBe(1);
+        });
+
+        it('should pair the descendants of a moved subtree as matched', () => {
+            const result = compareXml(parseXml(left), parseXml(right));
+
+            expect(result.matched).toContain('/root/a/item/name');
+            expect(getCounterpartXPath('/root/a/item/name', result, 'left')).toBe('/root/b/item/name');
+        });
+
+        it('should give moved roots the MOVED status on both sides', () => {
+            const result = compareXml(parseXml(left), parseXml(right));
+
+            expect(getDiffStatus('/root/a/item', result, 'left')).toBe(DiffStatus.MOVED);
+            expect(getDiffStatus('/root/b/item', result, 'right')).toBe(DiffStatus.MOVED);
+            expect(getMovedEntry('/root/b/item', result, 'right').from).toBe('/root/a/item');
+            expect(getMovedEntry('/root/a/item', result, 'left')).toEqual({ from: '/root/a/item', to: '/root/b/item' });
+            expect(getMovedEntry('/root/a/item/name', result, 'left')).toBeNull();
+            expect(getMovedEntry('/root/a/item', result, 'right')).toBeNull();
+        });
+
+        it('should not report a changed subtree as moved', () => {
+            const changed = right.replace('<name>X</name>', '<name>Y</name>');
+            const result = compareXml(parseXml(left), parseXml(changed));
+
+            expect(result.moved).toHaveLength(0);
+            expect(result.leftOnly).toContain('/root/a/item');
+            expect(result.rightOnly).toContain('/root/b/item');
+        });
+
+        it('should find a moved piece inside an otherwise removed subtree', () => {
+            const result = compareXml(
+                parseXml('<root><old><keep>1</keep><drop/></old></root>'),
+                parseXml('<root><new><keep>1</keep></new></root>')
+            );
+
+            expect(result.moved).toEqual([{ from: '/root/old/keep', to: '/root/new/keep' }]);
+            expect(result.leftOnly).toEqual(['/root/old', '/root/old/drop']);
+            expect(result.rightOnly).toEqual(['/root/new']);
+        });
+
+        it('should skip move detection when disabled', () => {
+            const result = compareXml(parseXml(left), parseXml(right), { detectMoves: false });
+
+            expect(result.moved).toHaveLength(0);
+            expect(result.leftOnly).toContain('/root/a/item');
+        });
+    });
+
+    // --------------------------------------------------------------------------
+
+    describe('Ignore Rules', () => {
+        const left = `<catalog generatedAt="1">
+            <book id="a"><title>A</title><lastModified>Mon</lastModified></book>
+            <book id="b"><title>B</title><lastModified>Mon</lastModified></book>
+            <Signature><Value>abc</Value></Signature>
+        </catalog>`;
+        const right = `<catalog generatedAt="2">
+            <book id="a"><title>A</title><lastModified>Tue</lastModified></book>
+            <book id="b"><title>B2</title><lastModified>Tue</lastModified></book>
+            <Signature><Value>xyz</Value><Extra/></Signature>
+        </catalog>`;
+
+        it('should report differences covered by rules as ignored', () => {
+            const result = compareXml(parseXml(left), parseXml(right), {
+                ignoreRules: ['@generatedAt', '/catalog/*/lastModified', '/catalog/Signature/**'],
+            });
+
+            expect(result.different).toEqual(['/catalog/book[2]/title']);
+            expect(result.ignored).toEqual(expect.arrayContaining([
+                '/catalog',
+                '/catalog/book/lastModified',
+                '/catalog/book[2]/lastModified',
+                '/catalog/Signature',
+                '/catalog/Signature/Value',
+            ]));
+            expect(result.rightOnly).toHaveLength(0);
+            expect(result.stats.ignored).toBe(result.ignored.length);
+        });
+
+        it('should match rules at any depth and skip comments', () => {
+            const result = compareXml(parseXml(left), parseXml(right), {
+                ignoreRules: ['# lastModified', '//lastModified', 'Value'],
+            });
+
+            expect(result.ignored).toContain('/catalog/book/lastModified');
+            expect(result.ignored).toContain('/catalog/Signature/Value');
+            expect(result.different).toContain('/catalog');
+            expect(result.rightOnly).toEqual(['/catalog/Signature/Extra']);
+        });
+
+        it('should keep comparing other attributes of the element', () => {
+            const result = compareXml(
+                parseXml('<root><a generatedAt="1" v="1"/></root>'),
+                parseXml('<root><a generatedAt="2" v="2"/></root>'),
+                { ignoreRules: ['@generatedAt'] }
+            );
+
+            expect(result.different).toEqual(['/root/a']);
+            expect(result.ignored).toHaveLength(0);
+        });
+
+        it('should give ignored elements the IGNORED status on both sides', () => {
+            const result = compareXml(parseXml(left), parseXml(right), {
+                ignoreRules: ['lastModified'],
+            });
+
+            expect(getDiffStatus('/catalog/book/lastModified', result, 'left')).toBe(DiffStatus.IGNORED);
+            expect(getDiffStatus('/catalog/book/lastModified', result, 'right')).toBe(DiffStatus.IGNORED);
+        });
+
+        it('should not count ignored elements as differences', () => {
+            const result = compareXml(
+                parseXml('<root><ts>1</ts><a>x</a></root>'),
+                parseXml('<root><ts>2</ts><a>x</a></root>'),
+                { ignoreRules: ['/root/ts'] }
+            );
+
+            expect(areTreesIdentical(result)).toBe(true);
+        });
+    });
+
+    // --------------------------------------------------------------------------
+
+    describe('Value Normalization', () => {
+        const compareValues = (leftValue, rightValue, options) => compareXml(
+            parseXml(`<root><v>${leftValue}</v></root>`),
+            parseXml(`<root><v>${rightValue}</v></root>`),
+            options
+        );
+
+        it('should compare text strictly by default', () => {
+            const result = compareValues('1200', '1200.00');
+
+            expect(result.different).toEqual(['/root/v']);
+            expect(result.normalized).toHaveLength(0);
+        });
+
+        it('should compare numbers by value with tolerances', () => {
+            expect(compareValues('1200', '1200.00', { normalization: { numeric: true } }).different).toHaveLength(0);
+            expect(compareValues('1.00', '1.01', { normalization: { numeric: true } }).different).toEqual(['/root/v']);
+            expect(compareValues('1.00', '1.01', {
+                normalization: { numeric: true, absoluteTolerance: 0.05 },
+            }).different).toHaveLength(0);
+            expect(compareValues('1000', '1009', {
+                normalization: { numeric: true, relativeTolerance: 0.01 },
+            }).different).toHaveLength(0);
+        });
+
+        it('should normalize case, whitespace and booleans', () => {
+            expect(compareValues('ACME', 'acme', { normalization: { ignoreCase: true } }).different).toHaveLength(0);
+            expect(compareValues(' a   b ', 'a b', { normalization: { collapseWhitespace: true } }).different).toHaveLength(0);
+            expect(compareValues('true', '1', { normalization: { booleans: true } }).different).toHaveLength(0);
+            expect(compareValues('false', '1', { normalization: { booleans: true } }).different).toEqual(['/root/v']);
+        });
+
+        it('should treat ISO date-times denoting the same instant as equal', () => {
+            const options = { normalization: { dates: true } };
+
+            expect(compareValues('2024-05-01T12:00:00Z', '2024-05-01T14:00:00+02:00', options).different).toHaveLength(0);
+            expect(compareValues('2024-05-01T12:00:00Z', '2024-05-01T12:00:00+02:00', options).different).toEqual(['/root/v']);
+        });
+
+        it('should not treat out-of-range dates as the day they roll over to', () => {
+            const options = { normalization: { dates: true } };
+
+            expect(compareValues('2024-02-30', '2024-03-01', options).different).toEqual(['/root/v']);
+            expect(compareValues('2023-02-29', '2023-03-01', options).different).toEqual(['/root/v']);
+            expect(compareValues('2024-01-01T24:00', '2024-01-02T00:00', options).different).toEqual(['/root/v']);
+            expect(compareValues('2024-02-29', '2024-02-29T00:00:00.000Z', options).different).toHaveLength(0);
+        });
+
+        it('should read date-times without an offset as UTC', () => {
+            const options = { normalization: { dates: true } };
+
+            expect(compareValues('2024-05-01T12:00', '2024-05-01T12:00:00Z', options).different).toHaveLength(0);
+            expect(compareValues('2024-05-01T12:00', '2024-05-01T12:00:00+02:00', options).different).toEqual(['/root/v']);
+            expect(compareValues('2024-05-01', '2024-04-30T22:00:00-02:00', options).different).toHaveLength(0);
+        });
+
+        it('should apply per-path options on top of the global ones', () => {
+            const result = compareXml(
+                parseXml('<root><price>10.00</price><code>AB</code></root>'),
+                parseXml('<root><price>10.004</price><code>ab</code></root>'),
+                { normalizationRules: [{ path: '//price', numeric: true, absoluteTolerance: 0.01 }] }
+            );
+
+            expect(result.different).toEqual(['/root/code']);
+            expect(result.normalized).toEqual(['/root/price']);
+        });
+
+        it('should mark normalized matches so raw differences stay visible', () => {
+            const result = compareXml(
+                parseXml('<root><v unit="KG">5</v><w>same</w></root>'),
+                parseXml('<root><v unit="kg">5.0</v><w>same</w></root>'),
+                { normalization: { numeric: true, ignoreCase: true } }
+            );
+
+            expect(result.matched).toContain('/root/v');
+            expect(result.normalized).toEqual(['/root/v']);
+            expect(result.stats.normalized).toBe(1);
+            expect(getDiffStatus('/root/v', result, 'right')).toBe(DiffStatus.MATCHED);
+            expect(isNormalizedMatch('/root/v', result, 'right')).toBe(true);
+            expect(isNormalizedMatch('/root/w', result, 'left')).toBe(false);
+        });
+    });
+
+    // --------------------------------------------------------------------------
+
+    describe('Change Details', () => {
+        const left = '<root><a id="1" color="red" size="L">old</a><b>same</b></root>';
+        const right = '<root><a id="1" color="blue" weight="2">new</a><b>same</b></root>';
+
+        it('should record old and new text and attribute values', () => {
+            const result = compareXml(parseXml(left), parseXml(right));
+
+            expect(result.changes['/root/a']).toEqual({
+                text: { old: 'old', new: 'new' },
+                changedAttributes: { color: { old: 'red', new: 'blue' } },
+                addedAttributes: { weight: '2' },
+                removedAttributes: { size: 'L' },
+                namespace: null,
+                changedNamespaces: {},
+                addedNamespaces: {},
+                removedNamespaces: {},
+            });
+        });
+
+        it('should only record elements whose values differ', () => {
+            const result = compareXml(parseXml(left), parseXml(right));
+
+            expect(Object.keys(result.changes)).toEqual(['/root/a']);
+            expect(getNodeChanges('/root/b', result, 'left')).toBeNull();
+        });
+
+        it('should look changes up from the right side through counterparts', () => {
+            const result = compareXml(
+                parseXml('<root><item id="1">x</item><item id="2">y</item></root>'),
+                parseXml('<root><item id="2">z</item><item id="1">x</item></root>'),
+                { matchMode: MatchMode.KEY }
+            );
+
+            expect(getNodeChanges('/root/item', result, 'right').text).toEqual({ old: 'y', new: 'z' });
+        });
+
+        it('should list every differing attribute name for highlighting', () => {
+            const result = compareXml(parseXml(left), parseXml(right));
+            const names = getChangedAttributeNames(getNodeChanges('/root/a', result, 'left'));
+
+            expect([...names].sort()).toEqual(['color', 'size', 'weight']);
+            expect(getChangedAttributeNames(null).size).toBe(0);
+        });
+
+        it('should keep raw changes of normalized matches', () => {
+            const result = compareXml(
+                parseXml('<root><v>1200</v></root>'),
+                parseXml('<root><v>1200.00</v></root>'),
+                { normalization: { numeric: true } }
+            );
+
+            expect(result.changes['/root/v'].text).toEqual({ old: '1200', new: '1200.00' });
+        });
+    });
+    describe('Namespaces', () => {
+        const left = `<a:Order xmlns:a="urn:orders" xmlns:x="http://www.w3.org/2001/XMLSchema-instance" x:type="Web">
+            <a:Line>1</a:Line>
+        </a:Order>`;
+        const right = `<b:Order xmlns:b="urn:orders" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:type="Web">
+            <b:Line>1</b:Line>
+        </b:Order>`;
+
+        it('should treat different prefixes as different names by default', () => {
+            const result = compareXml(parseXml(left), parseXml(right));
+
+            expect(result.leftOnly).toContain('/a:Order');
+            expect(result.rightOnly).toContain('/b:Order');
+        });
+
+        it('should match elements and attributes by namespace URI when ignoring prefixes', () => {
+            const result = compareXml(parseXml(left), parseXml(right), { ignorePrefixes: true });
+
+            expect(result.stats.leftOnly).toBe(0);
+            expect(result.stats.rightOnly).toBe(0);
+            expect(result.stats.different).toBe(0);
+            expect(result.matched).toEqual(['/a:Order', '/a:Order/a:Line']);
+        });
+
+        it('should still report elements in a different namespace', () => {
+            const result = compareXml(
+                parseXml('<a:Order xmlns:a="urn:orders"/>'),
+                parseXml('<a:Order xmlns:a="urn:orders-v2"/>'),
+                { ignorePrefixes: true }
+            );
+
+            expect(result.leftOnly).toEqual(['/a:Order']);
+            expect(result.rightOnly).toEqual(['/a:Order']);
+        });
+
+        it('should report changed namespaced attributes under their own names', () => {
+            const result = compareXml(
+                parseXml(left),
+                parseXml(right.replace('xsi:type="Web"', 'xsi:type="Phone"')),
+                { ignorePrefixes: true }
+            );
+
+            expect(result.changes['/a:Order'].changedAttributes).toEqual({
+                'x:type': { old: 'Web', new: 'Phone', rightName: 'xsi:type' },
+            });
+            expect(getChangedAttributeNames(result.changes['/a:Order']).has('xsi:type')).toBe(true);
+        });
+
+        it('should report an element moved into a default namespace', () => {
+            const result = compareXml(parseXml('<O xmlns="urn:o"><i/></O>'), parseXml('<O><i/></O>'));
+
+            expect(result.different).toEqual(['/O', '/O/i']);
+            expect(result.changes['/O'].namespace).toEqual({ old: 'urn:o', new: null });
+            expect(result.changes['/O'].removedNamespaces).toEqual({ '': 'urn:o' });
+            expect(result.changes['/O/i']).toMatchObject({ namespace: { old: 'urn:o', new: null }, removedNamespaces: {} });
+        });
+
+        it('should report a prefix bound to another namespace', () => {
+            const result = compareXml(parseXml('<p:O xmlns:p="urn:o"/>'), parseXml('<p:O xmlns:p="urn:X"/>'));
+
+            expect(result.different).toEqual(['/p:O']);
+            expect(result.changes['/p:O']).toMatchObject({
+                namespace: { old: 'urn:o', new: 'urn:X' },
+                changedNamespaces: { p: { old: 'urn:o', new: 'urn:X' } },
+            });
+        });
+
+        it('should report changed declarations even when the namespace is the same', () => {
+            const result = compareXml(parseXml('<r xmlns:q="urn:q"/>'), parseXml('<r xmlns:z="urn:q"/>'));
+
+            expect(result.different).toEqual(['/r']);
+            expect(result.changes['/r']).toMatchObject({
+                namespace: null,
+                addedNamespaces: { z: 'urn:q' },
+                removedNamespaces: { q: 'urn:q' },
+            });
+            expect(compareXml(parseXml('<r xmlns:q="urn:q"/>'), parseXml('<r xmlns:z="urn:q"/>'), { ignorePrefixes: true }).changes).toEqual({});
+        });
+    });
+    describe('Other Node Kinds', () => {
+        const settings = { nodeKinds: [NodeKind.COMMENT, NodeKind.PROCESSING_INSTRUCTION, NodeKind.CDATA] };
+        const left = '<?xml-stylesheet href="a.xsl"?><root><!-- note --><a><![CDATA[x < y]]></a><b/></root>';
+        const right = '<?xml-stylesheet href="b.xsl"?><root><!-- note changed --><a><![CDATA[x < y]]></a><!-- new --><b/></root>';
+
+        it('should compare comments, processing instructions and CDATA like elements', () => {
+            const result = compareXml(parseXml(left, settings), parseXml(right, settings));
+
+            expect(result.different).toEqual(["/processing-instruction('xml-stylesheet')", '/root/comment()[1]']);
+            expect(result.rightOnly).toEqual(['/root/comment()[2]']);
+            expect(result.matched).toContain('/root/a/text()[1]');
+            expect(result.changes['/root/comment()[1]'].text).toEqual({ old: 'note', new: 'note changed' });
+        });
+
+        it('should not see them unless they are kept', () => {
+            const result = compareXml(parseXml(left), parseXml(right));
+
+            expect(result.stats.different).toBe(0);
+            expect(result.stats.rightOnly).toBe(0);
+        });
+
+        it('should let ignore rules target them', () => {
+            const result = compareXml(parseXml(left, settings), parseXml(right, settings), {
+                ignoreRules: ['//comment()', "/processing-instruction('xml-stylesheet')"],
+            });
+
+            expect(result.stats.different).toBe(0);
+            expect(result.stats.rightOnly).toBe(0);
+        });
+    });
+    describe('Mixed Content and Whitespace', () => {
+        it('should localize a changed word to its text segment', () => {
+            const settings = { mixedContent: true };
+            const result = compareXml(
+                parseXml('<p>Hello <b>big</b> world</p>', settings),
+                parseXml('<p>Hello <b>big</b> moon</p>', settings)
+            );
+
+            expect(result.different).toEqual(['/p/text()[2]']);
+            expect(result.changes['/p/text()[2]'].text).toEqual({ old: 'world', new: 'moon' });
+        });
+
+        it('should report whitespace changes only when whitespace is preserved', () => {
+            const left = '<p>Hello <b>big</b> world</p>';
+            const right = '<p>Hello  <b>big</b>  world</p>';
+            const compare = (whitespace) => compareXml(
+                parseXml(left, { mixedContent: true, whitespace }),
+                parseXml(right, { mixedContent: true, whitespace })
+            );
+
+            expect(compare(WhitespaceMode.TRIM).stats.different).toBe(0);
+            expect(compare(WhitespaceMode.NORMALIZE).stats.different).toBe(0);
+            expect(compare(WhitespaceMode.PRESERVE).different).toEqual(['/p/text()[1]', '/p/text()[2]']);
+        });
+    });
+
+    describe('Progress', () => {
+        it('should report progress through the left tree up to all of it', () => {
+            const left = parseXml(`<root>${'<item>1</item>'.repeat(150)}<gone><a/><b/></gone></root>`);
+            const right = parseXml(`<root>${'<item>2</item>'.repeat(150)}</root>`);
+            const progress = [];
+
+            compareXml(left, right, { onProgress: (update) => progress.push(update) });
+
+            expect(progress.every(({ total }) => total === 154)).toBe(true);
+            expect(progress.every(({ compared }, i) => i === 0 || compared > progress[i - 1].compared)).toBe(true);
+            expect(progress.length).toBeLessThanOrEqual(101);
+            expect(progress.at(-1).compared).toBe(154);
+        });
+    });
+
+    describe('Subtree Changes', () => {
+        const left = '<root><a><b><c>1</c><d>1</d></b><gone/></a><same><x>1</x></same></root>';
+        const right = '<root><a><b><c>2</c><d>2</d><e/></b></a><same><x>1</x></same></root>';
+
+        it('should count the changes below every ancestor', () => {
+            const result = compareXml(parseXml(left), parseXml(right));
+
+            expect(result.subtreeChanges.left['/root']).toEqual(
+                { different: 2, leftOnly: 1, rightOnly: 1, moved: 0, total: 4 }
+            );
+            expect(result.subtreeChanges.left['/root/a/b']).toEqual(
+                { different: 2, leftOnly: 0, rightOnly: 1, moved: 0, total: 3 }
+            );
+        });
+
+        it('should report the same changes for both sides of a pair', () => {
+            const result = compareXml(parseXml(left), parseXml(right));
+
+            expect(result.subtreeChanges.right['/root/a']).toEqual(result.subtreeChanges.left['/root/a']);
+        });
+
+        it('should leave out elements without changes below them', () => {
+            const result = compareXml(parseXml(left), parseXml(right));
+
+            expect(result.subtreeChanges.left['/root/same']).toBeUndefined();
+            expect(result.subtreeChanges.left['/root/a/b/c']).toBeUndefined();
+        });
+
+        it('should count a move once at ancestors of both locations', () => {
+            const result = compareXml(
+                parseXml('<root><a><item><name>X</name></item></a><b/></root>'),
+                parseXml('<root><a/><b><item><name>X</name></item></b></root>')
+            );
+
+            expect(result.subtreeChanges.left['/root'].moved).toBe(1);
+            expect(result.subtreeChanges.left['/root/a'].moved).toBe(1);
+            expect(result.subtreeChanges.left['/root/b'].moved).toBe(1);
+            expect(result.subtreeChanges.right['/root'].total).toBe(1);
+        });
+
+        it('should follow counterparts in key match mode', () => {
+            const result = compareXml(
+                parseXml('<root><item id="1"><v>a</v></item><item id="2"><v>b</v></item></root>'),
+                parseXml('<root><item id="2"><v>B</v></item><item id="1"><v>a</v></item></root>'),
+                { matchMode: MatchMode.KEY }
+            );
+
+            expect(getSubtreeChanges('/root/item[2]', result, 'left').different).toBe(1);
+            expect(getSubtreeChanges('/root/item', result, 'right').different).toBe(1);
+            expect(getSubtreeChanges('/root/item', result, 'left')).toBeNull();
+        });
+    });
 });
 
 // ============================================================================
@@ -274,6 +896,26 @@ describe('getDiffStatus', () => {
     });
 });
 
+// ============================================================================
+// getSubtreeStatus Tests
+// ============================================================================
+
+describe('getSubtreeStatus', () => {
+    it('should mark matched elements with changes inside as modified', () => {
+        const results = compareXml(parseXml('<root><a><b>1</b></a><c/></root>'), parseXml('<root><a><b>2</b></a><c/></root>'));
+
+        expect(getDiffStatus('/root/a', results, 'left')).toBe(DiffStatus.MATCHED);
+        expect(getSubtreeStatus('/root/a', results, 'left')).toBe(SubtreeStatus.MODIFIED);
+        expect(getSubtreeStatus('/root/a/b', results, 'right')).toBe(SubtreeStatus.MODIFIED);
+        expect(getSubtreeStatus('/root/c', results, 'left')).toBe(SubtreeStatus.UNCHANGED);
+    });
+
+    it('should treat everything as unchanged without results', () => {
+        expect(getSubtreeStatus('/root', null, 'left')).toBe(SubtreeStatus.UNCHANGED);
+        expect(getSubtreeChanges('/root', null, 'left')).toBeNull();
+    });
+});
+
 // ============================================================================
 // getDiffSummary Tests
 // ============================================================================
@@ -333,6 +975,8 @@ describe('DiffStatus', () => {
         expect(DiffStatus.MATCHED).toBe('matched');
         expect(DiffStatus.EXTRA).toBe('extra');
         expect(DiffStatus.DIFFERENT).toBe('different');
+        expect(DiffStatus.MOVED).toBe('moved');
+        expect(DiffStatus.IGNORED).toBe('ignored');
         expect(DiffStatus.NEUTRAL).toBe('neutral');
     });
 });
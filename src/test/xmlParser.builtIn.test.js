@@ -0,0 +1,117 @@
+/**
+ * ============================================================================
+ * XML PARSER (BUILT-IN BACKEND) - Unit Tests
+ * ============================================================================
+ * 
+ * Runs the whole parser suite (xmlParser.test.js) again with the built-in
+ * pure-JavaScript parser instead of DOMParser, plus tests that only apply
+ * to the built-in parser.
+ * 
+ * Run with: npm test
+ * 
+ * ============================================================================
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { parseXml, safeParseXml, ParserBackend } from '../core/xmlParser.js';
+import { parseXmlDocument } from '../core/xmlDom.js';
+
+// Make every parse in the shared suite use the built-in parser
+vi.mock('../core/xmlParser.js', async (importOriginal) => {
+    const actual = await importOriginal();
+    const withBuiltIn = (settings = {}) => ({ parser: actual.ParserBackend.JS, ...settings });
+
+    return {
+        ...actual,
+        parseXml: (xmlString, settings) => actual.parseXml(xmlString, withBuiltIn(settings)),
+        safeParseXml: (xmlString, settings) => actual.safeParseXml(xmlString, withBuiltIn(settings)),
+    };
+});
+
+// Registers the shared suite in this file, without the failures it
+// already reports with DOMParser
+vi.stubGlobal('skipKnownFailures', true);
+await import('./xmlParser.test.js');
+
+// ============================================================================
+// Built-in Parser Tests
+// ============================================================================
+
+describe('built-in parser', () => {
+    it('should not need DOMParser', () => {
+        const domParser = globalThis.DOMParser;
+        delete globalThis.DOMParser;
+
+        try {
+            const tree = parseXml('<root><a>1</a></root>', { parser: ParserBackend.AUTO });
+            expect(tree.children[0].textContent).toBe('1');
+        } finally {
+            globalThis.DOMParser = domParser;
+        }
+    });
+
+    it('should decode references and normalize line endings', () => {
+        const tree = parseXml('<r x="a&#10;b\tc">\r\n&lt;&#x41;&amp;&quot;</r>', { whitespace: 'preserve' });
+
+        expect(tree.attributes.x).toBe('a\nb c');
+        expect(tree.textContent).toBe('\n<A&"');
+    });
+
+    it('should keep tabs in text, as DOMParser does', () => {
+        const xml = '<r x="a\tb">x\ty\r\n\t<a>\tz</a></r>';
+        const tree = parseXml(xml, { whitespace: 'preserve' });
+
+        expect(tree.textContent).toBe('x\ty\n\t');
+        expect(tree.children[0].textContent).toBe('\tz');
+        expect(tree).toEqual(parseXml(xml, { whitespace: 'preserve', parser: ParserBackend.DOM }));
+    });
+
+    it('should resolve namespaces of elements and attributes', () => {
+        const tree = parseXml('<r xmlns="urn:d" xmlns:p="urn:p"><p:a p:x="1" y="2"/></r>');
+        const a = tree.children[0];
+
+        expect(tree.namespaceURI).toBe('urn:d');
+        expect(a.namespaceURI).toBe('urn:p');
+        expect(a.attributeNamespaces).toEqual({ 'p:x': 'urn:p' });
+    });
+
+    it('should report undefined entities and prefixes with their position', () => {
+        expect(safeParseXml('<a>\n &nbsp;</a>').error)
+            .toBe('Invalid XML: Undefined entity &nbsp; (line 2, column 2)');
+        expect(safeParseXml('<a>\n <p:b/></a>').error)
+            .toBe('Invalid XML: Namespace prefix "p" is not declared (line 2, column 2)');
+    });
+
+    it('should reject what DOMParser rejects', () => {
+        const invalid = [
+            '<a>&#0;</a>',
+            '<a x="&#x1;"/>',
+            '<a>&#xD800;</a>',
+            '<a>&#xFFFF;</a>',
+            '<a><!-- a -- b --></a>',
+            '<a><!-- a ---></a>',
+            '<a xmlns:p=""/>',
+            '<a xmlns:p="urn:p"><b xmlns:p=""/></a>',
+        ];
+
+        for (const xml of invalid) {
+            expect(safeParseXml(xml, { parser: ParserBackend.DOM }).error, xml).not.toBeNull();
+            expect(safeParseXml(xml).error, xml).toMatch(/^Invalid XML: /);
+        }
+    });
+
+    it('should report invalid references, comments and undeclarations with their position', () => {
+        expect(safeParseXml('<a>\n &#0;</a>').error).toBe('Invalid XML: Invalid character reference &#0; (line 2, column 2)');
+        expect(safeParseXml('<a>\n<!-- x -- --></a>').error).toBe('Invalid XML: "--" is not allowed inside a comment (line 2, column 8)');
+        expect(safeParseXml('<a xmlns:p=""/>').error).toBe('Invalid XML: Namespace prefix "p" cannot be bound to an empty URI (line 1, column 1)');
+        expect(safeParseXml('<a xmlns="urn:a"><b xmlns="">&#x9;&#x10000;</b></a>').error).toBeNull();
+    });
+
+    it('should return the document with the token of every node', () => {
+        const { document, tokens, error } = parseXmlDocument('<?xml version="1.0"?>\n<a><!--c--></a>\n');
+
+        expect(error).toBeNull();
+        expect(document.childNodes).toEqual([document.documentElement]);
+        expect(tokens.get(document.documentElement.childNodes[0])).toMatchObject({ start: 25, end: 33 });
+    });
+});
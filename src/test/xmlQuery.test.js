@@ -0,0 +1,174 @@
+/**
+ * ============================================================================
+ * XML QUERY - Unit Tests
+ * ============================================================================
+ *
+ * Tests for querying both compared trees at once: simple searches, XPath
+ * queries, pairing of matches with their diff status, and the nodes a
+ * tree view keeps to reveal the matches.
+ *
+ * Run with: npm test
+ *
+ * ============================================================================
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { parseXml } from '../core/xmlParser.js';
+import { compareXml, DiffStatus, MatchMode } from '../core/xmlComparer.js';
+import { queryTrees, collectVisibleXPaths, isSimpleQuery, QueryMode } from '../core/xmlQuery.js';
+
+const LEFT = `
+<catalog>
+    <item id="p1"><name>Laptop</name><price>999</price></item>
+    <item id="p2"><name>Mouse</name><price>25</price></item>
+</catalog>`;
+
+const RIGHT = `
+<catalog>
+    <item id="p1"><name>Laptop Pro</name><price>999</price></item>
+    <item id="p2"><name>Mouse</name><price>25</price></item>
+    <item id="p3"><name>Keyboard</name><price>45</price></item>
+</catalog>`;
+
+// ============================================================================
+// queryTrees Tests
+// ============================================================================
+
+describe('queryTrees', () => {
+    let leftTree;
+    let rightTree;
+    let diffResults;
+
+    beforeEach(() => {
+        leftTree = parseXml(LEFT);
+        rightTree = parseXml(RIGHT);
+        diffResults = compareXml(leftTree, rightTree);
+    });
+
+    describe('Simple searches', () => {
+        it('should find elements by tag name', () => {
+            const result = queryTrees('item', leftTree, rightTree, diffResults);
+
+            expect(result.mode).toBe(QueryMode.SEARCH);
+            expect(result.counts).toEqual({ left: 2, right: 3 });
+            expect(result.matched.right).toEqual(['/catalog/item', '/catalog/item[2]', '/catalog/item[3]']);
+        });
+
+        it('should find elements by attribute and value', () => {
+            expect(queryTrees('@id', leftTree, rightTree, diffResults).counts).toEqual({ left: 2, right: 3 });
+            expect(queryTrees('@id=p3', leftTree, rightTree, diffResults).matched)
+                .toEqual({ left: [], right: ['/catalog/item[3]'] });
+            expect(queryTrees('item@id="p2"', leftTree, rightTree, diffResults).matched.left)
+                .toEqual(['/catalog/item[2]']);
+        });
+
+        it('should find text ignoring case', () => {
+            const result = queryTrees('"laptop"', leftTree, rightTree, diffResults);
+
+            expect(result.matched).toEqual({ left: ['/catalog/item/name'], right: ['/catalog/item/name'] });
+        });
+    });
+
+    describe('XPath queries', () => {
+        it('should evaluate XPath against both trees', () => {
+            const result = queryTrees('//item[price < 100]/@id', leftTree, rightTree, diffResults);
+
+            expect(result.mode).toBe(QueryMode.XPATH);
+            expect(result.matched).toEqual({
+                left: ['/catalog/item[2]'],
+                right: ['/catalog/item[2]', '/catalog/item[3]'],
+            });
+            expect(result.values).toBeNull();
+        });
+
+        it('should report the values of expressions that do not select nodes', () => {
+            const result = queryTrees('count(//item)', leftTree, rightTree, diffResults);
+
+            expect(result.values).toEqual({ left: 2, right: 3 });
+            expect(result.matches).toEqual([]);
+        });
+
+        it('should throw for invalid XPath', () => {
+            expect(() => queryTrees('//item[', leftTree, rightTree, diffResults)).toThrow('Invalid XPath');
+        });
+    });
+
+    describe('Matches', () => {
+        it('should list a node matching on both sides once, with its status', () => {
+            const { matches } = queryTrees('name', leftTree, rightTree, diffResults);
+
+            expect(matches).toEqual([
+                { left: '/catalog/item/name', right: '/catalog/item/name', side: 'left', status: DiffStatus.DIFFERENT },
+                { left: '/catalog/item[2]/name', right: '/catalog/item[2]/name', side: 'left', status: DiffStatus.MATCHED },
+                { left: null, right: '/catalog/item[3]/name', side: 'right', status: DiffStatus.EXTRA },
+            ]);
+        });
+
+        it('should list a node separately when its counterpart does not match', () => {
+            const { matches } = queryTrees('"Laptop Pro"', leftTree, rightTree, diffResults);
+
+            expect(matches).toEqual([
+                { left: null, right: '/catalog/item/name', side: 'right', status: DiffStatus.DIFFERENT },
+            ]);
+        });
+
+        it('should pair matches by counterpart in key match mode', () => {
+            const right = parseXml('<catalog><item id="p2"><name>Mouse</name></item><item id="p1"><name>Laptop</name></item></catalog>');
+            const left = parseXml('<catalog><item id="p1"><name>Laptop</name></item><item id="p2"><name>Mouse</name></item></catalog>');
+            const results = compareXml(left, right, { matchMode: MatchMode.KEY });
+
+            const { matches } = queryTrees('@id=p2', left, right, results);
+
+            expect(matches).toEqual([
+                { left: '/catalog/item[2]', right: '/catalog/item', side: 'left', status: DiffStatus.MATCHED },
+            ]);
+        });
+
+        it('should query without comparison results or a tree', () => {
+            const result = queryTrees('item', leftTree, null, null);
+
+            expect(result.counts).toEqual({ left: 2, right: 0 });
+            expect(result.matches.every(match => match.status === DiffStatus.NEUTRAL)).toBe(true);
+        });
+    });
+});
+
+// ============================================================================
+// collectVisibleXPaths Tests
+// ============================================================================
+
+describe('collectVisibleXPaths', () => {
+    it('should keep the given nodes and their ancestors', () => {
+        const tree = parseXml(RIGHT);
+
+        const visible = collectVisibleXPaths(tree, ['/catalog/item[3]/price', '/catalog/item/name']);
+
+        expect([...visible].sort()).toEqual([
+            '/catalog',
+            '/catalog/item',
+            '/catalog/item/name',
+            '/catalog/item[3]',
+            '/catalog/item[3]/price',
+        ]);
+    });
+
+    it('should keep nothing without nodes', () => {
+        expect(collectVisibleXPaths(parseXml(RIGHT), []).size).toBe(0);
+    });
+});
+
+// ============================================================================
+// isSimpleQuery Tests
+// ============================================================================
+
+describe('isSimpleQuery', () => {
+    it.each(['item', 'ns:item', '*', '@id', 'item@id', '@id=p 2', '"some text"', "'text'"])(
+        'should treat %s as a simple search',
+        (query) => expect(isSimpleQuery(query)).toBe(true)
+    );
+
+    it.each(['/catalog/item', '//item[2]', 'count(//item)', 'item/name', '@id = 1 or @id = 2', ''])(
+        'should treat %s as XPath',
+        (query) => expect(isSimpleQuery(query)).toBe(false)
+    );
+});
@@ -0,0 +1,143 @@
+/**
+ * ============================================================================
+ * XML SEARCH - Unit Tests
+ * ============================================================================
+ *
+ * Tests for the find bar's full-text search: scopes, regex, case and
+ * whole-word matching, limits and the helpers used to highlight matches.
+ *
+ * Run with: npm test
+ *
+ * ============================================================================
+ */
+
+import { describe, it, expect } from 'vitest';
+import { parseXml, NodeKind } from '../core/xmlParser.js';
+import {
+    searchTree,
+    createSearchPattern,
+    findInText,
+    groupMatchesByNode,
+    getScopeMatches,
+    splitByRanges,
+    SearchScope,
+} from '../core/xmlSearch.js';
+
+const CATALOG = `
+<catalog>
+    <item id="p2" note="laptop bag"><name>Laptop</name><price>999</price></item>
+    <item id="p20"><name>Laptop stand for laptops</name></item>
+    <!-- p2 is on sale -->
+</catalog>`;
+
+// ============================================================================
+// searchTree Tests
+// ============================================================================
+
+describe('searchTree', () => {
+    const tree = parseXml(CATALOG, { nodeKinds: [NodeKind.COMMENT] });
+
+    describe('Scopes', () => {
+        it('should find every occurrence in names, values and text, in document order', () => {
+            const { matches } = searchTree(tree, 'lap');
+
+            expect(matches).toEqual([
+                { xpath: '/catalog/item', scope: SearchScope.ATTRIBUTE_VALUE, attribute: 'note', start: 0, end: 3 },
+                { xpath: '/catalog/item/name', scope: SearchScope.TEXT, attribute: null, start: 0, end: 3 },
+                { xpath: '/catalog/item[2]/name', scope: SearchScope.TEXT, attribute: null, start: 0, end: 3 },
+                { xpath: '/catalog/item[2]/name', scope: SearchScope.TEXT, attribute: null, start: 17, end: 20 },
+            ]);
+        });
+
+        it('should search tag and attribute names', () => {
+            const { matches } = searchTree(tree, 'i');
+
+            expect(matches.filter(match => match.scope === SearchScope.TAG).map(match => match.xpath))
+                .toEqual(['/catalog/item', '/catalog/item/price', '/catalog/item[2]']);
+            expect(matches.filter(match => match.scope === SearchScope.ATTRIBUTE_NAME).map(match => match.attribute))
+                .toEqual(['id', 'id']);
+        });
+
+        it('should only search the chosen scopes', () => {
+            const { matches } = searchTree(tree, 'p2', { scopes: [SearchScope.TEXT] });
+
+            // Only the comment; the id attributes are not searched
+            expect(matches).toEqual([
+                { xpath: '/catalog/comment()[1]', scope: SearchScope.TEXT, attribute: null, start: 0, end: 2 },
+            ]);
+        });
+    });
+
+    describe('Matching options', () => {
+        it('should ignore case unless asked not to', () => {
+            expect(searchTree(tree, 'LAPTOP').matches).toHaveLength(4);
+            expect(searchTree(tree, 'LAPTOP', { caseSensitive: true }).matches).toHaveLength(0);
+            expect(searchTree(tree, 'Laptop', { caseSensitive: true }).matches).toHaveLength(2);
+        });
+
+        it('should match whole words', () => {
+            const ids = searchTree(tree, 'p2', { wholeWord: true, scopes: [SearchScope.ATTRIBUTE_VALUE] }).matches;
+            const laptops = searchTree(tree, 'laptop', { wholeWord: true, scopes: [SearchScope.TEXT] }).matches;
+
+            expect(ids.map(match => match.xpath)).toEqual(['/catalog/item']);
+            expect(laptops).toHaveLength(2);
+        });
+
+        it('should match regular expressions', () => {
+            const { matches } = searchTree(tree, '^p\\d+$', { regex: true });
+
+            expect(matches.map(match => match.xpath)).toEqual(['/catalog/item', '/catalog/item[2]']);
+        });
+
+        it('should report invalid regular expressions', () => {
+            expect(() => searchTree(tree, 'a(b', { regex: true })).toThrow(/^Invalid regular expression: /);
+        });
+
+        it('should treat the query literally without the regex option', () => {
+            expect(searchTree(parseXml('<a>1+1 (two)</a>'), '1+1 (').matches).toHaveLength(1);
+        });
+    });
+
+    it('should find nothing for an empty query', () => {
+        expect(searchTree(tree, '')).toEqual({ matches: [], truncated: false });
+    });
+
+    it('should stop at the limit', () => {
+        const result = searchTree(tree, 'a', { limit: 3 });
+
+        expect(result.matches).toHaveLength(3);
+        expect(result.truncated).toBe(true);
+    });
+});
+
+// ============================================================================
+// Helper Tests
+// ============================================================================
+
+describe('Search helpers', () => {
+    it('should skip empty regex matches', () => {
+        expect(findInText('abc', createSearchPattern('x*', { regex: true }))).toEqual([]);
+        expect(findInText('aXbX', createSearchPattern('x', {}))).toEqual([{ start: 1, end: 2 }, { start: 3, end: 4 }]);
+    });
+
+    it('should group matches by node and pick a node string', () => {
+        const tree = parseXml(CATALOG);
+        const byNode = groupMatchesByNode(searchTree(tree, 'p').matches);
+        const itemMatches = byNode.get('/catalog/item');
+
+        expect(getScopeMatches(itemMatches, SearchScope.ATTRIBUTE_VALUE, 'id')).toHaveLength(1);
+        expect(getScopeMatches(itemMatches, SearchScope.ATTRIBUTE_VALUE, 'note')).toHaveLength(2);
+        expect(getScopeMatches(undefined, SearchScope.TEXT)).toEqual([]);
+    });
+
+    it('should split text into plain and highlighted segments', () => {
+        const ranges = [{ start: 0, end: 3 }, { start: 5, end: 6 }];
+
+        expect(splitByRanges('Laptops', ranges)).toEqual([
+            { text: 'Lap', range: ranges[0] },
+            { text: 'to', range: null },
+            { text: 'p', range: ranges[1] },
+            { text: 's', range: null },
+        ]);
+    });
+});
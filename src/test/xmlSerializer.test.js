@@ -0,0 +1,152 @@
+/**
+ * ============================================================================
+ * XML SERIALIZER - Unit Tests
+ * ============================================================================
+ *
+ * Tests for pretty-printing (indentation, kept content, preserved and
+ * mixed content) and Canonical XML (inclusive and exclusive namespaces,
+ * attribute order, escaping, comments).
+ *
+ * Run with: npm test
+ *
+ * ============================================================================
+ */
+
+import { describe, it, expect } from 'vitest';
+import { formatXml, canonicalizeXml, CanonicalMethod } from '../core/xmlSerializer.js';
+
+// ============================================================================
+// formatXml Tests
+// ============================================================================
+
+describe('formatXml', () => {
+    it('should put each element on its own line, indented', () => {
+        expect(formatXml('<a><b x="1">hi</b><c><d/></c><e></e></a>')).toBe([
+            '<a>',
+            '  <b x="1">hi</b>',
+            '  <c>',
+            '    <d/>',
+            '  </c>',
+            '  <e></e>',
+            '</a>',
+            '',
+        ].join('\n'));
+    });
+
+    it('should reindent with a configurable indent', () => {
+        const messy = '<a>\n      <b/>\n<c>\n <d/></c>   </a>';
+
+        expect(formatXml(messy, { indent: 4 })).toBe('<a>\n    <b/>\n    <c>\n        <d/>\n    </c>\n</a>\n');
+        expect(formatXml(messy, { indent: '\t' })).toBe('<a>\n\t<b/>\n\t<c>\n\t\t<d/>\n\t</c>\n</a>\n');
+    });
+
+    it('should keep the declaration, DOCTYPE, comments, references and quoting', () => {
+        const xml = '<?xml version="1.0"?><!DOCTYPE a><!-- top --><a q=\'say "hi"\' r="&amp;"><b>&lt;x&gt;</b><c><![CDATA[<y>]]></c><?pi data?></a>';
+
+        expect(formatXml(xml)).toBe([
+            '<?xml version="1.0"?>',
+            '<!DOCTYPE a>',
+            '<!-- top -->',
+            '<a q=\'say "hi"\' r="&amp;">',
+            '  <b>&lt;x&gt;</b>',
+            '  <c><![CDATA[<y>]]></c>',
+            '  <?pi data?>',
+            '</a>',
+            '',
+        ].join('\n'));
+    });
+
+    it('should leave mixed content and xml:space="preserve" as they are', () => {
+        const xml = '<doc><p>Some <b>bold</b> text</p><pre xml:space="preserve"><l> x </l>\n<l/></pre></doc>';
+
+        expect(formatXml(xml)).toBe([
+            '<doc>',
+            '  <p>Some <b>bold</b> text</p>',
+            '  <pre xml:space="preserve"><l> x </l>\n<l/></pre>',
+            '</doc>',
+            '',
+        ].join('\n'));
+    });
+
+    it('should not change what the document means', () => {
+        const xml = '<a xmlns:x="urn:x"><x:b k="1">t</x:b><c> u </c></a>';
+
+        expect(canonicalizeXml(formatXml(xml)).replace(/>\s+</g, '><')).toBe(canonicalizeXml(xml));
+    });
+
+    it('should report syntax errors with their position', () => {
+        expect(() => formatXml('<a>\n<b></a>')).toThrow(/^Invalid XML: .*\(line 2, column \d+\)$/);
+        expect(() => formatXml('  ')).toThrow('XML input cannot be empty');
+    });
+});
+
+// ============================================================================
+// canonicalizeXml Tests
+// ============================================================================
+
+describe('canonicalizeXml', () => {
+    it('should drop the declaration and write a canonical form', () => {
+        const xml = '<?xml version="1.0" encoding="UTF-8"?>\r\n<!DOCTYPE doc>\r\n<doc z=\'1\' a="&#65;&#x42;">\r\n  <e/>\r\n  <![CDATA[x < y & z]]>\r\n</doc>\r\n';
+
+        expect(canonicalizeXml(xml)).toBe('<doc a="AB" z="1">\n  <e></e>\n  x &lt; y &amp; z\n</doc>');
+    });
+
+    it('should give the same text for equivalent documents', () => {
+        const a = '<r xmlns="urn:r" xmlns:p="urn:p"><p:i b="2" a="1"/></r>';
+        const b = '<?xml version="1.0"?>\n<r xmlns:p="urn:p" xmlns="urn:r"><p:i xmlns:p="urn:p" a=\'1\' b="2"></p:i></r>\n';
+
+        expect(canonicalizeXml(a)).toBe(canonicalizeXml(b));
+    });
+
+    it('should escape text and attribute values', () => {
+        const xml = '<a v="&lt;&amp;&quot;&gt;&#9;&#10;&#13;">&lt;&amp;&gt;"\'&#13;</a>';
+
+        expect(canonicalizeXml(xml)).toBe('<a v="&lt;&amp;&quot;>&#x9;&#xA;&#xD;">&lt;&amp;&gt;"\'&#xD;</a>');
+    });
+
+    it('should keep tabs in text, and escape them only in attribute values', () => {
+        const xml = '<r k="a&#9;b">x\ty<a>\tz\t</a></r>';
+
+        expect(canonicalizeXml(xml)).toBe('<r k="a&#x9;b">x\ty<a>\tz\t</a></r>');
+    });
+
+    it('should sort namespace declarations by prefix, then attributes by namespace URI and local name', () => {
+        const xml = '<e xmlns:b="http://www.ietf.org" xmlns:a="http://www.w3.org" xmlns="http://example.org">'
+            + '<e5 a:attr="out" b:attr="sorted" attr2="all" attr="I\'m"/></e>';
+
+        expect(canonicalizeXml(xml)).toBe(
+            '<e xmlns="http://example.org" xmlns:a="http://www.w3.org" xmlns:b="http://www.ietf.org">'
+            + '<e5 attr="I\'m" attr2="all" b:attr="sorted" a:attr="out"></e5></e>'
+        );
+    });
+
+    it('should remove superfluous namespace declarations and keep undeclared defaults', () => {
+        const xml = '<a xmlns="urn:d" xmlns:x="urn:x"><b xmlns="urn:d" xmlns:x="urn:x"><c xmlns=""><d xmlns=""/></c></b></a>';
+
+        expect(canonicalizeXml(xml)).toBe('<a xmlns="urn:d" xmlns:x="urn:x"><b><c xmlns=""><d></d></c></b></a>');
+    });
+
+    it('should declare only used namespaces, where used, with the exclusive method', () => {
+        const xml = '<a xmlns="urn:d" xmlns:x="urn:x" xmlns:y="urn:y"><x:b y:k="1"><x:c/></x:b></a>';
+
+        expect(canonicalizeXml(xml, { method: CanonicalMethod.EXCLUSIVE })).toBe(
+            '<a xmlns="urn:d"><x:b xmlns:x="urn:x" xmlns:y="urn:y" y:k="1"><x:c></x:c></x:b></a>'
+        );
+        expect(canonicalizeXml(xml, { method: CanonicalMethod.EXCLUSIVE, inclusivePrefixes: ['y'] })).toBe(
+            '<a xmlns="urn:d" xmlns:y="urn:y"><x:b xmlns:x="urn:x" y:k="1"><x:c></x:c></x:b></a>'
+        );
+    });
+
+    it('should keep comments only when asked to, on their own lines outside the root', () => {
+        const xml = '<!-- head --><?pi   data?><a><!-- in -->x</a><!-- tail -->';
+
+        expect(canonicalizeXml(xml)).toBe('<?pi data?>\n<a>x</a>');
+        expect(canonicalizeXml(xml, { withComments: true })).toBe('<!-- head -->\n<?pi data?>\n<a><!-- in -->x</a>\n<!-- tail -->');
+    });
+
+    it('should reject unknown methods and invalid XML', () => {
+        expect(() => canonicalizeXml('<a/>', { method: 'c14n11' })).toThrow('Unknown canonicalization method: c14n11');
+        expect(() => canonicalizeXml('<a><b></a>')).toThrow(/^Invalid XML: /);
+        expect(() => canonicalizeXml('<x:a/>')).toThrow(/Namespace prefix "x" is not declared/);
+    });
+});
@@ -0,0 +1,166 @@
+/**
+ * ============================================================================
+ * XML STREAM PARSER - Unit Tests
+ * ============================================================================
+ *
+ * Tests that chunked parsing builds the same tree as parseXml, and for
+ * progress, cancellation and the supported sources.
+ *
+ * Run with: npm test
+ *
+ * ============================================================================
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { JSDOM } from 'jsdom';
+import { Blob as NodeBlob } from 'node:buffer';
+import { parseXml, NodeKind, NamespaceMode, WhitespaceMode } from '../core/xmlParser.js';
+import { parseXmlStream } from '../core/xmlStreamParser.js';
+import { fixtures, inlineXml } from './fixtures.js';
+
+// ============================================================================
+// Setup: Configure DOM environment for Node.js
+// ============================================================================
+
+beforeEach(() => {
+    const dom = new JSDOM('<!DOCTYPE html><html><body></body></html>');
+    global.DOMParser = dom.window.DOMParser;
+});
+
+const MIXED_XML = '<?xml version="1.0"?>\r\n<!-- c --><r xmlns="urn:d" xmlns:p="urn:p" p:x="a&#10;b\tc">'
+    + '  t &amp; &#x41; <p:b>x</p:b>\r\n tail <![CDATA[ <y> ]]><!--k--><?q r?></r>\n<!--after-->';
+
+// Tabs stay tabs in text, but become spaces in attribute values
+const TABS_XML = '<r k="1\t2">x\ty\r\n\t<a>\tz\t</a>\t</r>';
+
+// ============================================================================
+// parseXmlStream Tests
+// ============================================================================
+
+describe('parseXmlStream', () => {
+    describe('Parity with parseXml', () => {
+        const inputs = {
+            sampleLeft: fixtures.sampleLeft,
+            complexNested: fixtures.complexNested,
+            multipleSiblings: fixtures.multipleSiblings,
+            attributes: fixtures.attributes,
+            mixed: MIXED_XML,
+            tabs: TABS_XML,
+        };
+        const settings = {
+            defaults: {},
+            indexAttribute: { indexAttribute: 'id' },
+            allNodeKinds: { nodeKinds: Object.values(NodeKind), mixedContent: true, whitespace: WhitespaceMode.PRESERVE },
+            clark: { namespaceMode: NamespaceMode.CLARK, whitespace: WhitespaceMode.NORMALIZE },
+        };
+
+        it.each(Object.keys(inputs))('should build the same tree as parseXml for %s', async (name) => {
+            for (const xpathSettings of Object.values(settings)) {
+                for (const chunkSize of [1, 7, 4096]) {
+                    const tree = await parseXmlStream(inputs[name], xpathSettings, { chunkSize });
+                    expect(tree).toEqual(parseXml(inputs[name], xpathSettings));
+                }
+            }
+        });
+
+        it('should count siblings split across chunks', async () => {
+            const xml = `<list>${'<item/>'.repeat(50)}</list>`;
+            const tree = await parseXmlStream(xml, {}, { chunkSize: 5 });
+
+            expect(tree.children[49].xpath).toBe('/list/item[50]');
+            expect(tree.children.every(child => child.siblingTotal === 50)).toBe(true);
+        });
+    });
+
+    describe('Sources', () => {
+        it('should parse a Blob', async () => {
+            // jsdom's Blob cannot be streamed; browsers' and Node's can
+            const tree = await parseXmlStream(new NodeBlob([inlineXml.singleChild]));
+
+            expect(tree.children[0].textContent).toBe('Value');
+        });
+
+        it('should decode byte chunks that split a multi-byte character', async () => {
+            const bytes = new TextEncoder().encode('<a>€uro</a>');
+            const chunks = [bytes.slice(0, 4), bytes.slice(4, 5), bytes.slice(5)];
+
+            const tree = await parseXmlStream(chunks);
+
+            expect(tree.textContent).toBe('€uro');
+        });
+
+        it('should parse a ReadableStream', async () => {
+            const stream = new ReadableStream({
+                start(controller) {
+                    controller.enqueue('<root><a>1</a>');
+                    controller.enqueue('<a>2</a></root>');
+                    controller.close();
+                },
+            });
+
+            const tree = await parseXmlStream(stream);
+
+            expect(tree.children.map(child => child.xpath)).toEqual(['/root/a', '/root/a[2]']);
+        });
+
+        it('should reject unsupported sources', async () => {
+            await expect(parseXmlStream(42)).rejects.toThrow('XML input must be a string, Blob, stream or iterable');
+        });
+    });
+
+    describe('Progress and cancellation', () => {
+        it('should report progress after each chunk', async () => {
+            const progress = [];
+            await parseXmlStream(fixtures.complexNested, {}, {
+                chunkSize: 100,
+                onProgress: (update) => progress.push(update),
+            });
+
+            const total = fixtures.complexNested.length;
+            expect(progress.length).toBe(Math.ceil(total / 100));
+            expect(progress.every(({ loaded }, i) => i === 0 || loaded > progress[i - 1].loaded)).toBe(true);
+            expect(progress.at(-1)).toEqual({ loaded: total, total });
+        });
+
+        it('should use the given total size for iterables', async () => {
+            const progress = [];
+            await parseXmlStream(['<a>', '</a>'], {}, { totalSize: 7, onProgress: (update) => progress.push(update) });
+
+            expect(progress).toEqual([{ loaded: 3, total: 7 }, { loaded: 7, total: 7 }]);
+        });
+
+        it('should stop when the signal is aborted', async () => {
+            const controller = new AbortController();
+            const promise = parseXmlStream(fixtures.complexNested, {}, {
+                chunkSize: 10,
+                signal: controller.signal,
+                onProgress: ({ loaded }) => loaded >= 50 && controller.abort(new Error('Cancelled')),
+            });
+
+            await expect(promise).rejects.toThrow('Cancelled');
+        });
+    });
+
+    describe('Errors', () => {
+        it('should report the line and column of a syntax error', async () => {
+            const promise = parseXmlStream('<root>\n  <a></b>\n</root>', {}, { chunkSize: 4 });
+
+            await expect(promise).rejects.toThrow('Invalid XML: Expected </a> but found </b> (line 2, column 6)');
+            await expect(promise).rejects.toMatchObject({ position: { line: 2, column: 6, offset: 12 } });
+        });
+
+        it('should report an undefined entity at its position', async () => {
+            await expect(parseXmlStream('<a>\n x &nbsp;</a>', {}, { chunkSize: 3 }))
+                .rejects.toMatchObject({ position: { line: 2, column: 4 } });
+        });
+
+        it('should report an unclosed root element', async () => {
+            await expect(parseXmlStream(inlineXml.invalid, {}, { chunkSize: 2 })).rejects.toThrow('Invalid XML');
+        });
+
+        it('should reject empty input', async () => {
+            await expect(parseXmlStream('  \n ')).rejects.toThrow('XML input cannot be empty');
+            await expect(parseXmlStream([])).rejects.toThrow('XML input cannot be empty');
+        });
+    });
+});
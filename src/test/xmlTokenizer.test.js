@@ -0,0 +1,159 @@
+/**
+ * ============================================================================
+ * XML TOKENIZER - Unit Tests
+ * ============================================================================
+ *
+ * Tests for token offsets, source positions and syntax error locations.
+ *
+ * Run with: npm test
+ *
+ * ============================================================================
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+    tokenizeXml,
+    createTokenizer,
+    findSyntaxError,
+    createPositionLookup,
+    createIncrementalPositionLookup,
+    TokenType,
+} from '../core/xmlTokenizer.js';
+
+// ============================================================================
+// tokenizeXml Tests
+// ============================================================================
+
+describe('tokenizeXml', () => {
+    it('should tokenize every construct with its offsets and depth', () => {
+        const { tokens, error } = tokenizeXml('<a><!--c--><![CDATA[x]]><?pi d?></a>');
+
+        expect(error).toBeNull();
+        expect(tokens.map(token => [token.type, token.start, token.end, token.depth])).toEqual([
+            [TokenType.START_TAG, 0, 3, 0],
+            [TokenType.COMMENT, 3, 11, 1],
+            [TokenType.CDATA, 11, 24, 1],
+            [TokenType.PROCESSING_INSTRUCTION, 24, 32, 1],
+            [TokenType.END_TAG, 32, 36, 0],
+        ]);
+    });
+
+    it('should link start tags to their end tags', () => {
+        const { tokens } = tokenizeXml('<a><b x="1"/></a>');
+
+        expect(tokens[0].close).toEqual({ start: 13, end: 17 });
+        expect(tokens[1].selfClosing).toBe(true);
+        expect(tokens[1].attributes).toEqual([{ name: 'x', value: '1' }]);
+    });
+
+    it('should return the tokens before the first error', () => {
+        const { tokens, error } = tokenizeXml('<a><b></a>');
+
+        expect(tokens.map(token => token.name)).toEqual(['a', 'b']);
+        expect(error).toEqual({ message: 'Expected </b> but found </a>', offset: 6 });
+    });
+});
+
+// ============================================================================
+// createTokenizer Tests
+// ============================================================================
+
+describe('createTokenizer', () => {
+    const tokenizeInChunks = (source, chunkSize) => {
+        const tokens = [];
+        const tokenizer = createTokenizer(token => tokens.push(token));
+        let error = null;
+        for (let offset = 0; offset < source.length && !error; offset += chunkSize) {
+            error = tokenizer.write(source.slice(offset, offset + chunkSize));
+        }
+        return { tokens, error: error || tokenizer.end() };
+    };
+
+    it.each([1, 2, 5])('should produce the same tokens in chunks of %i characters', (chunkSize) => {
+        const source = '<?xml version="1.0"?>\n<!DOCTYPE a>\n<a x="&gt;"><!--c--><![CDATA[ ]]>t<?p d?><b/></a>\n';
+
+        expect(tokenizeInChunks(source, chunkSize)).toEqual(tokenizeXml(source));
+    });
+
+    it('should wait for a construct cut off by the end of a chunk', () => {
+        const tokens = [];
+        const tokenizer = createTokenizer(token => tokens.push(token));
+
+        tokenizer.write('<root><it');
+        expect(tokens.map(token => token.name)).toEqual(['root']);
+
+        tokenizer.write('em a=">"/></root>');
+        expect(tokenizer.end()).toBeNull();
+        expect(tokens.map(token => [token.name, token.start])).toEqual([['root', 0], ['item', 6], ['root', 19]]);
+    });
+
+    it('should report errors with offsets in the whole text', () => {
+        expect(tokenizeInChunks('<root>\n  <a></b>\n</root>', 4).error)
+            .toEqual({ message: 'Expected </a> but found </b>', offset: 12 });
+        expect(tokenizeInChunks('<a><!-- x', 3).error).toEqual({ message: 'Unterminated comment', offset: 3 });
+    });
+});
+
+// ============================================================================
+// findSyntaxError Tests
+// ============================================================================
+
+describe('findSyntaxError', () => {
+    it('should return null for well-formed XML', () => {
+        expect(findSyntaxError('<?xml version="1.0"?>\n<a x="1"><b/>text</a>\n')).toBeNull();
+    });
+
+    it('should report a mismatched end tag with its line and column', () => {
+        expect(findSyntaxError('<root>\n  <a></b>\n</root>')).toEqual({
+            message: 'Expected </a> but found </b>',
+            position: { line: 2, column: 6, offset: 12 },
+        });
+    });
+
+    it.each([
+        ['<a', 'Unterminated start tag <a>', 1],
+        ['<a x=1/>', 'Attribute "x" value must be quoted', 6],
+        ['<a x="1" x="2"/>', 'Duplicate attribute "x"', 10],
+        ['<a x="1"y="2"/>', 'Missing whitespace between attributes', 9],
+        ['<a/><b/>', 'Only one root element is allowed', 5],
+        ['<a>&</a>', "Unescaped '&' (use &amp;)", 4],
+        ['<a><!-- x</a>', 'Unterminated comment', 4],
+        ['text<a/>', 'Text before the root element', 1],
+        ['', 'No root element', 1],
+    ])('should locate the error in %j', (source, message, column) => {
+        const result = findSyntaxError(source);
+
+        expect(result.message).toBe(message);
+        expect(result.position.column).toBe(column);
+    });
+});
+
+// ============================================================================
+// createPositionLookup Tests
+// ============================================================================
+
+describe('createPositionLookup', () => {
+    it('should convert offsets to 1-based lines and columns', () => {
+        const positionAt = createPositionLookup('ab\ncd\n\nef');
+
+        expect(positionAt(0)).toEqual({ line: 1, column: 1, offset: 0 });
+        expect(positionAt(4)).toEqual({ line: 2, column: 2, offset: 4 });
+        expect(positionAt(6)).toEqual({ line: 3, column: 1, offset: 6 });
+        expect(positionAt(8)).toEqual({ line: 4, column: 2, offset: 8 });
+    });
+
+    it('should treat CRLF line endings as one line break', () => {
+        const positionAt = createPositionLookup('a\r\nb');
+
+        expect(positionAt(3)).toEqual({ line: 2, column: 1, offset: 3 });
+    });
+
+    it('should look up offsets in text that arrives in chunks', () => {
+        const lookup = createIncrementalPositionLookup();
+        lookup.append('ab\r');
+        lookup.append('\ncd\ne');
+
+        expect(lookup.positionAt(4)).toEqual({ line: 2, column: 1, offset: 4 });
+        expect(lookup.positionAt(8)).toEqual({ line: 3, column: 2, offset: 8 });
+    });
+});
@@ -0,0 +1,212 @@
+/**
+ * ============================================================================
+ * XPATH EVALUATOR - Unit Tests
+ * ============================================================================
+ *
+ * Tests for evaluating XPath 1.0 expressions over parsed trees: axes,
+ * predicates, operators, the core function library, namespaces and the
+ * lookup of XPaths generated by the parser.
+ *
+ * Run with: npm test
+ *
+ * ============================================================================
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { JSDOM } from 'jsdom';
+import { parseXml, NamespaceMode, NodeKind } from '../core/xmlParser.js';
+import {
+    evaluateXPath,
+    selectNodes,
+    queryXPath,
+    getResultType,
+    getStringValue,
+    XPathResultType,
+} from '../core/xpathEvaluator.js';
+import { fixtures } from './fixtures.js';
+
+// ============================================================================
+// Setup: Configure DOM environment for Node.js
+// ============================================================================
+
+beforeEach(() => {
+    const dom = new JSDOM('<!DOCTYPE html><html><body></body></html>');
+    globalThis.DOMParser = dom.window.DOMParser;
+});
+
+const CATALOG = `
+<catalog>
+    <item id="p1" category="book"><name>Alpha</name><price>10</price></item>
+    <item id="p2" category="music"><name>Beta</name><price>25.5</price></item>
+    <item id="p3" category="book"><name>Gamma</name><price>120</price></item>
+    <!-- end -->
+</catalog>`;
+
+const NAMESPACED = `
+<inv:inventory xmlns:inv="urn:inventory" xmlns:x="urn:extra">
+    <inv:item x:code="A">one</inv:item>
+    <inv:item>two</inv:item>
+</inv:inventory>`;
+
+/** XPaths of the nodes an expression selects */
+const xpaths = (expression, tree, options) => selectNodes(expression, tree, options).map(node => node.xpath);
+
+// ============================================================================
+// evaluateXPath Tests
+// ============================================================================
+
+describe('evaluateXPath', () => {
+    let tree;
+
+    beforeEach(() => {
+        tree = parseXml(CATALOG);
+    });
+
+    describe('Location paths', () => {
+        it('should select by absolute and descendant paths', () => {
+            expect(xpaths('/catalog/item', tree)).toEqual(['/catalog/item', '/catalog/item[2]', '/catalog/item[3]']);
+            expect(xpaths('//name', tree)).toEqual(['/catalog/item/name', '/catalog/item[2]/name', '/catalog/item[3]/name']);
+            expect(xpaths('/', tree)).toEqual(['/']);
+        });
+
+        it('should follow parent, sibling and ancestor axes', () => {
+            expect(xpaths('//name[.="Beta"]/..', tree)).toEqual(['/catalog/item[2]']);
+            expect(xpaths('//item[1]/following-sibling::item', tree)).toEqual(['/catalog/item[2]', '/catalog/item[3]']);
+            expect(xpaths('//item[3]/preceding-sibling::item[1]', tree)).toEqual(['/catalog/item[2]']);
+            expect(xpaths('//price[.=120]/ancestor::*', tree)).toEqual(['/catalog', '/catalog/item[3]']);
+            expect(xpaths('//item[2]/following::name', tree)).toEqual(['/catalog/item[3]/name']);
+            expect(xpaths('//item[2]/preceding::price', tree)).toEqual(['/catalog/item/price']);
+        });
+
+        it('should select attributes and text', () => {
+            expect(selectNodes('//item/@id', tree).map(getStringValue)).toEqual(['p1', 'p2', 'p3']);
+            expect(selectNodes('//item[2]/name/text()', tree).map(getStringValue)).toEqual(['Beta']);
+            expect(evaluateXPath('count(//comment())', tree)).toBe(0);
+            expect(evaluateXPath('count(//comment())', parseXml(CATALOG, { nodeKinds: [NodeKind.COMMENT] }))).toBe(1);
+        });
+
+        it('should apply positional and boolean predicates', () => {
+            expect(xpaths('//item[last()]', tree)).toEqual(['/catalog/item[3]']);
+            expect(xpaths('//item[position() < 3][@category="book"]', tree)).toEqual(['/catalog/item']);
+            expect(xpaths('//item[price > 20 and @category="book"]', tree)).toEqual(['/catalog/item[3]']);
+            expect(xpaths('(//name)[2]', tree)).toEqual(['/catalog/item[2]/name']);
+        });
+
+        it('should return unions in document order without duplicates', () => {
+            expect(xpaths('//item[3] | //item[1] | //item[1]', tree)).toEqual(['/catalog/item', '/catalog/item[3]']);
+        });
+    });
+
+    describe('Expressions and functions', () => {
+        it('should compare node-sets and convert values as XPath 1.0 does', () => {
+            expect(evaluateXPath('//price > 100', tree)).toBe(true);
+            expect(evaluateXPath('//price = 11', tree)).toBe(false);
+            expect(evaluateXPath('sum(//price) div 2', tree)).toBe(77.75);
+            expect(evaluateXPath('7 mod 3 + -1', tree)).toBe(0);
+            expect(evaluateXPath('number("abc")', tree)).toBeNaN();
+            expect(evaluateXPath('string(1 div 0)', tree)).toBe('Infinity');
+        });
+
+        it('should implement the string functions', () => {
+            expect(evaluateXPath('concat(//item[1]/name, "-", //item[1]/@id)', tree)).toBe('Alpha-p1');
+            expect(evaluateXPath('substring-before("2024-01-15", "-")', tree)).toBe('2024');
+            expect(evaluateXPath('substring("12345", 1.5, 2.6)', tree)).toBe('234');
+            expect(evaluateXPath('translate("bar", "abc", "ABC")', tree)).toBe('BAr');
+            expect(evaluateXPath('normalize-space("  a   b ")', tree)).toBe('a b');
+            expect(evaluateXPath('string-length(//item[3]/name)', tree)).toBe(5);
+            expect(xpaths('//item[starts-with(name, "G") or contains(name, "et")]', tree))
+                .toEqual(['/catalog/item[2]', '/catalog/item[3]']);
+        });
+
+        it('should implement the node-set and number functions', () => {
+            expect(evaluateXPath('name(//*[@id="p2"])', tree)).toBe('item');
+            expect(evaluateXPath('local-name(/*)', tree)).toBe('catalog');
+            expect(evaluateXPath('round(2.5) + floor(-1.5) + ceiling(0.2)', tree)).toBe(2);
+            expect(xpaths('id("p3 p1")', tree)).toEqual(['/catalog/item', '/catalog/item[3]']);
+            expect(xpaths('//item[not(@category="book")]', tree)).toEqual(['/catalog/item[2]']);
+        });
+
+        it('should use variables', () => {
+            const options = { variables: { min: 20, kind: 'book' } };
+            expect(xpaths('//item[price > $min][@category = $kind]', tree, options)).toEqual(['/catalog/item[3]']);
+        });
+
+        it('should report the type of a result', () => {
+            expect(getResultType(evaluateXPath('//item', tree))).toBe(XPathResultType.NODE_SET);
+            expect(getResultType(evaluateXPath('count(//item)', tree))).toBe(XPathResultType.NUMBER);
+            expect(getResultType(evaluateXPath('string(//name)', tree))).toBe(XPathResultType.STRING);
+            expect(getResultType(evaluateXPath('//item', tree).length > 0)).toBe(XPathResultType.BOOLEAN);
+        });
+    });
+
+    describe('Namespaces', () => {
+        it('should match qualified names as written in the document', () => {
+            const nsTree = parseXml(NAMESPACED);
+
+            expect(evaluateXPath('count(//inv:item)', nsTree)).toBe(2);
+            expect(evaluateXPath('string(//inv:item/@x:code)', nsTree)).toBe('A');
+        });
+
+        it('should resolve prefixes bound in the options to namespace URIs', () => {
+            const nsTree = parseXml(NAMESPACED);
+            const options = { namespaces: { i: 'urn:inventory' } };
+
+            expect(evaluateXPath('count(/i:inventory/i:item)', nsTree, options)).toBe(2);
+            expect(evaluateXPath('namespace-uri(/*)', nsTree)).toBe('urn:inventory');
+        });
+
+        it('should match Clark names by namespace URI', () => {
+            const nsTree = parseXml(NAMESPACED, { namespaceMode: NamespaceMode.CLARK });
+
+            expect(evaluateXPath('count(//{urn:inventory}item)', nsTree)).toBe(2);
+        });
+    });
+
+    describe('Errors', () => {
+        it('should report where an expression is invalid', () => {
+            expect(() => evaluateXPath('//item[', tree)).toThrow(/^Invalid XPath: .*\(at character \d+\)$/);
+            expect(() => evaluateXPath('//item]', tree)).toThrow('Invalid XPath');
+        });
+
+        it('should reject unknown functions, wrong arities and unbound names', () => {
+            expect(() => evaluateXPath('frobnicate()', tree)).toThrow('Invalid XPath');
+            expect(() => evaluateXPath('count()', tree)).toThrow('Invalid XPath');
+            expect(() => evaluateXPath('$missing', tree)).toThrow('$missing');
+        });
+
+        it('should refuse a non node-set where nodes are required', () => {
+            expect(() => selectNodes('count(//item)', tree)).toThrow('XPath returns a number, not nodes');
+        });
+    });
+});
+
+// ============================================================================
+// queryXPath Tests
+// ============================================================================
+
+describe('queryXPath', () => {
+    it('should find the tree nodes of any expression', () => {
+        const tree = parseXml(CATALOG);
+        const { nodes } = queryXPath('//item[name="Gamma"]/@id | //item[2]/name/text()', tree);
+
+        // Attributes and text point to their element
+        expect(nodes.map(node => node.xpath)).toEqual(['/catalog/item[2]/name', '/catalog/item[3]']);
+    });
+
+    it('should look up generated XPaths even when they use an index attribute', () => {
+        const tree = parseXml(fixtures.multipleSiblings, { indexAttribute: 'id' });
+        const [generated] = tree.children.slice(-1);
+
+        const { value, nodes } = queryXPath(` ${generated.xpath} `, tree);
+
+        expect(nodes).toEqual([generated]);
+        expect(value).toEqual([generated]);
+    });
+
+    it('should return values with no nodes', () => {
+        const tree = parseXml(CATALOG);
+
+        expect(queryXPath('count(//item)', tree)).toEqual({ value: 3, nodes: [] });
+        expect(queryXPath('/', tree).nodes).toEqual([]);
+    });
+});
@@ -13,6 +13,8 @@ export const TREE_VIEW_COLORS = {
         extra: 'bg-amber-100 border-amber-400 text-amber-800',
         missing: 'bg-red-100 border-red-400 text-red-800',
         different: 'bg-purple-100 border-purple-400 text-purple-800',
+        moved: 'bg-sky-100 border-sky-400 text-sky-800',
+        ignored: 'bg-slate-100 border-slate-300 border-dashed text-slate-500',
         neutral: 'bg-slate-50 border-slate-300 text-slate-700',
     },
 
@@ -23,6 +25,12 @@ export const TREE_VIEW_COLORS = {
             key: 'text-orange-900 font-bold',
             value: 'text-orange-800 font-semibold',
         },
+        // Raw value differs but is equal after normalization
+        normalized: {
+            container: 'underline decoration-dotted decoration-green-600 mx-0.5',
+            key: 'text-purple-600',
+            value: 'text-purple-600',
+        },
         normal: {
             container: '',
             key: 'text-purple-600',
@@ -33,16 +41,33 @@ export const TREE_VIEW_COLORS = {
     // Text content highlighting (when leaf node value differs) - Standard text/bg highlighting
     textContent: {
         changed: 'bg-cyan-100 text-cyan-900 px-1.5 py-0.5 rounded font-medium',
+        normalized: 'text-gray-700 underline decoration-dotted decoration-green-600',
         normal: 'text-gray-700',
     },
 
+    // Text node, comment, processing instruction and CDATA markup
+    otherNode: {
+        text: 'text-gray-700 whitespace-pre',
+        comment: 'text-slate-500 italic',
+        'processing-instruction': 'text-teal-700',
+        cdata: 'text-gray-700',
+    },
+
     // Status badge colors
     badge: {
         matched: 'bg-green-500 text-white',
         extra: 'bg-amber-500 text-white',
         different: 'bg-purple-500 text-white',
+        moved: 'bg-sky-500 text-white',
+        ignored: 'bg-slate-400 text-white',
         missing: 'bg-red-500 text-white',
-    }
+    },
+
+    // Nodes matching the query panel's query (outline, so selection and status still show)
+    queryMatch: 'outline outline-2 outline-offset-1 outline-yellow-400',
+
+    // "Modified inside" marker on collapsed elements with changes below them
+    modifiedInside: 'bg-rose-50 text-rose-700 border border-rose-300',
 };
 
 // View Only Colors - Very subtle colors for code-style line highlighting
@@ -54,6 +79,8 @@ export const VIEW_ONLY_COLORS = {
         extra: 'bg-amber-50/50',
         missing: 'bg-red-50/50',
         different: 'bg-purple-50/40',
+        moved: 'bg-sky-50/50',
+        ignored: 'bg-slate-100/60',
         neutral: 'hover:bg-slate-50/30',
     },
 
@@ -62,6 +89,8 @@ export const VIEW_ONLY_COLORS = {
         matched: 'border-green-300',
         extra: 'border-amber-300',
         different: 'border-purple-300',
+        moved: 'border-sky-300',
+        ignored: 'border-slate-300',
         neutral: 'border-transparent',
     },
 
@@ -72,6 +101,12 @@ export const VIEW_ONLY_COLORS = {
             key: 'text-orange-800 font-bold',
             value: 'text-orange-700 font-semibold',
         },
+        // Raw value differs but is equal after normalization
+        normalized: {
+            container: 'underline decoration-dotted decoration-green-600',
+            key: 'text-purple-600',
+            value: 'text-green-600',
+        },
         normal: {
             container: '',
             key: 'text-purple-600',
@@ -82,8 +117,33 @@ export const VIEW_ONLY_COLORS = {
     // Text content highlighting (inline, distinct box with border and ring)
     textContent: {
         changed: 'bg-cyan-50 text-cyan-800 border border-solid border-cyan-400 px-1.5 py-0.5 rounded mx-1 shadow-sm ring-1 ring-cyan-200 font-semibold',
+        normalized: 'text-slate-900 underline decoration-dotted decoration-green-600',
         normal: 'text-slate-900',
-    }
+    },
+
+    // Text node, comment, processing instruction and CDATA markup
+    otherNode: {
+        text: 'text-slate-900',
+        comment: 'text-slate-500 italic',
+        'processing-instruction': 'text-teal-700',
+        cdata: 'text-slate-900',
+    },
+
+    // Lines of nodes matching the query panel's query
+    queryMatch: 'outline outline-1 -outline-offset-1 outline-yellow-400',
+};
+
+// Inline diff colors - marks the changed words/characters inside a value
+// (left side shows deletions, right side shows insertions)
+export const INLINE_DIFF_COLORS = {
+    insert: 'bg-green-200 text-green-900 rounded-sm',
+    delete: 'bg-red-200 text-red-900 line-through decoration-red-500 rounded-sm',
+};
+
+// Search highlight colors - marks find-bar matches inside names, values and text
+export const SEARCH_HIGHLIGHT_COLORS = {
+    match: 'bg-yellow-200 text-inherit rounded-sm',
+    current: 'bg-orange-400 text-white rounded-sm ring-2 ring-orange-500',
 };
 
 // Legend colors (for DiffLegend component)
@@ -91,6 +151,8 @@ export const LEGEND_COLORS = {
     matched: 'bg-green-500',
     extra: 'bg-amber-500',
     different: 'bg-purple-500',
+    moved: 'bg-sky-500',
+    ignored: 'bg-slate-400',
     attrChanged: 'bg-orange-200 border-orange-400 ring-1 ring-orange-400',
     textChanged: 'bg-cyan-200 border-cyan-400 ring-1 ring-cyan-400',
 };
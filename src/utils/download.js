@@ -0,0 +1,22 @@
+/**
+ * Browser download helper
+ * Saves generated content (reports, exports) as a file
+ */
+
+/**
+ * Offer content as a file download.
+ *
+ * @param {string} content - The file content
+ * @param {string} fileName - Suggested file name
+ * @param {string} type - MIME type, e.g. 'text/html'
+ */
+export function downloadFile(content, fileName, type) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+
+    // Give the browser a moment to start the download before releasing it
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
@@ -26,7 +26,21 @@
 export {
     compareXml,
     getDiffStatus,
+    getCounterpartXPath,
+    translateXPath,
+    getChildAlignment,
+    getMovedEntry,
+    isNormalizedMatch,
+    getNodeChanges,
+    getChangedAttributeNames,
+    getSubtreeChanges,
+    getSubtreeStatus,
     getDiffSummary,
     areTreesIdentical,
     DiffStatus,
+    SubtreeStatus,
+    MatchMode,
 } from '../core/xmlComparer.js';
+
+// Phases of a comparison run by the XML worker
+export { ComparePhase } from '../core/compareJob.js';
@@ -31,4 +31,20 @@ export {
     getAllXPaths,
     countNodes,
     findNodeByXPath,
+    getDocumentNodes,
+    getNodeDelimiters,
+    isElementNode,
+    NamespaceMode,
+    NodeKind,
+    ParserBackend,
+    WhitespaceMode,
 } from '../core/xmlParser.js';
+
+// Query parsed trees with any XPath 1.0 expression
+export {
+    evaluateXPath,
+    queryXPath,
+    getResultType,
+    getStringValue,
+    XPathResultType,
+} from '../core/xpathEvaluator.js';